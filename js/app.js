@@ -13,10 +13,15 @@
  */
 
 const App = {
+    /**
+     * Whether the save conflict dialog is showing
+     */
+    conflictOpen: false,
+
     /**
      * Initialize the application
      */
-    init() {
+    async init() {
         console.log('🚀 LandCraft - Landing Page Builder v1.0.0');
 
         // Initialize all components
@@ -27,12 +32,23 @@ const App = {
         
         // Setup keyboard shortcuts
         this.setupKeyboardShortcuts();
+
+        // Keep tabs editing the same project in sync
+        this.setupTabSync();
+
+        // Real-time collaboration
+        Collab.init();
         
         // Initialize theme
         this.initTheme();
         
         // Load saved state
-        AppState.init();
+        await AppState.init();
+        this.refreshProjectChrome();
+
+        // Saved presets and templates are shared by all projects
+        await PresetLibrary.init();
+        await TemplateLibrary.init();
 
         console.log('✅ Application initialized successfully');
     },
@@ -47,6 +63,11 @@ const App = {
         Properties.init();
         Preview.init();
         Canvas.init();
+        ProjectPicker.init();
+        PresetPanel.init();
+        StorageMeter.init();
+        HistoryPanel.init();
+        CollabPanel.init();
     },
 
     /**
@@ -56,9 +77,8 @@ const App = {
         // Project name input
         const projectNameInput = document.getElementById('projectName');
         if (projectNameInput) {
-            projectNameInput.value = AppState.getState().projectName;
             projectNameInput.addEventListener('input', Helpers.debounce((e) => {
-                AppState.setState({ projectName: e.target.value });
+                AppState.setState({ projectName: e.target.value }, 'Rename project');
             }, 300));
         }
 
@@ -105,6 +125,12 @@ const App = {
             });
         }
 
+        // Step logic button: skip and branch rules of the current step
+        const stepLogicBtn = document.getElementById('stepLogicBtn');
+        if (stepLogicBtn) {
+            stepLogicBtn.addEventListener('click', () => AppState.selectElement('step'));
+        }
+
         // Step navigation buttons
         const prevStepBtn = document.getElementById('prevStepBtn');
         const nextStepBtn = document.getElementById('nextStepBtn');
@@ -131,10 +157,16 @@ const App = {
         this.setupCodePanel();
 
         // Update undo/redo button states on state change
-        AppState.subscribe(() => {
-            if (undoBtn) undoBtn.disabled = !AppState.canUndo();
-            if (redoBtn) redoBtn.disabled = !AppState.canRedo();
-        });
+        const updateHistoryButtons = ([canUndo, canRedo]) => {
+            if (undoBtn) undoBtn.disabled = !canUndo;
+            if (redoBtn) redoBtn.disabled = !canRedo;
+        };
+        AppState.subscribe(
+            () => [AppState.canUndo(), AppState.canRedo()],
+            updateHistoryButtons,
+            Helpers.shallowEqual
+        );
+        updateHistoryButtons([AppState.canUndo(), AppState.canRedo()]);
 
         // Sidebar toggle (for mobile)
         const toggleSidebar = document.getElementById('toggleSidebar');
@@ -183,12 +215,26 @@ const App = {
             // Delete selected element: Delete or Backspace
             if ((e.key === 'Delete' || e.key === 'Backspace') && !e.target.matches('input, textarea, [contenteditable]')) {
                 const selected = AppState.getSelectedElement();
-                if (selected && selected.id && !['header', 'title', 'description'].includes(selected.id)) {
+                const fieldIds = AppState.getSelection();
+                if (fieldIds.length > 1) {
+                    e.preventDefault();
+                    Canvas.handleBulkDelete(fieldIds);
+                } else if (selected && selected.id && !['header', 'title', 'description', 'step'].includes(selected.id)) {
                     e.preventDefault();
                     Canvas.handleDelete(selected.id);
                 }
             }
 
+            // Copy/paste fields or steps: Ctrl/Cmd + C, Ctrl/Cmd + V
+            if (ctrlOrCmd && !e.shiftKey && ['c', 'v'].includes(e.key) && this.canUseClipboardShortcut(e)) {
+                e.preventDefault();
+                if (e.key === 'c') {
+                    this.handleCopy();
+                } else {
+                    this.handlePaste();
+                }
+            }
+
             // Deselect: Escape
             if (e.key === 'Escape') {
                 AppState.selectElement(null);
@@ -204,6 +250,93 @@ const App = {
         });
     },
 
+    /**
+     * Listen for changes saved by other tabs and for save conflicts
+     */
+    setupTabSync() {
+        TabSync.init();
+
+        TabSync.subscribe((message) => {
+            if (message.type === 'projects') {
+                this.handleProjectsChanged();
+            } else if (message.type === 'presets') {
+                PresetLibrary.refresh();
+            } else if (message.type === 'templates') {
+                TemplateLibrary.refresh();
+            }
+        });
+
+        AppState.onPersist((error) => {
+            if (ProjectLibrary.isConflictError(error)) {
+                this.handleConflict();
+            }
+        });
+    },
+
+    /**
+     * Apply project changes saved by another tab
+     */
+    async handleProjectsChanged() {
+        const projectId = AppState.projectId;
+        if (!projectId) return;
+
+        await ProjectLibrary.refresh();
+
+        // Collaborators already receive every change through the session
+        if (Collab.isActive()) {
+            if (ProjectPicker.isOpen()) ProjectPicker.render();
+            return;
+        }
+
+        if (!ProjectLibrary.get(projectId)) {
+            const name = AppState.getState().projectName;
+            await AppState.deleteProject(projectId);
+            Canvas.render();
+            this.refreshProjectChrome();
+            Toast.warning(`"${name}" was deleted in another tab`);
+        } else if (await AppState.syncFromStorage()) {
+            Canvas.render();
+            this.refreshProjectChrome();
+        }
+
+        if (ProjectPicker.isOpen()) {
+            ProjectPicker.render();
+        }
+    },
+
+    /**
+     * Ask how to resolve a save that conflicts with another tab
+     */
+    async handleConflict() {
+        // Tabs in the same session hold the same merged content
+        if (Collab.isActive()) {
+            await AppState.keepLocalChanges();
+            return;
+        }
+
+        if (this.conflictOpen) return;
+        this.conflictOpen = true;
+
+        const reload = await Modal.confirm_dialog(
+            'Project Changed in Another Tab',
+            `"${AppState.getState().projectName}" was saved in another tab after you opened it here. ` +
+            'Reload to get the other tab\'s version (your changes stay available through Undo), ' +
+            'or keep your changes and overwrite it.',
+            { confirmText: 'Reload', cancelText: 'Keep My Changes' }
+        );
+        this.conflictOpen = false;
+
+        if (reload) {
+            if (await AppState.reloadProject('Reload from another tab')) {
+                Canvas.render();
+                this.refreshProjectChrome();
+                Toast.info('Loaded the latest version');
+            }
+        } else if (await AppState.keepLocalChanges()) {
+            Toast.success('Your changes were saved');
+        }
+    },
+
     /**
      * Initialize theme
      */
@@ -212,6 +345,20 @@ const App = {
         document.documentElement.setAttribute('data-theme', savedTheme);
     },
 
+    /**
+     * Sync project name, theme and storage meter with the open project
+     */
+    refreshProjectChrome() {
+        const projectNameInput = document.getElementById('projectName');
+        if (projectNameInput) {
+            projectNameInput.value = AppState.getState().projectName;
+        }
+
+        this.initTheme();
+        Properties.updatePanel();
+        StorageMeter.update();
+    },
+
     /**
      * Toggle theme
      */
@@ -241,6 +388,7 @@ const App = {
             case 'preview':
                 if (previewPanel) previewPanel.style.display = 'flex';
                 if (codePanel) codePanel.style.display = 'none';
+                Preview.clearSnapshot();
                 Preview.render();
                 break;
 
@@ -331,9 +479,10 @@ const App = {
      * Handle undo
      */
     handleUndo() {
-        if (AppState.undo()) {
+        const entry = AppState.undo();
+        if (entry) {
             Canvas.render();
-            Toast.info('Undo');
+            Toast.info(`Undo: ${entry.label}`);
         }
     },
 
@@ -341,18 +490,90 @@ const App = {
      * Handle redo
      */
     handleRedo() {
-        if (AppState.redo()) {
+        const entry = AppState.redo();
+        if (entry) {
             Canvas.render();
-            Toast.info('Redo');
+            Toast.info(`Redo: ${entry.label}`);
+        }
+    },
+
+    /**
+     * Check whether Ctrl/Cmd + C or V should copy fields instead of text
+     * @param {KeyboardEvent} e - Key event
+     * @returns {boolean}
+     */
+    canUseClipboardShortcut(e) {
+        if (AppState.getState().currentView !== 'builder' || Modal.isOpen()) return false;
+        if (e.target.matches?.('input, textarea, select, [contenteditable]')) return false;
+
+        // Leave text selected on the page to the browser
+        const textSelection = window.getSelection();
+        return !textSelection || textSelection.isCollapsed;
+    },
+
+    /**
+     * Handle copy of the selected fields, or of the current step
+     */
+    async handleCopy() {
+        try {
+            const content = await CopyPaste.copy();
+            const count = content.steps[0].fields.length;
+            Toast.info(content.kind === 'fields'
+                ? `Copied ${count} field${count === 1 ? '' : 's'}`
+                : `Copied step "${content.steps[0].name}"`);
+        } catch (error) {
+            console.error('Copy error:', error);
+            Toast.error('The selection could not be copied', 'Copy failed');
+        }
+    },
+
+    /**
+     * Handle paste of copied fields or steps
+     */
+    async handlePaste() {
+        let result;
+        try {
+            result = await CopyPaste.read();
+        } catch (error) {
+            console.error('Paste error:', error);
+            Toast.error('The clipboard could not be read', 'Paste failed');
+            return;
+        }
+        if (!result) {
+            Toast.warning('Copy fields or a step first', 'Nothing to paste');
+            return;
+        }
+        if (!result.content) {
+            Modal.alertList('Cannot Paste', 'The copied content comes from an incompatible version of LandCraft.', result.errors);
+            return;
+        }
+
+        const { kind, steps } = result.content;
+        try {
+            if (kind === 'fields') {
+                const fields = AppState.pasteFields(steps.flatMap(step => step.fields));
+                Toast.success(`Pasted ${fields.length} field${fields.length === 1 ? '' : 's'}`);
+            } else {
+                const pasted = AppState.pasteSteps(steps);
+                Toast.success(`Pasted ${pasted.steps.length} step${pasted.steps.length === 1 ? '' : 's'}`);
+                if (pasted.cleared.length > 0) {
+                    Toast.warning(pasted.cleared.join(' '), 'Some step rules were cleared');
+                }
+            }
+        } catch (error) {
+            console.error('Paste error:', error);
+            Toast.error('The copied content could not be pasted', 'Paste failed');
         }
     },
 
     /**
      * Handle save
      */
-    handleSave() {
-        AppState.persistState();
-        Toast.success('Project saved', 'Your changes have been saved locally');
+    async handleSave() {
+        // Failures are reported by StorageMeter
+        if (await AppState.persistState()) {
+            Toast.success('Project saved', 'Your changes have been saved locally');
+        }
     },
 
     /**
@@ -442,10 +663,76 @@ window.App = App;
  * 
  * - AppState (js/state.js): Centralized state management
  *   - Single source of truth for all app data
- *   - Undo/redo functionality with history stack
- *   - Persistence to localStorage
+ *   - Undo/redo history of labeled patches
+ *   - Persistence through the project library
  *   - Subscriber pattern for reactive updates
  * 
+ * - Patches (js/utils/patches.js): State diffs
+ *   - Computes and applies the patches stored in the history
+ * 
+ * - Migrations (js/utils/migrations.js): Schema versions
+ *   - Step-by-step upgrades of imported schemas and saved projects
+ *   - Rejects documents from newer versions
+ * 
+ * - CopyPaste (js/utils/copypaste.js): Clipboard
+ *   - Copies selected fields or the current step as JSON
+ *   - Pasting gives new IDs and keeps conditions between copied fields
+ * 
+ * - Integrity (js/utils/integrity.js): State checks
+ *   - Repairs broken references, duplicate IDs and missing lists
+ *     when projects are opened, imported or restored from a snapshot
+ *   - Reports repairs and remaining problems in a modal
+ * 
+ * - DataStore (js/utils/storage.js): Persistence backend
+ *   - IndexedDB with localStorage fallback
+ *   - Images stored as Blob assets outside the state JSON
+ *   - Storage usage estimate and quota error detection
+ * 
+ * - ProjectLibrary (js/utils/projects.js): Project workspace
+ *   - Index of projects with last-modified timestamps
+ *   - One persisted state and undo history per project
+ *   - Revision numbers to detect writes from other tabs
+ *   - Named snapshots
+ * 
+ * - PresetLibrary (js/utils/presets.js): Saved presets
+ *   - Fields and steps kept for reuse in every project
+ *   - JSON import/export to share a library
+ * 
+ * - TemplateLibrary (js/utils/templates.js): Starter templates
+ *   - Built-in multi-step pages as JSON schemas
+ *   - Projects saved as templates for reuse
+ * 
+ * - TabSync (js/utils/tabsync.js): Cross-tab messages
+ *   - BroadcastChannel with a storage event fallback
+ *   - Tabs reload projects saved elsewhere; conflicting saves ask the user
+ * 
+ * - Collab (js/collab.js): Real-time collaboration
+ *   - Local edits become CRDT operations (js/utils/crdt.js)
+ *   - Pluggable transports (js/utils/transport.js), WebSocket relay in server/relay.js
+ *   - Presence of collaborators
+ * 
+ * - ProjectPicker (js/components/projects.js): Project picker
+ *   - List, search, open, create, rename, duplicate, delete
+ * 
+ * - TemplateGallery (js/components/templates.js): Template gallery
+ *   - Shown when creating a project; blank or from a template
+ *   - Save the open project as a template, delete saved ones
+ * 
+ * - PresetPanel (js/components/presets.js): Presets in the sidebar
+ *   - Click or drag a preset onto the canvas to add it
+ *   - Save, rename, delete, import and export presets
+ * 
+ * - StorageMeter (js/components/storagemeter.js): Storage usage
+ *   - Usage bar with near-quota warning
+ *   - Error toast when a save fails
+ * 
+ * - HistoryPanel (js/components/history.js): History & snapshots
+ *   - Jump to any undo entry
+ *   - Save, preview, compare, restore and delete snapshots
+ * 
+ * - CollabPanel (js/components/collab.js): Collaboration session
+ *   - Join/leave dialog and collaborator avatars
+ * 
  * - Canvas (js/components/canvas.js): Main builder canvas
  *   - Renders form fields and header elements
  *   - Handles element selection
@@ -460,6 +747,7 @@ window.App = App;
  * - Preview (js/components/preview.js): Live preview
  *   - Real-time preview in iframe
  *   - Responsive device switching
+ *   - Snapshot previews
  *   - Complete form simulation
  * 
  * - DragDrop (js/components/dragdrop.js): Drag and drop
@@ -489,9 +777,11 @@ window.App = App;
  * AppState provides:
  * 
  * - getState(): Get current state
- * - setState(updates): Update state with history
+ * - setState(updates, label): Update state with a labeled history entry
  * - setPath(path, value): Update nested property
- * - subscribe(fn): Subscribe to state changes
+ * - transaction(label, fn): Batch changes into one history entry
+ * - subscribe(fn): Subscribe to every state change
+ * - subscribe(selector, fn, equalityFn): Subscribe to one slice of the state
  * - undo()/redo(): History navigation
  * 
  * State structure:
@@ -499,9 +789,10 @@ window.App = App;
  *   projectName: string,
  *   currentStep: number,
  *   selectedElement: string|null,
+ *   selection: string[] (field IDs, when several are selected),
  *   header: { image, title, description },
- *   steps: [{ id, name, fields: [] }],
- *   settings: { webhookUrl, submitButtonText, ... }
+ *   steps: [{ id, name, fields: [], skipLogic, branches }],
+ *   settings: { webhookUrl, submitButtonText, defaultCountry, ... }
  * }
  * 
  * 4. CONDITIONAL LOGIC
@@ -530,26 +821,31 @@ window.App = App;
  * 
  * Validation rules:
  * - required: Boolean
- * - type: 'email', 'mobile', 'url'
+ * - type: 'email', 'mobile', 'phone', 'url'
  * - minLength/maxLength: Number
  * - pattern: RegExp string
  * - custom error messages
  * 
  * Mobile validation: /^[0-9]{10}$/ (exactly 10 digits)
+ * Phone validation: PhoneUtils.toE164 (length and format of the
+ *   number's country; answers are submitted in E.164, e.g. +919876543210)
+ * Address validation: Validation.validateAddress (the parts the country
+ *   uses, see AddressUtils; postal codes per Validation.postalCodes)
  * Email validation: Standard email regex
  * 
  * 6. PREVIEW AUTO-UPDATES
  * -----------------------
- * Preview subscribes to AppState changes:
+ * Preview subscribes to the parts of AppState it renders:
  * 
- * AppState.subscribe(() => {
- *   if (Preview.isVisible()) {
- *     Preview.render();
- *   }
- * });
+ * AppState.subscribe(
+ *   state => ({ header: state.header, steps: state.steps, ... }),
+ *   () => { if (Preview.isVisible()) Preview.render(); },
+ *   Helpers.shallowEqual
+ * );
  * 
- * Each state change triggers re-render of preview iframe
- * with complete HTML/CSS/JS regeneration.
+ * setState keeps unchanged parts of the state identical, so
+ * selecting a field or renaming the project does not regenerate
+ * the preview iframe.
  * 
  * 7. WEBHOOK TRIGGER
  * ------------------
@@ -562,7 +858,7 @@ window.App = App;
  * 
  * Payload structure:
  * {
- *   formData: { field_id: value, ... },
+ *   formData: { field_key: value, ... },
  *   metadata: {
  *     timestamp: ISO string,
  *     pageUrl: string,
@@ -0,0 +1,325 @@
+/**
+ * ================================================
+ * LANDCRAFT - Collaboration
+ * Real-time co-editing of the open project
+ *
+ * Local edits are turned into CRDT operations and sent through a
+ * transport (see SyncTransport); operations from collaborators are
+ * merged into the shared document and applied to AppState.
+ * ================================================
+ */
+
+const Collab = {
+    /**
+     * Storage key of this user's display name and color
+     */
+    userKey: 'landcraft_collab_user',
+
+    defaultServer: 'ws://localhost:8787',
+    reconnectDelay: 3000,
+
+    colors: ['#6366f1', '#ec4899', '#f59e0b', '#10b981', '#0ea5e9', '#8b5cf6', '#ef4444', '#14b8a6'],
+
+    /**
+     * ID of this session in the room
+     */
+    clientId: Helpers.generateId('client'),
+
+    user: null,
+    doc: null,
+    transport: null,
+    room: null,
+    projectId: null,
+
+    /**
+     * 'offline', 'connecting' or 'online'
+     */
+    status: 'offline',
+
+    /**
+     * Whether the room's content has been received at least once
+     */
+    joined: false,
+
+    /**
+     * Operations made while disconnected, sent on reconnect
+     */
+    outbox: [],
+
+    /**
+     * Other collaborators by client ID: {user, selection}
+     */
+    peers: new Map(),
+
+    selection: null,
+    applyingRemote: false,
+    reconnectTimer: null,
+    listeners: new Set(),
+
+    /**
+     * Initialize collaboration
+     */
+    init() {
+        this.user = Helpers.storage.get(this.userKey) || {
+            id: Helpers.generateId('user'),
+            name: '',
+            color: this.colors[Math.floor(Math.random() * this.colors.length)]
+        };
+
+        AppState.subscribe(() => this.handleLocalChange());
+    },
+
+    /**
+     * Check if a session is running
+     * @returns {boolean}
+     */
+    isActive() {
+        return this.transport !== null;
+    },
+
+    /**
+     * Join a room
+     * @param {Object} options - {room, name, transport}
+     */
+    start({ room, name, transport }) {
+        this.stop();
+
+        this.user = { ...this.user, name: name || this.user.name || 'Anonymous' };
+        Helpers.storage.set(this.userKey, this.user);
+
+        this.room = room;
+        this.projectId = AppState.projectId;
+        this.transport = transport;
+        this.doc = CRDT.createDoc(this.clientId);
+        this.joined = false;
+        this.outbox = [];
+        this.selection = AppState.getState().selectedElement;
+
+        this.connect();
+    },
+
+    /**
+     * Leave the room
+     */
+    stop() {
+        clearTimeout(this.reconnectTimer);
+        if (this.transport) {
+            this.transport.close();
+        }
+
+        this.transport = null;
+        this.doc = null;
+        this.room = null;
+        this.peers.clear();
+        this.setStatus('offline');
+    },
+
+    /**
+     * Open the transport and announce this user
+     */
+    connect() {
+        this.setStatus('connecting');
+
+        this.transport.connect({
+            onOpen: () => {
+                this.transport.send({
+                    type: 'join',
+                    room: this.room,
+                    clientId: this.clientId,
+                    user: this.user,
+                    selection: this.selection
+                });
+            },
+            onMessage: (message) => this.handleMessage(message),
+            onClose: () => this.handleDisconnect()
+        });
+    },
+
+    /**
+     * Retry after the connection dropped
+     */
+    handleDisconnect() {
+        if (!this.isActive()) return;
+
+        if (this.status === 'online') {
+            Toast.warning('Lost connection to the collaboration server. Reconnecting...');
+        } else if (!this.joined) {
+            Toast.error('Could not reach the collaboration server');
+            this.stop();
+            return;
+        }
+
+        this.peers.clear();
+        this.setStatus('connecting');
+        this.reconnectTimer = setTimeout(() => {
+            if (this.isActive()) this.connect();
+        }, this.reconnectDelay);
+    },
+
+    // =====================================
+    // MESSAGES
+    // =====================================
+
+    /**
+     * Handle a message from the relay or a collaborator
+     * @param {Object} message - Message
+     */
+    handleMessage(message) {
+        if (!this.isActive()) return;
+
+        switch (message.type) {
+            case 'welcome':
+                this.handleWelcome(message);
+                break;
+
+            case 'ops':
+                if (CRDT.applyOps(this.doc, message.ops)) {
+                    this.applyRemote(`Changes from ${this.getPeerName(message.clientId)}`);
+                }
+                break;
+
+            case 'join':
+            case 'presence':
+                this.peers.set(message.clientId, { user: message.user, selection: message.selection });
+                this.notify();
+                break;
+
+            case 'leave':
+                this.peers.delete(message.clientId);
+                this.notify();
+                break;
+        }
+    },
+
+    /**
+     * Sync with the room after (re)connecting
+     * An empty room gets the whole project; otherwise the room's content wins,
+     * merged with anything edited here while disconnected. A room is also
+     * empty when the relay dropped it after everyone left, so a client that
+     * joined before sends its whole document too, not just its offline edits.
+     * @param {Object} message - {ops, peers}
+     */
+    handleWelcome({ ops, peers }) {
+        this.peers = new Map(peers.map(peer => [peer.clientId, peer]));
+
+        if (ops.length === 0) {
+            CRDT.diffState(this.doc, AppState.getState());
+            this.outbox = CRDT.getOps(this.doc);
+        } else if (CRDT.applyOps(this.doc, ops)) {
+            this.applyRemote(this.joined ? 'Changes from collaborators' : `Join session "${this.room}"`);
+        }
+
+        if (this.outbox.length > 0) {
+            this.transport.send({ type: 'ops', clientId: this.clientId, ops: this.outbox });
+            this.outbox = [];
+        }
+
+        this.joined = true;
+        this.setStatus('online');
+    },
+
+    /**
+     * Apply the shared document to AppState
+     * @param {string} label - History label
+     */
+    applyRemote(label) {
+        this.applyingRemote = true;
+        try {
+            if (!AppState.applyExternalState(CRDT.toState(this.doc), label)) {
+                console.warn('Ignored shared content without steps');
+            }
+        } finally {
+            this.applyingRemote = false;
+        }
+    },
+
+    /**
+     * Send local edits and selection changes
+     */
+    handleLocalChange() {
+        if (!this.isActive() || this.applyingRemote || !this.joined) return;
+
+        // The room holds one project; opening another one leaves it
+        if (AppState.projectId !== this.projectId) {
+            this.stop();
+            Toast.info('Left the collaboration session');
+            return;
+        }
+
+        const ops = CRDT.diffState(this.doc, AppState.getState());
+        if (ops.length > 0) {
+            if (this.status === 'online') {
+                this.transport.send({ type: 'ops', clientId: this.clientId, ops });
+            } else {
+                this.outbox.push(...ops);
+            }
+        }
+
+        const selection = AppState.getState().selectedElement;
+        if (selection !== this.selection) {
+            this.selection = selection;
+            this.transport.send({
+                type: 'presence',
+                clientId: this.clientId,
+                user: this.user,
+                selection
+            });
+        }
+    },
+
+    // =====================================
+    // PRESENCE
+    // =====================================
+
+    /**
+     * Get the other collaborators
+     * @returns {Array<Object>} Peers {clientId, user, selection}
+     */
+    getPeers() {
+        return [...this.peers.entries()].map(([clientId, peer]) => ({ clientId, ...peer }));
+    },
+
+    /**
+     * Get a collaborator's display name
+     * @param {string} clientId - Client ID
+     * @returns {string}
+     */
+    getPeerName(clientId) {
+        return this.peers.get(clientId)?.user?.name || 'a collaborator';
+    },
+
+    /**
+     * Update the connection status
+     * @param {string} status - New status
+     */
+    setStatus(status) {
+        this.status = status;
+        this.notify();
+    },
+
+    /**
+     * Subscribe to status and presence changes
+     * @param {Function} listener - Listener function
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    },
+
+    /**
+     * Notify status and presence listeners
+     */
+    notify() {
+        this.listeners.forEach(listener => {
+            try {
+                listener(this);
+            } catch (error) {
+                console.error('Collab listener error:', error);
+            }
+        });
+    }
+};
+
+// Export for use in other modules
+window.Collab = Collab;
@@ -16,8 +16,20 @@ const Canvas = {
         this.element = document.getElementById('canvas');
         this.emptyState = document.getElementById('emptyState');
         
-        // Subscribe to state changes
-        AppState.subscribe(() => this.render());
+        // Re-render when what the canvas shows changes
+        AppState.subscribe(
+            state => ({
+                header: state.header,
+                steps: state.steps,
+                currentStep: state.currentStep,
+                selectedElement: state.selectedElement,
+                selection: state.selection
+            }),
+            () => this.render(),
+            Helpers.shallowEqual
+        );
+
+        this.setupBoxSelect();
 
         // Initial render
         this.render();
@@ -52,14 +64,52 @@ const Canvas = {
         }
 
         // Render fields
+        const selection = AppState.getSelection();
         currentStep.fields.forEach((field, index) => {
-            const fieldEl = this.renderField(field, index, state.selectedElement);
+            const fieldEl = this.renderField(field, index, selection);
             this.element.appendChild(fieldEl);
             DragDrop.makeFieldDraggable(fieldEl, index);
         });
 
         // Update step navigation
         this.updateStepNavigation();
+
+        // Show what collaborators have selected
+        this.renderPresence();
+    },
+
+    /**
+     * Outline the elements collaborators have selected
+     */
+    renderPresence() {
+        if (!this.element) return;
+
+        this.element.querySelectorAll('.presence-badges').forEach(el => el.remove());
+        this.element.querySelectorAll('.remote-selected').forEach(el => {
+            el.classList.remove('remote-selected');
+            el.style.removeProperty('--presence-color');
+        });
+
+        Collab.getPeers().forEach(peer => {
+            if (!peer.selection) return;
+
+            const selector = ['header', 'title', 'description'].includes(peer.selection)
+                ? `[data-element-type="${peer.selection}"]`
+                : `[data-field-id="${peer.selection}"]`;
+            const el = this.element.querySelector(selector);
+            if (!el) return;
+
+            if (!el.classList.contains('remote-selected')) {
+                el.classList.add('remote-selected');
+                el.style.setProperty('--presence-color', peer.user?.color || '#6366f1');
+                el.appendChild(this.createElement('div', { className: 'presence-badges' }));
+            }
+
+            const badge = this.createElement('span', { className: 'presence-badge' });
+            badge.textContent = peer.user?.name || 'Anonymous';
+            badge.style.background = peer.user?.color || '#6366f1';
+            el.querySelector('.presence-badges').appendChild(badge);
+        });
     },
 
     /**
@@ -190,16 +240,77 @@ const Canvas = {
         }
     },
 
+    /**
+     * Select fields by dragging a box over the empty canvas area
+     * Holding Shift or Ctrl/Cmd adds to the current selection.
+     */
+    setupBoxSelect() {
+        const wrapper = this.element?.closest('.canvas-wrapper');
+        if (!wrapper) return;
+
+        wrapper.addEventListener('mousedown', (e) => {
+            if (e.button !== 0 || e.target.closest('.canvas-element, button, input, select, textarea, a')) return;
+
+            const start = { x: e.clientX, y: e.clientY };
+            const initial = (e.shiftKey || e.ctrlKey || e.metaKey) ? AppState.getSelection() : [];
+            let box = null;
+            let rect = null;
+
+            const onMove = (ev) => {
+                rect = {
+                    left: Math.min(start.x, ev.clientX),
+                    top: Math.min(start.y, ev.clientY),
+                    right: Math.max(start.x, ev.clientX),
+                    bottom: Math.max(start.y, ev.clientY)
+                };
+
+                // Ignore small movements of a plain click
+                if (!box && rect.right - rect.left < 4 && rect.bottom - rect.top < 4) return;
+                if (!box) {
+                    box = this.createElement('div', { className: 'selection-box' });
+                    document.body.appendChild(box);
+                }
+
+                Object.assign(box.style, {
+                    left: `${rect.left}px`,
+                    top: `${rect.top}px`,
+                    width: `${rect.right - rect.left}px`,
+                    height: `${rect.bottom - rect.top}px`
+                });
+            };
+
+            const onUp = () => {
+                document.removeEventListener('mousemove', onMove);
+                document.removeEventListener('mouseup', onUp);
+                if (!box) return;
+                box.remove();
+
+                const ids = [...this.element.querySelectorAll('.canvas-field')]
+                    .filter(el => {
+                        const bounds = el.getBoundingClientRect();
+                        return bounds.left < rect.right && bounds.right > rect.left &&
+                            bounds.top < rect.bottom && bounds.bottom > rect.top;
+                    })
+                    .map(el => el.dataset.fieldId);
+                AppState.setSelection([...initial, ...ids]);
+            };
+
+            e.preventDefault();
+            document.addEventListener('mousemove', onMove);
+            document.addEventListener('mouseup', onUp);
+        });
+    },
+
     /**
      * Render a field
      * @param {Object} field - Field configuration
      * @param {number} index - Field index
-     * @param {string} selectedElement - Selected element ID
+     * @param {Array<string>} selection - Selected field IDs
      * @returns {HTMLElement} Field element
      */
-    renderField(field, index, selectedElement) {
+    renderField(field, index, selection) {
         const el = this.createElement('div', {
-            className: `canvas-element canvas-field ${selectedElement === field.id ? 'selected' : ''}`,
+            className: `canvas-element canvas-field ${selection.includes(field.id) ? 'selected' : ''}`,
             dataset: { fieldId: field.id, fieldType: field.type }
         });
 
@@ -217,6 +328,19 @@ const Canvas = {
                 </svg>
             </div>
             <div class="element-actions">
+                ${AppState.getState().steps.length > 1 ? `
+                <button class="element-action-btn" data-action="move" title="Move to step">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M15 3h4a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2h-4"></path>
+                        <polyline points="10 17 15 12 10 7"></polyline>
+                        <line x1="15" y1="12" x2="3" y2="12"></line>
+                    </svg>
+                </button>` : ''}
+                <button class="element-action-btn" data-action="preset" title="Save as preset">
+                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"></path>
+                    </svg>
+                </button>
                 <button class="element-action-btn" data-action="duplicate" title="Duplicate">
                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
@@ -237,8 +361,15 @@ const Canvas = {
             </div>
         `;
 
+        if (AppState.isGroup(field)) {
+            this.renderGroupFields(el, field, selection);
+        }
+
         // Click handler for selection
         el.addEventListener('click', (e) => {
+            // Fields inside a group handle their own clicks
+            if (e.target.closest('.canvas-field') !== el) return;
+
             const action = e.target.closest('.element-action-btn')?.dataset.action;
             
             if (action === 'delete') {
@@ -247,8 +378,21 @@ const Canvas = {
             } else if (action === 'duplicate') {
                 e.stopPropagation();
                 this.handleDuplicate(field);
+            } else if (action === 'move') {
+                e.stopPropagation();
+                this.handleMove(field);
+            } else if (action === 'preset') {
+                e.stopPropagation();
+                PresetPanel.saveField(AppState.getField(field.id));
             } else if (!e.target.closest('.drag-handle')) {
-                AppState.selectElement(field.id);
+                // Shift selects a range, Ctrl/Cmd adds or removes one field
+                if (e.shiftKey) {
+                    AppState.selectRange(field.id);
+                } else if (e.ctrlKey || e.metaKey) {
+                    AppState.toggleSelection(field.id);
+                } else {
+                    AppState.selectElement(field.id);
+                }
                 this.render();
                 Properties.updatePanel();
             }
@@ -257,6 +401,25 @@ const Canvas = {
         return el;
     },
 
+    /**
+     * Render the fields inside a group, and the area to drop more into
+     * @param {HTMLElement} el - Group element
+     * @param {Object} group - Group field
+     * @param {Array<string>} selection - Selected field IDs
+     */
+    renderGroupFields(el, group, selection) {
+        const container = el.querySelector('.group-fields');
+        if (!container) return;
+
+        group.fields.forEach((child, index) => {
+            const childEl = this.renderField(child, index, selection);
+            container.appendChild(childEl);
+            DragDrop.makeGroupChildDraggable(childEl);
+        });
+
+        DragDrop.makeGroupDropTarget(container, group.id);
+    },
+
     /**
      * Render field preview
      * @param {Object} field - Field configuration
@@ -272,19 +435,28 @@ const Canvas = {
             case 'text':
             case 'email':
             case 'number':
-                html += `<input type="${type}" class="field-input" placeholder="${Helpers.sanitizeHTML(placeholder || '')}" disabled>`;
+                html += `<input type="${type}" class="field-input" placeholder="${Helpers.escapeAttribute(placeholder || '')}" disabled>`;
                 break;
 
             case 'mobile':
-                html += `<input type="tel" class="field-input" placeholder="${Helpers.sanitizeHTML(placeholder || 'Enter 10-digit mobile number')}" disabled>`;
+                html += `<input type="tel" class="field-input" placeholder="${Helpers.escapeAttribute(placeholder || 'Enter 10-digit mobile number')}" disabled>`;
                 break;
 
+            case 'phone': {
+                const country = PhoneUtils.getFieldCountry(field, AppState.getState().settings);
+                html += `<div class="phone-preview">
+                    <span class="phone-preview-code">${PhoneUtils.getFlag(country.code)} +${country.dial}</span>
+                    <input type="tel" class="field-input" placeholder="${Helpers.escapeAttribute(placeholder || country.example)}" disabled>
+                </div>`;
+                break;
+            }
+
             case 'date':
                 html += `<input type="date" class="field-input" disabled>`;
                 break;
 
             case 'textarea':
-                html += `<textarea class="field-input" placeholder="${Helpers.sanitizeHTML(placeholder || '')}" disabled style="min-height: 80px;"></textarea>`;
+                html += `<textarea class="field-input" placeholder="${Helpers.escapeAttribute(placeholder || '')}" disabled style="min-height: 80px;"></textarea>`;
                 break;
 
             case 'dropdown':
@@ -316,6 +488,20 @@ const Canvas = {
                 html += '</div>';
                 break;
 
+            case 'rating':
+            case 'nps':
+            case 'scale': {
+                const { values, minLabel, maxLabel, icon } = ExportUtils.getScaleOptions(field);
+                const mark = { star: '★', heart: '♥' }[icon];
+                html += `<div class="scale-preview scale-${icon}">
+                    <div class="scale-preview-options">
+                        ${values.map(value => `<span class="scale-preview-mark">${mark || value}</span>`).join('')}
+                    </div>
+                    ${minLabel || maxLabel ? `<div class="scale-preview-ends"><span>${Helpers.sanitizeHTML(minLabel)}</span><span>${Helpers.sanitizeHTML(maxLabel)}</span></div>` : ''}
+                </div>`;
+                break;
+            }
+
             case 'file':
                 html += `<div class="file-upload-area">
                     <div class="file-upload-icon">📎</div>
@@ -323,6 +509,53 @@ const Canvas = {
                 </div>`;
                 break;
 
+            case 'address': {
+                const country = AddressUtils.getFieldCountry(field, AppState.getState().settings);
+                html += `<div class="address-preview">
+                    <span class="address-preview-country">${PhoneUtils.getFlag(country.code)} ${Helpers.sanitizeHTML(country.name)}</span>
+                    ${AddressUtils.getParts(country.code).map(part =>
+                        `<input type="text" class="field-input address-preview-${part.name}" placeholder="${Helpers.escapeAttribute(part.label)}" disabled>`
+                    ).join('')}
+                </div>`;
+                break;
+            }
+
+            case 'signature':
+                html += `<div class="signature-preview">
+                    <span class="signature-preview-line">✍️ Sign here</span>
+                </div>`;
+                break;
+
+            case 'hidden': {
+                // Visitors never see it, so only a badge says where the value comes from
+                const param = Helpers.sanitizeHTML(field.param || '…');
+                const source = {
+                    query: `from URL <code>?${param}=</code>`,
+                    cookie: `from cookie <code>${param}</code>`,
+                    referrer: 'from the referrer',
+                    static: `= "${Helpers.sanitizeHTML(field.value || '')}"`
+                }[ExportUtils.getHiddenSource(field)];
+                html = `<div class="hidden-field-badge">
+                    <span class="hidden-field-icon">🔗</span>
+                    <span class="hidden-field-label">${Helpers.sanitizeHTML(label)}</span>
+                    <span class="hidden-field-source">${source}</span>
+                </div>`;
+                break;
+            }
+
+            case 'group': {
+                const { min, max } = ExportUtils.getGroupLimits(field);
+                let repeats = `Repeats ${min}–${max} times`;
+                if (max === Infinity) repeats = `Repeats, ${min} or more times`;
+                else if (max === min) repeats = min === 1 ? 'Shown once' : `Shown ${min} times`;
+                html = `<div class="group-header">
+                    <label class="field-label">${Helpers.sanitizeHTML(label)}</label>
+                    <span class="group-repeat">${repeats}</span>
+                </div>
+                <div class="group-fields" data-empty-text="Drop fields here"></div>`;
+                break;
+            }
+
             case 'submit':
                 html = `<div class="submit-button-wrapper">
                     <button type="button" class="submit-button">${Helpers.sanitizeHTML(label || 'Submit')}</button>
@@ -330,7 +563,7 @@ const Canvas = {
                 break;
 
             default:
-                html += `<input type="text" class="field-input" placeholder="${Helpers.sanitizeHTML(placeholder || '')}" disabled>`;
+                html += `<input type="text" class="field-input" placeholder="${Helpers.escapeAttribute(placeholder || '')}" disabled>`;
         }
 
         return html;
@@ -341,14 +574,15 @@ const Canvas = {
      * @param {string} fieldId - Field ID
      */
     async handleDelete(fieldId) {
-        const confirmed = await Modal.confirm_dialog(
+        const resolution = await Modal.confirmDelete(
             'Delete Field',
             'Are you sure you want to delete this field?',
-            { danger: true, confirmText: 'Delete' }
+            AppState.getDependents([fieldId]),
+            AppState.getRetargetFields([fieldId])
         );
 
-        if (confirmed) {
-            AppState.deleteField(fieldId);
+        if (resolution) {
+            AppState.deleteField(fieldId, resolution);
             Toast.success('Field deleted');
         }
     },
@@ -358,18 +592,128 @@ const Canvas = {
      * @param {Object} field - Field to duplicate
      */
     handleDuplicate(field) {
-        const newField = Helpers.deepClone(field);
-        newField.id = Helpers.generateId('field');
-        newField.label = field.label + ' (Copy)';
-        
-        const state = AppState.getState();
-        const currentStep = state.steps[state.currentStep];
-        const fieldIndex = currentStep.fields.findIndex(f => f.id === field.id);
-        
-        AppState.addFieldAt(newField.type, fieldIndex + 1, newField);
+        // Copies a group's fields too, with new IDs
+        AppState.duplicateFields([field.id]);
         Toast.success('Field duplicated');
     },
 
+    /**
+     * Delete several fields after confirmation
+     * @param {Array<string>} fieldIds - Field IDs
+     */
+    async handleBulkDelete(fieldIds) {
+        const resolution = await Modal.confirmDelete(
+            'Delete Fields',
+            `Are you sure you want to delete these ${fieldIds.length} fields?`,
+            AppState.getDependents(fieldIds),
+            AppState.getRetargetFields(fieldIds)
+        );
+
+        if (resolution) {
+            AppState.deleteFields(fieldIds, resolution);
+            Toast.success(`${fieldIds.length} fields deleted`);
+        }
+    },
+
+    /**
+     * Move a field to another step, chosen in a modal
+     * @param {Object} field - Field to move
+     */
+    async handleMove(field) {
+        const { steps, currentStep } = AppState.getState();
+        const stepName = (step, index) => step.name || `Step ${index + 1}`;
+        const options = steps
+            .map((step, index) => index === currentStep ? '' :
+                `<option value="${index}">${index + 1}. ${Helpers.sanitizeHTML(stepName(step, index))}</option>`)
+            .join('');
+
+        const stepIndex = await new Promise((resolve) => {
+            Modal.show({
+                title: 'Move to Step',
+                content: `
+                    <div class="form-group">
+                        <label>Move '${Helpers.sanitizeHTML(field.label || field.type)}' to</label>
+                        <select id="moveFieldStep" class="form-input">${options}</select>
+                        <span class="form-hint">The field is added at the end of that step, with its settings and conditions</span>
+                    </div>
+                `,
+                confirmText: 'Move',
+                onConfirm: () => resolve(parseInt(document.getElementById('moveFieldStep').value)),
+                onCancel: () => resolve(NaN),
+                onClose: () => resolve(NaN)
+            });
+        });
+        if (isNaN(stepIndex)) return;
+
+        if (await this.moveToStep([field.id], stepIndex)) {
+            Toast.success(`Field moved to "${stepName(steps[stepIndex], stepIndex)}"`);
+        }
+    },
+
+    /**
+     * Move fields to a step, after confirming the conditions and step rules
+     * that can no longer use them (see AppState.getMoveDependents)
+     * @param {Array<string>} fieldIds - Field IDs
+     * @param {number} stepIndex - Destination step index
+     * @param {number|null} index - Position in the step (null for the end)
+     * @returns {Promise<boolean>} Whether the fields were moved
+     */
+    async moveToStep(fieldIds, stepIndex, index = null) {
+        const confirmed = await Modal.confirmMove(
+            fieldIds.length === 1 ? 'Move Field' : 'Move Fields',
+            this.describeRules(AppState.getMoveDependents(fieldIds, stepIndex))
+        );
+        if (!confirmed) return false;
+
+        if (fieldIds.length === 1) {
+            AppState.moveField(fieldIds[0], stepIndex, index);
+        } else {
+            AppState.moveFields(fieldIds, stepIndex);
+        }
+        return true;
+    },
+
+    /**
+     * Move a field into a group, after confirming the conditions and step
+     * rules that can no longer use it (see AppState.getGroupMoveDependents)
+     * @param {string} fieldId - Field ID
+     * @param {string} groupId - Group field ID
+     * @param {number|null} index - Position in the group (null for the end)
+     * @returns {Promise<boolean>} Whether the field was moved
+     */
+    async moveToGroup(fieldId, groupId, index = null) {
+        const confirmed = await Modal.confirmMove(
+            'Move Field',
+            this.describeRules(AppState.getGroupMoveDependents(fieldId, groupId))
+        );
+        if (!confirmed) return false;
+
+        AppState.moveFieldToGroup(fieldId, groupId, index);
+        return true;
+    },
+
+    /**
+     * Describe rules for a confirmation
+     * @param {Array<Object>} rules - Rules {kind, stepId, field} (see AppState.getBrokenRules)
+     * @returns {Array<string>} Descriptions
+     */
+    describeRules(rules) {
+        const { steps } = AppState.getState();
+        return rules.map(rule => {
+            const name = (fieldId) => {
+                const field = AppState.getField(fieldId);
+                return field?.label || field?.type || 'a field';
+            };
+            if (rule.kind === 'condition') return `Condition of '${name(rule.fieldId)}' on '${name(rule.field)}'`;
+
+            const index = steps.findIndex(step => step.id === rule.stepId);
+            const stepName = steps[index]?.name || `Step ${index + 1}`;
+            return rule.kind === 'skip'
+                ? `Skip rule of "${stepName}" on '${name(rule.field)}'`
+                : `Branch of "${stepName}" on '${name(rule.field)}'`;
+        });
+    },
+
     /**
      * Update step navigation
      */
@@ -384,12 +728,16 @@ const Canvas = {
                 <button class="step-tab ${index === currentStep ? 'active' : ''}" data-step="${index}">
                     <span class="step-number">${index + 1}</span>
                     <span class="step-name">${Helpers.sanitizeHTML(step.name || `Step ${index + 1}`)}</span>
+                    ${AppState.hasStepLogic(step) ? '<span class="step-logic-indicator" title="Has skip or branch rules">⚡</span>' : ''}
                     ${steps.length > 1 ? '<button class="step-delete" data-delete-step="' + index + '" title="Delete Step">×</button>' : ''}
                 </button>
             `).join('');
 
             // Add event listeners
             container.querySelectorAll('.step-tab').forEach(tab => {
+                // Drop a field here to move it to this step
+                DragDrop.makeStepDropTarget(tab, parseInt(tab.dataset.step));
+
                 tab.addEventListener('click', (e) => {
                     if (!e.target.classList.contains('step-delete')) {
                         AppState.setCurrentStep(parseInt(tab.dataset.step));
@@ -412,13 +760,15 @@ const Canvas = {
                 btn.addEventListener('click', async (e) => {
                     e.stopPropagation();
                     const stepIndex = parseInt(btn.dataset.deleteStep);
-                    const confirmed = await Modal.confirm_dialog(
+                    const fieldIds = steps[stepIndex].fields.map(f => f.id);
+                    const resolution = await Modal.confirmDelete(
                         'Delete Step',
                         `Are you sure you want to delete "${steps[stepIndex].name}"? All fields in this step will be removed.`,
-                        { danger: true, confirmText: 'Delete' }
+                        AppState.getDependents(fieldIds),
+                        AppState.getRetargetFields(fieldIds)
                     );
-                    if (confirmed) {
-                        AppState.deleteStep(stepIndex);
+                    if (resolution) {
+                        AppState.deleteStep(stepIndex, resolution);
                         Toast.success('Step deleted');
                     }
                 });
@@ -0,0 +1,150 @@
+/**
+ * ================================================
+ * LANDCRAFT - Collaboration Panel Component
+ * Session controls and avatars of collaborators
+ * ================================================
+ */
+
+const CollabPanel = {
+    button: null,
+    avatarsEl: null,
+
+    /**
+     * Avatars shown before collapsing into a count
+     */
+    maxAvatars: 4,
+
+    /**
+     * Initialize collaboration panel
+     */
+    init() {
+        this.button = document.getElementById('collabBtn');
+        this.avatarsEl = document.getElementById('collabAvatars');
+
+        this.button?.addEventListener('click', () => {
+            Collab.isActive() ? this.showSession() : this.showJoin();
+        });
+
+        Collab.subscribe(() => this.render());
+        this.render();
+    },
+
+    /**
+     * Render connection status and avatars
+     */
+    render() {
+        if (this.button) {
+            this.button.classList.toggle('online', Collab.status === 'online');
+            this.button.classList.toggle('connecting', Collab.status === 'connecting');
+            this.button.title = Collab.isActive()
+                ? `Collaborating in "${Collab.room}" (${Collab.status})`
+                : 'Collaborate';
+        }
+
+        if (this.avatarsEl) {
+            const peers = Collab.getPeers();
+            const shown = peers.slice(0, this.maxAvatars);
+            const hidden = peers.length - shown.length;
+
+            this.avatarsEl.innerHTML = shown.map(peer => this.renderAvatar(peer.user)).join('') +
+                (hidden > 0 ? `<span class="collab-avatar collab-avatar-more">+${hidden}</span>` : '');
+        }
+
+        Canvas.renderPresence();
+    },
+
+    /**
+     * Render a user's avatar
+     * @param {Object} user - User {name, color}
+     * @returns {string} HTML string
+     */
+    renderAvatar(user) {
+        const name = user?.name || 'Anonymous';
+        const initials = name.split(/\s+/).map(part => part[0]).join('').slice(0, 2).toUpperCase();
+
+        return `
+            <span class="collab-avatar" style="background: ${Helpers.sanitizeHTML(user?.color || '#6366f1')};"
+                  title="${Helpers.sanitizeHTML(name)}">${Helpers.sanitizeHTML(initials)}</span>
+        `;
+    },
+
+    /**
+     * Ask for session details and join
+     */
+    showJoin() {
+        const state = AppState.getState();
+        const content = `
+            <div class="form-group">
+                <label>Your Name</label>
+                <input type="text" id="collabName" class="form-input" placeholder="e.g. Alex"
+                       value="${Helpers.sanitizeHTML(Collab.user.name)}">
+            </div>
+            <div class="form-group">
+                <label>Session</label>
+                <input type="text" id="collabRoom" class="form-input"
+                       value="${Helpers.sanitizeHTML(Helpers.slugify(state.projectName) || 'landing-page')}">
+                <span class="form-hint">Everyone who joins the same session edits the same page</span>
+            </div>
+            <div class="form-group">
+                <label>Relay Server</label>
+                <input type="text" id="collabServer" class="form-input"
+                       value="${Helpers.sanitizeHTML(Collab.user.server || Collab.defaultServer)}">
+                <span class="form-hint">Start one with <code>node server/relay.js</code></span>
+            </div>
+        `;
+
+        Modal.show({
+            title: 'Collaborate',
+            content,
+            confirmText: 'Join Session',
+            onConfirm: () => {
+                const inputs = ['collabName', 'collabRoom', 'collabServer'].map(id => document.getElementById(id));
+                const [name, room, server] = inputs.map(input => input.value.trim());
+
+                const invalid = inputs.filter(input => !input.value.trim());
+                if (!/^wss?:\/\//.test(server)) invalid.push(inputs[2]);
+                inputs.forEach(input => input.classList.toggle('error', invalid.includes(input)));
+                if (invalid.length > 0) return false;
+
+                Collab.user.server = server;
+                Collab.start({ room, name, transport: SyncTransport.websocket(server) });
+                Toast.info(`Joining "${room}"...`);
+            }
+        });
+    },
+
+    /**
+     * Show who is in the session, with the option to leave
+     */
+    showSession() {
+        const people = [{ user: Collab.user, you: true }, ...Collab.getPeers()];
+        const content = `
+            <p style="color: var(--text-secondary); line-height: 1.6;">
+                Session <strong>${Helpers.sanitizeHTML(Collab.room)}</strong> &middot; ${Collab.status}
+            </p>
+            <div class="collab-people">
+                ${people.map(person => `
+                    <div class="collab-person">
+                        ${this.renderAvatar(person.user)}
+                        <span>${Helpers.sanitizeHTML(person.user?.name || 'Anonymous')}${person.you ? ' (you)' : ''}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        Modal.show({
+            title: 'Collaboration Session',
+            content,
+            confirmText: 'Leave Session',
+            confirmClass: 'btn-danger',
+            cancelText: 'Close',
+            onConfirm: () => {
+                Collab.stop();
+                Toast.info('Left the collaboration session');
+            }
+        });
+    }
+};
+
+// Export for use in other modules
+window.CollabPanel = CollabPanel;
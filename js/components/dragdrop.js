@@ -73,6 +73,26 @@ const DragDrop = {
         this.hideDropZones();
     },
 
+    /**
+     * Make a saved preset in the sidebar draggable onto the canvas
+     * @param {HTMLElement} element - Preset button
+     * @param {string} presetId - Preset ID
+     */
+    makePresetDraggable(element, presetId) {
+        element.addEventListener('dragstart', (e) => {
+            this.draggingElement = element;
+            element.classList.add('dragging');
+
+            e.dataTransfer.effectAllowed = 'copy';
+            e.dataTransfer.setData('application/x-landcraft-preset', presetId);
+
+            this.createGhost(element);
+            this.showDropZones();
+        });
+
+        element.addEventListener('dragend', (e) => this.handleElementDragEnd(e));
+    },
+
     /**
      * Handle element click (alternative to drag)
      * @param {Event} e 
@@ -146,17 +166,13 @@ const DragDrop = {
      * Handle drop on canvas
      * @param {DragEvent} e 
      */
-    handleCanvasDrop(e) {
+    async handleCanvasDrop(e) {
         e.preventDefault();
         
         const canvas = document.getElementById('canvas');
         canvas.classList.remove('drag-over');
         
-        const elementType = e.dataTransfer.getData('application/x-landcraft-element') || 
-                           e.dataTransfer.getData('text/plain');
-        
-        if (!elementType) return;
-        
+ 
         // Find insertion index
         const afterElement = this.getDragAfterElement(canvas, e.clientY);
         let insertIndex = -1;
@@ -167,6 +183,29 @@ const DragDrop = {
         }
         
         this.removeDropIndicator();
+
+        // Fields dragged out of a group; fields of the step reorder in their own drop handler
+        const fieldId = e.dataTransfer.getData('application/x-landcraft-field');
+        if (fieldId) {
+            if (!e.dataTransfer.types.includes('application/x-landcraft-reorder')) {
+                const stepIndex = AppState.getState().currentStep;
+                if (await Canvas.moveToStep([fieldId], stepIndex, insertIndex >= 0 ? insertIndex : null)) {
+                    Toast.info('Field moved out of the group');
+                }
+            }
+            return;
+        }
+
+        const presetId = e.dataTransfer.getData('application/x-landcraft-preset');
+        if (presetId) {
+            PresetPanel.insert(presetId, insertIndex >= 0 ? insertIndex : null);
+            return;
+        }
+
+        const elementType = e.dataTransfer.getData('application/x-landcraft-element') || 
+                           e.dataTransfer.getData('text/plain');
+        
+        if (!elementType) return;
         
         // Handle different element types
         if (elementType === 'header') {
@@ -218,6 +257,7 @@ const DragDrop = {
             e.dataTransfer.effectAllowed = 'move';
             e.dataTransfer.setData('text/plain', index.toString());
             e.dataTransfer.setData('application/x-landcraft-reorder', index.toString());
+            e.dataTransfer.setData('application/x-landcraft-field', element.dataset.fieldId);
         });
 
         element.addEventListener('dragend', () => {
@@ -274,6 +314,136 @@ const DragDrop = {
         });
     },
 
+    /**
+     * Make a field inside a group draggable
+     * It can be dropped in a group, on the canvas to leave its group, or on a step tab.
+     * @param {HTMLElement} element - Child field element
+     */
+    makeGroupChildDraggable(element) {
+        const handle = element.querySelector('.drag-handle');
+        if (!handle) return;
+
+        handle.addEventListener('mousedown', (e) => {
+            e.stopPropagation();
+            element.setAttribute('draggable', 'true');
+        });
+
+        element.addEventListener('dragstart', (e) => {
+            // Keep the group's own drag handler from taking over
+            e.stopPropagation();
+            element.classList.add('is-dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('application/x-landcraft-field', element.dataset.fieldId);
+        });
+
+        element.addEventListener('dragend', (e) => {
+            e.stopPropagation();
+            element.classList.remove('is-dragging');
+            element.removeAttribute('draggable');
+            this.removeDropIndicator();
+        });
+    },
+
+    /**
+     * Let fields be dropped into a group
+     * Sidebar fields are added to the group; existing fields are moved into it.
+     * Groups and layout elements fall through to the canvas.
+     * @param {HTMLElement} container - Element holding the group's fields
+     * @param {string} groupId - Group field ID
+     */
+    makeGroupDropTarget(container, groupId) {
+        const accepts = (e) => {
+            const types = e.dataTransfer.types;
+            if (types.includes('application/x-landcraft-field')) return true;
+            return types.includes('application/x-landcraft-element') &&
+                AppState.getFieldTypes().includes(this.draggedType) && this.draggedType !== 'group';
+        };
+
+        const getIndex = (y) => {
+            const after = this.getDragAfterElement(container, y);
+            if (!after) return null;
+            const index = (AppState.getField(groupId)?.fields || []).findIndex(f => f.id === after.dataset.fieldId);
+            return index === -1 ? null : index;
+        };
+
+        container.addEventListener('dragover', (e) => {
+            if (!accepts(e)) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            this.removeDropIndicator();
+            container.classList.add('drop-target');
+            this.updateDropIndicator(container, this.getDragAfterElement(container, e.clientY));
+        });
+
+        container.addEventListener('dragleave', (e) => {
+            if (e.relatedTarget && container.contains(e.relatedTarget)) return;
+            container.classList.remove('drop-target');
+            this.removeDropIndicator();
+        });
+
+        container.addEventListener('drop', (e) => {
+            container.classList.remove('drop-target');
+            if (!accepts(e)) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            document.getElementById('canvas')?.classList.remove('drag-over');
+            const index = getIndex(e.clientY);
+            this.removeDropIndicator();
+
+            const fieldId = e.dataTransfer.getData('application/x-landcraft-field');
+            if (fieldId) {
+                if (AppState.isGroup(AppState.getField(fieldId))) {
+                    if (fieldId !== groupId) Toast.warning('Groups cannot be placed inside other groups');
+                    return;
+                }
+                Canvas.moveToGroup(fieldId, groupId, index);
+                return;
+            }
+
+            const elementType = e.dataTransfer.getData('application/x-landcraft-element');
+            AppState.addFieldToGroup(groupId, elementType, index);
+            Toast.success(`${Helpers.capitalize(elementType)} field added to the group`);
+            Properties.updatePanel();
+        });
+    },
+
+    /**
+     * Let fields be dropped on a step tab to move them to that step
+     * @param {HTMLElement} tab - Step tab
+     * @param {number} stepIndex - Step index
+     */
+    makeStepDropTarget(tab, stepIndex) {
+        const isFieldDrag = (e) => e.dataTransfer.types.includes('application/x-landcraft-field');
+
+        tab.addEventListener('dragover', (e) => {
+            if (!isFieldDrag(e) || stepIndex === AppState.getState().currentStep) return;
+
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            tab.classList.add('drop-target');
+        });
+
+        tab.addEventListener('dragleave', (e) => {
+            if (e.relatedTarget && tab.contains(e.relatedTarget)) return;
+            tab.classList.remove('drop-target');
+        });
+
+        tab.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            tab.classList.remove('drop-target');
+
+            const fieldId = e.dataTransfer.getData('application/x-landcraft-field');
+            const step = AppState.getState().steps[stepIndex];
+            if (!fieldId || !step || stepIndex === AppState.getState().currentStep) return;
+
+            if (await Canvas.moveToStep([fieldId], stepIndex)) {
+                Toast.success(`Field moved to "${step.name || `Step ${stepIndex + 1}`}"`);
+            }
+        });
+    },
+
     /**
      * Show drop indicator for field reordering
      * @param {HTMLElement} element 
@@ -298,7 +468,7 @@ const DragDrop = {
      * @returns {HTMLElement|null}
      */
     getDragAfterElement(container, y) {
-        const elements = [...container.querySelectorAll('.canvas-element:not(.is-dragging)')];
+        const elements = [...container.querySelectorAll(':scope > .canvas-element:not(.is-dragging)')];
         
         return elements.reduce((closest, child) => {
             const box = child.getBoundingClientRect();
@@ -432,6 +602,12 @@ dropIndicatorStyles.textContent = `
         min-height: 200px;
     }
     
+    .step-tab.drop-target {
+        background: var(--accent-bg);
+        outline: 2px dashed var(--accent-primary);
+        outline-offset: -2px;
+    }
+    
     .canvas-element.is-dragging {
         opacity: 0.4;
         transform: scale(0.98);
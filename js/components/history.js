@@ -0,0 +1,405 @@
+/**
+ * ================================================
+ * LANDCRAFT - History Panel Component
+ * Lists undo history and named snapshots of the open project
+ * ================================================
+ */
+
+const HistoryPanel = {
+    dropdown: null,
+    snapshotListEl: null,
+    changeListEl: null,
+
+    /**
+     * Snapshots of the open project, newest first
+     */
+    snapshots: [],
+
+    /**
+     * Initialize history panel
+     */
+    init() {
+        this.dropdown = document.getElementById('historyPanel');
+        this.snapshotListEl = document.getElementById('snapshotList');
+        this.changeListEl = document.getElementById('historyList');
+
+        if (!this.dropdown) return;
+
+        // Toggle menu
+        const toggleBtn = document.getElementById('historyBtn');
+        toggleBtn?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.isOpen() ? this.close() : this.open();
+        });
+
+        // Save snapshot
+        const saveBtn = document.getElementById('saveSnapshotBtn');
+        saveBtn?.addEventListener('click', () => this.handleSave());
+
+        // Keep the change list in step with undo/redo
+        AppState.subscribe(() => {
+            if (this.isOpen()) {
+                this.renderChanges();
+            }
+        });
+
+        // Close when clicking outside
+        document.addEventListener('click', (e) => {
+            if (this.isOpen() && !this.dropdown.contains(e.target)) {
+                this.close();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) {
+                this.close();
+            }
+        });
+    },
+
+    /**
+     * Check if menu is open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return this.dropdown.classList.contains('open');
+    },
+
+    /**
+     * Open menu
+     */
+    async open() {
+        this.renderChanges();
+        this.dropdown.classList.add('open');
+        await this.loadSnapshots();
+    },
+
+    /**
+     * Close menu
+     */
+    close() {
+        this.dropdown.classList.remove('open');
+    },
+
+    /**
+     * Load and render the snapshots of the open project
+     */
+    async loadSnapshots() {
+        try {
+            this.snapshots = await ProjectLibrary.listSnapshots(AppState.projectId);
+        } catch (error) {
+            console.error('Error loading snapshots:', error);
+            this.snapshots = [];
+        }
+        this.renderSnapshots();
+    },
+
+    // =====================================
+    // RENDERING
+    // =====================================
+
+    /**
+     * Render snapshot list
+     */
+    renderSnapshots() {
+        if (!this.snapshotListEl) return;
+
+        if (this.snapshots.length === 0) {
+            this.snapshotListEl.innerHTML = '<div class="history-empty">No snapshots yet</div>';
+            return;
+        }
+
+        this.snapshotListEl.innerHTML = this.snapshots.map(snapshot => `
+            <div class="history-item" data-snapshot-id="${snapshot.id}" title="Preview this snapshot">
+                <div class="history-item-info">
+                    <span class="history-item-name">${Helpers.sanitizeHTML(snapshot.name)}</span>
+                    <span class="history-item-meta">Saved ${Helpers.formatRelativeTime(snapshot.createdAt)}</span>
+                </div>
+                <div class="history-item-actions">
+                    <button class="element-action-btn" data-action="compare" title="Compare with current">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <rect x="3" y="3" width="7" height="18" rx="1"></rect>
+                            <rect x="14" y="3" width="7" height="18" rx="1"></rect>
+                        </svg>
+                    </button>
+                    <button class="element-action-btn" data-action="restore" title="Restore">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="1 4 1 10 7 10"></polyline>
+                            <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>
+                        </svg>
+                    </button>
+                    <button class="element-action-btn delete" data-action="delete" title="Delete">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="3 6 5 6 21 6"></polyline>
+                            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                        </svg>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+
+        this.snapshotListEl.querySelectorAll('.history-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                const snapshot = this.snapshots.find(s => s.id === item.dataset.snapshotId);
+                const action = e.target.closest('.element-action-btn')?.dataset.action;
+                if (!snapshot) return;
+
+                if (action === 'compare') {
+                    this.handleCompare(snapshot);
+                } else if (action === 'restore') {
+                    this.handleRestore(snapshot);
+                } else if (action === 'delete') {
+                    this.handleDelete(snapshot);
+                } else {
+                    this.handlePreview(snapshot);
+                }
+            });
+        });
+    },
+
+    /**
+     * Render undo history, newest first
+     * Entries after the current one are undone and can be redone.
+     */
+    renderChanges() {
+        if (!this.changeListEl) return;
+
+        const current = AppState.historyIndex;
+        const items = AppState.history.map((entry, index) => ({
+            index,
+            label: entry.label,
+            meta: Helpers.formatRelativeTime(entry.time)
+        }));
+        items.unshift({ index: -1, label: 'Opened project', meta: 'Start of history' });
+
+        this.changeListEl.innerHTML = items.reverse().map(item => `
+            <div class="history-item ${item.index === current ? 'active' : ''} ${item.index > current ? 'undone' : ''}"
+                 data-index="${item.index}" title="${item.index === current ? 'Current state' : 'Go to this point'}">
+                <div class="history-item-info">
+                    <span class="history-item-name">${Helpers.sanitizeHTML(item.label)}</span>
+                    <span class="history-item-meta">${item.meta}</span>
+                </div>
+            </div>
+        `).join('');
+
+        this.changeListEl.querySelectorAll('.history-item').forEach(item => {
+            item.addEventListener('click', () => this.handleJump(parseInt(item.dataset.index, 10)));
+        });
+    },
+
+    // =====================================
+    // ACTIONS
+    // =====================================
+
+    /**
+     * Save the current state as a named snapshot
+     */
+    async handleSave() {
+        this.close();
+        const name = await Modal.prompt('Save Snapshot', {
+            placeholder: 'e.g. Before client review',
+            required: true
+        });
+        if (!name) return;
+
+        try {
+            await ProjectLibrary.addSnapshot(AppState.projectId, name.trim(), AppState.getState());
+            Toast.success(`Snapshot "${name.trim()}" saved`);
+        } catch (error) {
+            console.error('Error saving snapshot:', error);
+            StorageMeter.handleError(error);
+        }
+        StorageMeter.update();
+    },
+
+    /**
+     * Undo or redo to a history entry
+     * @param {number} index - History index (-1 for the opened state)
+     */
+    handleJump(index) {
+        if (index === AppState.historyIndex) return;
+
+        AppState.jumpToHistory(index);
+        Canvas.render();
+    },
+
+    /**
+     * Show a snapshot in the preview
+     * @param {Object} snapshot - Snapshot
+     */
+    handlePreview(snapshot) {
+        this.close();
+        const state = this.readSnapshot(snapshot, 'Previewed');
+        if (!state) return;
+
+        App.switchView('preview');
+        Preview.showSnapshot({ ...snapshot, state });
+    },
+
+    /**
+     * List the differences between a snapshot and the current state
+     * @param {Object} snapshot - Snapshot
+     */
+    handleCompare(snapshot) {
+        this.close();
+        const state = this.readSnapshot(snapshot, 'Compared');
+        if (!state) return;
+
+        const changes = this.describeChanges(state, AppState.getState());
+
+        if (changes.length === 0) {
+            Modal.alert(`Compare with "${snapshot.name}"`, 'The current project matches this snapshot.');
+        } else {
+            Modal.alertList(
+                `Compare with "${snapshot.name}"`,
+                'Changes since this snapshot was saved:',
+                changes
+            );
+        }
+    },
+
+    /**
+     * Read a snapshot's content the way restoring it does, so older
+     * snapshots are shown in the current format
+     * @param {Object} snapshot - Snapshot
+     * @param {string} action - What cannot be done otherwise, for the message
+     * @returns {Object|null} State, null if the snapshot's format is not supported
+     */
+    readSnapshot(snapshot, action) {
+        const { state, errors } = AppState.readSnapshot(snapshot);
+        if (!state) {
+            Modal.alertList(
+                `Snapshot Cannot Be ${action}`,
+                `"${snapshot.name}" was saved in a format this version of LandCraft does not support:`,
+                errors
+            );
+        }
+        return state;
+    },
+
+    /**
+     * Replace the project content with a snapshot
+     * @param {Object} snapshot - Snapshot
+     */
+    async handleRestore(snapshot) {
+        this.close();
+        const confirmed = await Modal.confirm_dialog(
+            'Restore Snapshot',
+            `Replace the current project with "${snapshot.name}"? You can undo this afterwards.`,
+            { confirmText: 'Restore' }
+        );
+        if (!confirmed) return;
+
+        if (AppState.restoreSnapshot(snapshot)) {
+            Canvas.render();
+            App.refreshProjectChrome();
+            Toast.success(`Restored "${snapshot.name}"`);
+        }
+    },
+
+    /**
+     * Delete a snapshot
+     * @param {Object} snapshot - Snapshot
+     */
+    async handleDelete(snapshot) {
+        this.close();
+        const confirmed = await Modal.confirm_dialog(
+            'Delete Snapshot',
+            `Are you sure you want to delete "${snapshot.name}"? This action cannot be undone.`,
+            { danger: true, confirmText: 'Delete' }
+        );
+        if (!confirmed) return;
+
+        await ProjectLibrary.removeSnapshot(AppState.projectId, snapshot.id);
+        StorageMeter.update();
+        Toast.success('Snapshot deleted');
+    },
+
+    // =====================================
+    // COMPARISON
+    // =====================================
+
+    /**
+     * Describe the content changes between two states
+     * @param {Object} from - Earlier state
+     * @param {Object} to - Later state
+     * @returns {Array<string>} Change descriptions
+     */
+    describeChanges(from, to) {
+        const changes = [];
+        const fromSteps = from.steps || [];
+        const toSteps = to.steps || [];
+
+        // Header
+        const fromHeader = from.header || {};
+        const toHeader = to.header || {};
+        if (!Patches.isEqual(fromHeader.title, toHeader.title)) {
+            changes.push('Title changed');
+        }
+        if (!Patches.isEqual(fromHeader.description, toHeader.description)) {
+            changes.push('Description changed');
+        }
+        if (!Patches.isEqual(fromHeader.image, toHeader.image)) {
+            changes.push('Header image changed');
+        }
+
+        // Steps; a skip rule that is off has no effect, whatever it holds
+        const skipRuleOf = step => step.skipLogic?.enabled ? step.skipLogic : null;
+        toSteps.forEach((step, index) => {
+            const before = fromSteps.find(s => s.id === step.id);
+            if (!before) {
+                changes.push(`Step "${step.name}" added`);
+                return;
+            }
+            if (before.name !== step.name) {
+                changes.push(`Step "${before.name}" renamed to "${step.name}"`);
+            }
+            if (fromSteps.indexOf(before) !== index) {
+                changes.push(`Step "${step.name}" moved`);
+            }
+            if (!Patches.isEqual(skipRuleOf(before), skipRuleOf(step))) {
+                changes.push(`Skip rule of "${step.name}" changed`);
+            }
+            if (!Patches.isEqual(before.branches || [], step.branches || [])) {
+                changes.push(`Branches of "${step.name}" changed`);
+            }
+        });
+        fromSteps
+            .filter(step => !toSteps.some(s => s.id === step.id))
+            .forEach(step => changes.push(`Step "${step.name}" deleted`));
+
+        // Fields
+        const fieldsOf = steps => steps.flatMap(step =>
+            step.fields.map((field, index) => ({ field, index, stepId: step.id }))
+        );
+        const fromFields = fieldsOf(fromSteps);
+        const toFields = fieldsOf(toSteps);
+
+        toFields.forEach(({ field, index, stepId }) => {
+            const before = fromFields.find(f => f.field.id === field.id);
+            const label = field.label || Helpers.capitalize(field.type);
+            if (!before) {
+                changes.push(`Field "${label}" added`);
+            } else if (!Patches.isEqual(before.field, field)) {
+                changes.push(`Field "${label}" edited`);
+            } else if (before.stepId !== stepId || before.index !== index) {
+                changes.push(`Field "${label}" moved`);
+            }
+        });
+        fromFields
+            .filter(({ field }) => !toFields.some(f => f.field.id === field.id))
+            .forEach(({ field }) => changes.push(`Field "${field.label || Helpers.capitalize(field.type)}" deleted`));
+
+        // Settings
+        const fromSettings = from.settings || {};
+        const toSettings = to.settings || {};
+        Object.keys({ ...fromSettings, ...toSettings })
+            .filter(key => !Patches.isEqual(fromSettings[key], toSettings[key]))
+            .forEach(key => changes.push(`Setting "${Helpers.camelToTitle(key)}" changed`));
+
+        return changes;
+    }
+};
+
+// Export for use in other modules
+window.HistoryPanel = HistoryPanel;
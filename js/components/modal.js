@@ -77,6 +77,7 @@ const Modal = {
             confirmClass = 'btn-primary',
             showCancel = true,
             showConfirm = true,
+            wide = false,
             onConfirm = null,
             onCancel = null,
             onClose = null
@@ -116,6 +117,9 @@ const Modal = {
             footerEl.style.display = (showCancel || showConfirm) ? '' : 'none';
         }
 
+        // Room for galleries and comparisons
+        this.modal.classList.toggle('modal-wide', wide);
+
         // Store callbacks
         this.callbacks = { onConfirm, onCancel, onClose };
 
@@ -203,6 +207,120 @@ const Modal = {
         });
     },
 
+    /**
+     * Show alert dialog with a list of items
+     * @param {string} title - Title
+     * @param {string} message - Message
+     * @param {Array<string>} items - List items
+     * @returns {Promise<void>}
+     */
+    alertList(title, message, items) {
+        return new Promise((resolve) => {
+            this.show({
+                title,
+                content: `
+                    <p style="color: var(--text-secondary); line-height: 1.6;">${Helpers.sanitizeHTML(message)}</p>
+                    <ul class="modal-list">
+                        ${items.map(item => `<li>${Helpers.sanitizeHTML(item)}</li>`).join('')}
+                    </ul>
+                `,
+                confirmText: 'OK',
+                showCancel: false,
+                onConfirm: () => resolve(),
+                onClose: () => resolve()
+            });
+        });
+    },
+
+    /**
+     * Confirm deleting fields that other fields' conditions depend on
+     * Offers to turn those conditions off or point them at another field.
+     * @param {string} title - Title
+     * @param {string} message - Message
+     * @param {Array<Object>} dependents - Fields whose conditions depend on the deleted ones
+     * @param {Array<Object>} targets - Fields the conditions can be pointed at
+     * @returns {Promise<Object|null>} {action: 'clear'|'retarget', fieldId}, null if cancelled
+     */
+    confirmDelete(title, message, dependents = [], targets = []) {
+        if (dependents.length === 0) {
+            return this.confirm_dialog(title, message, { danger: true, confirmText: 'Delete' })
+                .then(confirmed => confirmed ? { action: 'clear' } : null);
+        }
+
+        return new Promise((resolve) => {
+            this.show({
+                title,
+                content: `
+                    <p style="color: var(--text-secondary); line-height: 1.6;">${Helpers.sanitizeHTML(message)}</p>
+                    <p style="color: var(--text-secondary); line-height: 1.6; margin-top: 12px;">
+                        ${dependents.length === 1 ? 'This field is' : 'These fields are'} shown or hidden based on what is being deleted:
+                    </p>
+                    <ul class="modal-list">
+                        ${dependents.map(f => `<li>${Helpers.sanitizeHTML(f.label || f.type)}</li>`).join('')}
+                    </ul>
+                    <div class="dependent-actions">
+                        <label class="dependent-action">
+                            <input type="radio" name="dependentAction" value="clear" checked>
+                            Turn off their conditions (always shown)
+                        </label>
+                        <label class="dependent-action">
+                            <input type="radio" name="dependentAction" value="retarget" ${targets.length === 0 ? 'disabled' : ''}>
+                            Make them depend on
+                        </label>
+                        <select id="retargetField" class="form-input" ${targets.length === 0 ? 'disabled' : ''}>
+                            ${targets.map(f => `<option value="${Helpers.sanitizeHTML(f.id)}">${Helpers.sanitizeHTML(f.label || f.type)}</option>`).join('')}
+                        </select>
+                    </div>
+                `,
+                confirmText: 'Delete',
+                confirmClass: 'btn-danger',
+                onConfirm: () => {
+                    const action = document.querySelector('input[name="dependentAction"]:checked')?.value || 'clear';
+                    const fieldId = document.getElementById('retargetField')?.value;
+                    resolve(action === 'retarget' && fieldId ? { action, fieldId } : { action: 'clear' });
+                },
+                onCancel: () => resolve(null),
+                onClose: () => resolve(null)
+            });
+
+            // Picking a field implies retargeting
+            document.getElementById('retargetField')?.addEventListener('change', () => {
+                const retarget = document.querySelector('input[name="dependentAction"][value="retarget"]');
+                if (retarget) retarget.checked = true;
+            });
+        });
+    },
+
+    /**
+     * Confirm moving fields when the move turns rules off
+     * Resolves right away when it does not.
+     * @param {string} title - Title
+     * @param {Array<string>} rules - Descriptions of the rules turned off
+     * @returns {Promise<boolean>}
+     */
+    confirmMove(title, rules = []) {
+        if (rules.length === 0) return Promise.resolve(true);
+
+        return new Promise((resolve) => {
+            this.show({
+                title,
+                content: `
+                    <p style="color: var(--text-secondary); line-height: 1.6;">
+                        Fields inside a group can only be used by fields of the same group, and step rules only use fields of their own or earlier steps.
+                        Moving turns ${rules.length === 1 ? 'this rule' : 'these rules'} off:
+                    </p>
+                    <ul class="modal-list">
+                        ${rules.map(rule => `<li>${Helpers.sanitizeHTML(rule)}</li>`).join('')}
+                    </ul>
+                `,
+                confirmText: 'Move',
+                onConfirm: () => resolve(true),
+                onCancel: () => resolve(false),
+                onClose: () => resolve(false)
+            });
+        });
+    },
+
     /**
      * Show prompt dialog
      * @param {string} title - Title
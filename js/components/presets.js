@@ -0,0 +1,221 @@
+/**
+ * ================================================
+ * LANDCRAFT - Presets Component
+ * Saved fields and steps in the element sidebar
+ * ================================================
+ */
+
+const PresetPanel = {
+    gridEl: null,
+
+    /**
+     * Initialize the preset section of the sidebar
+     */
+    init() {
+        this.gridEl = document.getElementById('presetGrid');
+        if (!this.gridEl) return;
+
+        // Export the library to share it
+        document.getElementById('exportPresetsBtn')?.addEventListener('click', () => this.handleExport());
+
+        // Import a shared library
+        const importBtn = document.getElementById('importPresetsBtn');
+        const importInput = document.getElementById('importPresetsInput');
+        importBtn?.addEventListener('click', () => importInput?.click());
+        importInput?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.handleImport(file);
+        });
+
+        PresetLibrary.subscribe(() => this.render());
+        this.render();
+    },
+
+    /**
+     * Render the saved presets
+     */
+    render() {
+        if (!this.gridEl) return;
+
+        const presets = PresetLibrary.list();
+        if (presets.length === 0) {
+            this.gridEl.innerHTML = '<p class="preset-empty">Save a field or step as a preset to reuse it in any project.</p>';
+            return;
+        }
+
+        this.gridEl.innerHTML = presets.map(preset => `
+            <button class="element-btn preset-btn" data-preset="${Helpers.sanitizeHTML(preset.id)}" draggable="true"
+                title="${preset.kind === 'steps' ? 'Step preset' : 'Field preset'} - click or drag to add, double-click to rename">
+                <span class="preset-delete" data-delete-preset="${Helpers.sanitizeHTML(preset.id)}" title="Delete Preset">×</span>
+                <div class="element-icon">${preset.kind === 'steps' ? '📑' : '📌'}</div>
+                <span class="preset-name">${Helpers.sanitizeHTML(preset.name)}</span>
+            </button>
+        `).join('');
+
+        this.gridEl.querySelectorAll('.preset-btn').forEach(btn => {
+            const presetId = btn.dataset.preset;
+
+            DragDrop.makePresetDraggable(btn, presetId);
+
+            btn.addEventListener('click', (e) => {
+                if (e.target.closest('.preset-delete')) {
+                    e.stopPropagation();
+                    this.handleDelete(presetId);
+                } else {
+                    this.insert(presetId);
+                }
+            });
+
+            btn.addEventListener('dblclick', () => this.handleRename(presetId));
+        });
+    },
+
+    /**
+     * Add a preset to the project
+     * @param {string} presetId - Preset ID
+     * @param {number|null} index - Field position in the current step
+     */
+    insert(presetId, index = null) {
+        const preset = PresetLibrary.get(presetId);
+        if (!preset) return;
+
+        const result = PresetLibrary.read(preset);
+        if (!result?.content) {
+            Modal.alertList('Cannot Use Preset', `"${preset.name}" cannot be added:`,
+                result?.errors || ['It has no fields or steps.']);
+            return;
+        }
+
+        const added = AppState.addPreset(result.content, preset.name, index);
+        Toast.success(`Added "${preset.name}"`);
+        if (added.cleared?.length > 0) {
+            Toast.warning(added.cleared.join(' '), 'Some step rules were cleared');
+        }
+    },
+
+    /**
+     * Save a field (with a group's fields) as a preset
+     * @param {Object} field - Field
+     */
+    async saveField(field) {
+        const name = await Modal.prompt('Save Field as Preset', {
+            placeholder: 'Preset name',
+            defaultValue: field.label || Helpers.capitalize(field.type),
+            required: true
+        });
+        if (!name) return;
+
+        const step = AppState.getCurrentStep();
+        await this.save(name.trim(), 'fields', [{ name: step.name, fields: [field] }]);
+    },
+
+    /**
+     * Save a step with its fields as a preset
+     * Skip and branch rules refer to the rest of the project, so they are left out.
+     * @param {number} stepIndex - Step index
+     */
+    async saveStep(stepIndex) {
+        const step = AppState.getState().steps[stepIndex];
+        if (!step) return;
+
+        const name = await Modal.prompt('Save Step as Preset', {
+            placeholder: 'Preset name',
+            defaultValue: step.name || `Step ${stepIndex + 1}`,
+            required: true
+        });
+        if (!name) return;
+
+        await this.save(name.trim(), 'steps', [step]);
+    },
+
+    /**
+     * Add a preset to the library, reporting storage errors
+     * @param {string} name - Preset name
+     * @param {string} kind - 'fields' or 'steps'
+     * @param {Array<Object>} steps - Content
+     */
+    async save(name, kind, steps) {
+        try {
+            await PresetLibrary.add(name, kind, steps);
+            Toast.success(`Saved preset "${name}"`);
+        } catch (error) {
+            console.error('Error saving preset:', error);
+            Toast.error(DataStore.isQuotaError(error)
+                ? 'Browser storage is full; delete projects or presets to make room'
+                : 'The preset could not be saved');
+        }
+    },
+
+    /**
+     * Rename a preset
+     * @param {string} presetId - Preset ID
+     */
+    async handleRename(presetId) {
+        const preset = PresetLibrary.get(presetId);
+        if (!preset) return;
+
+        const name = await Modal.prompt('Rename Preset', {
+            placeholder: 'Preset name',
+            defaultValue: preset.name,
+            required: true
+        });
+        if (!name || name.trim() === preset.name) return;
+
+        await PresetLibrary.rename(presetId, name.trim());
+        Toast.success('Preset renamed');
+    },
+
+    /**
+     * Delete a preset
+     * @param {string} presetId - Preset ID
+     */
+    async handleDelete(presetId) {
+        const preset = PresetLibrary.get(presetId);
+        if (!preset) return;
+
+        const confirmed = await Modal.confirm_dialog(
+            'Delete Preset',
+            `Delete the preset "${preset.name}"? Fields and steps already added from it stay in their projects.`,
+            { danger: true, confirmText: 'Delete' }
+        );
+        if (!confirmed) return;
+
+        await PresetLibrary.remove(presetId);
+        Toast.success('Preset deleted');
+    },
+
+    /**
+     * Download the library as JSON
+     */
+    handleExport() {
+        if (PresetLibrary.list().length === 0) {
+            Toast.info('There are no presets to export yet');
+            return;
+        }
+        Helpers.downloadFile(PresetLibrary.exportJSON(), 'landcraft-presets.json', 'application/json');
+    },
+
+    /**
+     * Import presets from a library file
+     * @param {File} file - JSON file
+     */
+    async handleImport(file) {
+        const { added, skipped, errors } = await PresetLibrary.importJSON(await Helpers.readFileAsText(file));
+
+        if (errors.length > 0) {
+            Modal.alertList(
+                'Import Presets',
+                added.length > 0 ? `Imported ${added.length} preset(s). These could not be imported:` : 'No presets were imported:',
+                errors
+            );
+        } else if (added.length > 0) {
+            Toast.success(`Imported ${added.length} preset${added.length === 1 ? '' : 's'}`);
+        } else if (skipped > 0) {
+            Toast.info('All presets in this file are already in your library');
+        }
+    }
+};
+
+// Export for use in other modules
+window.PresetPanel = PresetPanel;
@@ -11,6 +11,11 @@ const Preview = {
     container: null,
     currentDevice: 'desktop',
 
+    /**
+     * Snapshot shown instead of the current state, if any
+     */
+    snapshot: null,
+
     /**
      * Initialize preview component
      */
@@ -31,12 +36,21 @@ const Preview = {
             closeBtn.addEventListener('click', () => this.hide());
         }
 
-        // Subscribe to state changes for live updates
-        AppState.subscribe(() => {
-            if (this.isVisible()) {
-                this.render();
-            }
-        });
+        // Live updates; project name, selection and view do not affect the page
+        AppState.subscribe(
+            state => ({
+                header: state.header,
+                steps: state.steps,
+                settings: state.settings,
+                currentStep: state.currentStep
+            }),
+            () => {
+                if (this.isVisible()) {
+                    this.render();
+                }
+            },
+            Helpers.shallowEqual
+        );
     },
 
     /**
@@ -56,6 +70,7 @@ const Preview = {
         if (this.panel) {
             this.panel.style.display = 'none';
         }
+        this.clearSnapshot();
         
         // Switch back to builder view
         document.querySelectorAll('.view-tab').forEach(tab => {
@@ -63,6 +78,33 @@ const Preview = {
         });
     },
 
+    /**
+     * Preview a snapshot instead of the current state
+     * @param {Object} snapshot - Snapshot {name, state}, its state read with AppState.readSnapshot
+     */
+    showSnapshot(snapshot) {
+        this.snapshot = snapshot;
+
+        const label = document.getElementById('previewSnapshotLabel');
+        if (label) {
+            label.textContent = `Snapshot: ${snapshot.name}`;
+            label.hidden = false;
+        }
+        this.show();
+    },
+
+    /**
+     * Go back to previewing the current state
+     */
+    clearSnapshot() {
+        this.snapshot = null;
+
+        const label = document.getElementById('previewSnapshotLabel');
+        if (label) {
+            label.hidden = true;
+        }
+    },
+
     /**
      * Check if preview is visible
      * @returns {boolean}
@@ -105,7 +147,7 @@ const Preview = {
     render() {
         if (!this.iframe) return;
 
-        const state = AppState.getState();
+        const state = this.snapshot ? this.snapshot.state : AppState.getState();
         const html = this.generatePreviewHTML(state);
 
         // Write to iframe
@@ -143,7 +185,7 @@ const Preview = {
             ${settings.showProgressBar && steps.length > 1 ? this.renderProgressBar(steps, currentStep) : ''}
             
             <form id="previewForm" class="preview-form" novalidate>
-                ${steps.map((step, index) => this.renderStep(step, index, currentStep)).join('')}
+                ${steps.map((step, index) => this.renderStep(step, index, currentStep, settings)).join('')}
                 
                 ${steps.length > 1 ? this.renderNavigation(currentStep, steps.length) : ''}
             </form>
@@ -379,6 +421,163 @@ body {
     accent-color: #6366f1;
 }
 
+/* Rating & Scales */
+.scale-options {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 8px;
+}
+
+.scale-option {
+    position: relative;
+    cursor: pointer;
+}
+
+.scale-option input {
+    position: absolute;
+    opacity: 0;
+    width: 1px;
+    height: 1px;
+}
+
+.scale-mark {
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    min-width: 44px;
+    height: 44px;
+    padding: 0 8px;
+    border: 1px solid #e2e8f0;
+    border-radius: 10px;
+    font-weight: 600;
+    transition: all 0.2s ease;
+}
+
+.scale-option:hover .scale-mark {
+    border-color: #6366f1;
+}
+
+.scale-option input:focus-visible + .scale-mark {
+    outline: 2px solid #6366f1;
+    outline-offset: 2px;
+}
+
+.scale-number .scale-option input:checked + .scale-mark {
+    background: #6366f1;
+    border-color: #6366f1;
+    color: #ffffff;
+}
+
+.scale-star .scale-mark,
+.scale-heart .scale-mark {
+    border: none;
+    min-width: 36px;
+    padding: 0;
+    font-size: 32px;
+    color: #e2e8f0;
+}
+
+.scale-star .scale-option.filled .scale-mark {
+    color: #f59e0b;
+}
+
+.scale-heart .scale-option.filled .scale-mark {
+    color: #ef4444;
+}
+
+.scale-ends {
+    display: flex;
+    justify-content: space-between;
+    gap: 16px;
+    margin-top: 6px;
+    font-size: 13px;
+    color: #64748b;
+}
+
+/* Signature */
+.signature-canvas {
+    display: block;
+    width: 100%;
+    height: 160px;
+    border: 1px solid #e2e8f0;
+    border-radius: 10px;
+    background: #fff;
+    cursor: crosshair;
+    touch-action: none;
+}
+
+.signature-actions {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin-top: 6px;
+    font-size: 13px;
+    color: #64748b;
+}
+
+.signature-hint {
+    margin-right: auto;
+}
+
+.signature-actions button {
+    padding: 4px 12px;
+    border: 1px solid #e2e8f0;
+    border-radius: 6px;
+    background: #fff;
+    color: #1e293b;
+    font-size: 13px;
+    cursor: pointer;
+}
+
+.signature-actions button:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+}
+
+/* Address */
+.address {
+    display: grid;
+    grid-template-columns: repeat(2, minmax(0, 1fr));
+    gap: 12px;
+}
+
+.address-part {
+    display: block;
+}
+
+.address-part[hidden] {
+    display: none;
+}
+
+.address-country,
+.address-line1,
+.address-line2 {
+    grid-column: 1 / -1;
+}
+
+.address-label {
+    display: block;
+    margin-bottom: 4px;
+    font-size: 13px;
+    color: #64748b;
+}
+
+/* Phone */
+.phone-input {
+    display: flex;
+    gap: 8px;
+}
+
+.phone-input .phone-country {
+    flex: 0 0 170px;
+    min-width: 0;
+}
+
+.phone-input .field-input {
+    flex: 1;
+    min-width: 0;
+}
+
 /* File Upload */
 .file-upload {
     border: 2px dashed #e2e8f0;
@@ -408,6 +607,36 @@ body {
     color: #64748b;
 }
 
+/* Field Groups */
+.group-item {
+    position: relative;
+    padding: 20px 20px 4px;
+    margin-bottom: 12px;
+    border: 1px solid #e2e8f0;
+    border-radius: 12px;
+}
+
+.group-remove {
+    position: absolute;
+    top: 8px;
+    right: 8px;
+    padding: 4px 10px;
+    font-size: 13px;
+    color: #64748b;
+    background: none;
+    border: none;
+    cursor: pointer;
+}
+
+.group-remove:hover {
+    color: #ef4444;
+}
+
+.group-add {
+    padding: 8px 20px;
+    font-size: 14px;
+}
+
 /* Navigation */
 .form-navigation {
     display: flex;
@@ -530,9 +759,10 @@ body {
      * @param {Object} step - Step configuration
      * @param {number} index - Step index
      * @param {number} currentStep - Current step index
+     * @param {Object} settings - Page settings
      * @returns {string} HTML string
      */
-    renderStep(step, index, currentStep) {
+    renderStep(step, index, currentStep, settings = {}) {
         const isActive = index === currentStep;
         let html = `<div class="form-step ${isActive ? 'active' : ''}" data-step="${index}">`;
 
@@ -549,7 +779,7 @@ body {
             `;
         } else {
             step.fields.forEach(field => {
-                html += this.renderField(field);
+                html += this.renderField(field, settings);
             });
         }
 
@@ -560,35 +790,68 @@ body {
     /**
      * Render field
      * @param {Object} field - Field configuration
+     * @param {Object} settings - Page settings
      * @returns {string} HTML string
      */
-    renderField(field) {
+    renderField(field, settings = {}) {
         const { id, type, label, placeholder, required, options, conditionalLogic } = field;
         const requiredMark = required ? '<span class="required-mark">*</span>' : '';
         const conditionalClass = conditionalLogic?.enabled ? 'conditional' : '';
         const conditionalIndicator = conditionalLogic?.enabled ? 
             '<span class="conditional-indicator">⚡ Conditional</span>' : '';
 
+        if (type === 'hidden') {
+            return ExportUtils.generateHiddenHTML(field, id);
+        }
+
         let html = `<div class="form-field ${conditionalClass}" data-field="${id}">`;
         html += `<label class="field-label">${Helpers.sanitizeHTML(label)}${requiredMark}${conditionalIndicator}</label>`;
 
         switch (type) {
+            case 'group': {
+                const { min, max } = ExportUtils.getGroupLimits(field);
+                html = `<div class="form-field field-group ${conditionalClass}" data-field="${id}" data-group data-min="${min}" data-max="${max}">
+                    <label class="field-label">${Helpers.sanitizeHTML(label)}${conditionalIndicator}</label>
+                    <div class="group-items"></div>
+                    <template class="group-template">
+                        <div class="group-item">
+                            <button type="button" class="group-remove">Remove</button>
+                            ${(field.fields || []).map(child => this.renderField(child, settings)).join('')}
+                        </div>
+                    </template>
+                    ${max > min ? `<button type="button" class="btn btn-secondary group-add">+ ${Helpers.sanitizeHTML(field.addLabel || 'Add another')}</button>` : ''}`;
+                break;
+            }
+
             case 'text':
             case 'email':
             case 'number':
-                html += `<input type="${type}" name="${id}" class="field-input" placeholder="${Helpers.sanitizeHTML(placeholder || '')}">`;
+                html += `<input type="${type}" name="${id}" class="field-input" placeholder="${Helpers.escapeAttribute(placeholder || '')}">`;
                 break;
 
             case 'mobile':
-                html += `<input type="tel" name="${id}" class="field-input" placeholder="${Helpers.sanitizeHTML(placeholder || 'Enter 10-digit mobile number')}" maxlength="10">`;
+                html += `<input type="tel" name="${id}" class="field-input" placeholder="${Helpers.escapeAttribute(placeholder || 'Enter 10-digit mobile number')}" maxlength="10">`;
                 break;
 
             case 'date':
                 html += `<input type="date" name="${id}" class="field-input">`;
                 break;
 
+            case 'phone': {
+                const country = PhoneUtils.getFieldCountry(field, settings);
+                html += `<div class="phone-input">
+                    <select class="field-select phone-country" aria-label="Country code">${ExportUtils.getCountryOptions(country.code)}</select>
+                    <input type="tel" name="${id}" class="field-input" placeholder="${Helpers.escapeAttribute(placeholder || country.example)}" data-phone>
+                </div>`;
+                break;
+            }
+
+            case 'address':
+                html += ExportUtils.generateAddressHTML(field, settings, false);
+                break;
+
             case 'textarea':
-                html += `<textarea name="${id}" class="field-textarea" placeholder="${Helpers.sanitizeHTML(placeholder || '')}"></textarea>`;
+                html += `<textarea name="${id}" class="field-textarea" placeholder="${Helpers.escapeAttribute(placeholder || '')}"></textarea>`;
                 break;
 
             case 'dropdown':
@@ -622,6 +885,35 @@ body {
                 html += '</div>';
                 break;
 
+            case 'rating':
+            case 'nps':
+            case 'scale': {
+                const { values, minLabel, maxLabel, icon } = ExportUtils.getScaleOptions(field);
+                const mark = { star: '★', heart: '♥' }[icon];
+                html += `<div class="scale scale-${icon}" role="radiogroup" aria-label="${Helpers.escapeAttribute(label)}">
+                    <div class="scale-options">
+                        ${values.map(value => `<label class="scale-option">
+                            <input type="radio" name="${id}" value="${value}" aria-label="${Helpers.escapeAttribute(ExportUtils.describeScalePoint(value, values, minLabel, maxLabel))}">
+                            <span class="scale-mark" aria-hidden="true">${mark || value}</span>
+                        </label>`).join('')}
+                    </div>
+                    ${minLabel || maxLabel ? `<div class="scale-ends"><span>${Helpers.sanitizeHTML(minLabel)}</span><span>${Helpers.sanitizeHTML(maxLabel)}</span></div>` : ''}
+                </div>`;
+                break;
+            }
+
+            case 'signature':
+                html += `<div class="signature-pad" data-signature>
+                    <input type="hidden" name="${id}">
+                    <canvas class="signature-canvas" aria-label="Signature pad: draw your signature"></canvas>
+                    <div class="signature-actions">
+                        <span class="signature-hint">Sign above</span>
+                        <button type="button" class="signature-undo">Undo</button>
+                        <button type="button" class="signature-clear">Clear</button>
+                    </div>
+                </div>`;
+                break;
+
             case 'file':
                 html += `<div class="file-upload" onclick="this.querySelector('input').click()">
                     <input type="file" name="${id}">
@@ -631,7 +923,7 @@ body {
                 break;
 
             default:
-                html += `<input type="text" name="${id}" class="field-input" placeholder="${Helpers.sanitizeHTML(placeholder || '')}">`;
+                html += `<input type="text" name="${id}" class="field-input" placeholder="${Helpers.escapeAttribute(placeholder || '')}">`;
         }
 
         html += '<div class="field-error"></div></div>';
@@ -670,14 +962,18 @@ body {
 (function() {
     let currentStep = ${state.currentStep};
     const totalSteps = ${state.steps.length};
+    const flow = ${JSON.stringify(ExportUtils.generateStepFlow(state.steps))};
+
+    // Steps before the one being edited count as taken in order
+    const stepHistory = Array.from({ length: currentStep }, (_, i) => i);
     
     const prevBtn = document.getElementById('prevBtn');
     const nextBtn = document.getElementById('nextBtn');
     
     if (prevBtn) {
         prevBtn.addEventListener('click', () => {
-            if (currentStep > 0) {
-                currentStep--;
+            if (stepHistory.length > 0) {
+                currentStep = stepHistory.pop();
                 updateStep();
             }
         });
@@ -685,47 +981,169 @@ body {
     
     if (nextBtn) {
         nextBtn.addEventListener('click', () => {
-            if (currentStep < totalSteps - 1) {
-                currentStep++;
+            const next = getNextStep(currentStep);
+            if (next < totalSteps) {
+                stepHistory.push(currentStep);
+                currentStep = next;
                 updateStep();
             } else {
                 alert('Form submitted! (Preview mode)');
             }
         });
     }
+
+    // Step rules, as in the exported page
+    function getValue(fieldId) {
+        const wrapper = document.querySelector('.form-step [data-field="' + fieldId + '"]');
+        const inputs = wrapper ? Array.from(wrapper.querySelectorAll('input, select, textarea')) : [];
+        if (inputs.length === 0) return '';
+
+        const phone = wrapper.querySelector('[data-phone]');
+        if (phone) return phone.value;
+
+        if (inputs[0].type === 'checkbox') return inputs.filter(i => i.checked).map(i => i.value);
+        if (inputs[0].type === 'radio') return (inputs.find(i => i.checked) || {}).value || '';
+        if (inputs[0].type === 'file') return inputs[0].files[0] ? inputs[0].files[0].name : '';
+        return inputs[0].value;
+    }
+
+    function matches(rule) {
+        const fieldValue = getValue(rule.field) || '';
+        switch (rule.operator) {
+            case 'equals': return fieldValue === rule.value;
+            case 'not_equals': return fieldValue !== rule.value;
+            case 'contains': return String(fieldValue).includes(rule.value);
+            case 'not_empty': return fieldValue !== '';
+            case 'empty': return fieldValue === '';
+            case 'greater_than': return parseFloat(fieldValue) > parseFloat(rule.value);
+            case 'less_than': return parseFloat(fieldValue) < parseFloat(rule.value);
+            default: return true;
+        }
+    }
+
+    function getNextStep(index) {
+        const branch = flow[index].branches.find(matches);
+        let next = branch ? branch.goTo : index + 1;
+        while (next < totalSteps && flow[next].skip && matches(flow[next].skip)) next++;
+        return next;
+    }
+
+    function getPath() {
+        const path = stepHistory.concat(currentStep);
+        for (let next = getNextStep(currentStep); next < totalSteps; next = getNextStep(next)) {
+            path.push(next);
+        }
+        return path;
+    }
     
     function updateStep() {
+        const path = getPath();
+        const position = stepHistory.length;
+
         document.querySelectorAll('.form-step').forEach((step, i) => {
             step.classList.toggle('active', i === currentStep);
         });
         
         document.querySelectorAll('.progress-step').forEach((dot, i) => {
+            const order = path.indexOf(i);
+            dot.style.display = order === -1 ? 'none' : '';
             dot.classList.remove('active', 'completed');
             if (i === currentStep) dot.classList.add('active');
-            else if (i < currentStep) dot.classList.add('completed');
+            else if (order !== -1 && order < position) dot.classList.add('completed');
         });
         
         document.querySelectorAll('.progress-connector').forEach((conn, i) => {
-            conn.classList.toggle('completed', i < currentStep);
+            const order = path.indexOf(i + 1);
+            conn.style.display = order === -1 ? 'none' : '';
+            conn.classList.toggle('completed', order !== -1 && order <= position);
         });
         
         const progressText = document.querySelector('.progress-text');
         if (progressText) {
-            progressText.textContent = 'Step ' + (currentStep + 1) + ' of ' + totalSteps;
+            progressText.textContent = 'Step ' + (position + 1) + ' of ' + path.length;
         }
         
-        if (prevBtn) prevBtn.style.visibility = currentStep === 0 ? 'hidden' : 'visible';
-        if (nextBtn) nextBtn.textContent = currentStep === totalSteps - 1 ? 'Submit' : 'Next →';
+        if (prevBtn) prevBtn.style.visibility = position === 0 ? 'hidden' : 'visible';
+        if (nextBtn) nextBtn.textContent = getNextStep(currentStep) >= totalSteps ? 'Submit' : 'Next →';
     }
+
+    // Answers can change the steps that follow
+    const form = document.getElementById('previewForm');
+    form.addEventListener('input', updateStep);
+    form.addEventListener('change', updateStep);
+    updateStep();
+
+    // Stars and hearts fill up to the chosen point
+    form.addEventListener('change', (e) => {
+        const scale = e.target.closest('.scale');
+        if (!scale) return;
+        scale.querySelectorAll('.scale-option').forEach(option => {
+            option.classList.toggle('filled', parseFloat(option.querySelector('input').value) <= parseFloat(e.target.value));
+        });
+    });
     
     // Handle file uploads
-    document.querySelectorAll('.file-upload input').forEach(input => {
-        input.addEventListener('change', function() {
-            const text = this.closest('.file-upload').querySelector('.file-upload-text');
-            if (this.files.length > 0) {
-                text.textContent = this.files[0].name;
-            }
+    function watchFileUploads(root) {
+        root.querySelectorAll('.file-upload input').forEach(input => {
+            input.addEventListener('change', function() {
+                const text = this.closest('.file-upload').querySelector('.file-upload-text');
+                if (this.files.length > 0) {
+                    text.textContent = this.files[0].name;
+                }
+            });
+        });
+    }
+    watchFileUploads(document);
+
+    ${ExportUtils.generateSignatureJS()}
+    initSignaturePads(document);
+
+    ${ExportUtils.generateAddressJS(AddressUtils.getRuntimeFormats())}
+    initAddresses(document);
+
+    ${ExportUtils.generateHiddenJS()}
+    initHiddenFields(document);
+
+    // Repeatable groups: items are added from the group's template
+    let groupItemCount = 0;
+
+    function addGroupItem(group) {
+        const item = group.querySelector('.group-template').content.firstElementChild.cloneNode(true);
+        const n = groupItemCount++;
+        item.querySelectorAll('input, select, textarea').forEach(input => {
+            input.name = input.name + '-' + n;
+        });
+        item.querySelector('.group-remove').addEventListener('click', () => {
+            item.remove();
+            updateGroupControls(group);
+        });
+        watchFileUploads(item);
+        initSignaturePads(item);
+        initAddresses(item);
+        initHiddenFields(item);
+        group.querySelector('.group-items').appendChild(item);
+    }
+
+    function updateGroupControls(group) {
+        const count = group.querySelectorAll('.group-item').length;
+        const addBtn = group.querySelector('.group-add');
+        if (addBtn) addBtn.disabled = count >= parseInt(group.dataset.max, 10);
+        group.querySelectorAll('.group-remove').forEach(btn => {
+            btn.hidden = count <= parseInt(group.dataset.min, 10);
         });
+    }
+
+    document.querySelectorAll('[data-group]').forEach(group => {
+        for (let i = 0; i < parseInt(group.dataset.min, 10); i++) addGroupItem(group);
+        updateGroupControls(group);
+
+        const addBtn = group.querySelector('.group-add');
+        if (addBtn) {
+            addBtn.addEventListener('click', () => {
+                addGroupItem(group);
+                updateGroupControls(group);
+            });
+        }
     });
 })();
 `;
@@ -0,0 +1,264 @@
+/**
+ * ================================================
+ * LANDCRAFT - Project Picker Component
+ * Lists, opens and manages saved projects
+ * ================================================
+ */
+
+const ProjectPicker = {
+    dropdown: null,
+    listEl: null,
+    searchInput: null,
+
+    /**
+     * Initialize project picker
+     */
+    init() {
+        this.dropdown = document.getElementById('projectPicker');
+        this.listEl = document.getElementById('projectList');
+        this.searchInput = document.getElementById('projectSearch');
+
+        if (!this.dropdown) return;
+
+        // Toggle menu
+        const toggleBtn = document.getElementById('projectPickerBtn');
+        toggleBtn?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.isOpen() ? this.close() : this.open();
+        });
+
+        // Search
+        this.searchInput?.addEventListener('input', () => this.render());
+
+        // New project
+        const newBtn = document.getElementById('newProjectBtn');
+        newBtn?.addEventListener('click', () => this.handleNew());
+
+        // Save the open project as a starter template
+        document.getElementById('saveTemplateBtn')?.addEventListener('click', () => {
+            this.close();
+            TemplateGallery.saveProject();
+        });
+
+        // Import project from a JSON schema
+        const importBtn = document.getElementById('importProjectBtn');
+        const importInput = document.getElementById('importProjectInput');
+        importBtn?.addEventListener('click', () => importInput?.click());
+        importInput?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.handleImport(file);
+        });
+
+        // Close when clicking outside
+        document.addEventListener('click', (e) => {
+            if (this.isOpen() && !this.dropdown.contains(e.target)) {
+                this.close();
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.isOpen()) {
+                this.close();
+            }
+        });
+    },
+
+    /**
+     * Check if menu is open
+     * @returns {boolean}
+     */
+    isOpen() {
+        return this.dropdown.classList.contains('open');
+    },
+
+    /**
+     * Open menu
+     */
+    open() {
+        if (this.searchInput) this.searchInput.value = '';
+        this.render();
+        this.dropdown.classList.add('open');
+        this.searchInput?.focus();
+    },
+
+    /**
+     * Close menu
+     */
+    close() {
+        this.dropdown.classList.remove('open');
+    },
+
+    /**
+     * Render project list
+     */
+    render() {
+        if (!this.listEl) return;
+
+        const query = this.searchInput ? this.searchInput.value : '';
+        const projects = ProjectLibrary.search(query);
+
+        if (projects.length === 0) {
+            this.listEl.innerHTML = '<div class="project-list-empty">No projects found</div>';
+            return;
+        }
+
+        this.listEl.innerHTML = projects.map(project => `
+            <div class="project-item ${project.id === AppState.projectId ? 'active' : ''}" data-project-id="${project.id}">
+                <div class="project-item-info">
+                    <span class="project-item-name">${Helpers.sanitizeHTML(project.name)}</span>
+                    <span class="project-item-meta">Edited ${Helpers.formatRelativeTime(project.updatedAt)}</span>
+                </div>
+                <div class="project-item-actions">
+                    <button class="element-action-btn" data-action="rename" title="Rename">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M12 20h9"></path>
+                            <path d="M16.5 3.5a2.12 2.12 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"></path>
+                        </svg>
+                    </button>
+                    <button class="element-action-btn" data-action="duplicate" title="Duplicate">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect>
+                            <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>
+                        </svg>
+                    </button>
+                    <button class="element-action-btn delete" data-action="delete" title="Delete">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="3 6 5 6 21 6"></polyline>
+                            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"></path>
+                        </svg>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+
+        this.listEl.querySelectorAll('.project-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                const projectId = item.dataset.projectId;
+                const action = e.target.closest('.element-action-btn')?.dataset.action;
+
+                if (action === 'rename') {
+                    this.handleRename(projectId);
+                } else if (action === 'duplicate') {
+                    this.handleDuplicate(projectId);
+                } else if (action === 'delete') {
+                    this.handleDelete(projectId);
+                } else {
+                    this.handleOpen(projectId);
+                }
+            });
+        });
+    },
+
+    /**
+     * Open a project
+     * @param {string} projectId - Project ID
+     */
+    async handleOpen(projectId) {
+        this.close();
+        if (projectId === AppState.projectId) return;
+
+        if (await AppState.openProject(projectId)) {
+            App.refreshProjectChrome();
+            Toast.info(`Opened "${AppState.getState().projectName}"`);
+        } else {
+            Toast.error('This project could not be loaded');
+        }
+    },
+
+    /**
+     * Create a new project
+     */
+    async handleNew() {
+        this.close();
+        const choice = await TemplateGallery.choose();
+        if (!choice) return;
+
+        // Templates are read like imported schemas, so problems are reported the same way
+        const content = choice.template ? AppState.readSchema(choice.template.schema) : null;
+        if (choice.template && !content) return;
+
+        await AppState.newProject(choice.name, content);
+        App.refreshProjectChrome();
+        Toast.success(choice.template ? `Created "${choice.name}" from the ${choice.template.name} template` : 'New project created');
+    },
+
+    /**
+     * Import a JSON schema file as a new project
+     * @param {File} file - JSON file
+     */
+    async handleImport(file) {
+        this.close();
+        const project = await AppState.importProject(await Helpers.readFileAsText(file));
+        if (project) {
+            App.refreshProjectChrome();
+            Toast.success(`Imported "${project.name}"`);
+        }
+    },
+
+    /**
+     * Rename a project
+     * @param {string} projectId - Project ID
+     */
+    async handleRename(projectId) {
+        const project = ProjectLibrary.get(projectId);
+        if (!project) return;
+
+        this.close();
+        const name = await Modal.prompt('Rename Project', {
+            placeholder: 'Project name',
+            defaultValue: project.name,
+            required: true
+        });
+        if (!name || name.trim() === project.name) return;
+
+        if (projectId === AppState.projectId) {
+            AppState.setState({ projectName: name.trim() }, 'Rename project');
+            App.refreshProjectChrome();
+        } else {
+            await ProjectLibrary.rename(projectId, name.trim());
+        }
+        Toast.success('Project renamed');
+    },
+
+    /**
+     * Duplicate a project
+     * @param {string} projectId - Project ID
+     */
+    async handleDuplicate(projectId) {
+        // Make sure the copy includes unsaved edits of the open project
+        if (projectId === AppState.projectId) {
+            await AppState.persistState();
+        }
+
+        const copy = await ProjectLibrary.duplicate(projectId);
+        if (copy) {
+            this.render();
+            Toast.success(`Created "${copy.name}"`);
+        }
+    },
+
+    /**
+     * Delete a project
+     * @param {string} projectId - Project ID
+     */
+    async handleDelete(projectId) {
+        const project = ProjectLibrary.get(projectId);
+        if (!project) return;
+
+        this.close();
+        const confirmed = await Modal.confirm_dialog(
+            'Delete Project',
+            `Are you sure you want to delete "${project.name}"? This action cannot be undone.`,
+            { danger: true, confirmText: 'Delete' }
+        );
+        if (!confirmed) return;
+
+        await AppState.deleteProject(projectId);
+        App.refreshProjectChrome();
+        Toast.success('Project deleted');
+    }
+};
+
+// Export for use in other modules
+window.ProjectPicker = ProjectPicker;
@@ -26,13 +26,15 @@ const Properties = {
             });
         }
 
-        // Subscribe to state changes
-        AppState.subscribe((state) => {
-            if (state.selectedElement !== this.currentElement) {
-                this.currentElement = state.selectedElement;
+        // Switch panels when the selection changes (or the step, while showing step logic)
+        AppState.subscribe(
+            state => [state.selectedElement, state.selection, state.selectedElement === 'step' ? state.currentStep : null],
+            ([selectedElement]) => {
+                this.currentElement = selectedElement;
                 this.updatePanel();
-            }
-        });
+            },
+            Helpers.shallowEqual
+        );
 
         this.setupPageSettings();
     },
@@ -45,15 +47,25 @@ const Properties = {
         const webhookInput = document.getElementById('webhookUrl');
         if (webhookInput) {
             webhookInput.addEventListener('input', Helpers.debounce((e) => {
-                AppState.updateSettings({ webhookUrl: e.target.value });
+                AppState.updateSettings({ webhookUrl: e.target.value }, 'Change webhook URL');
             }, 300));
         }
 
+        // Default country of phone and address fields
+        const countrySelect = document.getElementById('defaultCountry');
+        if (countrySelect) {
+            this.fillCountryOptions(countrySelect, PhoneUtils.countries);
+            countrySelect.addEventListener('change', (e) => {
+                AppState.updateSettings({ defaultCountry: e.target.value }, 'Change default country');
+                Canvas.render();
+            });
+        }
+
         // Submit button text
         const submitTextInput = document.getElementById('submitButtonText');
         if (submitTextInput) {
             submitTextInput.addEventListener('input', Helpers.debounce((e) => {
-                AppState.updateSettings({ submitButtonText: e.target.value });
+                AppState.updateSettings({ submitButtonText: e.target.value }, 'Change submit button text');
             }, 300));
         }
 
@@ -61,7 +73,7 @@ const Properties = {
         const successMsgInput = document.getElementById('successMessage');
         if (successMsgInput) {
             successMsgInput.addEventListener('input', Helpers.debounce((e) => {
-                AppState.updateSettings({ successMessage: e.target.value });
+                AppState.updateSettings({ successMessage: e.target.value }, 'Change success message');
             }, 300));
         }
 
@@ -69,7 +81,7 @@ const Properties = {
         const progressToggle = document.getElementById('showProgressBar');
         if (progressToggle) {
             progressToggle.addEventListener('change', (e) => {
-                AppState.updateSettings({ showProgressBar: e.target.checked });
+                AppState.updateSettings({ showProgressBar: e.target.checked }, 'Toggle progress bar');
                 Canvas.render();
             });
         }
@@ -82,6 +94,13 @@ const Properties = {
         const element = AppState.getSelectedElement();
         const titleEl = document.getElementById('propertiesTitle');
 
+        const selectedFields = AppState.getSelectedFields();
+        if (selectedFields.length > 1) {
+            if (titleEl) titleEl.textContent = `${selectedFields.length} Fields Selected`;
+            this.showBulkProperties(selectedFields);
+            return;
+        }
+
         if (!element) {
             this.showPageSettings();
             if (titleEl) titleEl.textContent = 'Page Settings';
@@ -100,6 +119,9 @@ const Properties = {
             case 'description':
                 this.showDescriptionProperties();
                 break;
+            case 'step':
+                this.showStepProperties();
+                break;
             default:
                 this.showFieldProperties(element);
         }
@@ -121,8 +143,10 @@ const Properties = {
             const submitTextInput = this.contentEl.querySelector('#submitButtonText');
             const successMsgInput = this.contentEl.querySelector('#successMessage');
             const progressToggle = this.contentEl.querySelector('#showProgressBar');
+            const countrySelect = this.contentEl.querySelector('#defaultCountry');
             
             if (webhookInput) webhookInput.value = state.settings.webhookUrl || '';
+            if (countrySelect) countrySelect.value = PhoneUtils.getCountry(state.settings.defaultCountry).code;
             if (submitTextInput) submitTextInput.value = state.settings.submitButtonText || 'Submit';
             if (successMsgInput) successMsgInput.value = state.settings.successMessage || '';
             if (progressToggle) progressToggle.checked = state.settings.showProgressBar;
@@ -424,19 +448,36 @@ const Properties = {
 
         // Field label
         const labelInput = this.contentEl.querySelector('.field-label-input');
+        const keyInput = this.contentEl.querySelector('.field-key-input');
         if (labelInput) {
             labelInput.value = field.label || '';
             labelInput.addEventListener('input', Helpers.debounce((e) => {
-                AppState.updateField(field.id, { label: e.target.value });
+                const current = AppState.getField(field.id);
+                if (!current) return;
+
+                // Until it is edited by hand, the key follows the label
+                const updates = { label: e.target.value };
+                const taken = AppState.getFieldKeys(field.id);
+                if (current.key === AppState.getUniqueFieldKey(current.label, taken)) {
+                    updates.key = AppState.getUniqueFieldKey(e.target.value, taken);
+                    if (keyInput) keyInput.value = updates.key;
+                }
+
+                AppState.updateField(field.id, updates);
                 Canvas.render();
             }, 200));
         }
 
+        // Field key
+        if (keyInput) {
+            this.setupKeyInput(field, keyInput);
+        }
+
         // Placeholder
         const placeholderInput = this.contentEl.querySelector('.field-placeholder-input');
         if (placeholderInput) {
             placeholderInput.value = field.placeholder || '';
-            const showPlaceholder = !['radio', 'checkbox', 'file'].includes(field.type);
+            const showPlaceholder = !['radio', 'checkbox', 'file', 'signature', 'address', 'hidden'].includes(field.type) && !AppState.isScale(field);
             placeholderInput.parentElement.style.display = showPlaceholder ? '' : 'none';
             
             placeholderInput.addEventListener('input', Helpers.debounce((e) => {
@@ -462,8 +503,22 @@ const Properties = {
             this.renderOptionsEditor(field);
         }
 
-        // Validation section
-        this.setupValidationSection(field);
+        // Groups have repetition settings and scales their range instead of input settings
+        if (AppState.isGroup(field)) {
+            this.setupGroupSection(field);
+        } else if (AppState.isScale(field)) {
+            this.setupScaleSection(field);
+        } else if (field.type === 'phone' || field.type === 'address') {
+            this.setupCountrySection(field);
+        } else if (field.type === 'hidden') {
+            this.setupHiddenSection(field);
+        } else if (field.type === 'signature') {
+            // A drawing has no length or pattern to check, only whether it is required
+            const validationSection = this.contentEl.querySelector('.validation-section');
+            if (validationSection) validationSection.style.display = 'none';
+        } else {
+            this.setupValidationSection(field);
+        }
 
         // Conditional logic section
         this.setupConditionalSection(field);
@@ -472,13 +527,14 @@ const Properties = {
         const deleteBtn = this.contentEl.querySelector('.delete-field-btn');
         if (deleteBtn) {
             deleteBtn.addEventListener('click', async () => {
-                const confirmed = await Modal.confirm_dialog(
+                const resolution = await Modal.confirmDelete(
                     'Delete Field',
-                    'Are you sure you want to delete this field? This action cannot be undone.',
-                    { danger: true, confirmText: 'Delete' }
+                    'Are you sure you want to delete this field?',
+                    AppState.getDependents([field.id]),
+                    AppState.getRetargetFields([field.id])
                 );
-                if (confirmed) {
-                    AppState.deleteField(field.id);
+                if (resolution) {
+                    AppState.deleteField(field.id, resolution);
                     Canvas.render();
                     this.showPageSettings();
                     Toast.success('Field deleted');
@@ -487,6 +543,175 @@ const Properties = {
         }
     },
 
+    /**
+     * Set up the key input: keys are slugified and must be unique in the project
+     * @param {Object} field - Field
+     * @param {HTMLInputElement} keyInput - Key input
+     */
+    setupKeyInput(field, keyInput) {
+        const hint = this.contentEl.querySelector('.field-key-hint');
+        const hintText = hint?.textContent;
+        const showError = (message) => {
+            keyInput.classList.toggle('invalid', Boolean(message));
+            if (hint) {
+                hint.textContent = message || hintText;
+                hint.classList.toggle('error', Boolean(message));
+            }
+        };
+
+        keyInput.value = field.key || '';
+        keyInput.addEventListener('input', () => showError(null));
+        keyInput.addEventListener('change', (e) => {
+            const key = Helpers.slugify(e.target.value);
+            if (!key) {
+                showError('Use at least one letter or digit');
+                return;
+            }
+            if (AppState.getFieldKeys(field.id).has(key)) {
+                showError(`"${key}" is already used by another field`);
+                return;
+            }
+
+            e.target.value = key;
+            if (key !== AppState.getField(field.id)?.key) {
+                AppState.updateField(field.id, { key });
+            }
+        });
+    },
+
+    /**
+     * Show properties shared by several selected fields
+     * Every change applies to all of them as one undo step.
+     * @param {Array<Object>} fields - Selected fields
+     */
+    showBulkProperties(fields) {
+        const template = document.getElementById('bulkPropertiesTemplate');
+        if (!template) return;
+
+        this.contentEl.innerHTML = '';
+        this.contentEl.appendChild(template.content.cloneNode(true));
+
+        const fieldIds = fields.map(f => f.id);
+        const count = fields.length;
+        const query = selector => this.contentEl.querySelector(selector);
+
+        query('.bulk-field-list').innerHTML = fields
+            .map(f => `<li>${Helpers.sanitizeHTML(f.label || f.type)}</li>`)
+            .join('');
+
+        // Required: indeterminate when only some are required
+        const requiredToggle = query('.bulk-required-toggle');
+        const requiredCount = fields.filter(f => f.required).length;
+        requiredToggle.checked = requiredCount === count;
+        requiredToggle.indeterminate = requiredCount > 0 && requiredCount < count;
+        requiredToggle.addEventListener('change', (e) => {
+            AppState.updateFields(fieldIds, { required: e.target.checked },
+                `Mark ${count} fields ${e.target.checked ? 'required' : 'optional'}`);
+        });
+
+        // Placeholder, for the fields that show one
+        const placeholderIds = fields
+            .filter(f => !['radio', 'checkbox', 'file', 'signature', 'address', 'hidden'].includes(f.type) && !AppState.isScale(f))
+            .map(f => f.id);
+        const placeholderInput = query('.bulk-placeholder-input');
+        const placeholders = new Set(fields.filter(f => placeholderIds.includes(f.id)).map(f => f.placeholder || ''));
+        query('.bulk-placeholder-group').style.display = placeholderIds.length > 0 ? '' : 'none';
+        if (placeholders.size === 1) {
+            placeholderInput.value = [...placeholders][0];
+        } else {
+            placeholderInput.placeholder = 'Mixed';
+        }
+        placeholderInput.addEventListener('change', (e) => {
+            AppState.updateFields(placeholderIds, { placeholder: e.target.value },
+                `Edit placeholder of ${placeholderIds.length} fields`);
+        });
+
+        this.setupBulkConditions(fields);
+
+        // Move
+        const { steps, currentStep } = AppState.getState();
+        const moveSelect = query('.bulk-move-select');
+        moveSelect.innerHTML = steps
+            .map((step, index) => index === currentStep ? '' :
+                `<option value="${index}">${index + 1}. ${Helpers.sanitizeHTML(step.name || `Step ${index + 1}`)}</option>`)
+            .join('');
+        query('.bulk-move-btn').disabled = steps.length < 2;
+        query('.bulk-move-btn').addEventListener('click', async () => {
+            const stepIndex = parseInt(moveSelect.value);
+            if (isNaN(stepIndex) || !await Canvas.moveToStep(fieldIds, stepIndex)) return;
+
+            AppState.selectElement(null);
+            Toast.success(`${count} fields moved to "${steps[stepIndex].name || `Step ${stepIndex + 1}`}"`);
+        });
+
+        query('.bulk-duplicate-btn').addEventListener('click', () => {
+            AppState.duplicateFields(fieldIds);
+            Toast.success(`${count} fields duplicated`);
+        });
+
+        query('.bulk-delete-btn').addEventListener('click', () => Canvas.handleBulkDelete(fieldIds));
+    },
+
+    /**
+     * Setup the conditional logic controls of the bulk panel
+     * @param {Array<Object>} fields - Selected fields
+     */
+    setupBulkConditions(fields) {
+        const fieldIds = fields.map(f => f.id);
+        const fieldSelect = this.contentEl.querySelector('.condition-field-select');
+        const operatorSelect = this.contentEl.querySelector('.condition-operator-select');
+        const valueInput = this.contentEl.querySelector('.condition-value-input');
+        const valueGroup = this.contentEl.querySelector('.condition-value-group');
+
+        // A selected field cannot be the one the others depend on
+        AppState.getFieldsForConditions()
+            .filter(f => !fieldIds.includes(f.id))
+            .forEach(f => {
+                const option = document.createElement('option');
+                option.value = f.id;
+                option.textContent = f.label;
+                fieldSelect.appendChild(option);
+            });
+
+        // Start from the rule they share, if any
+        const rules = new Set(fields.map(f => JSON.stringify(f.conditionalLogic?.enabled ? f.conditionalLogic : null)));
+        const shared = rules.size === 1 ? JSON.parse([...rules][0]) : null;
+        if (shared) {
+            fieldSelect.value = shared.field || '';
+            operatorSelect.value = shared.operator || 'equals';
+            valueInput.value = shared.value || '';
+        }
+
+        const updateValueVisibility = () => {
+            valueGroup.style.display = ['not_empty', 'empty'].includes(operatorSelect.value) ? 'none' : '';
+        };
+        updateValueVisibility();
+        operatorSelect.addEventListener('change', updateValueVisibility);
+
+        this.contentEl.querySelector('.bulk-apply-condition-btn').addEventListener('click', () => {
+            if (!fieldSelect.value) {
+                Toast.warning('Choose the field these fields depend on');
+                return;
+            }
+
+            AppState.updateFields(fieldIds, {
+                conditionalLogic: {
+                    enabled: true,
+                    field: fieldSelect.value,
+                    operator: operatorSelect.value,
+                    value: valueInput.value
+                }
+            }, `Add condition to ${fieldIds.length} fields`);
+            Toast.success(`Condition applied to ${fieldIds.length} fields`);
+        });
+
+        this.contentEl.querySelector('.bulk-clear-condition-btn').addEventListener('click', () => {
+            AppState.updateFields(fieldIds, { conditionalLogic: { enabled: false } },
+                `Remove conditions from ${fieldIds.length} fields`);
+            Toast.success(`Conditions removed from ${fieldIds.length} fields`);
+        });
+    },
+
     /**
      * Render options editor for dropdown/radio/checkbox
      * @param {Object} field - Field object
@@ -522,18 +747,30 @@ const Properties = {
                 const removeBtn = item.querySelector('.remove-option');
 
                 input.addEventListener('input', Helpers.debounce(() => {
+                    field = AppState.getField(field.id);
                     const newOptions = [...(field.options || [])];
+                    const oldValue = newOptions[index]?.value;
                     newOptions[index] = {
                         label: input.value,
                         value: Helpers.slugify(input.value) || `option_${index}`
                     };
-                    AppState.updateField(field.id, { options: newOptions });
+
+                    AppState.transaction(`Edit options of '${field.label}'`, () => {
+                        AppState.updateField(field.id, { options: newOptions });
+                        this.retargetConditionValues(field.id, oldValue, newOptions[index].value);
+                    });
+                    field = AppState.getField(field.id);
                     Canvas.render();
                 }, 300));
 
                 removeBtn.addEventListener('click', () => {
+                    const removed = (field.options || [])[index];
                     const newOptions = (field.options || []).filter((_, i) => i !== index);
-                    AppState.updateField(field.id, { options: newOptions });
+
+                    AppState.transaction(`Remove option '${removed?.label}'`, () => {
+                        AppState.updateField(field.id, { options: newOptions });
+                        this.retargetConditionValues(field.id, removed?.value, '');
+                    });
                     field = AppState.getField(field.id);
                     renderOptions();
                     Canvas.render();
@@ -606,6 +843,446 @@ const Properties = {
         }
     },
 
+    /**
+     * Setup the repetition settings of a group
+     * @param {Object} field - Group field
+     */
+    setupGroupSection(field) {
+        ['.field-placeholder-input', '.field-required-toggle', '.validation-section'].forEach(selector => {
+            const el = this.contentEl.querySelector(selector);
+            const container = el?.closest('.form-group, .properties-section.validation-section');
+            if (container) container.style.display = 'none';
+        });
+
+        const settings = this.contentEl.querySelector('.group-settings');
+        if (!settings) return;
+        settings.style.display = '';
+
+        const repeatableToggle = settings.querySelector('.group-repeatable-toggle');
+        const repeatSettings = settings.querySelector('.group-repeat-settings');
+        const minInput = settings.querySelector('.group-min-input');
+        const maxInput = settings.querySelector('.group-max-input');
+        const addLabelInput = settings.querySelector('.group-add-label-input');
+
+        repeatableToggle.checked = field.repeatable || false;
+        repeatSettings.style.display = field.repeatable ? '' : 'none';
+        minInput.value = field.minItems ?? '';
+        maxInput.value = field.maxItems ?? '';
+        addLabelInput.value = field.addLabel || '';
+
+        repeatableToggle.addEventListener('change', (e) => {
+            repeatSettings.style.display = e.target.checked ? '' : 'none';
+            AppState.updateField(field.id, { repeatable: e.target.checked });
+        });
+
+        // Keep the minimum at most the maximum, whichever one was edited
+        const updateLimits = Helpers.debounce((changed) => {
+            let minItems = minInput.value === '' ? 0 : Math.max(parseInt(minInput.value, 10) || 0, 0);
+            let maxItems = maxInput.value === '' ? null : Math.max(parseInt(maxInput.value, 10) || 1, 1);
+            if (maxItems !== null && minItems > maxItems) {
+                if (changed === 'min') maxItems = minItems;
+                else minItems = maxItems;
+                minInput.value = minItems;
+                maxInput.value = maxItems;
+            }
+            AppState.updateField(field.id, { minItems, maxItems });
+        }, 300);
+        minInput.addEventListener('input', () => updateLimits('min'));
+        maxInput.addEventListener('input', () => updateLimits('max'));
+
+        addLabelInput.addEventListener('input', Helpers.debounce((e) => {
+            AppState.updateField(field.id, { addLabel: e.target.value });
+        }, 300));
+    },
+
+    /**
+     * Set up the country a phone or address field starts with
+     * Both are checked against their country's rules, so the validation section is hidden.
+     * @param {Object} field - Phone or address field
+     */
+    setupCountrySection(field) {
+        const validationSection = this.contentEl.querySelector('.validation-section');
+        if (validationSection) validationSection.style.display = 'none';
+
+        const settings = this.contentEl.querySelector('.country-settings');
+        if (!settings) return;
+        settings.style.display = '';
+
+        const countries = field.type === 'address' ? AddressUtils.countries : PhoneUtils.countries;
+        const pageDefault = PhoneUtils.getCountry(AppState.getState().settings.defaultCountry);
+        const countrySelect = settings.querySelector('.field-country-select');
+        this.fillCountryOptions(countrySelect, countries, `Page default (${pageDefault.name})`);
+        countrySelect.value = field.country || '';
+
+        settings.querySelector('.field-country-hint').textContent = field.type === 'address'
+            ? 'Visitors can pick another country; the address parts and postal code rules follow it'
+            : 'Visitors can pick another country; answers are sent as +countrycode number';
+
+        countrySelect.addEventListener('change', (e) => {
+            AppState.updateField(field.id, { country: e.target.value });
+        });
+    },
+
+    /**
+     * Set up where a hidden field takes its value from
+     * Visitors never see the field, so being required, validation and
+     * conditions do not apply to it.
+     * @param {Object} field - Hidden field
+     */
+    setupHiddenSection(field) {
+        ['.field-required-toggle', '.validation-section', '.conditional-section'].forEach(selector => {
+            const el = this.contentEl.querySelector(selector);
+            const container = el?.closest('.form-group, .properties-section');
+            if (container) container.style.display = 'none';
+        });
+
+        const settings = this.contentEl.querySelector('.hidden-settings');
+        if (!settings) return;
+        settings.style.display = '';
+
+        const sourceSelect = settings.querySelector('.hidden-source-select');
+        const paramInput = settings.querySelector('.hidden-param-input');
+        const valueInput = settings.querySelector('.hidden-value-input');
+        sourceSelect.value = ExportUtils.getHiddenSource(field);
+        paramInput.value = field.param || '';
+        valueInput.value = field.value || '';
+
+        const showSource = (source) => {
+            const hints = {
+                query: 'Read from the page address, e.g. ?utm_source=newsletter',
+                cookie: 'Read from a cookie set on the page\'s domain',
+                referrer: 'The address of the page the visitor came from',
+                static: 'Sent as is with every submission'
+            };
+            settings.querySelector('.hidden-source-hint').textContent = hints[source];
+            settings.querySelector('.hidden-param-group').style.display = ['query', 'cookie'].includes(source) ? '' : 'none';
+            settings.querySelector('.hidden-param-label').textContent = source === 'cookie' ? 'Cookie Name' : 'Parameter Name';
+            settings.querySelector('.hidden-value-label').textContent = source === 'static' ? 'Value' : 'Fallback Value';
+            valueInput.placeholder = source === 'static' ? '' : 'Sent when there is nothing to read';
+        };
+        showSource(sourceSelect.value);
+
+        sourceSelect.addEventListener('change', (e) => {
+            showSource(e.target.value);
+            AppState.updateField(field.id, { source: e.target.value });
+            Canvas.render();
+        });
+        paramInput.addEventListener('input', Helpers.debounce((e) => {
+            AppState.updateField(field.id, { param: e.target.value.trim() });
+            Canvas.render();
+        }, 300));
+        valueInput.addEventListener('input', Helpers.debounce((e) => {
+            AppState.updateField(field.id, { value: e.target.value });
+            Canvas.render();
+        }, 300));
+    },
+
+    /**
+     * Fill a select with countries
+     * @param {HTMLSelectElement} select - Select element
+     * @param {Array<Object>} countries - Countries ({code, name} and, for phone numbers, dial)
+     * @param {string|null} emptyLabel - Label of an extra option with an empty value
+     */
+    fillCountryOptions(select, countries, emptyLabel = null) {
+        select.innerHTML = (emptyLabel ? `<option value="">${Helpers.sanitizeHTML(emptyLabel)}</option>` : '') +
+            ExportUtils.getCountryOptions(null, countries);
+    },
+
+    /**
+     * Set up the range, end labels and icon style of a rating, NPS or scale field
+     * @param {Object} field - Scale field
+     */
+    setupScaleSection(field) {
+        ['.field-placeholder-input', '.validation-section'].forEach(selector => {
+            const el = this.contentEl.querySelector(selector);
+            const container = el?.closest('.form-group, .properties-section.validation-section');
+            if (container) container.style.display = 'none';
+        });
+
+        const settings = this.contentEl.querySelector('.scale-settings');
+        if (!settings) return;
+        settings.style.display = '';
+
+        const minInput = settings.querySelector('.scale-min-input');
+        const maxInput = settings.querySelector('.scale-max-input');
+        const { min, max, minLabel, maxLabel, icon } = ExportUtils.getScaleOptions(field);
+        minInput.value = min;
+        maxInput.value = max;
+        settings.querySelector('.scale-min-label-input').value = minLabel;
+        settings.querySelector('.scale-max-label-input').value = maxLabel;
+        settings.querySelector('.scale-icon-select').value = icon;
+
+        // Show the range as it will be used, e.g. a maximum below the minimum is raised
+        const updateRange = Helpers.debounce(() => {
+            const range = ExportUtils.getScaleOptions({
+                ...field,
+                scaleMin: minInput.value === '' ? null : minInput.value,
+                scaleMax: maxInput.value === '' ? null : maxInput.value
+            });
+            minInput.value = range.min;
+            maxInput.value = range.max;
+            AppState.updateField(field.id, { scaleMin: range.min, scaleMax: range.max });
+        }, 500);
+        minInput.addEventListener('input', updateRange);
+        maxInput.addEventListener('input', updateRange);
+
+        settings.querySelector('.scale-min-label-input').addEventListener('input', Helpers.debounce((e) => {
+            AppState.updateField(field.id, { minLabel: e.target.value });
+        }, 300));
+        settings.querySelector('.scale-max-label-input').addEventListener('input', Helpers.debounce((e) => {
+            AppState.updateField(field.id, { maxLabel: e.target.value });
+        }, 300));
+        settings.querySelector('.scale-icon-select').addEventListener('change', (e) => {
+            AppState.updateField(field.id, { icon: e.target.value });
+        });
+    },
+
+    /**
+     * Show properties of the current step: its name, skip rule and branches
+     */
+    showStepProperties() {
+        const template = document.getElementById('stepPropertiesTemplate');
+        if (!template) return;
+
+        this.contentEl.innerHTML = '';
+        this.contentEl.appendChild(template.content.cloneNode(true));
+
+        const stepIndex = AppState.getState().currentStep;
+        const step = AppState.getCurrentStep();
+
+        const nameInput = this.contentEl.querySelector('.step-name-input');
+        nameInput.value = step.name || '';
+        nameInput.addEventListener('input', Helpers.debounce((e) => {
+            const name = e.target.value.trim();
+            if (name) AppState.updateStep(stepIndex, { name });
+        }, 300));
+
+        this.setupSkipSection(stepIndex);
+        this.renderBranches(stepIndex);
+
+        this.contentEl.querySelector('.add-branch-btn').addEventListener('click', () => {
+            const branches = AppState.getState().steps[stepIndex].branches || [];
+            AppState.updateStep(stepIndex, {
+                branches: [...branches, { field: '', operator: 'equals', value: '', goTo: '' }]
+            });
+            this.renderBranches(stepIndex);
+        });
+
+        this.contentEl.querySelector('.save-step-preset-btn').addEventListener('click', () => {
+            PresetPanel.saveStep(stepIndex);
+        });
+    },
+
+    /**
+     * Set up the skip rule of a step
+     * The first step is always shown, so it has none.
+     * @param {number} stepIndex - Step index
+     */
+    setupSkipSection(stepIndex) {
+        const section = this.contentEl.querySelector('.step-skip-section');
+        if (stepIndex === 0) {
+            section.style.display = 'none';
+            return;
+        }
+
+        const skipLogic = AppState.getState().steps[stepIndex].skipLogic || { enabled: false };
+        const enableToggle = section.querySelector('.enable-skip-toggle');
+        const rulesContainer = section.querySelector('.skip-rules');
+        const fieldSelect = section.querySelector('.skip-field-select');
+        const operatorSelect = section.querySelector('.skip-operator-select');
+        const valueGroup = section.querySelector('.skip-value-group');
+
+        const update = (changes) => {
+            const current = AppState.getState().steps[stepIndex].skipLogic || { enabled: false };
+            AppState.updateStep(stepIndex, { skipLogic: { ...current, ...changes } });
+        };
+
+        this.fillFieldSelect(fieldSelect, AppState.getFieldsForStepRules(stepIndex, false), skipLogic.field);
+        enableToggle.checked = skipLogic.enabled;
+        rulesContainer.style.display = skipLogic.enabled ? '' : 'none';
+        if (skipLogic.operator) operatorSelect.value = skipLogic.operator;
+
+        const renderValue = (value) => {
+            valueGroup.querySelector('.rule-value')?.remove();
+            valueGroup.appendChild(this.createRuleValueInput(fieldSelect.value, value, value => update({ value })));
+            valueGroup.style.display = ['not_empty', 'empty'].includes(operatorSelect.value) ? 'none' : '';
+        };
+        valueGroup.querySelector('.skip-value-input').remove();
+        renderValue(skipLogic.value || '');
+
+        enableToggle.addEventListener('change', (e) => {
+            rulesContainer.style.display = e.target.checked ? '' : 'none';
+            update({ enabled: e.target.checked });
+        });
+
+        // The old value belongs to the previous field, so clear it with the change
+        fieldSelect.addEventListener('change', (e) => {
+            update({ field: e.target.value, value: '' });
+            renderValue('');
+        });
+
+        operatorSelect.addEventListener('change', (e) => {
+            update({ operator: e.target.value });
+            valueGroup.style.display = ['not_empty', 'empty'].includes(e.target.value) ? 'none' : '';
+        });
+    },
+
+    /**
+     * Render the branch rules of a step
+     * Branches only go forward; one left pointing back by a step reorder
+     * shows its target as ignored.
+     * @param {number} stepIndex - Step index
+     */
+    renderBranches(stepIndex) {
+        const list = this.contentEl.querySelector('.branch-list');
+        if (!list) return;
+
+        const steps = AppState.getState().steps;
+        const branches = steps[stepIndex].branches || [];
+        const fields = AppState.getFieldsForStepRules(stepIndex);
+        const operators = this.contentEl.querySelector('.skip-operator-select').innerHTML;
+        const stepName = (step, i) => Helpers.sanitizeHTML(step.name || `Step ${i + 1}`);
+
+        const update = (index, changes) => {
+            const current = AppState.getState().steps[stepIndex].branches || [];
+            AppState.updateStep(stepIndex, {
+                branches: current.map((branch, i) => i === index ? { ...branch, ...changes } : branch)
+            });
+        };
+
+        list.innerHTML = '';
+        branches.forEach((branch, index) => {
+            const target = steps.findIndex(step => step.id === branch.goTo);
+            const row = document.createElement('div');
+            row.className = 'branch-rule';
+            row.innerHTML = `
+                <div class="branch-rule-header">
+                    <span>Rule ${index + 1}</span>
+                    <button class="btn btn-icon branch-remove" title="Remove Rule">×</button>
+                </div>
+                <label>If</label>
+                <select class="form-input branch-field-select"></select>
+                <select class="form-input branch-operator-select">${operators}</select>
+                <div class="branch-value-group"></div>
+                <label>Go to</label>
+                <select class="form-input branch-goto-select">
+                    <option value="">Select a step...</option>
+                    ${steps.map((step, i) => i > stepIndex ? `<option value="${Helpers.sanitizeHTML(step.id)}">${i + 1}. ${stepName(step, i)}</option>` : '').join('')}
+                    ${target !== -1 && target <= stepIndex ? `<option value="${Helpers.sanitizeHTML(branch.goTo)}" disabled>${target + 1}. ${stepName(steps[target], target)} (earlier step, ignored)</option>` : ''}
+                </select>
+            `;
+
+            const fieldSelect = row.querySelector('.branch-field-select');
+            const operatorSelect = row.querySelector('.branch-operator-select');
+            const valueGroup = row.querySelector('.branch-value-group');
+            const gotoSelect = row.querySelector('.branch-goto-select');
+
+            this.fillFieldSelect(fieldSelect, fields, branch.field);
+            operatorSelect.value = branch.operator || 'equals';
+            gotoSelect.value = branch.goTo || '';
+            valueGroup.appendChild(this.createRuleValueInput(branch.field, branch.value || '', value => update(index, { value })));
+            valueGroup.style.display = ['not_empty', 'empty'].includes(operatorSelect.value) ? 'none' : '';
+
+            fieldSelect.addEventListener('change', (e) => {
+                update(index, { field: e.target.value, value: '' });
+                this.renderBranches(stepIndex);
+            });
+            operatorSelect.addEventListener('change', (e) => {
+                update(index, { operator: e.target.value });
+                valueGroup.style.display = ['not_empty', 'empty'].includes(e.target.value) ? 'none' : '';
+            });
+            gotoSelect.addEventListener('change', (e) => update(index, { goTo: e.target.value }));
+
+            row.querySelector('.branch-remove').addEventListener('click', () => {
+                const current = AppState.getState().steps[stepIndex].branches || [];
+                AppState.updateStep(stepIndex, { branches: current.filter((_, i) => i !== index) });
+                this.renderBranches(stepIndex);
+            });
+
+            list.appendChild(row);
+        });
+    },
+
+    /**
+     * Fill a select with the fields a rule can depend on
+     * @param {HTMLSelectElement} select - Select to fill
+     * @param {Array<Object>} fields - Available fields
+     * @param {string} selected - Selected field ID
+     */
+    fillFieldSelect(select, fields, selected) {
+        select.innerHTML = '<option value="">Select a field...</option>';
+        fields.forEach(f => {
+            const option = document.createElement('option');
+            option.value = f.id;
+            option.textContent = f.label;
+            if (selected === f.id) option.selected = true;
+            select.appendChild(option);
+        });
+    },
+
+    /**
+     * Create the value input of a rule
+     * Fields with options get a select of their values.
+     * @param {string} fieldId - Field the rule depends on
+     * @param {string} value - Current value
+     * @param {Function} onChange - Called with the new value
+     * @returns {HTMLElement} Input or select
+     */
+    createRuleValueInput(fieldId, value, onChange) {
+        const field = fieldId ? AppState.getField(fieldId) : null;
+
+        if (field?.options?.length > 0) {
+            const select = document.createElement('select');
+            select.className = 'form-input rule-value';
+            select.innerHTML = '<option value="">Select value...</option>';
+            field.options.forEach(opt => {
+                const option = document.createElement('option');
+                option.value = opt.value;
+                option.textContent = opt.label;
+                if (opt.value === value) option.selected = true;
+                select.appendChild(option);
+            });
+            select.addEventListener('change', (e) => onChange(e.target.value));
+            return select;
+        }
+
+        const input = document.createElement('input');
+        input.type = AppState.isScale(field) ? 'number' : 'text';
+        input.className = 'form-input rule-value';
+        input.placeholder = 'Enter value';
+        input.value = value;
+        input.addEventListener('input', Helpers.debounce((e) => onChange(e.target.value), 300));
+        return input;
+    },
+
+    /**
+     * Point conditions that compare against an option value to a new value
+     * @param {string} fieldId - Field owning the option
+     * @param {string} oldValue - Previous option value
+     * @param {string} newValue - New option value ('' clears the condition value)
+     */
+    retargetConditionValues(fieldId, oldValue, newValue) {
+        if (!oldValue || oldValue === newValue) return;
+
+        AppState.getAllFields()
+            .filter(f => f.conditionalLogic?.field === fieldId && f.conditionalLogic.value === oldValue)
+            .forEach(f => {
+                AppState.updateField(f.id, {
+                    conditionalLogic: { ...f.conditionalLogic, value: newValue }
+                });
+            });
+
+        // Step rules compare against option values too
+        const matches = rule => rule?.field === fieldId && rule.value === oldValue;
+        AppState.getState().steps.forEach((step, index) => {
+            if (!matches(step.skipLogic) && !(step.branches || []).some(matches)) return;
+            AppState.updateStep(index, {
+                skipLogic: matches(step.skipLogic) ? { ...step.skipLogic, value: newValue } : step.skipLogic,
+                branches: (step.branches || []).map(branch => matches(branch) ? { ...branch, value: newValue } : branch)
+            });
+        });
+    },
+
     /**
      * Setup conditional logic section
      * @param {Object} field - Field object
@@ -651,15 +1328,19 @@ const Properties = {
         enableToggle.addEventListener('change', (e) => {
             rulesContainer.style.display = e.target.checked ? '' : 'none';
             AppState.updateField(field.id, {
-                conditionalLogic: { ...conditional, enabled: e.target.checked }
+                conditionalLogic: { ...AppState.getField(field.id).conditionalLogic, enabled: e.target.checked }
             });
             Canvas.render();
         });
 
         // Field select
         fieldSelect.addEventListener('change', (e) => {
-            const newConditional = { ...conditional, field: e.target.value };
-            AppState.updateField(field.id, { conditionalLogic: newConditional });
+            // The old value belongs to the previous field, so clear it with the change
+            const current = AppState.getField(field.id).conditionalLogic;
+            AppState.updateField(field.id, {
+                conditionalLogic: { ...current, field: e.target.value, value: '' }
+            });
+            valueInput.value = '';
             
             // If the selected field has options, show them in value dropdown
             const selectedField = AppState.getField(e.target.value);
@@ -0,0 +1,111 @@
+/**
+ * ================================================
+ * LANDCRAFT - Storage Meter Component
+ * Shows storage usage and reports failed saves
+ * ================================================
+ */
+
+const StorageMeter = {
+    element: null,
+    textEl: null,
+    fillEl: null,
+
+    /**
+     * Usage ratios for the warning and full states
+     */
+    warningThreshold: 0.8,
+    fullThreshold: 0.95,
+
+    /**
+     * Avoid repeating the same toast on every keystroke
+     */
+    warned: false,
+    lastErrorAt: 0,
+    errorInterval: 10000,
+
+    /**
+     * Initialize storage meter
+     */
+    init() {
+        this.element = document.getElementById('storageMeter');
+        this.textEl = document.getElementById('storageMeterText');
+        this.fillEl = document.getElementById('storageMeterFill');
+
+        this.scheduleUpdate = Helpers.debounce(() => this.update(), 1000);
+
+        AppState.onPersist((error) => {
+            // Conflicts with other tabs are resolved by App
+            if (ProjectLibrary.isConflictError(error)) return;
+
+            if (error) {
+                this.handleError(error);
+            }
+            this.scheduleUpdate();
+        });
+    },
+
+    /**
+     * Refresh the meter from the current storage estimate
+     */
+    async update() {
+        let estimate;
+        try {
+            estimate = await DataStore.estimate();
+        } catch (error) {
+            console.error('Error estimating storage:', error);
+            return;
+        }
+
+        if (this.element) {
+            this.element.hidden = !estimate;
+        }
+        if (!estimate) return;
+
+        const { usage, quota } = estimate;
+        const ratio = quota > 0 ? Math.min(usage / quota, 1) : 0;
+
+        if (this.element) {
+            this.element.classList.toggle('warning', ratio >= this.warningThreshold && ratio < this.fullThreshold);
+            this.element.classList.toggle('full', ratio >= this.fullThreshold);
+        }
+        if (this.fillEl) {
+            this.fillEl.style.width = `${Math.round(ratio * 100)}%`;
+        }
+        if (this.textEl) {
+            this.textEl.textContent = `${Helpers.formatFileSize(usage)} of ${Helpers.formatFileSize(quota)}`;
+        }
+
+        if (ratio >= this.warningThreshold && !this.warned) {
+            this.warned = true;
+            Toast.warning(
+                `${Math.round(ratio * 100)}% of browser storage is used. Delete unused projects or images to free up space.`,
+                'Storage almost full'
+            );
+        } else if (ratio < this.warningThreshold) {
+            this.warned = false;
+        }
+    },
+
+    /**
+     * Report a failed save
+     * @param {Error} error - Write error
+     */
+    handleError(error) {
+        const now = Date.now();
+        if (now - this.lastErrorAt < this.errorInterval) return;
+        this.lastErrorAt = now;
+
+        if (DataStore.isQuotaError(error)) {
+            this.element?.classList.add('full');
+            Toast.error(
+                'Your latest changes could not be saved. Delete unused projects or images to free up space.',
+                'Storage full'
+            );
+        } else {
+            Toast.error('Your latest changes could not be saved', 'Save failed');
+        }
+    }
+};
+
+// Export for use in other modules
+window.StorageMeter = StorageMeter;
@@ -0,0 +1,147 @@
+/**
+ * ================================================
+ * LANDCRAFT - Template Gallery Component
+ * Pick a starter page when creating a project
+ * ================================================
+ */
+
+const TemplateGallery = {
+    /**
+     * Ask for a project name and a template
+     * @returns {Promise<Object|null>} {name, template} - template is null for a blank project; null if cancelled
+     */
+    async choose() {
+        let name = 'Untitled Project';
+        let selected = 'blank';
+
+        // Deleting a saved template needs the modal, so the gallery is reopened afterwards
+        for (;;) {
+            const result = await this.open(name, selected);
+            if (!result?.deleteId) return result;
+
+            ({ name, selected } = result);
+            await this.handleDelete(result.deleteId);
+        }
+    },
+
+    /**
+     * Show the gallery
+     * @param {string} name - Project name to fill in
+     * @param {string} selected - Template ID to select, 'blank' for none
+     * @returns {Promise<Object|null>} {name, template}, {deleteId, name, selected} or null if cancelled
+     */
+    open(name, selected) {
+        const templates = TemplateLibrary.list();
+        if (!templates.some(t => t.id === selected)) selected = 'blank';
+
+        const card = (id, icon, title, description, custom = false) => `
+            <button type="button" class="template-card ${id === selected ? 'selected' : ''}" data-template="${Helpers.sanitizeHTML(id)}">
+                ${custom ? `<span class="template-delete" data-delete-template="${Helpers.sanitizeHTML(id)}" title="Delete Template">×</span>` : ''}
+                <span class="template-icon">${icon}</span>
+                <span class="template-name">${Helpers.sanitizeHTML(title)}</span>
+                <span class="template-description">${Helpers.sanitizeHTML(description)}</span>
+            </button>
+        `;
+
+        const content = `
+            <div class="form-group">
+                <label for="newProjectName">Project name</label>
+                <input type="text" id="newProjectName" class="form-input" placeholder="Project name"
+                    value="${Helpers.sanitizeHTML(name)}" required>
+            </div>
+            <div class="template-grid">
+                ${card('blank', '📄', 'Blank', 'Start from a single empty step.')}
+                ${templates.map(t => card(t.id, Helpers.sanitizeHTML(t.icon || '⭐'), t.name, t.description || '', t.custom)).join('')}
+            </div>
+        `;
+
+        return new Promise((resolve) => {
+            const nameInput = () => document.getElementById('newProjectName');
+
+            Modal.show({
+                title: 'New Project',
+                content,
+                confirmText: 'Create Project',
+                wide: true,
+                onConfirm: () => {
+                    const input = nameInput();
+                    if (!input.value.trim()) {
+                        input.focus();
+                        return false;
+                    }
+                    resolve({
+                        name: input.value.trim(),
+                        template: selected === 'blank' ? null : TemplateLibrary.get(selected)
+                    });
+                },
+                onCancel: () => resolve(null),
+                onClose: () => resolve(null)
+            });
+
+            document.querySelectorAll('#modalBody .template-card').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    if (e.target.closest('.template-delete')) {
+                        resolve({ deleteId: btn.dataset.template, name: nameInput().value, selected });
+                        Modal.close();
+                        return;
+                    }
+
+                    selected = btn.dataset.template;
+                    document.querySelectorAll('#modalBody .template-card').forEach(other => {
+                        other.classList.toggle('selected', other === btn);
+                    });
+                });
+
+                // Double-click creates the project straight away
+                btn.addEventListener('dblclick', (e) => {
+                    if (!e.target.closest('.template-delete')) Modal.confirm();
+                });
+            });
+        });
+    },
+
+    /**
+     * Save the open project as a template
+     */
+    async saveProject() {
+        const state = AppState.getState();
+        const name = await Modal.prompt('Save as Template', {
+            placeholder: 'Template name',
+            defaultValue: state.projectName,
+            required: true
+        });
+        if (!name) return;
+
+        try {
+            await TemplateLibrary.add(name.trim(), state);
+            Toast.success(`Saved template "${name.trim()}"`);
+        } catch (error) {
+            console.error('Error saving template:', error);
+            Toast.error(DataStore.isQuotaError(error)
+                ? 'Browser storage is full; delete projects or templates to make room'
+                : 'The template could not be saved');
+        }
+    },
+
+    /**
+     * Delete a saved template
+     * @param {string} templateId - Template ID
+     */
+    async handleDelete(templateId) {
+        const template = TemplateLibrary.get(templateId);
+        if (!template?.custom) return;
+
+        const confirmed = await Modal.confirm_dialog(
+            'Delete Template',
+            `Delete the template "${template.name}"? Projects created from it are not affected.`,
+            { danger: true, confirmText: 'Delete' }
+        );
+        if (!confirmed) return;
+
+        await TemplateLibrary.remove(templateId);
+        Toast.success('Template deleted');
+    }
+};
+
+// Export for use in other modules
+window.TemplateGallery = TemplateGallery;
@@ -10,9 +10,11 @@ const AppState = {
      * Current application state
      */
     state: {
+        schemaVersion: ExportUtils.schemaVersion,
         projectName: 'Untitled Project',
         currentStep: 0,
         selectedElement: null,
+        selection: [], // Selected field IDs when several are selected
         currentView: 'builder', // 'builder', 'preview', 'code'
         
         // Header configuration
@@ -54,32 +56,125 @@ const AppState = {
             submitButtonText: 'Submit',
             successMessage: 'Thank you! Your response has been recorded.',
             showProgressBar: true,
-            theme: 'light'
+            theme: 'light',
+            defaultCountry: PhoneUtils.defaultCountry
         }
     },
 
     /**
      * History for undo/redo
+     * Entries are {label, patches, time}; historyIndex points at the last applied entry.
      */
     history: [],
     historyIndex: -1,
-    maxHistorySize: 50,
+    maxHistorySize: 500,
 
     /**
-     * State change listeners
+     * Consecutive edits of the same values within this window become one entry
+     */
+    coalesceWindow: 1000,
+    lastEntry: null,
+
+    /**
+     * Last entry recorded for changes made outside this tab
+     */
+    lastExternalEntry: null,
+
+    /**
+     * State change subscriptions {selector, listener, equalityFn, value}
      */
     listeners: new Set(),
 
     /**
-     * Initialize state from localStorage or defaults
+     * Start states of the open transactions, outermost first
+     */
+    transactions: [],
+    transactionRecorded: false,
+
+    /**
+     * ID of the open project
+     */
+    projectId: null,
+
+    /**
+     * Saved revision of the open project this tab's state is based on
+     */
+    revision: 0,
+
+    /**
+     * Undo/redo stacks of projects opened this session
+     * Projects opened for the first time load the stack saved with them.
+     */
+    projectHistories: new Map(),
+
+    /**
+     * Pending write of the open project, and the promise writing it
+     */
+    pendingSave: null,
+    saving: null,
+
+    /**
+     * Persistence listeners, called with the error of a failed write or null
+     */
+    persistListeners: new Set(),
+
+    /**
+     * Initialize state from the last opened project
      */
-    init() {
-        const saved = Helpers.storage.get('landcraft_state');
-        if (saved) {
-            this.state = { ...this.state, ...saved };
+    async init() {
+        await ProjectLibrary.init();
+
+        const projectId = ProjectLibrary.getActiveId() ||
+            ProjectLibrary.list()[0]?.id ||
+            (await ProjectLibrary.create()).id;
+
+        // Fall back to a fresh project if the saved one cannot be opened
+        if (!await this.openProject(projectId)) {
+            await this.newProject();
         }
-        this.saveToHistory();
-        this.notifyListeners();
+    },
+
+    /**
+     * Get a fresh default state
+     * @returns {Object} Default state
+     */
+    getDefaultState() {
+        return {
+            schemaVersion: ExportUtils.schemaVersion,
+            projectName: 'Untitled Project',
+            currentStep: 0,
+            selectedElement: null,
+            selection: [],
+            currentView: 'builder',
+            header: {
+                image: { url: null, height: 300 },
+                title: {
+                    text: 'Welcome to Our Page',
+                    fontFamily: 'Plus Jakarta Sans',
+                    fontSize: 32,
+                    color: '#1e293b',
+                    bold: false,
+                    italic: false,
+                    underline: false,
+                    align: 'center'
+                },
+                description: {
+                    html: '<p>Fill out the form below to get started.</p>',
+                    text: 'Fill out the form below to get started.',
+                    fontSize: 16,
+                    color: '#64748b'
+                }
+            },
+            steps: [{ id: 'step_0', name: 'Welcome', fields: [] }],
+            settings: {
+                webhookUrl: '',
+                submitButtonText: 'Submit',
+                successMessage: 'Thank you! Your response has been recorded.',
+                showProgressBar: true,
+                theme: 'light',
+                defaultCountry: PhoneUtils.defaultCountry
+            }
+        };
     },
 
     /**
@@ -93,19 +188,61 @@ const AppState = {
     /**
      * Update state with partial updates
      * @param {Object} updates - Partial state updates
-     * @param {boolean} saveHistory - Whether to save to history (default: true)
+     * @param {boolean|string} history - History label, true for a generic label, false to skip history
      */
-    setState(updates, saveHistory = true) {
-        this.state = Helpers.deepClone({ ...this.state, ...updates });
+    setState(updates, history = true) {
+        const previous = this.state;
+        this.state = Patches.share(previous, Helpers.deepClone({ ...this.state, ...updates }));
+
+        // Transactions record, notify and persist once when they finish
+        if (this.transactions.length > 0) {
+            if (history) this.transactionRecorded = true;
+            return;
+        }
         
-        if (saveHistory) {
-            this.saveToHistory();
+        if (history) {
+            this.saveToHistory(previous, typeof history === 'string' ? history : 'Edit');
         }
         
         this.notifyListeners();
         this.persistState();
     },
 
+    /**
+     * Group state changes into one history entry and one notification
+     * Transactions can be nested; only the outermost one records history.
+     * If fn throws, its changes are rolled back and the error is rethrown.
+     * @param {string} label - History label
+     * @param {Function} fn - Synchronous function making the changes
+     * @returns {*} Return value of fn
+     */
+    transaction(label, fn) {
+        const start = this.state;
+        const outermost = this.transactions.length === 0;
+        if (outermost) this.transactionRecorded = false;
+
+        this.transactions.push(start);
+        let result;
+        try {
+            result = fn();
+        } catch (error) {
+            this.state = start;
+            throw error;
+        } finally {
+            this.transactions.pop();
+        }
+
+        if (outermost && this.state !== start) {
+            if (this.transactionRecorded) {
+                this.saveToHistory(start, label);
+            }
+            this.notifyListeners();
+            this.persistState();
+        }
+
+        return result;
+    },
+
     /**
      * Update nested state path
      * @param {string} path - Dot-separated path (e.g., 'header.title.text')
@@ -124,7 +261,7 @@ const AppState = {
         }
         
         current[keys[keys.length - 1]] = value;
-        this.setState(newState);
+        this.setState(newState, `Edit ${Helpers.camelToTitle(keys[keys.length - 1]).toLowerCase()}`);
     },
 
     /**
@@ -149,21 +286,39 @@ const AppState = {
 
     /**
      * Subscribe to state changes
+     * With a selector, the listener only runs when the selected slice changes
+     * and is called with (slice, previousSlice). Unchanged parts of the state
+     * keep their identity, so slices can be compared by reference.
+     * With a listener alone, it runs on every change with the whole state.
+     * @param {Function} selector - Picks a slice of the state, or the listener
      * @param {Function} listener - Listener function
+     * @param {Function} equalityFn - Compares slices (default Object.is)
      * @returns {Function} Unsubscribe function
      */
-    subscribe(listener) {
-        this.listeners.add(listener);
-        return () => this.listeners.delete(listener);
+    subscribe(selector, listener, equalityFn = Object.is) {
+        if (!listener) {
+            listener = selector;
+            selector = state => state;
+            equalityFn = () => false;
+        }
+
+        const subscription = { selector, listener, equalityFn, value: selector(this.state) };
+        this.listeners.add(subscription);
+        return () => this.listeners.delete(subscription);
     },
 
     /**
-     * Notify all listeners of state change
+     * Notify listeners whose slice of the state changed
      */
     notifyListeners() {
-        this.listeners.forEach(listener => {
+        this.listeners.forEach(subscription => {
             try {
-                listener(this.state);
+                const value = subscription.selector(this.state);
+                if (subscription.equalityFn(subscription.value, value)) return;
+
+                const previous = subscription.value;
+                subscription.value = value;
+                subscription.listener(value, previous);
             } catch (error) {
                 console.error('State listener error:', error);
             }
@@ -171,17 +326,43 @@ const AppState = {
     },
 
     /**
-     * Save current state to history
+     * Record the change from a previous state to the current one
+     * @param {Object} previous - State before the change
+     * @param {string} label - Description of the change
      */
-    saveToHistory() {
+    saveToHistory(previous, label) {
+        const patches = Patches.diff(previous, this.state);
+        if (patches.length === 0) return;
+
+        const now = Helpers.getTimestamp();
+        const last = this.lastEntry;
+
+        // Merge repeated edits of the same values, e.g. typing into a label
+        if (last && last === this.history[this.historyIndex] &&
+            now - last.time < this.coalesceWindow &&
+            Patches.isValueChange(patches) &&
+            Patches.samePaths(last.patches, patches)) {
+            last.patches = Patches.merge(last.patches, patches);
+            last.time = now;
+
+            // Edits that cancel out leave nothing to undo
+            if (last.patches.every(p => p.before === p.after)) {
+                this.history.splice(this.historyIndex, 1);
+                this.historyIndex--;
+                this.lastEntry = null;
+            }
+            return;
+        }
+
         // Remove any future history if we're not at the end
         if (this.historyIndex < this.history.length - 1) {
             this.history = this.history.slice(0, this.historyIndex + 1);
         }
-        
-        // Add current state
-        this.history.push(Helpers.deepClone(this.state));
-        
+
+        const entry = { label, patches, time: now };
+        this.history.push(entry);
+        this.lastEntry = entry;
+
         // Limit history size
         if (this.history.length > this.maxHistorySize) {
             this.history.shift();
@@ -190,34 +371,111 @@ const AppState = {
         }
     },
 
+    /**
+     * Clear undo/redo history
+     */
+    clearHistory() {
+        this.history = [];
+        this.historyIndex = -1;
+        this.lastEntry = null;
+    },
+
     /**
      * Undo last change
-     * @returns {boolean} Whether undo was successful
+     * @returns {Object|null} Undone history entry
      */
     undo() {
-        if (this.historyIndex > 0) {
-            this.historyIndex--;
-            this.state = Helpers.deepClone(this.history[this.historyIndex]);
-            this.notifyListeners();
-            this.persistState();
-            return true;
-        }
-        return false;
+        if (!this.canUndo()) return null;
+
+        const entry = this.history[this.historyIndex];
+        this.historyIndex--;
+        this.lastEntry = null;
+        this.state = Patches.apply(this.state, entry.patches, 'before');
+        this.notifyListeners();
+        this.persistState();
+        return entry;
     },
 
     /**
      * Redo last undone change
-     * @returns {boolean} Whether redo was successful
+     * @returns {Object|null} Redone history entry
      */
     redo() {
-        if (this.historyIndex < this.history.length - 1) {
+        if (!this.canRedo()) return null;
+
+        this.historyIndex++;
+        const entry = this.history[this.historyIndex];
+        this.lastEntry = null;
+        this.state = Patches.apply(this.state, entry.patches, 'after');
+        this.notifyListeners();
+        this.persistState();
+        return entry;
+    },
+
+    /**
+     * Undo or redo to a point in history
+     * @param {number} index - Index of the last applied entry (-1 for none)
+     */
+    jumpToHistory(index) {
+        if (index < -1 || index >= this.history.length || index === this.historyIndex) return;
+
+        let state = this.state;
+        while (this.historyIndex > index) {
+            state = Patches.apply(state, this.history[this.historyIndex].patches, 'before');
+            this.historyIndex--;
+        }
+        while (this.historyIndex < index) {
             this.historyIndex++;
-            this.state = Helpers.deepClone(this.history[this.historyIndex]);
-            this.notifyListeners();
-            this.persistState();
-            return true;
+            state = Patches.apply(state, this.history[this.historyIndex].patches, 'after');
+        }
+
+        this.state = state;
+        this.lastEntry = null;
+        this.notifyListeners();
+        this.persistState();
+    },
+
+    /**
+     * Read a snapshot's content the way restoring it does: upgraded to the
+     * current format and repaired where needed
+     * @param {Object} snapshot - Snapshot {name, state}
+     * @returns {Object} {state, repairs, problems, errors}; state is null
+     *     when the snapshot's format is not supported
+     */
+    readSnapshot(snapshot) {
+        const { state: migrated, errors } = Migrations.migrateState(snapshot.state);
+        if (!migrated) return { state: null, repairs: [], problems: [], errors };
+
+        const integrity = Integrity.check({
+            ...this.getDefaultState(),
+            ...migrated,
+            projectName: this.state.projectName,
+            currentView: this.state.currentView,
+            selectedElement: null,
+            selection: []
+        });
+        return { ...integrity, errors };
+    },
+
+    /**
+     * Replace the project content with a snapshot, as one undoable change
+     * @param {Object} snapshot - Snapshot {name, state}
+     * @returns {boolean} Whether the snapshot was restored
+     */
+    restoreSnapshot(snapshot) {
+        const integrity = this.readSnapshot(snapshot);
+        if (!integrity.state) {
+            Modal.alertList(
+                'Snapshot Cannot Be Restored',
+                `"${snapshot.name}" was saved in a format this version of LandCraft does not support:`,
+                integrity.errors
+            );
+            return false;
         }
-        return false;
+
+        this.setState(integrity.state, `Restore snapshot "${snapshot.name}"`);
+        Integrity.report(integrity, `Snapshot "${snapshot.name}"`);
+        return true;
     },
 
     /**
@@ -225,7 +483,7 @@ const AppState = {
      * @returns {boolean}
      */
     canUndo() {
-        return this.historyIndex > 0;
+        return this.historyIndex >= 0;
     },
 
     /**
@@ -237,135 +495,413 @@ const AppState = {
     },
 
     /**
-     * Persist state to localStorage
+     * Persist state of the open project
+     * Writes are queued; while one is in flight only the latest state is kept.
+     * @returns {Promise<boolean>} Whether the last write succeeded
      */
     persistState() {
-        Helpers.storage.set('landcraft_state', this.state);
+        this.pendingSave = {
+            projectId: this.projectId,
+            state: this.state,
+            history: {
+                schemaVersion: this.state.schemaVersion,
+                history: this.history,
+                historyIndex: this.historyIndex
+            }
+        };
+        if (!this.saving) {
+            this.saving = this.flushSaves();
+        }
+        return this.saving;
+    },
+
+    /**
+     * Write queued states until none are left
+     * @returns {Promise<boolean>} Whether the last write succeeded
+     */
+    async flushSaves() {
+        let success = true;
+
+        while (this.pendingSave) {
+            const { projectId, state, history } = this.pendingSave;
+            this.pendingSave = null;
+
+            try {
+                const baseRevision = projectId === this.projectId ? this.revision : null;
+                await ProjectLibrary.save(projectId, state, baseRevision);
+                await ProjectLibrary.saveHistory(projectId, history);
+                if (projectId === this.projectId) {
+                    this.revision = ProjectLibrary.getRevision(projectId);
+                }
+                success = true;
+                this.notifyPersistListeners(null);
+            } catch (error) {
+                console.error('Error saving project:', error);
+                success = false;
+                this.notifyPersistListeners(error);
+            }
+        }
+
+        this.saving = null;
+        return success;
+    },
+
+    /**
+     * Subscribe to persistence results
+     * @param {Function} listener - Called with an error, or null on success
+     * @returns {Function} Unsubscribe function
+     */
+    onPersist(listener) {
+        this.persistListeners.add(listener);
+        return () => this.persistListeners.delete(listener);
     },
 
     /**
-     * Clear persisted state
+     * Notify persistence listeners
+     * @param {Error|null} error - Write error
      */
-    clearPersisted() {
-        Helpers.storage.remove('landcraft_state');
+    notifyPersistListeners(error) {
+        this.persistListeners.forEach(listener => {
+            try {
+                listener(error);
+            } catch (err) {
+                console.error('Persist listener error:', err);
+            }
+        });
     },
 
     /**
-     * Reset state to defaults
+     * Reset the open project to defaults
      */
     reset() {
-        this.clearPersisted();
         this.state = {
-            projectName: 'Untitled Project',
-            currentStep: 0,
-            selectedElement: null,
-            currentView: 'builder',
-            header: {
-                image: { url: null, height: 300 },
-                title: {
-                    text: 'Welcome to Our Page',
-                    fontFamily: 'Plus Jakarta Sans',
-                    fontSize: 32,
-                    color: '#1e293b',
-                    bold: false,
-                    italic: false,
-                    underline: false,
-                    align: 'center'
-                },
-                description: {
-                    html: '<p>Fill out the form below to get started.</p>',
-                    text: 'Fill out the form below to get started.',
-                    fontSize: 16,
-                    color: '#64748b'
-                }
-            },
-            steps: [{ id: 'step_0', name: 'Welcome', fields: [] }],
-            settings: {
-                webhookUrl: '',
-                submitButtonText: 'Submit',
-                successMessage: 'Thank you! Your response has been recorded.',
-                showProgressBar: true,
-                theme: 'light'
-            }
+            ...this.getDefaultState(),
+            projectName: this.state.projectName
         };
-        this.history = [];
-        this.historyIndex = -1;
-        this.saveToHistory();
+        this.clearHistory();
         this.notifyListeners();
+        this.persistState();
     },
 
     // =====================================
-    // STEP MANAGEMENT
+    // PROJECT MANAGEMENT
     // =====================================
 
     /**
-     * Add a new step
-     * @param {string} name - Step name
-     * @returns {Object} New step
+     * Open a project from the library
+     * @param {string} projectId - Project ID
+     * @returns {Promise<boolean>} Whether the project was opened
      */
-    addStep(name = '') {
-        const newStep = {
-            id: Helpers.generateId('step'),
-            name: name || `Step ${this.state.steps.length + 1}`,
-            fields: []
-        };
-        
-        const steps = [...this.state.steps, newStep];
-        this.setState({ steps });
-        
-        return newStep;
+    async openProject(projectId) {
+        // Finish writing the project being left before switching
+        if (this.saving) await this.saving;
+
+        const saved = await ProjectLibrary.load(projectId);
+        if (!saved) return false;
+
+        const { state: migrated, errors } = Migrations.migrateState(saved);
+        if (!migrated) {
+            Modal.alertList(
+                'Project Cannot Be Opened',
+                `"${saved.projectName || 'This project'}" was saved in a format this version of LandCraft does not support:`,
+                errors
+            );
+            return false;
+        }
+
+        // Keep the undo stack of the project being left
+        if (this.projectId) {
+            this.projectHistories.set(this.projectId, {
+                history: this.history,
+                historyIndex: this.historyIndex
+            });
+            this.lastEntry = null;
+        }
+
+        const integrity = Integrity.check({ ...this.getDefaultState(), ...migrated });
+
+        this.projectId = projectId;
+        this.revision = ProjectLibrary.getRevision(projectId);
+        this.state = integrity.state;
+        ProjectLibrary.setActiveId(projectId);
+
+        const stashed = this.projectHistories.get(projectId) || await this.loadHistory(projectId);
+        if (stashed) {
+            this.history = stashed.history;
+            this.historyIndex = stashed.historyIndex;
+        } else {
+            this.clearHistory();
+        }
+
+        this.notifyListeners();
+
+        // Save repairs so they are reported once; problems alone were reported on import
+        if (integrity.repairs.length > 0) {
+            this.persistState();
+            Integrity.report(integrity, `"${this.state.projectName}"`);
+        }
+        return true;
     },
 
     /**
-     * Update step properties
-     * @param {number} stepIndex - Step index
-     * @param {Object} updates - Step updates
+     * Load the undo stack saved with a project
+     * Stacks saved before a schema upgrade no longer match the state's shape.
+     * @param {string} projectId - Project ID
+     * @returns {Promise<Object|null>} {history, historyIndex}
      */
-    updateStep(stepIndex, updates) {
-        const steps = Helpers.deepClone(this.state.steps);
-        if (steps[stepIndex]) {
-            steps[stepIndex] = { ...steps[stepIndex], ...updates };
-            this.setState({ steps });
+    async loadHistory(projectId) {
+        try {
+            const saved = await ProjectLibrary.loadHistory(projectId);
+            if (!saved || saved.schemaVersion !== this.state.schemaVersion ||
+                !Array.isArray(saved.history) || saved.historyIndex >= saved.history.length) {
+                return null;
+            }
+            return { history: saved.history, historyIndex: saved.historyIndex };
+        } catch (error) {
+            console.error('Error loading history:', error);
+            return null;
         }
     },
 
     /**
-     * Delete a step
-     * @param {number} stepIndex - Step index to delete
+     * Pick up changes another tab saved to the open project
+     * Skipped while this tab is writing; that write will report a conflict.
+     * @returns {Promise<boolean>} Whether the state changed
      */
-    deleteStep(stepIndex) {
-        if (this.state.steps.length <= 1) return; // Keep at least one step
-        
-        const steps = this.state.steps.filter((_, i) => i !== stepIndex);
-        let currentStep = this.state.currentStep;
-        
-        if (currentStep >= steps.length) {
-            currentStep = steps.length - 1;
-        }
-        
-        this.setState({ steps, currentStep });
+    async syncFromStorage() {
+        if (this.saving || !this.projectId) return false;
+
+        await ProjectLibrary.refresh();
+        if (ProjectLibrary.getRevision(this.projectId) === this.revision) return false;
+
+        return this.reloadProject('Changes from another tab');
     },
 
     /**
-     * Reorder steps
-     * @param {number} fromIndex - Source index
-     * @param {number} toIndex - Destination index
+     * Replace the open project's state with its saved version
+     * The replaced state stays reachable through undo.
+     * @param {string} label - History label
+     * @returns {Promise<boolean>} Whether the project was reloaded
      */
-    reorderSteps(fromIndex, toIndex) {
-        const steps = [...this.state.steps];
-        const [removed] = steps.splice(fromIndex, 1);
-        steps.splice(toIndex, 0, removed);
-        this.setState({ steps });
+    async reloadProject(label) {
+        if (this.saving) await this.saving;
+
+        const saved = await ProjectLibrary.load(this.projectId);
+        if (!saved) return false;
+
+        const { state: migrated } = Migrations.migrateState(saved);
+        if (!migrated) return false;
+
+        this.revision = ProjectLibrary.getRevision(this.projectId);
+        return this.replaceContent(migrated, label);
     },
 
     /**
-     * Set current step
-     * @param {number} index - Step index
+     * Apply content edited elsewhere (e.g. by collaborators) and save it
+     * @param {Object} content - Shared content of the state
+     * @param {string} label - History label
+     * @returns {boolean} Whether the content was applied
      */
-    setCurrentStep(index) {
-        if (index >= 0 && index < this.state.steps.length) {
-            this.setState({ currentStep: index });
-        }
+    applyExternalState(content, label) {
+        if (!this.replaceContent(content, label)) return false;
+
+        this.persistState();
+        return true;
+    },
+
+    /**
+     * Replace the shared content of the state, keeping this tab's view
+     * The change is one history entry, separate from local edits; repeated
+     * changes with the same label are merged like typing. Content without
+     * steps is only part of a project and is refused rather than saved.
+     * @param {Object} content - New content
+     * @param {string} label - History label
+     * @returns {boolean} Whether the content was applied
+     */
+    replaceContent(content, label) {
+        if (!Array.isArray(content.steps) || content.steps.length === 0) return false;
+
+        const { state: checked } = Integrity.check({ ...this.getDefaultState(), ...content });
+        const previous = this.state;
+        const steps = checked.steps;
+        const selected = previous.selectedElement;
+        const fieldExists = id => steps.some(step => step.fields.some(f => f.id === id));
+        const selectionExists = ['header', 'title', 'description'].includes(selected) || fieldExists(selected);
+        this.state = Patches.share(previous, {
+            ...checked,
+            schemaVersion: previous.schemaVersion,
+            currentView: previous.currentView,
+            currentStep: Math.min(previous.currentStep, Math.max(steps.length - 1, 0)),
+            selectedElement: selectionExists ? selected : null,
+            selection: selectionExists ? (previous.selection || []).filter(fieldExists) : []
+        });
+
+        const last = this.history[this.historyIndex];
+        this.lastEntry = last && last === this.lastExternalEntry && last.label === label ? last : null;
+        this.saveToHistory(previous, label);
+        this.lastExternalEntry = this.lastEntry;
+        this.lastEntry = null;
+        this.notifyListeners();
+        return true;
+    },
+
+    /**
+     * Resolve a save conflict by overwriting the other tab's version
+     * @returns {Promise<boolean>} Whether the write succeeded
+     */
+    keepLocalChanges() {
+        this.revision = ProjectLibrary.getRevision(this.projectId);
+        return this.persistState();
+    },
+
+    /**
+     * Create and open a new project
+     * @param {string} name - Project name
+     * @param {Object} content - Starting header, steps and settings, e.g. read from a template (defaults if omitted)
+     * @returns {Promise<Object>} Project metadata
+     */
+    async newProject(name = '', content = null) {
+        const project = await ProjectLibrary.create(name, content && { ...this.getDefaultState(), ...content });
+        await this.openProject(project.id);
+        return project;
+    },
+
+    /**
+     * Delete a project, opening another one if it was open
+     * @param {string} projectId - Project ID
+     */
+    async deleteProject(projectId) {
+        if (this.saving) await this.saving;
+
+        await ProjectLibrary.remove(projectId);
+        this.projectHistories.delete(projectId);
+
+        if (projectId === this.projectId) {
+            this.projectId = null;
+            const next = ProjectLibrary.list()[0] || await ProjectLibrary.create();
+            await this.openProject(next.id);
+        }
+    },
+
+    // =====================================
+    // STEP MANAGEMENT
+    // =====================================
+
+    /**
+     * Add a new step
+     * @param {string} name - Step name
+     * @returns {Object} New step
+     */
+    addStep(name = '') {
+        const newStep = {
+            id: Helpers.generateId('step'),
+            name: name || `Step ${this.state.steps.length + 1}`,
+            fields: [],
+            skipLogic: { enabled: false },
+            branches: []
+        };
+        
+        const steps = [...this.state.steps, newStep];
+        this.setState({ steps }, `Add step "${newStep.name}"`);
+        
+        return newStep;
+    },
+
+    /**
+     * Update step properties
+     * @param {number} stepIndex - Step index
+     * @param {Object} updates - Step updates
+     */
+    updateStep(stepIndex, updates) {
+        const steps = Helpers.deepClone(this.state.steps);
+        if (steps[stepIndex]) {
+            const name = steps[stepIndex].name;
+            steps[stepIndex] = { ...steps[stepIndex], ...updates };
+
+            let label = `Edit step "${name}"`;
+            if ('name' in updates) label = `Rename step "${name}"`;
+            else if ('skipLogic' in updates) label = `Change skip rule of "${name}"`;
+            else if ('branches' in updates) label = `Change branching of "${name}"`;
+            this.setState({ steps }, label);
+        }
+    },
+
+    /**
+     * Check whether a step has skip or branch rules
+     * @param {Object} step - Step
+     * @returns {boolean}
+     */
+    hasStepLogic(step) {
+        return Boolean(step.skipLogic?.enabled) || (step.branches || []).length > 0;
+    },
+
+    /**
+     * Get fields that a step's skip and branch rules can depend on
+     * A step is skipped before anything on it is filled in, so its skip rule
+     * only uses earlier steps. Fields inside groups have a value per item and
+     * are left out.
+     * @param {number} stepIndex - Step index
+     * @param {boolean} includeOwn - Include the step's own fields (for branches)
+     * @returns {Array<Object>} Fields usable in step rules
+     */
+    getFieldsForStepRules(stepIndex, includeOwn = true) {
+        const steps = this.state.steps.slice(0, includeOwn ? stepIndex + 1 : stepIndex);
+        const fieldIds = steps.flatMap(step => step.fields.map(field => field.id));
+        return this.getFieldsForConditions().filter(field => fieldIds.includes(field.id));
+    },
+
+    /**
+     * Delete a step
+     * Conditions of other steps' fields that depend on its fields are
+     * resolved in the same history entry (see resolveDependents), and
+     * branches that go to the step are removed.
+     * @param {number} stepIndex - Step index to delete
+     * @param {Object} resolution - {action: 'clear'|'retarget', fieldId}
+     */
+    deleteStep(stepIndex, resolution = { action: 'clear' }) {
+        if (this.state.steps.length <= 1) return; // Keep at least one step
+        
+        const fieldIds = (this.state.steps[stepIndex]?.fields || []).map(f => f.id);
+        const stepId = this.state.steps[stepIndex]?.id;
+
+        this.transaction(`Delete step ${stepIndex + 1}`, () => {
+            this.resolveDependents(fieldIds, resolution);
+
+            const steps = this.state.steps
+                .filter((_, i) => i !== stepIndex)
+                .map(step => (step.branches || []).some(branch => branch.goTo === stepId)
+                    ? { ...step, branches: step.branches.filter(branch => branch.goTo !== stepId) }
+                    : step);
+            let currentStep = this.state.currentStep;
+            
+            if (currentStep >= steps.length) {
+                currentStep = steps.length - 1;
+            }
+            
+            this.setState({ steps, currentStep });
+        });
+    },
+
+    /**
+     * Reorder steps
+     * @param {number} fromIndex - Source index
+     * @param {number} toIndex - Destination index
+     */
+    reorderSteps(fromIndex, toIndex) {
+        const steps = [...this.state.steps];
+        const [removed] = steps.splice(fromIndex, 1);
+        steps.splice(toIndex, 0, removed);
+        this.setState({ steps }, `Move step "${removed.name}"`);
+    },
+
+    /**
+     * Set current step
+     * @param {number} index - Step index
+     */
+    setCurrentStep(index) {
+        if (index >= 0 && index < this.state.steps.length) {
+            this.setState({ currentStep: index }, `Go to step ${index + 1}`);
+        }
     },
 
     /**
@@ -381,192 +917,877 @@ const AppState = {
     // =====================================
 
     /**
-     * Add field to current step
-     * @param {string} type - Field type
-     * @param {Object} config - Field configuration
-     * @returns {Object} New field
+     * Add field to current step
+     * @param {string} type - Field type
+     * @param {Object} config - Field configuration
+     * @returns {Object} New field
+     */
+    addField(type, config = {}) {
+        const fieldDefaults = this.getFieldDefaults(type);
+        const newField = {
+            id: Helpers.generateId('field'),
+            type,
+            ...fieldDefaults,
+            ...config
+        };
+        newField.key = this.getUniqueFieldKey(newField.key || newField.label);
+        
+        const steps = Helpers.deepClone(this.state.steps);
+        steps[this.state.currentStep].fields.push(newField);
+        this.setState({ steps, selectedElement: newField.id, selection: [newField.id] }, `Add field '${newField.label}'`);
+        
+        return newField;
+    },
+
+    /**
+     * Add field at specific index
+     * @param {string} type - Field type
+     * @param {number} index - Index to insert at
+     * @param {Object} config - Field configuration
+     * @returns {Object} New field
+     */
+    addFieldAt(type, index, config = {}) {
+        const fieldDefaults = this.getFieldDefaults(type);
+        const newField = {
+            id: Helpers.generateId('field'),
+            type,
+            ...fieldDefaults,
+            ...config
+        };
+        newField.key = this.getUniqueFieldKey(newField.key || newField.label);
+        
+        const steps = Helpers.deepClone(this.state.steps);
+        steps[this.state.currentStep].fields.splice(index, 0, newField);
+        this.setState({ steps, selectedElement: newField.id, selection: [newField.id] }, `Add field '${newField.label}'`);
+        
+        return newField;
+    },
+
+    /**
+     * Add a field inside a group
+     * @param {string} groupId - Group field ID
+     * @param {string} type - Field type (not a group)
+     * @param {number|null} index - Position in the group (null for the end)
+     * @param {Object} config - Field configuration
+     * @returns {Object|null} New field, null if it cannot go in the group
+     */
+    addFieldToGroup(groupId, type, index = null, config = {}) {
+        const steps = Helpers.deepClone(this.state.steps);
+        const location = this.locateField(steps, groupId);
+        const group = location?.list[location.index];
+        if (!this.isGroup(group) || type === 'group') return null;
+
+        const newField = {
+            id: Helpers.generateId('field'),
+            type,
+            ...this.getFieldDefaults(type),
+            ...config
+        };
+        newField.key = this.getUniqueFieldKey(newField.key || newField.label);
+
+        group.fields.splice(index === null ? group.fields.length : index, 0, newField);
+        this.setState({ steps, selectedElement: newField.id, selection: [newField.id] }, `Add field '${newField.label}' to '${group.label || 'Group'}'`);
+
+        return newField;
+    },
+
+    /**
+     * Get default configuration for field type
+     * @param {string} type - Field type
+     * @returns {Object} Default configuration
+     */
+    getFieldDefaults(type) {
+        const defaults = {
+            text: {
+                label: 'Text Field',
+                placeholder: 'Enter text...',
+                required: false,
+                validation: {},
+                conditionalLogic: { enabled: false }
+            },
+            number: {
+                label: 'Number Field',
+                placeholder: 'Enter number...',
+                required: false,
+                validation: {},
+                conditionalLogic: { enabled: false }
+            },
+            email: {
+                label: 'Email Address',
+                placeholder: 'Enter your email...',
+                required: false,
+                validation: { email: true },
+                conditionalLogic: { enabled: false }
+            },
+            mobile: {
+                label: 'Mobile Number',
+                placeholder: 'Enter 10-digit mobile number...',
+                required: false,
+                validation: { mobile: true, maxLength: 10 },
+                conditionalLogic: { enabled: false }
+            },
+            phone: {
+                label: 'Phone Number',
+                placeholder: '',
+                required: false,
+                country: '',
+                validation: {},
+                conditionalLogic: { enabled: false }
+            },
+            address: {
+                label: 'Address',
+                required: false,
+                country: '',
+                validation: {},
+                conditionalLogic: { enabled: false }
+            },
+            textarea: {
+                label: 'Long Text',
+                placeholder: 'Enter your message...',
+                required: false,
+                validation: {},
+                conditionalLogic: { enabled: false }
+            },
+            dropdown: {
+                label: 'Select Option',
+                placeholder: 'Choose an option...',
+                required: false,
+                options: [
+                    { value: 'option1', label: 'Option 1' },
+                    { value: 'option2', label: 'Option 2' },
+                    { value: 'option3', label: 'Option 3' }
+                ],
+                validation: {},
+                conditionalLogic: { enabled: false }
+            },
+            radio: {
+                label: 'Choose One',
+                required: false,
+                options: [
+                    { value: 'option1', label: 'Option 1' },
+                    { value: 'option2', label: 'Option 2' }
+                ],
+                validation: {},
+                conditionalLogic: { enabled: false }
+            },
+            checkbox: {
+                label: 'Select Multiple',
+                required: false,
+                options: [
+                    { value: 'option1', label: 'Option 1' },
+                    { value: 'option2', label: 'Option 2' }
+                ],
+                validation: {},
+                conditionalLogic: { enabled: false }
+            },
+            date: {
+                label: 'Date',
+                placeholder: 'Select date...',
+                required: false,
+                validation: {},
+                conditionalLogic: { enabled: false }
+            },
+            file: {
+                label: 'Upload File',
+                required: false,
+                accept: '*/*',
+                maxSize: '10MB',
+                validation: {},
+                conditionalLogic: { enabled: false }
+            },
+            hidden: {
+                label: 'UTM Source',
+                required: false,
+                source: 'query',
+                param: 'utm_source',
+                value: '',
+                validation: {},
+                conditionalLogic: { enabled: false }
+            },
+            signature: {
+                label: 'Signature',
+                required: true,
+                validation: {},
+                conditionalLogic: { enabled: false }
+            },
+            rating: {
+                label: 'Rating',
+                required: false,
+                scaleMin: 1,
+                scaleMax: 5,
+                minLabel: '',
+                maxLabel: '',
+                icon: 'star',
+                validation: {},
+                conditionalLogic: { enabled: false }
+            },
+            nps: {
+                label: 'How likely are you to recommend us to a friend?',
+                required: false,
+                scaleMin: 0,
+                scaleMax: 10,
+                minLabel: 'Not at all likely',
+                maxLabel: 'Extremely likely',
+                icon: 'number',
+                validation: {},
+                conditionalLogic: { enabled: false }
+            },
+            scale: {
+                label: 'How much do you agree?',
+                required: false,
+                scaleMin: 1,
+                scaleMax: 5,
+                minLabel: 'Strongly disagree',
+                maxLabel: 'Strongly agree',
+                icon: 'number',
+                validation: {},
+                conditionalLogic: { enabled: false }
+            },
+            group: {
+                label: 'Group',
+                fields: [],
+                repeatable: true,
+                minItems: 1,
+                maxItems: 5,
+                addLabel: 'Add another',
+                validation: {},
+                conditionalLogic: { enabled: false }
+            },
+            header: {
+                type: 'header'
+            },
+            title: {
+                type: 'title'
+            },
+            description: {
+                type: 'description'
+            },
+            submit: {
+                label: 'Submit',
+                type: 'submit'
+            }
+        };
+
+        return defaults[type] || defaults.text;
+    },
+
+    /**
+     * Get the supported form field types
+     * @returns {Array<string>} Field types
+     */
+    getFieldTypes() {
+        return ['text', 'number', 'email', 'mobile', 'phone', 'address', 'textarea', 'dropdown', 'radio', 'checkbox', 'date', 'file', 'signature', 'hidden', 'rating', 'nps', 'scale', 'group'];
+    },
+
+    /**
+     * Check if a field is answered by picking a point on a numeric scale
+     * (rating, NPS or linear scale)
+     * @param {Object} field - Field
+     * @returns {boolean}
+     */
+    isScale(field) {
+        return ['rating', 'nps', 'scale'].includes(field?.type);
+    },
+
+    /**
+     * Check if a field key is a usable slug (lowercase letters, digits and single dashes)
+     * @param {string} key - Field key
+     * @returns {boolean}
+     */
+    isValidFieldKey(key) {
+        return typeof key === 'string' && key !== '' && key === Helpers.slugify(key);
+    },
+
+    /**
+     * Get the keys used by the project's fields
+     * @param {string} excludeFieldId - Field whose key is left out
+     * @returns {Set<string>} Field keys
+     */
+    getFieldKeys(excludeFieldId = null) {
+        return new Set(this.getAllFields()
+            .filter(f => f.id !== excludeFieldId && f.key)
+            .map(f => f.key));
+    },
+
+    /**
+     * Turn a wanted key or label into a key no other field uses
+     * Taken keys get a number, e.g. "email-2".
+     * @param {string} wanted - Wanted key or label
+     * @param {Set<string>} taken - Keys in use (the project's by default)
+     * @returns {string} Field key
+     */
+    getUniqueFieldKey(wanted, taken = this.getFieldKeys()) {
+        const base = Helpers.slugify(String(wanted || '')) || 'field';
+        let key = base;
+        for (let n = 2; taken.has(key); n++) {
+            key = `${base}-${n}`;
+        }
+        return key;
+    },
+
+    /**
+     * Give fields (and group children) whose key is missing, invalid or
+     * already taken a unique one, in place
+     * @param {Array<Object>} fields - Fields
+     * @param {Set<string>} taken - Keys in use; the assigned keys are added
+     * @returns {Array<Object>} Fields that got a new key
+     */
+    assignFieldKeys(fields, taken) {
+        const changed = [];
+        this.flattenFields(fields).forEach(field => {
+            if (!this.isValidFieldKey(field.key) || taken.has(field.key)) {
+                field.key = this.getUniqueFieldKey(field.key || field.label || field.type, taken);
+                changed.push(field);
+            }
+            taken.add(field.key);
+        });
+        return changed;
+    },
+
+    /**
+     * Check if a field is a group holding other fields
+     * @param {Object} field - Field
+     * @returns {boolean}
+     */
+    isGroup(field) {
+        return field?.type === 'group';
+    },
+
+    /**
+     * List fields followed by the fields inside them (groups hold one level)
+     * @param {Array<Object>} fields - Fields
+     * @returns {Array<Object>} Fields and group children
+     */
+    flattenFields(fields) {
+        return fields.flatMap(field => Array.isArray(field.fields) ? [field, ...field.fields] : [field]);
+    },
+
+    /**
+     * Find the list a field is in, looking inside groups
+     * @param {Array<Object>} steps - Steps to search (e.g. a clone being edited)
+     * @param {string} fieldId - Field ID
+     * @returns {Object|null} {step, list, index, group} - group is null at step level
+     */
+    locateField(steps, fieldId) {
+        for (const step of steps) {
+            const lists = [
+                { list: step.fields, group: null },
+                ...step.fields.filter(f => Array.isArray(f.fields)).map(f => ({ list: f.fields, group: f }))
+            ];
+            for (const { list, group } of lists) {
+                const index = list.findIndex(f => f.id === fieldId);
+                if (index !== -1) return { step, list, index, group };
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Get the group a field is in
+     * @param {string} fieldId - Field ID
+     * @returns {Object|null} Group field, null at step level
+     */
+    getGroupOf(fieldId) {
+        return this.locateField(this.state.steps, fieldId)?.group || null;
+    },
+
+    /**
+     * Add the IDs of the fields inside any of the given groups
+     * @param {Array<string>} fieldIds - Field IDs
+     * @returns {Array<string>} Field IDs including group children
+     */
+    withGroupChildren(fieldIds) {
+        const children = fieldIds
+            .map(id => this.getField(id))
+            .filter(field => Array.isArray(field?.fields))
+            .flatMap(group => group.fields.map(f => f.id));
+        return [...new Set([...fieldIds, ...children])];
+    },
+
+    /**
+     * Leave out fields whose group is also in the list
+     * They come along with the group when it is copied or moved.
+     * @param {Array<Object>} fields - Fields
+     * @returns {Array<Object>} Fields
+     */
+    withoutGroupChildren(fields) {
+        const inGroups = new Set(fields.filter(f => Array.isArray(f.fields)).flatMap(f => f.fields.map(c => c.id)));
+        return fields.filter(f => !inGroups.has(f.id));
+    },
+
+    /**
+     * Update field properties
+     * @param {string} fieldId - Field ID
+     * @param {Object} updates - Field updates
+     */
+    updateField(fieldId, updates) {
+        const steps = Helpers.deepClone(this.state.steps);
+        const location = this.locateField(steps, fieldId);
+        if (!location) return;
+
+        const field = location.list[location.index];
+        location.list[location.index] = { ...field, ...updates };
+        this.setState({ steps }, this.describeFieldUpdate(field, updates));
+    },
+
+    /**
+     * Describe a field update for the history
+     * @param {Object} field - Field before the update
+     * @param {Object} updates - Field updates
+     * @returns {string} History label
+     */
+    describeFieldUpdate(field, updates) {
+        const name = field.label || field.type;
+        // A key that follows the label changes with it
+        const keys = Object.keys(updates).filter(key => key !== 'key' || !('label' in updates));
+
+        if (keys.length === 1) {
+            const descriptions = {
+                label: 'Rename field',
+                key: 'Change key of',
+                placeholder: 'Edit placeholder of',
+                required: 'Toggle required on',
+                options: 'Edit options of',
+                repeatable: 'Toggle repeating on',
+                country: 'Change country of',
+                source: 'Change source of',
+                validation: 'Edit validation of',
+                conditionalLogic: 'Edit conditions of'
+            };
+            if (descriptions[keys[0]]) return `${descriptions[keys[0]]} '${name}'`;
+        }
+
+        return `Edit field '${name}'`;
+    },
+
+    /**
+     * Delete field
+     * Conditions that depend on it are resolved in the same history entry.
+     * @param {string} fieldId - Field ID to delete
+     * @param {Object} resolution - {action: 'clear'|'retarget', fieldId}
+     */
+    deleteField(fieldId, resolution = { action: 'clear' }) {
+        const field = this.getField(fieldId);
+        if (!field) return;
+
+        this.deleteFields([fieldId], resolution, `Delete field '${field.label || field.type}'`);
+    },
+
+    /**
+     * Delete several fields as one history entry
+     * @param {Array<string>} fieldIds - Field IDs to delete
+     * @param {Object} resolution - {action: 'clear'|'retarget', fieldId} for dependent conditions
+     * @param {string} label - History label
+     */
+    deleteFields(fieldIds, resolution = { action: 'clear' }, label = `Delete ${fieldIds.length} fields`) {
+        this.transaction(label, () => {
+            this.resolveDependents(fieldIds, resolution);
+
+            const steps = Helpers.deepClone(this.state.steps);
+            steps.forEach(step => {
+                step.fields = step.fields.filter(f => !fieldIds.includes(f.id));
+                step.fields.filter(f => Array.isArray(f.fields)).forEach(group => {
+                    group.fields = group.fields.filter(f => !fieldIds.includes(f.id));
+                });
+            });
+            this.setState({ steps, selectedElement: null, selection: [] });
+        });
+    },
+
+    /**
+     * Apply the same updates to several fields as one history entry
+     * @param {Array<string>} fieldIds - Field IDs
+     * @param {Object} updates - Field updates
+     * @param {string} label - History label
+     */
+    updateFields(fieldIds, updates, label = `Edit ${fieldIds.length} fields`) {
+        this.transaction(label, () => {
+            fieldIds.forEach(fieldId => this.updateField(fieldId, updates));
+        });
+    },
+
+    /**
+     * Duplicate several fields, each copy placed after its original
+     * Conditions between the duplicated fields are pointed at the copies,
+     * so a duplicated group keeps working on its own. The copies are selected.
+     * @param {Array<string>} fieldIds - Field IDs
+     * @returns {Array<Object>} Copies
+     */
+    duplicateFields(fieldIds) {
+        const steps = Helpers.deepClone(this.state.steps);
+        const originals = this.withoutGroupChildren(this.getAllFields().filter(f => fieldIds.includes(f.id)));
+        const clones = this.cloneFields(originals);
+        const copies = [];
+
+        const duplicateIn = (fields) => fields.flatMap(field => {
+            if (Array.isArray(field.fields)) {
+                field.fields = duplicateIn(field.fields);
+            }
+
+            const index = originals.findIndex(f => f.id === field.id);
+            if (index === -1) return [field];
+
+            const copy = { ...clones[index], label: `${field.label || field.type} (Copy)` };
+            copies.push(copy);
+            return [field, copy];
+        });
+        steps.forEach(step => {
+            step.fields = duplicateIn(step.fields);
+        });
+
+        const selection = copies.map(copy => copy.id);
+        this.setState({
+            steps,
+            selection,
+            selectedElement: selection[selection.length - 1] ?? null
+        }, `Duplicate ${copies.length} field${copies.length === 1 ? '' : 's'}`);
+        return copies;
+    },
+
+    /**
+     * Copy fields with new IDs
+     * Conditions between the copied fields point at the copies. Conditions on
+     * fields that are neither copied nor in this project are turned off.
+     * Group children are copied with their group.
+     * @param {Array<Object>} fields - Fields to copy (not modified)
+     * @param {Map<string, string>} copyIds - Filled with the ID of each field's copy
+     * @returns {Array<Object>} Copies, in the same order
+     */
+    cloneFields(fields, copyIds = new Map()) {
+        this.flattenFields(fields).forEach(field => copyIds.set(field.id, Helpers.generateId('field')));
+
+        const clone = (field) => {
+            const copy = { ...Helpers.deepClone(field), id: copyIds.get(field.id) };
+            if (Array.isArray(field.fields)) {
+                copy.fields = field.fields.map(clone);
+            }
+
+            const condition = copy.conditionalLogic;
+
+            if (condition?.enabled) {
+                if (copyIds.has(condition.field)) {
+                    condition.field = copyIds.get(condition.field);
+                } else if (!this.getField(condition.field)) {
+                    copy.conditionalLogic = { ...condition, enabled: false, field: '' };
+                }
+            }
+            return copy;
+        };
+
+        // Copies keep their keys where they are free in this project
+        const copies = fields.map(clone);
+        this.assignFieldKeys(copies, this.getFieldKeys());
+        return copies;
+    },
+
+    /**
+     * Paste fields into the current step
+     * Without a position they go after the selected field, or at the end.
+     * @param {Array<Object>} fields - Copied fields
+     * @param {number|null} index - Position in the current step
+     * @returns {Array<Object>} Pasted fields
+     */
+    pasteFields(fields, index = null) {
+        const copies = this.cloneFields(fields);
+        const steps = Helpers.deepClone(this.state.steps);
+        const step = steps[this.state.currentStep];
+
+        if (index === null) {
+            const selection = this.getSelection();
+            const isSelected = field => selection.includes(field.id) || (field.fields || []).some(f => selection.includes(f.id));
+            const selected = step.fields.reduce((last, field, i) => isSelected(field) ? i : last, -1);
+            index = selected === -1 ? step.fields.length : selected + 1;
+        }
+        step.fields.splice(Math.max(0, Math.min(index, step.fields.length)), 0, ...copies);
+
+        const pasted = copies.map(copy => copy.id);
+        this.setState({
+            steps,
+            selection: pasted,
+            selectedElement: pasted[pasted.length - 1] ?? null
+        }, `Paste ${copies.length} field${copies.length === 1 ? '' : 's'}`);
+        return copies;
+    },
+
+    /**
+     * Paste steps after the current step and switch to the first of them
+     * Fields are copied together so conditions across the pasted steps stay connected.
+     * Skip rules and branches follow the copies too; rules on a field or step
+     * that is neither pasted nor in this project, or branches that would go
+     * back, are cleared.
+     * @param {Array<Object>} pastedSteps - Copied steps ({id, name, fields, skipLogic, branches})
+     * @returns {Object} {steps, cleared} - pasted steps and descriptions of cleared rules
+     */
+    pasteSteps(pastedSteps) {
+        const copyIds = new Map();
+        const copies = this.cloneFields(pastedSteps.flatMap(step => step.fields), copyIds);
+        const stepIds = new Map();
+        let offset = 0;
+        const newSteps = pastedSteps.map((step, i) => {
+            const fields = copies.slice(offset, offset + step.fields.length);
+            offset += step.fields.length;
+            const id = Helpers.generateId('step');
+            if (step.id) stepIds.set(step.id, id);
+            return {
+                id,
+                name: step.name || `Step ${this.state.steps.length + i + 1}`,
+                fields,
+                skipLogic: { enabled: false },
+                branches: []
+            };
+        });
+
+        const index = this.state.currentStep + 1;
+        const steps = [...this.state.steps];
+        steps.splice(index, 0, ...newSteps);
+
+        // Rules can only use fields outside groups
+        const ruleFields = new Set(steps.flatMap(step => step.fields.map(field => field.id)));
+        const remapField = id => {
+            const mapped = copyIds.get(id) || id;
+            return ruleFields.has(mapped) ? mapped : null;
+        };
+        const cleared = [];
+
+        newSteps.forEach((step, i) => {
+            const { skipLogic, branches } = pastedSteps[i];
+            const position = index + i;
+
+            if (skipLogic?.enabled) {
+                const field = remapField(skipLogic.field);
+                step.skipLogic = field ? { ...Helpers.deepClone(skipLogic), field } : { ...Helpers.deepClone(skipLogic), enabled: false };
+                if (!field) cleared.push(`Turned off the skip rule of step "${step.name}"; its field was not pasted.`);
+            }
+
+            step.branches = (branches || []).flatMap(branch => {
+                const field = remapField(branch.field);
+                const goTo = stepIds.get(branch.goTo) || branch.goTo;
+                return field && steps.findIndex(s => s.id === goTo) > position
+                    ? [{ ...Helpers.deepClone(branch), field, goTo }]
+                    : [];
+            });
+            const removed = (branches || []).length - step.branches.length;
+            if (removed > 0) {
+                cleared.push(`Removed ${removed} branch(es) of step "${step.name}"; they used a field or step that was not pasted, or went back.`);
+            }
+        });
+
+        this.setState({
+            steps,
+            currentStep: index,
+            selectedElement: null,
+            selection: []
+        }, `Paste ${newSteps.length} step${newSteps.length === 1 ? '' : 's'}`);
+        return { steps: newSteps, cleared };
+    },
+
+    /**
+     * Add a saved preset like pasted content: its fields into the current
+     * step, or its step after the current one
+     * @param {Object} content - Preset content {kind, steps} (see PresetLibrary.read)
+     * @param {string} name - Preset name
+     * @param {number|null} index - Field position in the current step
+     * @returns {Array<Object>|Object} Added fields, or {steps, cleared} (see pasteSteps)
+     */
+    addPreset(content, name, index = null) {
+        return this.transaction(`Add preset "${name}"`, () => content.kind === 'steps'
+            ? this.pasteSteps(content.steps)
+            : this.pasteFields(content.steps.flatMap(step => step.fields), index));
+    },
+
+    /**
+     * Move several fields to the end of a step as one history entry
+     * The fields keep their order relative to each other.
+     * @param {Array<string>} fieldIds - Field IDs
+     * @param {number} targetStepIndex - Destination step index
+     */
+    moveFields(fieldIds, targetStepIndex) {
+        const target = this.state.steps[targetStepIndex];
+        if (!target) return;
+
+        const ordered = this.getMoveOrder(fieldIds);
+        this.transaction(`Move ${ordered.length} fields to "${target.name}"`, () => {
+            ordered.forEach(fieldId => this.moveField(fieldId, targetStepIndex));
+        });
+    },
+
+    /**
+     * Get the fields a move handles, in the order they are moved
+     * Fields inside selected groups move with their group.
+     * @param {Array<string>} fieldIds - Field IDs
+     * @returns {Array<string>} Field IDs
+     */
+    getMoveOrder(fieldIds) {
+        const selected = this.getAllFields().filter(f => fieldIds.includes(f.id));
+        return this.withoutGroupChildren(selected).map(f => f.id);
+    },
+
+    /**
+     * Get the conditions and step rules that moving fields to a step would
+     * turn off (see getBrokenRules)
+     * @param {Array<string>} fieldIds - Field IDs
+     * @param {number} targetStepIndex - Destination step index
+     * @returns {Array<Object>} Rules {kind, fieldId|stepId, field}
      */
-    addField(type, config = {}) {
-        const fieldDefaults = this.getFieldDefaults(type);
-        const newField = {
-            id: Helpers.generateId('field'),
-            type,
-            ...fieldDefaults,
-            ...config
-        };
-        
+    getMoveDependents(fieldIds, targetStepIndex) {
         const steps = Helpers.deepClone(this.state.steps);
-        steps[this.state.currentStep].fields.push(newField);
-        this.setState({ steps, selectedElement: newField.id });
-        
-        return newField;
+        this.getMoveOrder(fieldIds).forEach(fieldId => this.placeField(steps, fieldId, targetStepIndex));
+        return this.getBrokenRules(steps);
     },
 
     /**
-     * Add field at specific index
-     * @param {string} type - Field type
-     * @param {number} index - Index to insert at
-     * @param {Object} config - Field configuration
-     * @returns {Object} New field
+     * Get the conditions and step rules that moving a field into a group
+     * would turn off (see getBrokenRules)
+     * @param {string} fieldId - Field ID
+     * @param {string} groupId - Group field ID
+     * @returns {Array<Object>} Rules {kind, fieldId|stepId, field}
      */
-    addFieldAt(type, index, config = {}) {
-        const fieldDefaults = this.getFieldDefaults(type);
-        const newField = {
-            id: Helpers.generateId('field'),
-            type,
-            ...fieldDefaults,
-            ...config
-        };
-        
+    getGroupMoveDependents(fieldId, groupId) {
         const steps = Helpers.deepClone(this.state.steps);
-        steps[this.state.currentStep].fields.splice(index, 0, newField);
-        this.setState({ steps, selectedElement: newField.id });
-        
-        return newField;
+        this.placeFieldInGroup(steps, fieldId, groupId);
+        return this.getBrokenRules(steps);
     },
 
     /**
-     * Get default configuration for field type
-     * @param {string} type - Field type
-     * @returns {Object} Default configuration
+     * Get the conditions and step rules that stop working when the steps
+     * are changed
+     * A condition can only use a field inside a group from the same group
+     * (see getFieldsForConditions), and one between fields of the same
+     * group stops working once they no longer share it, as it was set on
+     * each item's own value. A skip rule can only use fields of earlier steps
+     * and a branch also those of its own step (see getFieldsForStepRules).
+     * Rules that do not work with the current steps either are left out,
+     * so a move is not blamed for them.
+     * @param {Array<Object>} steps - Changed steps
+     * @returns {Array<Object>} Rules {kind: 'condition', fieldId, field}
+     *     or {kind: 'skip'|'branch', stepId, field}
      */
-    getFieldDefaults(type) {
-        const defaults = {
-            text: {
-                label: 'Text Field',
-                placeholder: 'Enter text...',
-                required: false,
-                validation: {},
-                conditionalLogic: { enabled: false }
-            },
-            number: {
-                label: 'Number Field',
-                placeholder: 'Enter number...',
-                required: false,
-                validation: {},
-                conditionalLogic: { enabled: false }
-            },
-            email: {
-                label: 'Email Address',
-                placeholder: 'Enter your email...',
-                required: false,
-                validation: { email: true },
-                conditionalLogic: { enabled: false }
-            },
-            mobile: {
-                label: 'Mobile Number',
-                placeholder: 'Enter 10-digit mobile number...',
-                required: false,
-                validation: { mobile: true, maxLength: 10 },
-                conditionalLogic: { enabled: false }
-            },
-            textarea: {
-                label: 'Long Text',
-                placeholder: 'Enter your message...',
-                required: false,
-                validation: {},
-                conditionalLogic: { enabled: false }
-            },
-            dropdown: {
-                label: 'Select Option',
-                placeholder: 'Choose an option...',
-                required: false,
-                options: [
-                    { value: 'option1', label: 'Option 1' },
-                    { value: 'option2', label: 'Option 2' },
-                    { value: 'option3', label: 'Option 3' }
-                ],
-                validation: {},
-                conditionalLogic: { enabled: false }
-            },
-            radio: {
-                label: 'Choose One',
-                required: false,
-                options: [
-                    { value: 'option1', label: 'Option 1' },
-                    { value: 'option2', label: 'Option 2' }
-                ],
-                validation: {},
-                conditionalLogic: { enabled: false }
-            },
-            checkbox: {
-                label: 'Select Multiple',
-                required: false,
-                options: [
-                    { value: 'option1', label: 'Option 1' },
-                    { value: 'option2', label: 'Option 2' }
-                ],
-                validation: {},
-                conditionalLogic: { enabled: false }
-            },
-            date: {
-                label: 'Date',
-                placeholder: 'Select date...',
-                required: false,
-                validation: {},
-                conditionalLogic: { enabled: false }
-            },
-            file: {
-                label: 'Upload File',
-                required: false,
-                accept: '*/*',
-                maxSize: '10MB',
-                validation: {},
-                conditionalLogic: { enabled: false }
-            },
-            header: {
-                type: 'header'
-            },
-            title: {
-                type: 'title'
-            },
-            description: {
-                type: 'description'
-            },
-            submit: {
-                label: 'Submit',
-                type: 'submit'
-            }
+    getBrokenRules(steps) {
+        const current = this.state.steps;
+        const groupOf = (steps, fieldId) => this.locateField(steps, fieldId)?.group?.id ?? null;
+        const sharesGroup = (steps, rule) =>
+            groupOf(steps, rule.field) !== null && groupOf(steps, rule.field) === groupOf(steps, rule.fieldId);
+        const works = (steps, rule) => {
+            if (rule.kind === 'condition') return groupOf(steps, rule.field) === null || sharesGroup(steps, rule);
+
+            const index = steps.findIndex(step => step.id === rule.stepId);
+            const usable = steps.slice(0, rule.kind === 'skip' ? index : index + 1).flatMap(step => step.fields);
+            return usable.some(field => field.id === rule.field);
         };
 
-        return defaults[type] || defaults.text;
+        // A move changes where fields are, not the rules
+        const rules = [
+            ...this.getAllFields()
+                .filter(field => field.conditionalLogic?.enabled && field.conditionalLogic.field)
+                .map(field => ({ kind: 'condition', fieldId: field.id, field: field.conditionalLogic.field })),
+            ...current.flatMap(step => [
+                ...(step.skipLogic?.enabled && step.skipLogic.field
+                    ? [{ kind: 'skip', stepId: step.id, field: step.skipLogic.field }]
+                    : []),
+                ...(step.branches || []).map(branch => ({ kind: 'branch', stepId: step.id, field: branch.field }))
+            ])
+        ];
+
+        const breaks = (rule) => rule.kind === 'condition' && sharesGroup(current, rule)
+            ? !sharesGroup(steps, rule)
+            : !works(steps, rule);
+        return rules.filter(rule => works(current, rule) && breaks(rule));
     },
 
     /**
-     * Update field properties
-     * @param {string} fieldId - Field ID
-     * @param {Object} updates - Field updates
+     * Turn off conditions and step rules; branches are removed, as for
+     * deleted fields (see resolveDependents)
+     * @param {Array<Object>} rules - Rules {kind, fieldId|stepId, field} (see getBrokenRules)
      */
-    updateField(fieldId, updates) {
-        const steps = Helpers.deepClone(this.state.steps);
-        
-        for (const step of steps) {
-            const fieldIndex = step.fields.findIndex(f => f.id === fieldId);
-            if (fieldIndex !== -1) {
-                step.fields[fieldIndex] = { ...step.fields[fieldIndex], ...updates };
-                this.setState({ steps });
-                return;
-            }
+    clearRules(rules) {
+        rules.filter(rule => rule.kind === 'condition').forEach(rule => {
+            const field = this.getField(rule.fieldId);
+            if (field) this.updateField(field.id, { conditionalLogic: { ...field.conditionalLogic, enabled: false, field: '' } });
+        });
+
+        const steps = this.state.steps.map(step => {
+            const own = rules.filter(rule => rule.stepId === step.id);
+            if (own.length === 0) return step;
+
+            const branchFields = own.filter(rule => rule.kind === 'branch').map(rule => rule.field);
+            return {
+                ...step,
+                skipLogic: own.some(rule => rule.kind === 'skip')
+                    ? { ...step.skipLogic, enabled: false, field: '' }
+                    : step.skipLogic,
+                branches: (step.branches || []).filter(branch => !branchFields.includes(branch.field))
+            };
+        });
+        if (steps.some((step, i) => step !== this.state.steps[i])) {
+            this.setState({ steps });
         }
     },
 
     /**
-     * Delete field
-     * @param {string} fieldId - Field ID to delete
+     * Get fields whose conditions depend on any of the given fields
+     * Fields inside given groups count as given.
+     * @param {Array<string>} fieldIds - Field IDs
+     * @returns {Array<Object>} Dependent fields, excluding the given ones
      */
-    deleteField(fieldId) {
-        const steps = Helpers.deepClone(this.state.steps);
-        
-        for (const step of steps) {
-            const fieldIndex = step.fields.findIndex(f => f.id === fieldId);
-            if (fieldIndex !== -1) {
-                step.fields.splice(fieldIndex, 1);
-                this.setState({ 
-                    steps, 
-                    selectedElement: null 
-                });
-                return;
-            }
+    getDependents(fieldIds) {
+        fieldIds = this.withGroupChildren(fieldIds);
+        return this.getAllFields().filter(f =>
+            !fieldIds.includes(f.id) &&
+            f.conditionalLogic?.enabled &&
+            fieldIds.includes(f.conditionalLogic.field)
+        );
+    },
+
+    /**
+     * Get fields that dependents of deleted fields can be pointed at
+     * @param {Array<string>} fieldIds - IDs of the fields being deleted
+     * @returns {Array<Object>} Fields usable in conditions
+     */
+    getRetargetFields(fieldIds) {
+        fieldIds = this.withGroupChildren(fieldIds);
+        return this.getFieldsForConditions().filter(f => !fieldIds.includes(f.id));
+    },
+
+    /**
+     * Update the conditions that depend on fields about to be deleted
+     * 'clear' turns them off; 'retarget' points them at another field
+     * (a field cannot depend on itself, so that one is turned off instead).
+     * Step rules are resolved the same way; cleared branches are removed.
+     * @param {Array<string>} fieldIds - IDs of the fields being deleted
+     * @param {Object} resolution - {action: 'clear'|'retarget', fieldId}
+     */
+    resolveDependents(fieldIds, resolution) {
+        fieldIds = this.withGroupChildren(fieldIds);
+        const target = resolution.action === 'retarget' && !fieldIds.includes(resolution.fieldId)
+            ? this.getField(resolution.fieldId)
+            : null;
+
+        this.getDependents(fieldIds).forEach(field => {
+            const conditionalLogic = target && target.id !== field.id
+                ? { ...field.conditionalLogic, field: target.id }
+                : { ...field.conditionalLogic, enabled: false, field: '' };
+            this.updateField(field.id, { conditionalLogic });
+        });
+
+        const affects = rule => fieldIds.includes(rule?.field);
+        const steps = this.state.steps.map(step => {
+            const skipLogic = step.skipLogic?.enabled && affects(step.skipLogic) ? step.skipLogic : null;
+            const branches = step.branches || [];
+            if (!skipLogic && !branches.some(affects)) return step;
+
+            return {
+                ...step,
+                skipLogic: !skipLogic ? step.skipLogic : target
+                    ? { ...skipLogic, field: target.id }
+                    : { ...skipLogic, enabled: false, field: '' },
+                branches: target
+                    ? branches.map(branch => affects(branch) ? { ...branch, field: target.id } : branch)
+                    : branches.filter(branch => !affects(branch))
+            };
+        });
+
+        if (steps.some((step, i) => step !== this.state.steps[i])) {
+            this.setState({ steps });
         }
     },
 
@@ -583,7 +1804,98 @@ const AppState = {
         const [removed] = fields.splice(fromIndex, 1);
         fields.splice(toIndex, 0, removed);
         
-        this.setState({ steps });
+        this.setState({ steps }, `Move field '${removed.label || removed.type}'`);
+    },
+
+    /**
+     * Move a field to a position in any step
+     * The field keeps its ID, so conditions that depend on it still work.
+     * Conditions and step rules that can no longer use it are turned off
+     * in the same history entry (see getBrokenRules).
+     * @param {string} fieldId - Field ID
+     * @param {number} targetStepIndex - Destination step index
+     * @param {number|null} targetIndex - Position in the destination step (null for the end)
+     */
+    moveField(fieldId, targetStepIndex, targetIndex = null) {
+        const steps = Helpers.deepClone(this.state.steps);
+        const label = this.placeField(steps, fieldId, targetStepIndex, targetIndex);
+        if (!label) return;
+
+        const broken = this.getBrokenRules(steps);
+        this.transaction(label, () => {
+            this.setState({ steps });
+            if (broken.length > 0) this.clearRules(broken);
+        });
+    },
+
+    /**
+     * Move a field to a position in a step of the given steps
+     * @param {Array<Object>} steps - Steps to change (a copy of the state's)
+     * @param {string} fieldId - Field ID
+     * @param {number} targetStepIndex - Destination step index
+     * @param {number|null} targetIndex - Position in the destination step (null for the end)
+     * @returns {string|null} History label, or null if nothing was moved
+     */
+    placeField(steps, fieldId, targetStepIndex, targetIndex = null) {
+        const target = steps[targetStepIndex];
+        const source = this.locateField(steps, fieldId);
+        if (!target || !source) return null;
+
+        const [field] = source.list.splice(source.index, 1);
+        const index = targetIndex === null
+            ? target.fields.length
+            : Math.max(0, Math.min(targetIndex, target.fields.length));
+        target.fields.splice(index, 0, field);
+
+        const name = field.label || field.type;
+        return source.step === target
+            ? `Move field '${name}'`
+            : `Move field '${name}' to "${target.name}"`;
+    },
+
+    /**
+     * Move a field into a group, or to another position in its group
+     * Groups cannot hold other groups. Conditions and step rules that can
+     * no longer use the field are turned off in the same history entry
+     * (see getBrokenRules).
+     * @param {string} fieldId - Field ID
+     * @param {string} groupId - Group field ID
+     * @param {number|null} targetIndex - Position in the group (null for the end)
+     */
+    moveFieldToGroup(fieldId, groupId, targetIndex = null) {
+        const steps = Helpers.deepClone(this.state.steps);
+        const label = this.placeFieldInGroup(steps, fieldId, groupId, targetIndex);
+        if (!label) return;
+
+        const broken = this.getBrokenRules(steps);
+        this.transaction(label, () => {
+            this.setState({ steps });
+            if (broken.length > 0) this.clearRules(broken);
+        });
+    },
+
+    /**
+     * Move a field into a group of the given steps
+     * @param {Array<Object>} steps - Steps to change (a copy of the state's)
+     * @param {string} fieldId - Field ID
+     * @param {string} groupId - Group field ID
+     * @param {number|null} targetIndex - Position in the group (null for the end)
+     * @returns {string|null} History label, or null if nothing was moved
+     */
+    placeFieldInGroup(steps, fieldId, groupId, targetIndex = null) {
+        const source = this.locateField(steps, fieldId);
+        const group = this.locateField(steps, groupId);
+        if (!source || !group || fieldId === groupId || this.isGroup(source.list[source.index])) return null;
+
+        const groupField = group.list[group.index];
+        const [field] = source.list.splice(source.index, 1);
+        let index = targetIndex === null ? groupField.fields.length : targetIndex;
+        if (source.list === groupField.fields && source.index < index) index--;
+        groupField.fields.splice(Math.max(0, Math.min(index, groupField.fields.length)), 0, field);
+
+        return source.group?.id === groupId
+            ? `Move field '${field.label || field.type}'`
+            : `Move field '${field.label || field.type}' into '${groupField.label || 'Group'}'`;
     },
 
     /**
@@ -592,30 +1904,33 @@ const AppState = {
      * @returns {Object|null} Field object or null
      */
     getField(fieldId) {
-        for (const step of this.state.steps) {
-            const field = step.fields.find(f => f.id === fieldId);
-            if (field) return field;
-        }
-        return null;
+        return this.getAllFields().find(f => f.id === fieldId) || null;
     },
 
     /**
-     * Get all fields across all steps
+     * Get all fields across all steps, including fields inside groups
      * @returns {Array} All fields
      */
     getAllFields() {
-        return this.state.steps.flatMap(step => step.fields);
+        return this.state.steps.flatMap(step => this.flattenFields(step.fields));
     },
 
     /**
      * Get all fields that can be used in conditional logic
+     * A field inside a group has a value per repetition, so only fields
+     * of the same group can depend on it.
      * @param {string} excludeFieldId - Field ID to exclude
      * @returns {Array} Fields for conditions
      */
     getFieldsForConditions(excludeFieldId = null) {
-        const validTypes = ['dropdown', 'radio', 'checkbox', 'text', 'number', 'email', 'mobile'];
+        const validTypes = ['dropdown', 'radio', 'checkbox', 'text', 'number', 'email', 'mobile', 'phone', 'hidden', 'rating', 'nps', 'scale'];
+        const ownGroup = excludeFieldId ? this.getGroupOf(excludeFieldId) : null;
         return this.getAllFields()
-            .filter(f => f.id !== excludeFieldId && validTypes.includes(f.type));
+            .filter(f => f.id !== excludeFieldId && validTypes.includes(f.type))
+            .filter(f => {
+                const group = this.getGroupOf(f.id);
+                return !group || group.id === ownGroup?.id;
+            });
     },
 
     /**
@@ -623,7 +1938,68 @@ const AppState = {
      * @param {string|null} elementId - Element ID or null to deselect
      */
     selectElement(elementId) {
-        this.setState({ selectedElement: elementId }, false); // Don't save to history
+        const selection = elementId && this.getField(elementId) ? [elementId] : [];
+        this.setState({ selectedElement: elementId, selection }, false); // Don't save to history
+    },
+
+    /**
+     * Select several fields
+     * The primary field is the one the properties panel and range selection start from.
+     * @param {Array<string>} fieldIds - Field IDs
+     * @param {string|null} primary - Primary field ID (defaults to the last one)
+     */
+    setSelection(fieldIds, primary = null) {
+        const selection = [...new Set(fieldIds)].filter(id => this.getField(id));
+        const selectedElement = selection.includes(primary) ? primary : (selection[selection.length - 1] ?? null);
+        this.setState({ selectedElement, selection }, false);
+    },
+
+    /**
+     * Add a field to the selection, or remove it if already selected (Ctrl/Cmd-click)
+     * @param {string} fieldId - Field ID
+     */
+    toggleSelection(fieldId) {
+        const selection = this.getSelection();
+        if (selection.includes(fieldId)) {
+            this.setSelection(selection.filter(id => id !== fieldId), this.state.selectedElement);
+        } else {
+            this.setSelection([...selection, fieldId], fieldId);
+        }
+    },
+
+    /**
+     * Select the fields of the current step between the primary field and another (Shift-click)
+     * @param {string} fieldId - Field ID
+     */
+    selectRange(fieldId) {
+        const fields = this.getCurrentStep().fields;
+        const anchor = fields.findIndex(f => f.id === this.state.selectedElement);
+        const index = fields.findIndex(f => f.id === fieldId);
+        if (anchor === -1 || index === -1) {
+            this.selectElement(fieldId);
+            return;
+        }
+
+        const ids = fields.slice(Math.min(anchor, index), Math.max(anchor, index) + 1).map(f => f.id);
+        this.setSelection(ids, this.state.selectedElement);
+    },
+
+    /**
+     * Get the IDs of the selected fields
+     * @returns {Array<string>} Field IDs, empty if no field is selected
+     */
+    getSelection() {
+        const { selection, selectedElement } = this.state;
+        if (selection?.length > 0) return selection;
+        return selectedElement && this.getField(selectedElement) ? [selectedElement] : [];
+    },
+
+    /**
+     * Get the selected fields
+     * @returns {Array<Object>} Fields
+     */
+    getSelectedFields() {
+        return this.getSelection().map(id => this.getField(id)).filter(Boolean);
     },
 
     /**
@@ -643,6 +2019,9 @@ const AppState = {
         if (this.state.selectedElement === 'description') {
             return { type: 'description', id: 'description' };
         }
+        if (this.state.selectedElement === 'step') {
+            return { type: 'step', id: 'step' };
+        }
         
         return this.getField(this.state.selectedElement);
     },
@@ -658,7 +2037,11 @@ const AppState = {
     updateHeaderImage(imageData) {
         const header = Helpers.deepClone(this.state.header);
         header.image = { ...header.image, ...imageData };
-        this.setState({ header });
+
+        let label = 'Resize header image';
+        if (imageData.url === null) label = 'Remove header image';
+        else if ('url' in imageData) label = 'Change header image';
+        this.setState({ header }, label);
     },
 
     /**
@@ -668,7 +2051,7 @@ const AppState = {
     updateHeaderTitle(titleData) {
         const header = Helpers.deepClone(this.state.header);
         header.title = { ...header.title, ...titleData };
-        this.setState({ header });
+        this.setState({ header }, 'Edit title');
     },
 
     /**
@@ -678,7 +2061,7 @@ const AppState = {
     updateHeaderDescription(descData) {
         const header = Helpers.deepClone(this.state.header);
         header.description = { ...header.description, ...descData };
-        this.setState({ header });
+        this.setState({ header }, 'Edit description');
     },
 
     // =====================================
@@ -689,10 +2072,10 @@ const AppState = {
      * Update settings
      * @param {Object} settings - Settings updates
      */
-    updateSettings(settings) {
+    updateSettings(settings, label = 'Change settings') {
         this.setState({
             settings: { ...this.state.settings, ...settings }
-        });
+        }, label);
     },
 
     /**
@@ -700,7 +2083,7 @@ const AppState = {
      */
     toggleTheme() {
         const theme = this.state.settings.theme === 'light' ? 'dark' : 'light';
-        this.updateSettings({ theme });
+        this.updateSettings({ theme }, `Switch to ${theme} mode`);
         document.documentElement.setAttribute('data-theme', theme);
     },
 
@@ -721,71 +2104,62 @@ const AppState = {
      * @param {string|Object} json - JSON string or object
      */
     importJSON(json) {
+        const newState = this.readSchema(json);
+        if (!newState) return false;
+
+        this.setState({ ...this.state, ...newState, currentStep: 0, selectedElement: null, selection: [] }, 'Import JSON');
+        return true;
+    },
+
+    /**
+     * Import a JSON schema as a new project and open it
+     * @param {string|Object} json - JSON string or object
+     * @returns {Promise<Object|null>} Project metadata, null if the import failed
+     */
+    async importProject(json) {
+        const newState = this.readSchema(json);
+        if (!newState) return null;
+
+        const project = await ProjectLibrary.create(newState.projectName, {
+            ...this.getDefaultState(),
+            ...newState
+        });
+        await this.openProject(project.id);
+        return project;
+    },
+
+    /**
+     * Upgrade, parse and check a JSON schema
+     * Incompatible schemas, repairs and remaining problems are reported in a modal.
+     * @param {string|Object} json - JSON string or object
+     * @returns {Object|null} Parsed state, null if the schema was rejected
+     */
+    readSchema(json) {
         try {
             const data = typeof json === 'string' ? JSON.parse(json) : json;
-            
-            // Convert imported schema to state format
-            const newState = {
-                projectName: data.project_name || 'Imported Project',
-                header: {
-                    image: {
-                        url: data.header_image,
-                        height: data.header_image_height || 300
-                    },
-                    title: data.title ? {
-                        text: data.title.text || '',
-                        fontFamily: data.title.font_family || 'Plus Jakarta Sans',
-                        fontSize: data.title.font_size || 32,
-                        color: data.title.color || '#1e293b',
-                        bold: data.title.bold || false,
-                        italic: data.title.italic || false,
-                        underline: data.title.underline || false,
-                        align: data.title.align || 'center'
-                    } : this.state.header.title,
-                    description: data.description ? {
-                        html: data.description.html || '',
-                        text: data.description.text || '',
-                        fontSize: data.description.font_size || 16,
-                        color: data.description.color || '#64748b'
-                    } : this.state.header.description
-                },
-                steps: (data.steps || []).map((step, index) => ({
-                    id: Helpers.generateId('step'),
-                    name: step.step_name || `Step ${index + 1}`,
-                    fields: (step.fields || []).map(field => ({
-                        id: field.id || Helpers.generateId('field'),
-                        type: field.type,
-                        label: field.label,
-                        placeholder: field.placeholder || '',
-                        required: field.required || false,
-                        options: field.options || [],
-                        validation: {
-                            minLength: field.validation?.min_length,
-                            maxLength: field.validation?.max_length,
-                            pattern: field.validation?.pattern,
-                            errorMessage: field.validation?.error_message
-                        },
-                        conditionalLogic: field.conditional_logic || { enabled: false }
-                    }))
-                })),
-                settings: {
-                    webhookUrl: data.webhook_url || '',
-                    submitButtonText: data.settings?.submit_button_text || 'Submit',
-                    successMessage: data.settings?.success_message || 'Thank you!',
-                    showProgressBar: data.settings?.show_progress_bar !== false,
-                    theme: this.state.settings.theme
-                }
-            };
 
-            if (newState.steps.length === 0) {
-                newState.steps = [{ id: 'step_0', name: 'Step 1', fields: [] }];
+            const { doc, errors } = Migrations.migrateSchema(data);
+            if (!doc) {
+                Modal.alertList(
+                    'Import Failed',
+                    'This file cannot be imported:',
+                    errors
+                );
+                return null;
             }
 
-            this.setState({ ...this.state, ...newState, currentStep: 0, selectedElement: null });
-            return true;
+            const parsed = ExportUtils.parseJSONSchema(doc);
+            const integrity = Integrity.check({ ...this.getDefaultState(), ...parsed });
+            Integrity.report(integrity, `"${parsed.projectName}"`);
+
+            const { projectName, header, steps, settings } = integrity.state;
+            return { projectName, header, steps, settings };
         } catch (error) {
             console.error('Import error:', error);
-            return false;
+            Modal.alertList('Import Failed', 'This file cannot be imported:', [
+                'It is not a valid LandCraft JSON schema.'
+            ]);
+            return null;
         }
     }
 };
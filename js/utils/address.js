@@ -0,0 +1,109 @@
+/**
+ * ================================================
+ * LANDCRAFT - Address Utilities
+ * Address formats of the countries address fields support
+ * ================================================
+ */
+
+const AddressUtils = {
+    /**
+     * Parts of an address, in the order they are shown and submitted
+     */
+    parts: [
+        { name: 'line1', label: 'Address line 1', autocomplete: 'address-line1' },
+        { name: 'line2', label: 'Address line 2 (optional)', autocomplete: 'address-line2', optional: true },
+        { name: 'city', label: 'City', autocomplete: 'address-level2' },
+        { name: 'region', label: 'Region', autocomplete: 'address-level1' },
+        { name: 'postalCode', label: 'Postal code', autocomplete: 'postal-code' }
+    ],
+
+    /**
+     * Countries with the names of their region and postal code
+     * region/postal: label of the part, null if the country's addresses do not use it
+     * example: postal code shown as placeholder
+     * Postal code patterns are in Validation.postalCodes.
+     */
+    countries: [
+        { code: 'AU', name: 'Australia', region: 'State', postal: 'Postcode', example: '2000' },
+        { code: 'BD', name: 'Bangladesh', region: 'Division', postal: 'Postal code', example: '1000' },
+        { code: 'BR', name: 'Brazil', region: 'State', postal: 'CEP', example: '01310-100' },
+        { code: 'CA', name: 'Canada', region: 'Province', postal: 'Postal code', example: 'K1A 0B1' },
+        { code: 'CN', name: 'China', region: 'Province', postal: 'Postal code', example: '100000' },
+        { code: 'FR', name: 'France', region: null, postal: 'Postal code', example: '75001' },
+        { code: 'DE', name: 'Germany', region: null, postal: 'Postal code', example: '10115' },
+        { code: 'HK', name: 'Hong Kong', region: 'District', postal: null, example: '' },
+        { code: 'IN', name: 'India', region: 'State', postal: 'PIN code', example: '110001' },
+        { code: 'ID', name: 'Indonesia', region: 'Province', postal: 'Postal code', example: '10110' },
+        { code: 'IE', name: 'Ireland', region: 'County', postal: 'Eircode', example: 'D02 X285' },
+        { code: 'IT', name: 'Italy', region: 'Province', postal: 'CAP', example: '00144' },
+        { code: 'JP', name: 'Japan', region: 'Prefecture', postal: 'Postal code', example: '100-0001' },
+        { code: 'KE', name: 'Kenya', region: 'County', postal: 'Postal code', example: '00100' },
+        { code: 'MY', name: 'Malaysia', region: 'State', postal: 'Postcode', example: '50000' },
+        { code: 'MX', name: 'Mexico', region: 'State', postal: 'Postal code', example: '01000' },
+        { code: 'NP', name: 'Nepal', region: 'Province', postal: 'Postal code', example: '44600' },
+        { code: 'NL', name: 'Netherlands', region: null, postal: 'Postcode', example: '1012 AB' },
+        { code: 'NZ', name: 'New Zealand', region: null, postal: 'Postcode', example: '6011' },
+        { code: 'NG', name: 'Nigeria', region: 'State', postal: 'Postal code', example: '100001' },
+        { code: 'PK', name: 'Pakistan', region: 'Province', postal: 'Postal code', example: '44000' },
+        { code: 'PH', name: 'Philippines', region: 'Province', postal: 'ZIP code', example: '1000' },
+        { code: 'SA', name: 'Saudi Arabia', region: 'Region', postal: 'Postal code', example: '11564' },
+        { code: 'SG', name: 'Singapore', region: null, postal: 'Postal code', example: '018956' },
+        { code: 'ZA', name: 'South Africa', region: 'Province', postal: 'Postal code', example: '8001' },
+        { code: 'ES', name: 'Spain', region: 'Province', postal: 'Postal code', example: '28013' },
+        { code: 'LK', name: 'Sri Lanka', region: 'Province', postal: 'Postal code', example: '00100' },
+        { code: 'AE', name: 'United Arab Emirates', region: 'Emirate', postal: null, example: '' },
+        { code: 'GB', name: 'United Kingdom', region: null, postal: 'Postcode', example: 'SW1A 1AA' },
+        { code: 'US', name: 'United States', region: 'State', postal: 'ZIP code', example: '94105' }
+    ],
+
+    /**
+     * Get a country by its ISO code
+     * @param {string} code - Two-letter country code
+     * @returns {Object} Country, the page default's fallback if the code is unknown
+     */
+    getCountry(code) {
+        return this.countries.find(c => c.code === code)
+            || this.countries.find(c => c.code === PhoneUtils.defaultCountry);
+    },
+
+    /**
+     * Get the country an address field starts with
+     * @param {Object} field - Address field
+     * @param {Object} settings - Page settings
+     * @returns {Object} Country
+     */
+    getFieldCountry(field, settings = {}) {
+        return this.getCountry(field.country || settings.defaultCountry);
+    },
+
+    /**
+     * Get the parts an address in a country is made of, with their labels
+     * @param {string} code - Two-letter country code
+     * @returns {Array<Object>} Parts ({name, label, autocomplete, optional})
+     */
+    getParts(code) {
+        const country = this.getCountry(code);
+        return this.parts
+            .filter(part => (part.name !== 'region' || country.region) && (part.name !== 'postalCode' || country.postal))
+            .map(part => ({
+                ...part,
+                label: { region: country.region, postalCode: country.postal }[part.name] || part.label
+            }));
+    },
+
+    /**
+     * Get the address formats the exported page needs to adapt to the chosen country
+     * @returns {Object} Formats by country code ({region, postal, example, pattern})
+     */
+    getRuntimeFormats() {
+        return Object.fromEntries(this.countries.map(c => [c.code, {
+            region: c.region,
+            postal: c.postal,
+            example: c.example,
+            pattern: Validation.postalCodes[c.code]?.source || null
+        }]));
+    }
+};
+
+// Export for use in other modules
+window.AddressUtils = AddressUtils;
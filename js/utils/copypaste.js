@@ -0,0 +1,116 @@
+/**
+ * ================================================
+ * LANDCRAFT - Copy & Paste
+ * Fields and steps on the system clipboard
+ *
+ * Copied content is JSON in the project state format:
+ * { format, schemaVersion, kind: 'fields'|'steps', steps: [{ id, name, fields, skipLogic, branches }] }
+ * Copied fields travel as a single step, whose rules are left out.
+ * IDs are replaced on paste.
+ * ================================================
+ */
+
+const CopyPaste = {
+    format: 'landcraft-clipboard',
+
+    /**
+     * Last copied text, used when the system clipboard cannot be read
+     */
+    lastCopied: null,
+
+    /**
+     * Copy the selected fields, or the current step when no field is selected
+     * @returns {Promise<Object>} Copied content {kind, steps}
+     */
+    async copy() {
+        const fields = AppState.withoutGroupChildren(AppState.getSelectedFields());
+        const step = AppState.getCurrentStep();
+        const content = fields.length > 0
+            ? { kind: 'fields', steps: [{ name: step.name, fields }] }
+            : { kind: 'steps', steps: [step] };
+
+        const text = JSON.stringify({
+            format: this.format,
+            schemaVersion: AppState.getState().schemaVersion,
+            ...content
+        });
+        this.lastCopied = text;
+
+        try {
+            await navigator.clipboard.writeText(text);
+        } catch (error) {
+            console.warn('Clipboard unavailable, copying within this tab only:', error);
+        }
+        return content;
+    },
+
+    /**
+     * Read LandCraft content from the clipboard
+     * @returns {Promise<Object|null>} {content, errors} - content is null if unusable;
+     *          null when the clipboard holds something else
+     */
+    async read() {
+        let text = null;
+        try {
+            text = await navigator.clipboard.readText();
+        } catch (error) {
+            text = this.lastCopied;
+        }
+        return this.parse(text);
+    },
+
+    /**
+     * Parse and upgrade copied content
+     * @param {string} text - Clipboard text
+     * @returns {Object|null} {content, errors}, null if the text is not LandCraft content
+     */
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+
+        if (!data || data.format !== this.format) {
+            return null;
+        }
+        return this.upgrade(data);
+    },
+
+    /**
+     * Upgrade copied or saved content to the current version
+     * Also used for presets, which are stored in the same shape.
+     * @param {Object} data - {schemaVersion, kind, steps}
+     * @returns {Object|null} {content, errors}, null if the data is not fields or steps
+     */
+    upgrade(data) {
+        if (!['fields', 'steps'].includes(data?.kind) || !Array.isArray(data.steps)) {
+            return null;
+        }
+
+        // Content from an older or newer LandCraft goes through the usual upgrades
+        const { state, errors } = Migrations.migrateState({ schemaVersion: data.schemaVersion, steps: data.steps });
+        if (!state) {
+            return { content: null, errors };
+        }
+
+        const steps = state.steps
+            .filter(step => Patches.isObject(step))
+            .map(step => ({
+                ...(data.kind === 'steps' && {
+                    id: step.id,
+                    skipLogic: Patches.isObject(step.skipLogic) ? step.skipLogic : { enabled: false },
+                    branches: (Array.isArray(step.branches) ? step.branches : []).filter(branch => Patches.isObject(branch))
+                }),
+                name: step.name,
+                fields: (Array.isArray(step.fields) ? step.fields : [])
+                    .filter(field => Patches.isObject(field) && typeof field.type === 'string')
+            }));
+
+        return { content: { kind: data.kind, steps }, errors: [] };
+    }
+};
+
+// Export for use in other modules
+window.CopyPaste = CopyPaste;
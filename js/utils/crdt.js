@@ -0,0 +1,399 @@
+/**
+ * ================================================
+ * LANDCRAFT - Shared Document
+ * Last-writer-wins registers for collaborative editing
+ * ================================================
+ */
+
+const CRDT = {
+    /**
+     * State keys that stay local to each collaborator
+     */
+    localKeys: ['schemaVersion', 'currentStep', 'selectedElement', 'selection', 'currentView'],
+
+    /**
+     * Create an empty document
+     * The content is a map of registers, one per leaf value. Steps and fields
+     * are keyed by ID ("step:<id>.name", "field:<id>.label") with extra
+     * registers for their position ($order), their step ($step), the group
+     * they are in ($group) and deletion ($deleted), so concurrent edits to
+     * different properties never collide.
+     * @param {string} clientId - ID of this replica
+     * @returns {Object} Document
+     */
+    createDoc(clientId) {
+        return { clientId, clock: 0, registers: new Map() };
+    },
+
+    // =====================================
+    // OPERATIONS
+    // =====================================
+
+    /**
+     * Apply operations from any replica
+     * An operation wins over the register's value if its stamp is newer.
+     * @param {Object} doc - Document
+     * @param {Array<Object>} ops - Operations {key, value, removed, stamp}
+     * @returns {boolean} Whether any register changed
+     */
+    applyOps(doc, ops) {
+        let changed = false;
+
+        ops.forEach(op => {
+            doc.clock = Math.max(doc.clock, op.stamp[0]);
+
+            const current = doc.registers.get(op.key);
+            if (!current || this.compareStamps(op.stamp, current.stamp) > 0) {
+                doc.registers.set(op.key, op);
+                changed = true;
+            }
+        });
+
+        return changed;
+    },
+
+    /**
+     * Get every register as an operation, e.g. for a replica that just joined
+     * @param {Object} doc - Document
+     * @returns {Array<Object>} Operations
+     */
+    getOps(doc) {
+        return [...doc.registers.values()];
+    },
+
+    /**
+     * Create and apply an operation setting a register
+     * @param {Object} doc - Document
+     * @param {string} key - Register key
+     * @param {*} value - Value
+     * @returns {Object} Operation
+     */
+    set(doc, key, value) {
+        const op = { key, value: Helpers.deepClone(value), stamp: this.tick(doc) };
+        doc.registers.set(key, op);
+        return op;
+    },
+
+    /**
+     * Create and apply an operation clearing a register
+     * @param {Object} doc - Document
+     * @param {string} key - Register key
+     * @returns {Object} Operation
+     */
+    remove(doc, key) {
+        const op = { key, removed: true, stamp: this.tick(doc) };
+        doc.registers.set(key, op);
+        return op;
+    },
+
+    /**
+     * Advance the Lamport clock
+     * @param {Object} doc - Document
+     * @returns {Array} Stamp [clock, clientId]
+     */
+    tick(doc) {
+        doc.clock++;
+        return [doc.clock, doc.clientId];
+    },
+
+    /**
+     * Order stamps; ties on the clock are broken by client ID
+     * @param {Array} a - Stamp
+     * @param {Array} b - Stamp
+     * @returns {number} Negative if a is older, positive if newer
+     */
+    compareStamps(a, b) {
+        if (a[0] !== b[0]) return a[0] - b[0];
+        return a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0;
+    },
+
+    // =====================================
+    // STATE CONVERSION
+    // =====================================
+
+    /**
+     * Record the changes from the document's content to a state
+     * @param {Object} doc - Document
+     * @param {Object} state - Local state
+     * @returns {Array<Object>} Operations (already applied to the document)
+     */
+    diffState(doc, state) {
+        const current = this.values(doc);
+        const next = this.flatten(state);
+        const ops = [];
+
+        next.forEach((value, key) => {
+            if (!current.has(key) || !Patches.isEqual(current.get(key), value)) {
+                ops.push(this.set(doc, key, value));
+            }
+        });
+
+        // Removed steps and fields are marked deleted; their other registers
+        // are kept so that an edit racing the deletion cannot revive half of it
+        const present = new Set([...next.keys()].map(key => this.itemOf(key)).filter(Boolean));
+        current.forEach((value, key) => {
+            if (next.has(key) || key.endsWith('.$order')) return;
+
+            const item = this.itemOf(key);
+            if (item && !present.has(item)) {
+                if (key === `${item}.$deleted` && value === false) {
+                    ops.push(this.set(doc, key, true));
+                }
+            } else {
+                ops.push(this.remove(doc, key));
+            }
+        });
+
+        const steps = state.steps || [];
+        ops.push(...this.orderOps(doc, steps.map(step => `step:${step.id}`)));
+        steps.forEach(step => {
+            ops.push(...this.orderOps(doc, step.fields.map(field => `field:${field.id}`)));
+            step.fields.filter(field => Array.isArray(field.fields)).forEach(group => {
+                ops.push(...this.orderOps(doc, group.fields.map(field => `field:${field.id}`)));
+            });
+        });
+
+        return ops;
+    },
+
+    /**
+     * Build the shared content of a state from the document
+     * @param {Object} doc - Document
+     * @returns {Object} Content (state without local keys)
+     */
+    toState(doc) {
+        const content = {};
+        const steps = new Map();
+        const fields = new Map();
+
+        // Parents before children, so a newer child can replace an older primitive parent
+        const registers = [...doc.registers.values()]
+            .filter(op => !op.removed)
+            .sort((a, b) => a.key.split('.').length - b.key.split('.').length);
+
+        registers.forEach(op => {
+            const match = op.key.match(/^(step|field):([^.]+)\.(.+)$/);
+            if (!match) {
+                this.setIn(content, op.key.split('.'), op);
+                return;
+            }
+
+            const items = match[1] === 'step' ? steps : fields;
+            if (!items.has(match[2])) items.set(match[2], {});
+            this.setIn(items.get(match[2]), match[3].split('.'), op);
+        });
+
+        const unwrap = (items) => [...items.entries()]
+            .map(([id, item]) => ({ id, ...this.unwrap(item) }))
+            .filter(item => item.$deleted === false)
+            .sort((a, b) => (a.$order - b.$order) || (a.id < b.id ? -1 : 1));
+
+        const orderedFields = unwrap(fields);
+        const childrenOf = (groupId) => orderedFields
+            .filter(field => field.$group === groupId)
+            .map(({ $order, $deleted, $step, $group, ...field }) => field);
+
+        return {
+            ...this.unwrap(content),
+            steps: unwrap(steps).map(({ $order, $deleted, ...step }) => ({
+                ...step,
+                fields: orderedFields
+                    .filter(field => field.$step === step.id && !field.$group)
+                    .map(({ $order, $deleted, $step, ...field }) => field.type === 'group'
+                        ? { ...field, fields: childrenOf(field.id) }
+                        : field)
+            }))
+        };
+    },
+
+    /**
+     * Flatten a state into register values (positions excluded)
+     * @param {Object} state - State
+     * @returns {Map} Key -> value
+     */
+    flatten(state) {
+        const values = new Map();
+
+        Object.entries(state).forEach(([key, value]) => {
+            if (key === 'steps' || this.localKeys.includes(key)) return;
+            this.flattenValue(key, value, values);
+        });
+
+        (state.steps || []).forEach(step => {
+            const { id, fields, ...props } = step;
+            this.flattenValue(`step:${id}`, { ...props, $deleted: false }, values);
+
+            const flattenFields = (list, groupId) => list.forEach(field => {
+                const { id: fieldId, fields: children, ...fieldProps } = field;
+                this.flattenValue(`field:${fieldId}`, {
+                    ...fieldProps,
+                    $step: id,
+                    ...(groupId && { $group: groupId }),
+                    $deleted: false
+                }, values);
+
+                if (Array.isArray(children)) flattenFields(children, fieldId);
+            });
+            flattenFields(fields);
+        });
+
+        return values;
+    },
+
+    /**
+     * Flatten nested plain objects into dotted keys; arrays are single values
+     * @param {string} path - Key of the value
+     * @param {*} value - Value
+     * @param {Map} values - Output
+     */
+    flattenValue(path, value, values) {
+        if (Patches.isObject(value) && Object.keys(value).length > 0) {
+            Object.entries(value).forEach(([key, child]) => {
+                this.flattenValue(`${path}.${key}`, child, values);
+            });
+        } else if (value !== undefined) {
+            values.set(path, value);
+        }
+    },
+
+    /**
+     * Get the values of all registers that are set
+     * @param {Object} doc - Document
+     * @returns {Map} Key -> value
+     */
+    values(doc) {
+        const values = new Map();
+        doc.registers.forEach(op => {
+            if (!op.removed) values.set(op.key, op.value);
+        });
+        return values;
+    },
+
+    /**
+     * Get the step or field a key belongs to
+     * @param {string} key - Register key
+     * @returns {string|null} Item prefix, e.g. "field:abc"
+     */
+    itemOf(key) {
+        const match = key.match(/^((?:step|field):[^.]+)\./);
+        return match ? match[1] : null;
+    },
+
+    /**
+     * Assign positions to items whose order changed
+     * Items on the longest run that is already in order keep their position;
+     * the rest are placed between their neighbours.
+     * @param {Object} doc - Document
+     * @param {Array<string>} items - Item prefixes in their new order
+     * @returns {Array<Object>} Operations
+     */
+    orderOps(doc, items) {
+        const orders = items.map(item => {
+            const op = doc.registers.get(`${item}.$order`);
+            return op && !op.removed ? op.value : undefined;
+        });
+
+        const keep = this.longestIncreasing(orders);
+        const ops = [];
+
+        items.forEach((item, index) => {
+            if (keep.has(index)) return;
+
+            const prev = index > 0 ? orders[index - 1] : undefined;
+            let next;
+            for (let i = index + 1; i < items.length; i++) {
+                if (keep.has(i)) {
+                    next = orders[i];
+                    break;
+                }
+            }
+
+            let order;
+            if (prev === undefined && next === undefined) order = 0;
+            else if (prev === undefined) order = next - 1;
+            else if (next === undefined) order = prev + 1;
+            else order = (prev + next) / 2;
+
+            orders[index] = order;
+            ops.push(this.set(doc, `${item}.$order`, order));
+        });
+
+        return ops;
+    },
+
+    /**
+     * Find the indices of the longest strictly increasing run of numbers
+     * @param {Array<number|undefined>} values - Values (undefined never included)
+     * @returns {Set<number>} Indices
+     */
+    longestIncreasing(values) {
+        const lengths = values.map(() => 0);
+        const previous = values.map(() => -1);
+        let best = -1;
+
+        values.forEach((value, i) => {
+            if (typeof value !== 'number') return;
+            lengths[i] = 1;
+            for (let j = 0; j < i; j++) {
+                if (typeof values[j] === 'number' && values[j] < value && lengths[j] + 1 > lengths[i]) {
+                    lengths[i] = lengths[j] + 1;
+                    previous[i] = j;
+                }
+            }
+            if (best === -1 || lengths[i] > lengths[best]) best = i;
+        });
+
+        const indices = new Set();
+        for (let i = best; i !== -1; i = previous[i]) {
+            indices.add(i);
+        }
+        return indices;
+    },
+
+    /**
+     * Place a register in a tree of registers
+     * A child under a primitive only replaces it if the child is newer.
+     * @param {Object} tree - Tree of registers
+     * @param {Array<string>} path - Keys
+     * @param {Object} op - Register
+     */
+    setIn(tree, path, op) {
+        let node = tree;
+        for (let i = 0; i < path.length - 1; i++) {
+            const child = node[path[i]];
+            if (child && this.isRegister(child)) {
+                if (this.compareStamps(op.stamp, child.stamp) < 0) return;
+                node[path[i]] = {};
+            } else if (!child) {
+                node[path[i]] = {};
+            }
+            node = node[path[i]];
+        }
+        node[path[path.length - 1]] = op;
+    },
+
+    /**
+     * Check if a tree node is a register rather than a branch
+     * @param {Object} node - Tree node
+     * @returns {boolean}
+     */
+    isRegister(node) {
+        return Array.isArray(node.stamp);
+    },
+
+    /**
+     * Turn a tree of registers into plain values
+     * @param {Object} tree - Tree of registers
+     * @returns {Object} Values
+     */
+    unwrap(tree) {
+        const result = {};
+        Object.entries(tree).forEach(([key, node]) => {
+            result[key] = this.isRegister(node) ? Helpers.deepClone(node.value) : this.unwrap(node);
+        });
+        return result;
+    }
+};
+
+// Export for use in other modules
+window.CRDT = CRDT;
@@ -38,7 +38,7 @@ ${css}
             ${settings.showProgressBar && steps.length > 1 ? this.generateProgressBar(steps) : ''}
             
             <div class="form-steps-container">
-                ${steps.map((step, index) => this.generateStepHTML(step, index, steps.length)).join('\n')}
+                ${steps.map((step, index) => this.generateStepHTML(step, index, steps.length, settings)).join('\n')}
             </div>
 
             ${steps.length > 1 ? this.generateNavigationHTML() : ''}
@@ -302,6 +302,167 @@ body {
     accent-color: var(--primary-color);
 }
 
+/* Rating & Scales */
+.scale-options {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 8px;
+}
+
+.scale-option {
+    position: relative;
+    cursor: pointer;
+}
+
+.scale-option input {
+    position: absolute;
+    opacity: 0;
+    width: 1px;
+    height: 1px;
+}
+
+.scale-mark {
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    min-width: 44px;
+    height: 44px;
+    padding: 0 8px;
+    border: 1px solid var(--border-color);
+    border-radius: 10px;
+    font-weight: 600;
+    transition: all 0.2s ease;
+}
+
+.scale-option:hover .scale-mark {
+    border-color: var(--primary-color);
+}
+
+.scale-option input:focus-visible + .scale-mark {
+    outline: 2px solid var(--primary-color);
+    outline-offset: 2px;
+}
+
+.scale-number .scale-option input:checked + .scale-mark {
+    background: var(--primary-color);
+    border-color: var(--primary-color);
+    color: #ffffff;
+}
+
+.scale-star .scale-mark,
+.scale-heart .scale-mark {
+    border: none;
+    min-width: 36px;
+    padding: 0;
+    font-size: 32px;
+    color: var(--border-color);
+}
+
+.scale-star .scale-option.filled .scale-mark {
+    color: #f59e0b;
+}
+
+.scale-heart .scale-option.filled .scale-mark {
+    color: #ef4444;
+}
+
+.scale-ends {
+    display: flex;
+    justify-content: space-between;
+    gap: 16px;
+    margin-top: 6px;
+    font-size: 13px;
+    color: var(--text-secondary);
+}
+
+/* Phone */
+.phone-input {
+    display: flex;
+    gap: 8px;
+}
+
+.phone-input .phone-country {
+    flex: 0 0 170px;
+    min-width: 0;
+}
+
+.phone-input .field-input {
+    flex: 1;
+    min-width: 0;
+}
+
+/* Address */
+.address {
+    display: grid;
+    grid-template-columns: repeat(2, minmax(0, 1fr));
+    gap: 12px;
+}
+
+.address-part {
+    display: block;
+}
+
+.address-part[hidden] {
+    display: none;
+}
+
+.address-country,
+.address-line1,
+.address-line2 {
+    grid-column: 1 / -1;
+}
+
+.address-label {
+    display: block;
+    margin-bottom: 4px;
+    font-size: 13px;
+    color: var(--text-secondary);
+}
+
+/* Signature */
+.signature-canvas {
+    display: block;
+    width: 100%;
+    height: 160px;
+    border: 1px solid var(--border-color);
+    border-radius: 10px;
+    background: #fff;
+    cursor: crosshair;
+    touch-action: none;
+}
+
+.signature-pad input.error ~ .signature-canvas {
+    border-color: var(--error-color);
+}
+
+.signature-actions {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin-top: 6px;
+    font-size: 13px;
+    color: var(--text-secondary);
+}
+
+.signature-hint {
+    margin-right: auto;
+}
+
+.signature-actions button {
+    padding: 4px 12px;
+    border: 1px solid var(--border-color);
+    border-radius: 6px;
+    background: #fff;
+    color: var(--text-color);
+    font-size: 13px;
+    cursor: pointer;
+}
+
+.signature-actions button:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+}
+
 /* File Upload */
 .file-upload-wrapper {
     border: 2px dashed var(--border-color);
@@ -337,6 +498,36 @@ body {
     color: var(--primary-color);
 }
 
+/* Field Groups */
+.field-group .group-item {
+    position: relative;
+    padding: 20px 20px 4px;
+    margin-bottom: 12px;
+    border: 1px solid var(--border-color);
+    border-radius: 12px;
+}
+
+.group-remove {
+    position: absolute;
+    top: 8px;
+    right: 8px;
+    padding: 4px 10px;
+    font-size: 13px;
+    color: var(--text-secondary);
+    background: none;
+    border: none;
+    cursor: pointer;
+}
+
+.group-remove:hover {
+    color: var(--error-color);
+}
+
+.group-add {
+    padding: 8px 20px;
+    font-size: 14px;
+}
+
 /* Navigation Buttons */
 .form-navigation {
     display: flex;
@@ -449,7 +640,12 @@ body {
     generateJS(state) {
         const { steps, settings } = state;
         const webhookUrl = settings.webhookUrl || '';
-        const fieldsConfig = this.generateFieldsConfig(steps);
+        const names = this.getFieldNames(steps);
+        const fieldsConfig = this.generateFieldsConfig(steps, names);
+        const stepFlow = this.generateStepFlow(steps, names);
+        const types = new Set(steps.flatMap(step => AppState.flattenFields(step.fields).map(f => f.type)));
+        const hasPhone = types.has('phone');
+        const addressFormats = types.has('address') ? AddressUtils.getRuntimeFormats() : {};
 
         return `// Landing Page Form Handler - Generated by LandCraft
 (function() {
@@ -459,11 +655,14 @@ body {
     const config = {
         webhookUrl: '${webhookUrl}',
         totalSteps: ${steps.length},
-        fields: ${JSON.stringify(fieldsConfig, null, 8)}
+        fields: ${JSON.stringify(fieldsConfig, null, 8)},
+        steps: ${JSON.stringify(stepFlow, null, 8)},
+        countries: ${JSON.stringify(hasPhone ? PhoneUtils.countries : [])}
     };
 
     // State
     let currentStep = 0;
+    const stepHistory = [];
     const formData = {};
 
     // DOM Elements
@@ -476,9 +675,15 @@ body {
     const progressText = document.getElementById('progressText');
     const successMessage = document.getElementById('successMessage');
 
+    let groupItemCount = 0;
+
     // Initialize
     function init() {
         setupEventListeners();
+        initSignaturePads(form);
+        initAddresses(form);
+        initHiddenFields(form);
+        initGroups();
         updateNavigation();
         updateProgress();
         initConditionalLogic();
@@ -497,10 +702,19 @@ body {
 
     // Handle input changes
     function handleInputChange(e) {
-        const field = e.target;
+        // The country next to a phone number is part of its value
+        const field = e.target.classList.contains('phone-country')
+            ? e.target.parentElement.querySelector('[data-phone]')
+            : e.target;
         const fieldId = field.name;
+        const address = field.closest('[data-address]');
         
-        if (field.type === 'checkbox') {
+        // Fields in group items are read per item (see collectGroup)
+        if (field.closest('.group-item')) {
+            // Nothing to store
+        } else if (address) {
+            formData[address.closest('[data-field]').dataset.field] = readAddress(address);
+        } else if (field.type === 'checkbox') {
             if (!formData[fieldId]) formData[fieldId] = [];
             if (field.checked) {
                 if (!formData[fieldId].includes(field.value)) {
@@ -511,18 +725,210 @@ body {
             }
         } else if (field.type === 'file') {
             formData[fieldId] = field.files[0]?.name || '';
+        } else if (field.dataset.phone !== undefined) {
+            formData[fieldId] = readPhone(field);
         } else {
             formData[fieldId] = field.value;
         }
         
-        clearFieldError(fieldId);
+        if (field.closest('.scale')) updateScale(field.closest('.scale'));
+
+        clearFieldError(field.closest('[data-field]'));
         updateConditionalFields();
+
+        // Answers can change the steps that follow
+        updateNavigation();
+        updateProgress();
+    }
+
+    // Stars and hearts fill up to the chosen point
+    function updateScale(scale) {
+        const checked = scale.querySelector('input:checked');
+        const chosen = checked ? parseFloat(checked.value) : -Infinity;
+        scale.querySelectorAll('.scale-option').forEach(option => {
+            option.classList.toggle('filled', parseFloat(option.querySelector('input').value) <= chosen);
+        });
+    }
+
+    // Phone numbers: '' unless the number fits its country's rules
+    function toE164(value, countryCode) {
+        let country = config.countries.find(c => c.code === countryCode) || config.countries[0];
+        let digits = String(value || '').trim().replace(/^00/, '+').replace(/[^0-9+]/g, '');
+
+        if (digits.charAt(0) === '+') {
+            digits = digits.slice(1);
+            // Prefer the chosen country when several share a calling code
+            const matches = config.countries
+                .filter(c => digits.indexOf(c.dial) === 0)
+                .sort((a, b) => (b.dial.length - a.dial.length) || ((b === country) - (a === country)));
+            if (matches.length === 0) return '';
+            country = matches[0];
+            digits = digits.slice(country.dial.length);
+        } else if (country.trunk && digits.indexOf(country.trunk) === 0 && digits.length > country.min) {
+            digits = digits.slice(country.trunk.length);
+        } else if (digits.indexOf(country.dial) === 0 && digits.length > country.max) {
+            digits = digits.slice(country.dial.length);
+        }
+
+        if (!/^[0-9]+$/.test(digits) || digits.length < country.min || digits.length > country.max) return '';
+        if (country.pattern && !new RegExp(country.pattern).test(digits)) return '';
+
+        return '+' + country.dial + digits;
+    }
+
+    // Submitted as +countrycode number; kept as typed while it is not valid
+    function readPhone(input) {
+        const country = input.parentElement.querySelector('.phone-country').value;
+        return toE164(input.value, country) || input.value.trim();
+    }
+
+    ${this.generateAddressJS(addressFormats)}
+
+    // Addresses are submitted as an object of their parts; parts the country does not use are empty
+    function readAddress(address) {
+        const value = {};
+        address.querySelectorAll('[data-part]').forEach(input => {
+            value[input.dataset.part] = input.closest('[hidden]') ? '' : input.value.trim();
+        });
+        return value;
+    }
+
+    // An address is either empty or complete, with a postal code that fits its country
+    function validateAddress(address, rules) {
+        const inputs = Array.from(address.querySelectorAll('.address-part:not([hidden]) input'));
+        if (inputs.every(input => input.value.trim() === '')) {
+            return rules.required ? { valid: false, error: 'This field is required', input: inputs[0] } : { valid: true };
+        }
+
+        const missing = inputs.find(input => input.value.trim() === '' && input.dataset.part !== 'line2');
+        if (missing) {
+            // "address line 1", but "PIN code"
+            const label = missing.parentElement.querySelector('.address-label').textContent;
+            const name = /^[A-Z][a-z]/.test(label) ? label.charAt(0).toLowerCase() + label.slice(1) : label;
+            return { valid: false, error: 'Please enter the ' + name, input: missing };
+        }
+
+        const value = readAddress(address);
+        const format = addressFormats[value.country] || {};
+        if (format.pattern && value.postalCode && !new RegExp(format.pattern).test(value.postalCode.toUpperCase())) {
+            return { valid: false, error: 'Please enter a valid ' + format.postal, input: address.querySelector('[data-part="postalCode"]') };
+        }
+
+        return { valid: true };
+    }
+
+    ${this.generateSignatureJS()}
+
+    ${this.generateHiddenJS()}
+
+    // Repeatable groups
+    function initGroups() {
+        form.querySelectorAll('[data-group]').forEach(group => {
+            const min = parseInt(group.dataset.min, 10) || 0;
+            for (let i = 0; i < min; i++) addGroupItem(group);
+            updateGroupControls(group);
+
+            const addBtn = group.querySelector('.group-add');
+            if (addBtn) {
+                addBtn.addEventListener('click', () => {
+                    addGroupItem(group);
+                    updateGroupControls(group);
+                    updateConditionalFields();
+                });
+            }
+        });
+    }
+
+    function addGroupItem(group) {
+        const item = group.querySelector('.group-template').content.firstElementChild.cloneNode(true);
+        const n = groupItemCount++;
+
+        // Unique names keep the radio buttons of different items apart
+        item.querySelectorAll('input, select, textarea').forEach(input => {
+            if (input.name) input.name = input.name + '-' + n;
+            input.addEventListener('change', handleInputChange);
+            input.addEventListener('input', handleInputChange);
+        });
+
+        item.querySelector('.group-remove').addEventListener('click', () => {
+            item.remove();
+            updateGroupControls(group);
+            updateConditionalFields();
+        });
+        initSignaturePads(item);
+        initAddresses(item);
+        initHiddenFields(item);
+
+        group.querySelector('.group-items').appendChild(item);
+    }
+
+    function updateGroupControls(group) {
+        const count = group.querySelectorAll('.group-item').length;
+        const addBtn = group.querySelector('.group-add');
+        if (addBtn) addBtn.disabled = count >= (parseInt(group.dataset.max, 10) || Infinity);
+        group.querySelectorAll('.group-remove').forEach(btn => {
+            btn.hidden = count <= (parseInt(group.dataset.min, 10) || 0);
+        });
+    }
+
+    function readFieldValue(wrapper) {
+        const phone = wrapper.querySelector('[data-phone]');
+        if (phone) return readPhone(phone);
+
+        const address = wrapper.querySelector('[data-address]');
+        if (address) return readAddress(address);
+
+        const inputs = Array.from(wrapper.querySelectorAll('input, select, textarea'));
+        const input = inputs[0];
+        if (!input) return '';
+
+        if (input.type === 'checkbox') return inputs.filter(i => i.checked).map(i => i.value);
+        if (input.type === 'radio') return (inputs.find(i => i.checked) || {}).value || '';
+        if (input.type === 'file') return input.files[0]?.name || '';
+        return input.value;
+    }
+
+    function getItemValues(item) {
+        const values = {};
+        item.querySelectorAll('[data-field]').forEach(wrapper => {
+            values[wrapper.dataset.field] = readFieldValue(wrapper);
+        });
+        return values;
+    }
+
+    function collectGroup(group) {
+        return Array.from(group.querySelectorAll('.group-item')).map(getItemValues);
+    }
+
+    // Step flow: the first matching branch picks the next step, and
+    // steps whose skip rule matches are passed over
+    function getNextStep(index) {
+        const branch = config.steps[index].branches.find(rule => evaluateCondition(rule, {}));
+        let next = branch ? branch.goTo : index + 1;
+        while (next < config.totalSteps && config.steps[next].skip && evaluateCondition(config.steps[next].skip, {})) {
+            next++;
+        }
+        return next;
+    }
+
+    // Steps taken so far followed by the steps the current answers lead to
+    function getPath() {
+        const path = stepHistory.concat(currentStep);
+        for (let next = getNextStep(currentStep); next < config.totalSteps; next = getNextStep(next)) {
+            path.push(next);
+        }
+        return path;
+    }
+
+    function isOnPathTaken(element) {
+        const index = Array.prototype.indexOf.call(steps, element.closest('.form-step'));
+        return index === currentStep || stepHistory.includes(index);
     }
 
     // Navigation
     function handlePrev() {
-        if (currentStep > 0) {
-            currentStep--;
+        if (stepHistory.length > 0) {
+            currentStep = stepHistory.pop();
             showStep(currentStep);
             updateNavigation();
             updateProgress();
@@ -531,8 +937,10 @@ body {
 
     function handleNext() {
         if (validateCurrentStep()) {
-            if (currentStep < config.totalSteps - 1) {
-                currentStep++;
+            const next = getNextStep(currentStep);
+            if (next < config.totalSteps) {
+                stepHistory.push(currentStep);
+                currentStep = next;
                 showStep(currentStep);
                 updateNavigation();
                 updateProgress();
@@ -553,28 +961,36 @@ body {
     function updateNavigation() {
         if (!prevBtn || !nextBtn) return;
         
-        prevBtn.style.visibility = currentStep === 0 ? 'hidden' : 'visible';
-        nextBtn.textContent = currentStep === config.totalSteps - 1 ? 'Submit' : 'Next →';
+        prevBtn.style.visibility = stepHistory.length === 0 ? 'hidden' : 'visible';
+        nextBtn.textContent = getNextStep(currentStep) >= config.totalSteps ? 'Submit' : 'Next →';
     }
 
-    // Update progress
+    // Update progress; steps off the path are hidden
     function updateProgress() {
         if (progressSteps.length === 0) return;
+
+        const path = getPath();
+        const position = stepHistory.length;
         
         progressSteps.forEach((step, i) => {
+            const order = path.indexOf(i);
+            step.style.display = order === -1 ? 'none' : '';
             step.classList.remove('active', 'completed');
             if (i === currentStep) step.classList.add('active');
-            else if (i < currentStep) step.classList.add('completed');
+            else if (order !== -1 && order < position) step.classList.add('completed');
         });
 
+        // Connector i leads to step i + 1
         if (progressConnectors) {
             progressConnectors.forEach((conn, i) => {
-                conn.classList.toggle('completed', i < currentStep);
+                const order = path.indexOf(i + 1);
+                conn.style.display = order === -1 ? 'none' : '';
+                conn.classList.toggle('completed', order !== -1 && order <= position);
             });
         }
 
         if (progressText) {
-            progressText.textContent = 'Step ' + (currentStep + 1) + ' of ' + config.totalSteps;
+            progressText.textContent = 'Step ' + (position + 1) + ' of ' + path.length;
         }
     }
 
@@ -585,15 +1001,30 @@ body {
         let isValid = true;
 
         fields.forEach(field => {
-            if (field.closest('.form-field').classList.contains('hidden')) return;
+            if (field.closest('.hidden')) return;
             
-            const fieldId = field.name;
-            const fieldConfig = config.fields[fieldId];
+            const wrapper = field.closest('[data-field]');
+            const fieldConfig = config.fields[wrapper.dataset.field];
             if (!fieldConfig) return;
 
-            const result = validateField(field.value, fieldConfig);
+            if (field.dataset.address !== undefined) {
+                const result = validateAddress(field, fieldConfig);
+                if (!result.valid) {
+                    showFieldError(wrapper, result.error, result.input);
+                    isValid = false;
+                }
+                return;
+            }
+
+            // A radio's own value is an option; the answer is the checked one
+            const value = field.type === 'radio' ? readFieldValue(wrapper) : field.value;
+            // A phone number is checked against the country picked next to it
+            const rules = field.dataset.phone !== undefined
+                ? Object.assign({}, fieldConfig, { country: wrapper.querySelector('.phone-country').value })
+                : fieldConfig;
+            const result = validateField(value, rules);
             if (!result.valid) {
-                showFieldError(fieldId, result.error);
+                showFieldError(wrapper, result.error);
                 isValid = false;
             }
         });
@@ -625,6 +1056,11 @@ body {
             }
         }
 
+        // Phone validation (length and format of the number's country)
+        if (rules.type === 'phone' && !toE164(value, rules.country)) {
+            return { valid: false, error: 'Please enter a valid phone number' };
+        }
+
         // Min length
         if (rules.minLength && value.length < rules.minLength) {
             return { valid: false, error: 'Minimum ' + rules.minLength + ' characters required' };
@@ -648,11 +1084,10 @@ body {
         return { valid: true };
     }
 
-    function showFieldError(fieldId, message) {
-        const wrapper = document.querySelector('[data-field="' + fieldId + '"]');
+    function showFieldError(wrapper, message, input) {
         if (!wrapper) return;
         
-        const input = wrapper.querySelector('input, select, textarea');
+        input = input || wrapper.querySelector('input, select, textarea');
         const errorEl = wrapper.querySelector('.field-error');
         
         if (input) input.classList.add('error');
@@ -662,14 +1097,12 @@ body {
         }
     }
 
-    function clearFieldError(fieldId) {
-        const wrapper = document.querySelector('[data-field="' + fieldId + '"]');
+    function clearFieldError(wrapper) {
         if (!wrapper) return;
         
-        const input = wrapper.querySelector('input, select, textarea');
         const errorEl = wrapper.querySelector('.field-error');
         
-        if (input) input.classList.remove('error');
+        wrapper.querySelectorAll('.error').forEach(input => input.classList.remove('error'));
         if (errorEl) errorEl.classList.remove('show');
     }
 
@@ -681,20 +1114,19 @@ body {
     function updateConditionalFields() {
         Object.entries(config.fields).forEach(([fieldId, fieldConfig]) => {
             if (fieldConfig.conditionalLogic && fieldConfig.conditionalLogic.enabled) {
-                const wrapper = document.querySelector('[data-field="' + fieldId + '"]');
-                if (!wrapper) return;
-
-                const condition = fieldConfig.conditionalLogic;
-                const isVisible = evaluateCondition(condition);
-                
-                wrapper.classList.toggle('hidden', !isVisible);
+                // Fields of a group item are shown per item, using that item's values
+                form.querySelectorAll('[data-field="' + fieldId + '"]').forEach(wrapper => {
+                    const item = wrapper.closest('.group-item');
+                    const isVisible = evaluateCondition(fieldConfig.conditionalLogic, item ? getItemValues(item) : {});
+                    wrapper.classList.toggle('hidden', !isVisible);
+                });
             }
         });
     }
 
-    function evaluateCondition(condition) {
+    function evaluateCondition(condition, itemValues) {
         const { field, operator, value } = condition;
-        const fieldValue = formData[field] || '';
+        const fieldValue = (field in itemValues ? itemValues[field] : formData[field]) || '';
 
         switch (operator) {
             case 'equals': return fieldValue === value;
@@ -702,6 +1134,8 @@ body {
             case 'contains': return String(fieldValue).includes(value);
             case 'not_empty': return fieldValue !== '' && fieldValue !== null;
             case 'empty': return fieldValue === '' || fieldValue === null;
+            case 'greater_than': return parseFloat(fieldValue) > parseFloat(value);
+            case 'less_than': return parseFloat(fieldValue) < parseFloat(value);
             default: return true;
         }
     }
@@ -712,19 +1146,47 @@ body {
         submitBtn.disabled = true;
         submitBtn.textContent = 'Submitting...';
 
+        // Answers on steps that were skipped or branched past are left out;
+        // hidden fields describe the visit, so they are sent whichever steps were taken
+        steps.forEach(step => {
+            if (isOnPathTaken(step)) return;
+            step.querySelectorAll('[data-field]:not([data-hidden])').forEach(wrapper => {
+                delete formData[wrapper.dataset.field];
+            });
+        });
+
         // Collect all form data
         const formFields = form.querySelectorAll('input, select, textarea');
         formFields.forEach(field => {
+            if (!field.name || field.closest('.group-item')) return;
+            if (!isOnPathTaken(field) && field.dataset.hiddenSource === undefined) return;
+
             if (field.type === 'checkbox') {
                 if (!formData[field.name]) formData[field.name] = [];
                 if (field.checked && !formData[field.name].includes(field.value)) {
                     formData[field.name].push(field.value);
                 }
+            } else if (field.type === 'radio') {
+                // Every radio of the group passes here; the answer is the checked one
+                formData[field.name] = readFieldValue(field.closest('[data-field]'));
+            } else if (field.dataset.phone !== undefined) {
+                formData[field.name] = readPhone(field);
             } else if (field.type !== 'file') {
                 formData[field.name] = field.value;
             }
         });
 
+        // Addresses submit one object with their parts
+        form.querySelectorAll('[data-address]').forEach(address => {
+            if (address.closest('.group-item') || !isOnPathTaken(address)) return;
+            formData[address.closest('[data-field]').dataset.field] = readAddress(address);
+        });
+
+        // Groups submit one object per item
+        form.querySelectorAll('[data-group]').forEach(group => {
+            if (isOnPathTaken(group)) formData[group.dataset.field] = collectGroup(group);
+        });
+
         // Prepare payload
         const payload = {
             formData: formData,
@@ -732,7 +1194,8 @@ body {
                 timestamp: new Date().toISOString(),
                 pageUrl: window.location.href,
                 userAgent: navigator.userAgent,
-                totalSteps: config.totalSteps
+                totalSteps: config.totalSteps,
+                stepPath: stepHistory.concat(currentStep).map(i => config.steps[i].id)
             }
         };
 
@@ -815,9 +1278,10 @@ body {
      * @param {Object} step - Step configuration
      * @param {number} index - Step index
      * @param {number} total - Total steps
+     * @param {Object} settings - Page settings
      * @returns {string} Step HTML
      */
-    generateStepHTML(step, index, total) {
+    generateStepHTML(step, index, total, settings = {}) {
         let html = `                <div class="form-step${index === 0 ? ' active' : ''}" data-step="${index}">\n`;
         
         if (step.name) {
@@ -825,7 +1289,7 @@ body {
         }
 
         step.fields.forEach(field => {
-            html += this.generateFieldHTML(field);
+            html += this.generateFieldHTML(field, settings);
         });
 
         html += '                </div>\n';
@@ -835,12 +1299,22 @@ body {
     /**
      * Generate field HTML
      * @param {Object} field - Field configuration
+     * @param {Object} settings - Page settings
      * @returns {string} Field HTML
      */
-    generateFieldHTML(field) {
-        const { id, type, label, placeholder, required, options } = field;
+    generateFieldHTML(field, settings = {}) {
+        const { type, label, placeholder, required, options } = field;
+        const id = Helpers.sanitizeHTML(this.getFieldName(field));
         const requiredMark = required ? '<span class="required-mark">*</span>' : '';
 
+        if (type === 'group') {
+            return this.generateGroupHTML(field, settings);
+        }
+
+        if (type === 'hidden') {
+            return this.generateHiddenHTML(field);
+        }
+
         let html = `                    <div class="form-field" data-field="${id}">\n`;
         html += `                        <label class="field-label">${Helpers.sanitizeHTML(label)}${requiredMark}</label>\n`;
 
@@ -850,15 +1324,23 @@ body {
             case 'number':
             case 'date':
                 const inputType = type === 'mobile' ? 'tel' : type;
-                html += `                        <input type="${inputType}" name="${id}" class="field-input" placeholder="${Helpers.sanitizeHTML(placeholder || '')}" data-validate${required ? ' required' : ''}>\n`;
+                html += `                        <input type="${inputType}" name="${id}" class="field-input" placeholder="${Helpers.escapeAttribute(placeholder || '')}" data-validate${required ? ' required' : ''}>\n`;
                 break;
 
             case 'mobile':
-                html += `                        <input type="tel" name="${id}" class="field-input" placeholder="${Helpers.sanitizeHTML(placeholder || 'Enter 10-digit mobile number')}" maxlength="10" pattern="[0-9]{10}" data-validate${required ? ' required' : ''}>\n`;
+                html += `                        <input type="tel" name="${id}" class="field-input" placeholder="${Helpers.escapeAttribute(placeholder || 'Enter 10-digit mobile number')}" maxlength="10" pattern="[0-9]{10}" data-validate${required ? ' required' : ''}>\n`;
+                break;
+
+            case 'phone':
+                html += this.generatePhoneHTML(field, id, settings);
+                break;
+
+            case 'address':
+                html += this.generateAddressHTML(field, settings);
                 break;
 
             case 'textarea':
-                html += `                        <textarea name="${id}" class="field-textarea" placeholder="${Helpers.sanitizeHTML(placeholder || '')}" data-validate${required ? ' required' : ''}></textarea>\n`;
+                html += `                        <textarea name="${id}" class="field-textarea" placeholder="${Helpers.escapeAttribute(placeholder || '')}" data-validate${required ? ' required' : ''}></textarea>\n`;
                 break;
 
             case 'dropdown':
@@ -892,6 +1374,24 @@ body {
                 html += '                        </div>\n';
                 break;
 
+            case 'rating':
+            case 'nps':
+            case 'scale':
+                html += this.generateScaleHTML(field, id);
+                break;
+
+            case 'signature':
+                html += `                        <div class="signature-pad" data-signature>
+                            <input type="hidden" name="${id}" data-validate${required ? ' required' : ''}>
+                            <canvas class="signature-canvas" aria-label="Signature pad: draw your signature"></canvas>
+                            <div class="signature-actions">
+                                <span class="signature-hint">Sign above with your mouse or finger</span>
+                                <button type="button" class="signature-undo">Undo</button>
+                                <button type="button" class="signature-clear">Clear</button>
+                            </div>
+                        </div>\n`;
+                break;
+
             case 'file':
                 html += `                        <div class="file-upload-wrapper" onclick="this.querySelector('input').click()">
                             <input type="file" name="${id}" data-validate${required ? ' required' : ''}>
@@ -902,7 +1402,7 @@ body {
                 break;
 
             default:
-                html += `                        <input type="text" name="${id}" class="field-input" placeholder="${Helpers.sanitizeHTML(placeholder || '')}" data-validate${required ? ' required' : ''}>\n`;
+                html += `                        <input type="text" name="${id}" class="field-input" placeholder="${Helpers.escapeAttribute(placeholder || '')}" data-validate${required ? ' required' : ''}>\n`;
         }
 
         html += '                        <div class="field-error"></div>\n';
@@ -910,6 +1410,364 @@ body {
         return html;
     },
 
+    /**
+     * Generate group HTML
+     * Items are created from the template by the runtime, starting with the minimum.
+     * @param {Object} field - Group field configuration
+     * @param {Object} settings - Page settings
+     * @returns {string} Group HTML
+     */
+    generateGroupHTML(field, settings = {}) {
+        const { min, max } = this.getGroupLimits(field);
+
+        let html = `                    <div class="form-field field-group" data-field="${Helpers.sanitizeHTML(this.getFieldName(field))}" data-group data-min="${min}" data-max="${max}">\n`;
+        html += `                        <label class="field-label">${Helpers.sanitizeHTML(field.label)}</label>\n`;
+        html += '                        <div class="group-items"></div>\n';
+        html += '                        <template class="group-template">\n';
+        html += '                            <div class="group-item">\n';
+        html += '                                <button type="button" class="group-remove">Remove</button>\n';
+        (field.fields || []).forEach(child => {
+            html += this.generateFieldHTML(child, settings);
+        });
+        html += '                            </div>\n';
+        html += '                        </template>\n';
+        if (max > min) {
+            html += `                        <button type="button" class="btn btn-secondary group-add">+ ${Helpers.sanitizeHTML(field.addLabel || 'Add another')}</button>\n`;
+        }
+        html += '                        <div class="field-error"></div>\n';
+        html += '                    </div>\n';
+        return html;
+    },
+
+    /**
+     * Generate hidden field HTML
+     * The input starts with the fixed or fallback value; the runtime replaces
+     * it with what it reads from the visit.
+     * @param {Object} field - Hidden field configuration
+     * @param {string} id - Escaped field name, the key by default
+     * @returns {string} Hidden field HTML, without a label
+     */
+    generateHiddenHTML(field, id = Helpers.escapeAttribute(this.getFieldName(field))) {
+        const source = this.getHiddenSource(field);
+        const param = ['query', 'cookie'].includes(source) ? ` data-hidden-param="${Helpers.escapeAttribute(field.param || '')}"` : '';
+
+        return `                    <div class="form-field" data-field="${id}" data-hidden hidden>
+                        <input type="hidden" name="${id}" value="${Helpers.escapeAttribute(field.value || '')}" data-hidden-source="${source}"${param}>
+                    </div>\n`;
+    },
+
+    /**
+     * Get where a hidden field takes its value from
+     * @param {Object} field - Hidden field configuration
+     * @returns {string} 'query', 'cookie', 'referrer' or 'static'
+     */
+    getHiddenSource(field) {
+        return ['query', 'cookie', 'referrer', 'static'].includes(field.source) ? field.source : 'static';
+    },
+
+    /**
+     * Generate the runtime code of hidden fields, shared by the exported page and the preview
+     * The query string and cookies are read with the code of Helpers.parseQueryString
+     * and Helpers.getCookie, so the page reads them exactly as the builder does.
+     * @returns {string} JavaScript code defining initHiddenFields(root)
+     */
+    generateHiddenJS() {
+        return `// Hidden fields: filled from the page URL, a cookie or the referrer
+    function initHiddenFields(root) {
+        const query = parseQueryString(window.location.search);
+        root.querySelectorAll('[data-hidden-source]').forEach(input => {
+            const name = input.dataset.hiddenParam;
+            let value = null;
+            switch (input.dataset.hiddenSource) {
+                case 'query': value = name ? query[name] : null; break;
+                case 'cookie': value = name ? getCookie(name) : null; break;
+                case 'referrer': value = document.referrer; break;
+            }
+            // Without a value to read, the fallback is sent
+            if (value) input.value = value;
+            input.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+    }
+
+    function ${Helpers.parseQueryString.toString()}
+
+    function ${Helpers.getCookie.toString()}`;
+    },
+
+    /**
+     * Generate the runtime code of signature pads, shared by the exported page and the preview
+     * Each pad keeps its strokes so the last one can be undone, and stores the
+     * drawing in its hidden input as a PNG data URL.
+     * @returns {string} JavaScript code defining initSignaturePads(root)
+     */
+    generateSignatureJS() {
+        return `// Signature pads: drawn with a mouse, pen or finger
+    function initSignaturePads(root) {
+        root.querySelectorAll('[data-signature]').forEach(pad => {
+            const canvas = pad.querySelector('canvas');
+            const input = pad.querySelector('input');
+            const undoBtn = pad.querySelector('.signature-undo');
+            const clearBtn = pad.querySelector('.signature-clear');
+            const ctx = canvas.getContext('2d');
+            const strokes = [];
+            let stroke = null;
+
+            // Points are kept in CSS pixels; the canvas is sized when it is visible
+            function redraw() {
+                const ratio = window.devicePixelRatio || 1;
+                const width = Math.round(canvas.offsetWidth * ratio);
+                const height = Math.round(canvas.offsetHeight * ratio);
+                if (canvas.width !== width || canvas.height !== height) {
+                    canvas.width = width;
+                    canvas.height = height;
+                }
+
+                ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+                ctx.clearRect(0, 0, canvas.width, canvas.height);
+                ctx.lineWidth = 2;
+                ctx.lineCap = 'round';
+                ctx.lineJoin = 'round';
+                ctx.strokeStyle = '#111827';
+                strokes.forEach(points => {
+                    ctx.beginPath();
+                    ctx.moveTo(points[0].x, points[0].y);
+                    // A single point is drawn as a dot
+                    if (points.length === 1) ctx.lineTo(points[0].x + 0.1, points[0].y);
+                    points.slice(1).forEach(p => ctx.lineTo(p.x, p.y));
+                    ctx.stroke();
+                });
+            }
+
+            function save() {
+                input.value = strokes.length > 0 ? canvas.toDataURL('image/png') : '';
+                if (undoBtn) undoBtn.disabled = strokes.length === 0;
+                if (clearBtn) clearBtn.disabled = strokes.length === 0;
+                input.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+
+            function getPoint(e) {
+                const rect = canvas.getBoundingClientRect();
+                return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+            }
+
+            canvas.addEventListener('pointerdown', e => {
+                e.preventDefault();
+                if (canvas.setPointerCapture) canvas.setPointerCapture(e.pointerId);
+                stroke = [getPoint(e)];
+                strokes.push(stroke);
+                redraw();
+            });
+
+            canvas.addEventListener('pointermove', e => {
+                if (!stroke) return;
+                const last = stroke[stroke.length - 1];
+                const point = getPoint(e);
+                stroke.push(point);
+                ctx.beginPath();
+                ctx.moveTo(last.x, last.y);
+                ctx.lineTo(point.x, point.y);
+                ctx.stroke();
+            });
+
+            ['pointerup', 'pointercancel'].forEach(type => {
+                canvas.addEventListener(type, () => {
+                    if (!stroke) return;
+                    stroke = null;
+                    save();
+                });
+            });
+
+            if (undoBtn) {
+                undoBtn.addEventListener('click', () => {
+                    strokes.pop();
+                    redraw();
+                    save();
+                });
+            }
+
+            if (clearBtn) {
+                clearBtn.addEventListener('click', () => {
+                    strokes.length = 0;
+                    redraw();
+                    save();
+                });
+            }
+
+            if (undoBtn) undoBtn.disabled = true;
+            if (clearBtn) clearBtn.disabled = true;
+            window.addEventListener('resize', () => {
+                if (strokes.length > 0) redraw();
+            });
+        });
+    }`;
+    },
+
+    /**
+     * Generate the country select and number input of a phone field
+     * @param {Object} field - Phone field configuration
+     * @param {string} name - Input name
+     * @param {Object} settings - Page settings, for the default country
+     * @returns {string} Phone input HTML
+     */
+    generatePhoneHTML(field, name, settings) {
+        const country = PhoneUtils.getFieldCountry(field, settings);
+
+        let html = '                        <div class="phone-input">\n';
+        html += `                            <select class="field-select phone-country" aria-label="Country code">${this.getCountryOptions(country.code)}</select>\n`;
+        html += `                            <input type="tel" name="${name}" class="field-input" placeholder="${Helpers.escapeAttribute(field.placeholder || country.example)}" autocomplete="tel-national" data-phone data-validate${field.required ? ' required' : ''}>\n`;
+        html += '                        </div>\n';
+        return html;
+    },
+
+    /**
+     * Generate the parts of an address field
+     * All parts are generated; the runtime shows the ones the chosen country uses.
+     * @param {Object} field - Address field configuration
+     * @param {Object} settings - Page settings, for the default country
+     * @param {boolean} validate - Whether the runtime validates the address
+     * @returns {string} Address HTML
+     */
+    generateAddressHTML(field, settings, validate = true) {
+        const country = AddressUtils.getFieldCountry(field, settings);
+        const labels = { region: country.region, postalCode: country.postal };
+        const validation = validate ? ` data-validate${field.required ? ' required' : ''}` : '';
+
+        let html = `                        <div class="address" data-address${validation}>\n`;
+        html += `                            <label class="address-part address-country">
+                                <span class="address-label">Country</span>
+                                <select class="field-select" data-part="country" autocomplete="country">${this.getCountryOptions(country.code, AddressUtils.countries)}</select>
+                            </label>\n`;
+        AddressUtils.parts.forEach(part => {
+            const hidden = part.name in labels && !labels[part.name];
+            const placeholder = part.name === 'postalCode' ? ` placeholder="${Helpers.escapeAttribute(country.example)}"` : '';
+            html += `                            <label class="address-part address-${part.name}"${hidden ? ' hidden' : ''}>
+                                <span class="address-label">${Helpers.sanitizeHTML(labels[part.name] || part.label)}</span>
+                                <input type="text" class="field-input" data-part="${part.name}" autocomplete="${part.autocomplete}"${placeholder}>
+                            </label>\n`;
+        });
+        html += '                        </div>\n';
+        return html;
+    },
+
+    /**
+     * Generate the runtime code that adapts addresses to their country, shared by the exported page and the preview
+     * @param {Object} formats - Address formats by country code (see AddressUtils.getRuntimeFormats)
+     * @returns {string} JavaScript code defining initAddresses(root) and updateAddress(address)
+     */
+    generateAddressJS(formats) {
+        return `// Addresses: the region and postal code follow the chosen country
+    const addressFormats = ${JSON.stringify(formats)};
+
+    function updateAddress(address) {
+        const format = addressFormats[address.querySelector('[data-part="country"]').value] || {};
+        [['region', format.region], ['postalCode', format.postal]].forEach(([name, label]) => {
+            const part = address.querySelector('.address-' + name);
+            part.hidden = !label;
+            if (label) part.querySelector('.address-label').textContent = label;
+        });
+        address.querySelector('[data-part="postalCode"]').placeholder = format.example || '';
+    }
+
+    function initAddresses(root) {
+        root.querySelectorAll('[data-address]').forEach(address => {
+            address.querySelector('[data-part="country"]').addEventListener('change', () => updateAddress(address));
+        });
+    }`;
+    },
+
+    /**
+     * Get the options of a country select
+     * Phone countries show their calling code.
+     * @param {string|null} selected - Code of the selected country
+     * @param {Array<Object>} countries - Countries ({code, name} and, for phone numbers, dial)
+     * @returns {string} Option elements
+     */
+    getCountryOptions(selected, countries = PhoneUtils.countries) {
+        return countries.map(c =>
+            `<option value="${c.code}"${c.code === selected ? ' selected' : ''}>${PhoneUtils.getFlag(c.code)} ${Helpers.sanitizeHTML(c.name)}${c.dial ? ` (+${c.dial})` : ''}</option>`
+        ).join('');
+    },
+
+    /**
+     * Generate the radio group of a rating, NPS or scale field
+     * Radios keep the scale usable with the keyboard (arrow keys pick a point).
+     * @param {Object} field - Field configuration
+     * @param {string} name - Input name
+     * @returns {string} Scale HTML
+     */
+    generateScaleHTML(field, name) {
+        const { values, minLabel, maxLabel, icon } = this.getScaleOptions(field);
+        const mark = { star: '★', heart: '♥' }[icon];
+
+        let html = `                        <div class="scale scale-${icon}" role="radiogroup" aria-label="${Helpers.escapeAttribute(field.label)}">\n`;
+        html += '                            <div class="scale-options">\n';
+        values.forEach(value => {
+            html += `                                <label class="scale-option">
+                                    <input type="radio" name="${name}" value="${value}" aria-label="${Helpers.escapeAttribute(this.describeScalePoint(value, values, minLabel, maxLabel))}" data-validate${field.required ? ' required' : ''}>
+                                    <span class="scale-mark" aria-hidden="true">${mark || value}</span>
+                                </label>\n`;
+        });
+        html += '                            </div>\n';
+        if (minLabel || maxLabel) {
+            html += `                            <div class="scale-ends"><span>${Helpers.sanitizeHTML(minLabel)}</span><span>${Helpers.sanitizeHTML(maxLabel)}</span></div>\n`;
+        }
+        html += '                        </div>\n';
+        return html;
+    },
+
+    /**
+     * Get the points of a rating, NPS or scale field
+     * Ranges are kept between 0 and 10 with at least two points.
+     * @param {Object} field - Field configuration
+     * @returns {Object} {min, max, values, minLabel, maxLabel, icon}
+     */
+    getScaleOptions(field) {
+        const defaults = AppState.getFieldDefaults(field.type);
+        const toInt = (value, fallback) => Number.isNaN(parseInt(value, 10)) ? fallback : parseInt(value, 10);
+
+        const min = Math.min(Math.max(toInt(field.scaleMin, defaults.scaleMin ?? 1), 0), 9);
+        const max = Math.min(Math.max(toInt(field.scaleMax, defaults.scaleMax ?? 5), min + 1), 10);
+        const icon = ['star', 'heart', 'number'].includes(field.icon) ? field.icon : (defaults.icon || 'number');
+
+        return {
+            min,
+            max,
+            values: Array.from({ length: max - min + 1 }, (_, i) => min + i),
+            minLabel: field.minLabel || '',
+            maxLabel: field.maxLabel || '',
+            icon
+        };
+    },
+
+    /**
+     * Describe a scale point for screen readers, e.g. "0 - Not at all likely"
+     * @param {number} value - Point
+     * @param {Array<number>} values - All points
+     * @param {string} minLabel - Label of the lowest point
+     * @param {string} maxLabel - Label of the highest point
+     * @returns {string} Description
+     */
+    describeScalePoint(value, values, minLabel, maxLabel) {
+        const end = value === values[0] ? minLabel : value === values[values.length - 1] ? maxLabel : '';
+        return end ? `${value} - ${end}` : `${value} of ${values[values.length - 1]}`;
+    },
+
+    /**
+     * Get how many items a group starts with and can grow to
+     * A group that does not repeat always has exactly one item;
+     * a repeatable group without a maximum can grow without limit.
+     * @param {Object} field - Group field configuration
+     * @returns {Object} {min, max} - max is Infinity without a limit
+     */
+    getGroupLimits(field) {
+        if (!field.repeatable) return { min: 1, max: 1 };
+
+        const min = Math.max(parseInt(field.minItems, 10) || 0, 0);
+        const maxItems = parseInt(field.maxItems, 10);
+        const max = Number.isNaN(maxItems) ? Infinity : Math.max(maxItems, min, 1);
+        return { min, max };
+    },
+
     /**
      * Generate navigation HTML
      * @returns {string} Navigation HTML
@@ -921,24 +1779,47 @@ body {
             </div>`;
     },
 
+    /**
+     * Get the name of a field's inputs and answer in the submission
+     * @param {Object} field - Field configuration
+     * @returns {string} The field's key, or its ID if it has none
+     */
+    getFieldName(field) {
+        return field.key || field.id;
+    },
+
+    /**
+     * Map field IDs to the names used by the generated page
+     * @param {Array} steps - Steps array
+     * @returns {Map<string, string>} Field ID -> name
+     */
+    getFieldNames(steps) {
+        return new Map(steps.flatMap(step => AppState.flattenFields(step.fields))
+            .map(field => [field.id, this.getFieldName(field)]));
+    },
+
     /**
      * Generate fields configuration for validation
      * @param {Array} steps - Steps array
-     * @returns {Object} Fields configuration
+     * @param {Map<string, string>} names - Field names (see getFieldNames)
+     * @returns {Object} Fields configuration, by field name
      */
-    generateFieldsConfig(steps) {
+    generateFieldsConfig(steps, names = this.getFieldNames(steps)) {
         const fields = {};
+        const rename = condition => condition?.enabled
+            ? { ...condition, field: names.get(condition.field) ?? condition.field }
+            : condition;
         
         steps.forEach(step => {
-            step.fields.forEach(field => {
-                fields[field.id] = {
+            AppState.flattenFields(step.fields).forEach(field => {
+                fields[this.getFieldName(field)] = {
                     type: field.type,
                     required: field.required,
                     minLength: field.validation?.minLength,
                     maxLength: field.validation?.maxLength,
                     pattern: field.validation?.pattern,
                     errorMessage: field.validation?.errorMessage,
-                    conditionalLogic: field.conditionalLogic
+                    conditionalLogic: rename(field.conditionalLogic)
                 };
             });
         });
@@ -946,8 +1827,35 @@ body {
         return fields;
     },
 
+    /**
+     * Generate the step flow used by the runtime to pick the next step
+     * Branch targets become step indexes. Branches that do not go forward
+     * and a skip rule on the first step are left out, so every path ends.
+     * @param {Array} steps - Steps array
+     * @param {Map<string, string>} names - Field names to use in rules (field IDs if omitted)
+     * @returns {Array<Object>} Per step: {id, skip, branches: [{field, operator, value, goTo}]}
+     */
+    generateStepFlow(steps, names = null) {
+        const indexes = new Map(steps.map((step, index) => [step.id, index]));
+        const rule = ({ field, operator, value }) => ({ field: names?.get(field) ?? field, operator, value: value ?? '' });
+
+        return steps.map((step, index) => ({
+            id: step.id,
+            skip: index > 0 && step.skipLogic?.enabled && step.skipLogic.field ? rule(step.skipLogic) : null,
+            branches: (step.branches || [])
+                .filter(branch => branch.field && indexes.get(branch.goTo) > index)
+                .map(branch => ({ ...rule(branch), goTo: indexes.get(branch.goTo) }))
+        }));
+    },
+
+    /**
+     * Version written to exported JSON schemas
+     */
+    schemaVersion: '1.9',
+
     /**
      * Generate JSON schema
+     * parseJSONSchema is the inverse: export -> import -> export is lossless.
      * @param {Object} state - Application state
      * @returns {Object} JSON schema
      */
@@ -955,7 +1863,7 @@ body {
         const { projectName, header, steps, settings } = state;
 
         return {
-            schema_version: "1.0",
+            schema_version: this.schemaVersion,
             project_name: projectName,
             created_at: new Date().toISOString(),
             header_image: header.image?.url || null,
@@ -977,40 +1885,215 @@ body {
                 color: header.description?.color || '#64748b'
             },
             steps: steps.map((step, index) => ({
+                step_id: step.id,
                 step_index: index,
                 step_name: step.name || `Step ${index + 1}`,
-                fields: step.fields.map(field => ({
-                    id: field.id,
-                    type: field.type,
-                    label: field.label,
-                    placeholder: field.placeholder || '',
-                    required: field.required || false,
-                    options: field.options || [],
-                    validation: {
-                        min_length: field.validation?.minLength || null,
-                        max_length: field.validation?.maxLength || null,
-                        pattern: field.validation?.pattern || null,
-                        error_message: field.validation?.errorMessage || null,
-                        mobile_10_digit: field.type === 'mobile',
-                        email_format: field.type === 'email'
-                    },
-                    conditional_logic: field.conditionalLogic || {
-                        enabled: false,
-                        field: null,
-                        operator: 'equals',
-                        value: null
-                    }
-                }))
+                skip_logic: step.skipLogic || { enabled: false },
+                branches: (step.branches || []).map(({ field, operator, value, goTo }) => ({
+                    field, operator, value, go_to: goTo
+                })),
+                fields: step.fields.map(field => this.generateFieldSchema(field))
             })),
             settings: {
                 show_progress_bar: settings.showProgressBar,
                 submit_button_text: settings.submitButtonText || 'Submit',
-                success_message: settings.successMessage || 'Thank you! Your response has been recorded.'
+                success_message: settings.successMessage || 'Thank you! Your response has been recorded.',
+                theme: settings.theme || 'light',
+                default_country: settings.defaultCountry || PhoneUtils.defaultCountry
             },
             webhook_url: settings.webhookUrl || null
         };
     },
 
+    /**
+     * Generate JSON schema for a single field
+     * @param {Object} field - Field configuration
+     * @returns {Object} Field schema
+     */
+    generateFieldSchema(field) {
+        const validation = field.validation || {};
+
+        return {
+            id: field.id,
+            key: field.key,
+            type: field.type,
+            label: field.label,
+            placeholder: field.placeholder || '',
+            required: field.required || false,
+            options: field.options || [],
+            ...(field.type === 'file' && {
+                accept: field.accept ?? null,
+                max_size: field.maxSize ?? null
+            }),
+            ...((field.type === 'phone' || field.type === 'address') && {
+                country: field.country || null
+            }),
+            ...(field.type === 'hidden' && {
+                source: this.getHiddenSource(field),
+                param: field.param || null,
+                value: field.value || ''
+            }),
+            ...(AppState.isScale(field) && {
+                scale_min: field.scaleMin ?? null,
+                scale_max: field.scaleMax ?? null,
+                min_label: field.minLabel || '',
+                max_label: field.maxLabel || '',
+                icon: field.icon || null
+            }),
+            ...(field.type === 'group' && {
+                repeatable: field.repeatable || false,
+                min_items: field.minItems ?? null,
+                max_items: field.maxItems ?? null,
+                add_label: field.addLabel || null,
+                fields: (field.fields || []).map(child => this.generateFieldSchema(child))
+            }),
+            validation: {
+                min_length: validation.minLength ?? null,
+                max_length: validation.maxLength ?? null,
+                min: validation.min ?? null,
+                max: validation.max ?? null,
+                pattern: validation.pattern || null,
+                error_message: validation.errorMessage || null,
+                mobile_10_digit: field.type === 'mobile',
+                email_format: field.type === 'email'
+            },
+            conditional_logic: field.conditionalLogic || {
+                enabled: false,
+                field: null,
+                operator: 'equals',
+                value: null
+            }
+        };
+    },
+
+    /**
+     * Parse a JSON schema back into application state
+     * Older schemas must be upgraded with Migrations.migrateSchema first.
+     * @param {Object} data - JSON schema (as produced by generateJSONSchema)
+     * @returns {Object} State with projectName, header, steps and settings
+     */
+    parseJSONSchema(data) {
+        const defaults = AppState.getDefaultState();
+        const title = data.title || {};
+        const description = data.description || {};
+
+        const steps = (data.steps || []).map((step, index) => ({
+            id: step.step_id || Helpers.generateId('step'),
+            name: step.step_name || `Step ${index + 1}`,
+            skipLogic: Helpers.deepClone(step.skip_logic || { enabled: false }),
+            branches: (step.branches || []).map(({ field, operator, value, go_to }) => ({
+                field, operator, value, goTo: go_to
+            })),
+            fields: (step.fields || []).map(field => this.parseFieldSchema(field))
+        }));
+
+        return {
+            projectName: data.project_name || 'Imported Project',
+            header: {
+                image: {
+                    url: data.header_image || null,
+                    height: data.header_image_height || 300
+                },
+                title: data.title ? {
+                    text: title.text || '',
+                    fontFamily: title.font_family || 'Plus Jakarta Sans',
+                    fontSize: title.font_size || 32,
+                    color: title.color || '#1e293b',
+                    bold: title.bold || false,
+                    italic: title.italic || false,
+                    underline: title.underline || false,
+                    align: title.align || 'center'
+                } : defaults.header.title,
+                description: data.description ? {
+                    html: description.html || '',
+                    text: description.text || '',
+                    fontSize: description.font_size || 16,
+                    color: description.color || '#64748b'
+                } : defaults.header.description
+            },
+            steps: steps.length > 0 ? steps : [{ id: 'step_0', name: 'Step 1', fields: [] }],
+            settings: {
+                webhookUrl: data.webhook_url || '',
+                submitButtonText: data.settings?.submit_button_text || 'Submit',
+                successMessage: data.settings?.success_message || 'Thank you! Your response has been recorded.',
+                showProgressBar: data.settings?.show_progress_bar !== false,
+                theme: data.settings?.theme || defaults.settings.theme,
+                defaultCountry: data.settings?.default_country || defaults.settings.defaultCountry
+            }
+        };
+    },
+
+    /**
+     * Parse a field schema back into a field configuration
+     * @param {Object} data - Field schema
+     * @returns {Object} Field configuration
+     */
+    parseFieldSchema(data) {
+        const field = {
+            id: data.id || Helpers.generateId('field'),
+            key: data.key,
+            type: data.type,
+            label: data.label,
+            placeholder: data.placeholder || '',
+            required: data.required || false,
+            options: Helpers.deepClone(data.options || []),
+            validation: {},
+            conditionalLogic: Helpers.deepClone(data.conditional_logic || { enabled: false })
+        };
+
+        if (data.type === 'file') {
+            field.accept = data.accept ?? null;
+            field.maxSize = data.max_size ?? null;
+        }
+
+        if (data.type === 'phone' || data.type === 'address') {
+            field.country = data.country || '';
+        }
+
+        if (data.type === 'hidden') {
+            field.source = this.getHiddenSource(data);
+            field.param = data.param || '';
+            field.value = data.value || '';
+        }
+
+        if (AppState.isScale(data)) {
+            const defaults = AppState.getFieldDefaults(data.type);
+            field.scaleMin = data.scale_min ?? defaults.scaleMin;
+            field.scaleMax = data.scale_max ?? defaults.scaleMax;
+            field.minLabel = data.min_label || '';
+            field.maxLabel = data.max_label || '';
+            field.icon = data.icon || defaults.icon;
+        }
+
+        if (data.type === 'group') {
+            field.repeatable = data.repeatable || false;
+            field.minItems = data.min_items ?? null;
+            field.maxItems = data.max_items ?? null;
+            field.addLabel = data.add_label || 'Add another';
+            field.fields = (data.fields || []).map(child => this.parseFieldSchema(child));
+        }
+
+        // Only keep rules that are set, like the properties panel does
+        const validation = data.validation || {};
+        const rules = {
+            min_length: 'minLength',
+            max_length: 'maxLength',
+            min: 'min',
+            max: 'max',
+            pattern: 'pattern',
+            error_message: 'errorMessage'
+        };
+        for (const [key, prop] of Object.entries(rules)) {
+            if (validation[key] !== null && validation[key] !== undefined) {
+                field.validation[prop] = validation[key];
+            }
+        }
+        if (validation.email_format) field.validation.email = true;
+        if (validation.mobile_10_digit) field.validation.mobile = true;
+
+        return field;
+    },
+
     /**
      * Create ZIP file with all assets
      * @param {Object} state - Application state
@@ -82,6 +82,21 @@ const Helpers = {
         return div.innerHTML;
     },
 
+    /**
+     * Escape a string for a quoted HTML attribute
+     * sanitizeHTML leaves quotes as they are, which ends the attribute early.
+     * @param {string} str - String to escape
+     * @returns {string} Escaped string
+     */
+    escapeAttribute(str) {
+        return String(str ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
     /**
      * Convert HTML to plain text
      * @param {string} html - HTML string
@@ -110,6 +125,27 @@ const Helpers = {
         return Date.now();
     },
 
+    /**
+     * Format timestamp relative to now (e.g., "5 min ago")
+     * @param {number} timestamp - Unix timestamp in milliseconds
+     * @returns {string} Relative time string
+     */
+    formatRelativeTime(timestamp) {
+        const seconds = Math.round((Date.now() - timestamp) / 1000);
+        if (seconds < 60) return 'just now';
+
+        const minutes = Math.round(seconds / 60);
+        if (minutes < 60) return `${minutes} min ago`;
+
+        const hours = Math.round(minutes / 60);
+        if (hours < 24) return `${hours} hr ago`;
+
+        const days = Math.round(hours / 24);
+        if (days < 7) return `${days} day${days === 1 ? '' : 's'} ago`;
+
+        return new Date(timestamp).toLocaleDateString();
+    },
+
     /**
      * Check if an object is empty
      * @param {Object} obj - Object to check
@@ -123,6 +159,22 @@ const Helpers = {
         return false;
     },
 
+    /**
+     * Compare the own keys of two objects (or items of two arrays) by identity
+     * @param {*} a - Value
+     * @param {*} b - Value
+     * @returns {boolean}
+     */
+    shallowEqual(a, b) {
+        if (Object.is(a, b)) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+
+        const keysA = Object.keys(a);
+        const keysB = Object.keys(b);
+        return keysA.length === keysB.length &&
+            keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+    },
+
     /**
      * Capitalize first letter of a string
      * @param {string} str - String to capitalize
@@ -258,6 +310,41 @@ const Helpers = {
         });
     },
 
+    /**
+     * Read file as text
+     * @param {File} file - File object
+     * @returns {Promise<string>} File contents
+     */
+    readFileAsText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = reject;
+            reader.readAsText(file);
+        });
+    },
+
+    /**
+     * Convert data URL to Blob
+     * @param {string} dataUrl - Data URL
+     * @returns {Blob} Blob with the data URL's MIME type
+     */
+    dataURLToBlob(dataUrl) {
+        const [header, data] = dataUrl.split(',');
+        const type = (header.match(/^data:([^;,]+)/) || [])[1] || 'application/octet-stream';
+
+        if (!header.includes(';base64')) {
+            return new Blob([decodeURIComponent(data)], { type });
+        }
+
+        const binary = atob(data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type });
+    },
+
     /**
      * Format file size
      * @param {number} bytes - Size in bytes
@@ -0,0 +1,396 @@
+/**
+ * ================================================
+ * LANDCRAFT - State Integrity
+ * Detects and repairs inconsistent project state
+ * ================================================
+ */
+
+const Integrity = {
+    /**
+     * Field types whose values come from an options list
+     */
+    optionTypes: ['dropdown', 'radio', 'checkbox'],
+
+    /**
+     * Check a state, repairing what can be fixed without losing content
+     * Problems that need a person to decide are only reported.
+     * @param {Object} state - State to check (not modified)
+     * @returns {Object} {state, repairs, problems} - repaired state and descriptions
+     */
+    check(state) {
+        const defaults = AppState.getDefaultState();
+        const repaired = Helpers.deepClone(state);
+        const repairs = [];
+        const problems = [];
+
+        this.checkHeader(repaired, defaults, repairs);
+        this.checkSettings(repaired, defaults, repairs);
+        this.checkSteps(repaired, defaults, repairs);
+
+        repaired.steps.forEach(step => this.checkGroups(step, repairs));
+
+        const fields = repaired.steps.flatMap(step => AppState.flattenFields(step.fields));
+        this.checkFieldIds(fields, repairs);
+        this.checkFieldKeys(repaired.steps, repairs);
+        fields.forEach(field => this.checkField(field, repairs, problems));
+        fields.forEach(field => this.checkCondition(field, fields, repaired.steps, repairs, problems));
+        repaired.steps.forEach((step, index) => this.checkStepLogic(step, index, repaired.steps, repairs, problems));
+        this.checkView(repaired, fields, repairs);
+
+        return { state: repaired, repairs, problems };
+    },
+
+    // =====================================
+    // CHECKS
+    // =====================================
+
+    /**
+     * Restore missing parts of the header
+     * @param {Object} state - State being repaired
+     * @param {Object} defaults - Default state
+     * @param {Array<string>} repairs - Repair descriptions
+     */
+    checkHeader(state, defaults, repairs) {
+        if (!Patches.isObject(state.header)) {
+            state.header = defaults.header;
+            repairs.push('Restored the missing page header.');
+            return;
+        }
+
+        ['image', 'title', 'description'].forEach(part => {
+            if (!Patches.isObject(state.header[part])) {
+                state.header[part] = defaults.header[part];
+                repairs.push(`Restored the missing header ${part}.`);
+            }
+        });
+    },
+
+    /**
+     * Restore missing page settings
+     * @param {Object} state - State being repaired
+     * @param {Object} defaults - Default state
+     * @param {Array<string>} repairs - Repair descriptions
+     */
+    checkSettings(state, defaults, repairs) {
+        if (!Patches.isObject(state.settings)) {
+            state.settings = defaults.settings;
+            repairs.push('Restored the missing page settings.');
+        }
+    },
+
+    /**
+     * Make sure there is at least one step and every step has an ID and fields
+     * @param {Object} state - State being repaired
+     * @param {Object} defaults - Default state
+     * @param {Array<string>} repairs - Repair descriptions
+     */
+    checkSteps(state, defaults, repairs) {
+        if (!Array.isArray(state.steps)) {
+            state.steps = [];
+        }
+
+        const count = state.steps.length;
+        state.steps = state.steps.filter(step => Patches.isObject(step));
+        if (state.steps.length < count) {
+            repairs.push(`Removed ${count - state.steps.length} unreadable step(s).`);
+        }
+
+        if (state.steps.length === 0) {
+            state.steps = defaults.steps;
+            repairs.push('Added an empty step; the project had none.');
+            return;
+        }
+
+        const stepIds = new Set();
+        state.steps.forEach((step, index) => {
+            const name = step.name || `Step ${index + 1}`;
+
+            if (!step.id || stepIds.has(step.id)) {
+                step.id = Helpers.generateId('step');
+                repairs.push(`Gave step "${name}" a new ID; it was missing or shared with another step.`);
+            }
+            stepIds.add(step.id);
+
+            if (!Array.isArray(step.fields)) {
+                step.fields = [];
+                repairs.push(`Added the missing field list of step "${name}".`);
+            }
+
+            const fieldCount = step.fields.length;
+            step.fields = step.fields.filter(field => Patches.isObject(field));
+            if (step.fields.length < fieldCount) {
+                repairs.push(`Removed ${fieldCount - step.fields.length} unreadable field(s) from step "${name}".`);
+            }
+        });
+    },
+
+    /**
+     * Keep group children one level deep and only in groups
+     * Fields of a nested group are moved up into the outer group.
+     * @param {Object} step - Step being repaired
+     * @param {Array<string>} repairs - Repair descriptions
+     */
+    checkGroups(step, repairs) {
+        const dropChildren = (field) => {
+            if (!AppState.isGroup(field) && 'fields' in field) {
+                delete field.fields;
+                repairs.push(`Removed the child fields of '${this.getName(field)}'; only groups can hold fields.`);
+            }
+        };
+
+        step.fields.forEach(field => {
+            dropChildren(field);
+            if (!AppState.isGroup(field)) return;
+
+            const name = this.getName(field);
+            if (!Array.isArray(field.fields)) {
+                field.fields = [];
+                repairs.push(`Added the missing field list of group '${name}'.`);
+            }
+
+            const count = field.fields.length;
+            field.fields = field.fields.filter(child => Patches.isObject(child));
+            if (field.fields.length < count) {
+                repairs.push(`Removed ${count - field.fields.length} unreadable field(s) from group '${name}'.`);
+            }
+
+            field.fields = field.fields.flatMap(child => {
+                if (!AppState.isGroup(child)) {
+                    dropChildren(child);
+                    return [child];
+                }
+
+                repairs.push(`Moved the fields of group '${this.getName(child)}' into '${name}'; groups cannot be nested.`);
+                const nested = Array.isArray(child.fields) ? child.fields : [];
+                return nested.filter(f => Patches.isObject(f) && !AppState.isGroup(f)).map(f => {
+                    dropChildren(f);
+                    return f;
+                });
+            });
+        });
+    },
+
+    /**
+     * Give fields with a missing or repeated ID a new one
+     * Conditions keep pointing at the first field that used the ID.
+     * @param {Array<Object>} fields - All fields
+     * @param {Array<string>} repairs - Repair descriptions
+     */
+    checkFieldIds(fields, repairs) {
+        const fieldIds = new Set();
+        fields.forEach(field => {
+            if (!field.id || fieldIds.has(field.id)) {
+                field.id = Helpers.generateId('field');
+                repairs.push(`Gave field '${this.getName(field)}' a new ID; it was missing or shared with another field.`);
+            }
+            fieldIds.add(field.id);
+        });
+    },
+
+    /**
+     * Give fields with a missing, invalid or repeated key a unique one
+     * The first field using a key keeps it.
+     * @param {Array<Object>} steps - Repaired steps
+     * @param {Array<string>} repairs - Repair descriptions
+     */
+    checkFieldKeys(steps, repairs) {
+        const taken = new Set();
+        steps.forEach(step => {
+            AppState.assignFieldKeys(step.fields, taken).forEach(field => {
+                repairs.push(`Gave field '${this.getName(field)}' the key "${field.key}"; its key was missing, invalid or shared with another field.`);
+            });
+        });
+    },
+
+    /**
+     * Fill in a field's missing properties
+     * @param {Object} field - Field being repaired
+     * @param {Array<string>} repairs - Repair descriptions
+     * @param {Array<string>} problems - Unrepaired problems
+     */
+    checkField(field, repairs, problems) {
+        const name = this.getName(field);
+
+        if (!AppState.getFieldTypes().includes(field.type)) {
+            problems.push(`Field '${name}' has an unknown type (${field.type || 'none'}) and is shown as a text field.`);
+        }
+
+        if (this.optionTypes.includes(field.type) && !Array.isArray(field.options)) {
+            field.options = [];
+            repairs.push(`Added an empty options list to '${name}'; add its options again.`);
+        }
+
+        // Older files leave these out; filling them in changes nothing visible
+        if (!Patches.isObject(field.validation)) {
+            field.validation = {};
+        }
+        if (!Patches.isObject(field.conditionalLogic)) {
+            field.conditionalLogic = { enabled: false };
+        }
+    },
+
+    /**
+     * Turn off conditions that depend on a missing field, or on a field
+     * inside a group the dependent field is not in
+     * @param {Object} field - Field being repaired
+     * @param {Array<Object>} fields - All fields
+     * @param {Array<Object>} steps - Repaired steps
+     * @param {Array<string>} repairs - Repair descriptions
+     * @param {Array<string>} problems - Unrepaired problems
+     */
+    checkCondition(field, fields, steps, repairs, problems) {
+        const condition = field.conditionalLogic;
+        if (!condition.enabled) return;
+
+        const name = this.getName(field);
+        const source = fields.find(f => f.id === condition.field);
+
+        if (!source || source === field) {
+            field.conditionalLogic = { ...condition, enabled: false };
+            repairs.push(source
+                ? `Turned off the condition on '${name}'; it depended on the field itself.`
+                : `Turned off the condition on '${name}'; the field it depended on no longer exists.`);
+            return;
+        }
+
+        const sourceGroup = AppState.locateField(steps, source.id).group;
+        if (sourceGroup && sourceGroup !== AppState.locateField(steps, field.id).group) {
+            field.conditionalLogic = { ...condition, enabled: false };
+            repairs.push(`Turned off the condition on '${name}'; it depended on a field inside group '${this.getName(sourceGroup)}'.`);
+            return;
+        }
+
+        const compared = ['equals', 'not_equals'].includes(condition.operator) && condition.value;
+        if (compared && this.optionTypes.includes(source.type) &&
+            Array.isArray(source.options) && !source.options.some(o => o.value === condition.value)) {
+            problems.push(`The condition on '${name}' compares '${this.getName(source)}' with "${condition.value}", which is not one of its options.`);
+        }
+    },
+
+    /**
+     * Remove step rules that depend on a missing field or go to a missing step
+     * Rules may only use top-level fields; fields inside groups have a value per item.
+     * Rules still being set up (no field or step chosen yet) are kept.
+     * @param {Object} step - Step being repaired
+     * @param {number} index - Step index
+     * @param {Array<Object>} steps - Repaired steps
+     * @param {Array<string>} repairs - Repair descriptions
+     * @param {Array<string>} problems - Unrepaired problems
+     */
+    checkStepLogic(step, index, steps, repairs, problems) {
+        const name = step.name || `Step ${index + 1}`;
+        const fieldExists = id => !id || steps.some(s => s.fields.some(field => field.id === id));
+        const stepExists = id => !id || steps.some(s => s.id === id);
+
+        // Older files leave these out
+        if (!Patches.isObject(step.skipLogic)) {
+            step.skipLogic = { enabled: false };
+        }
+        if (!Array.isArray(step.branches)) {
+            step.branches = [];
+        }
+
+        if (step.skipLogic.enabled && !fieldExists(step.skipLogic.field)) {
+            step.skipLogic = { ...step.skipLogic, enabled: false };
+            repairs.push(`Turned off the skip rule of step "${name}"; the field it depended on is missing or inside a group.`);
+        }
+
+        const count = step.branches.length;
+        step.branches = step.branches.filter(branch =>
+            Patches.isObject(branch) && fieldExists(branch.field) && stepExists(branch.goTo));
+        if (step.branches.length < count) {
+            repairs.push(`Removed ${count - step.branches.length} branch(es) of step "${name}" that used a missing field or step.`);
+        }
+
+        step.branches.forEach(branch => {
+            const target = steps.findIndex(s => s.id === branch.goTo);
+            if (target !== -1 && target <= index) {
+                problems.push(`A branch of step "${name}" goes back to step ${target + 1}; branches only go forward, so it is ignored.`);
+            }
+        });
+    },
+
+    /**
+     * Keep the current step and selection pointing at things that exist
+     * @param {Object} state - State being repaired
+     * @param {Array<Object>} fields - All fields
+     * @param {Array<string>} repairs - Repair descriptions
+     */
+    checkView(state, fields, repairs) {
+        const lastStep = state.steps.length - 1;
+        if (!Number.isInteger(state.currentStep) || state.currentStep < 0 || state.currentStep > lastStep) {
+            state.currentStep = Math.min(Math.max(parseInt(state.currentStep, 10) || 0, 0), lastStep);
+            repairs.push(`Moved to step ${state.currentStep + 1}; the saved step did not exist.`);
+        }
+
+        const selected = state.selectedElement;
+        if (selected && !['header', 'title', 'description', 'step'].includes(selected) &&
+            !fields.some(field => field.id === selected)) {
+            state.selectedElement = null;
+        }
+
+        const selection = Array.isArray(state.selection) ? state.selection : [];
+        state.selection = state.selectedElement
+            ? selection.filter(id => fields.some(field => field.id === id))
+            : [];
+    },
+
+    // =====================================
+    // REPORTING
+    // =====================================
+
+    /**
+     * Check whether a check found anything
+     * @param {Object} result - Result of check()
+     * @returns {boolean}
+     */
+    hasFindings(result) {
+        return result.repairs.length > 0 || result.problems.length > 0;
+    },
+
+    /**
+     * Show what a check repaired and what still needs attention
+     * @param {Object} result - Result of check()
+     * @param {string} source - What was checked, e.g. '"Spring Campaign"'
+     * @returns {Promise}
+     */
+    report(result, source) {
+        if (!this.hasFindings(result)) return Promise.resolve();
+
+        const list = (heading, items) => items.length === 0 ? '' : `
+            <p style="color: var(--text-primary); font-weight: 600; margin-top: 12px;">${heading}</p>
+            <ul class="modal-list">
+                ${items.map(item => `<li>${Helpers.sanitizeHTML(item)}</li>`).join('')}
+            </ul>
+        `;
+
+        return new Promise((resolve) => {
+            Modal.show({
+                title: result.repairs.length > 0 ? 'Project Repaired' : 'Project Needs Attention',
+                content: `
+                    <p style="color: var(--text-secondary); line-height: 1.6;">
+                        ${Helpers.sanitizeHTML(source)} had problems that would have broken the builder or the published page.
+                    </p>
+                    ${list('Repaired automatically', result.repairs)}
+                    ${list('Needs your attention', result.problems)}
+                `,
+                confirmText: 'OK',
+                showCancel: false,
+                onConfirm: () => resolve(),
+                onClose: () => resolve()
+            });
+        });
+    },
+
+    /**
+     * Get a field's name for messages
+     * @param {Object} field - Field
+     * @returns {string}
+     */
+    getName(field) {
+        return field.label || field.type || field.id || 'Untitled';
+    }
+};
+
+// Export for use in other modules
+window.Integrity = Integrity;
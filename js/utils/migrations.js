@@ -0,0 +1,269 @@
+/**
+ * ================================================
+ * LANDCRAFT - Schema Migrations
+ * Upgrades exported schemas and saved projects
+ * ================================================
+ */
+
+const Migrations = {
+    /**
+     * Upgrade steps, oldest first
+     * Each step converts both document kinds from one version to the next:
+     * - schema(doc): exported JSON schema (snake_case)
+     * - state(state): persisted project state (camelCase)
+     */
+    steps: [
+        {
+            from: '1.0',
+            to: '1.1',
+            // 1.1 added step IDs, file restrictions, numeric min/max and the theme
+            schema(doc) {
+                (doc.steps || []).forEach(step => {
+                    step.step_id = step.step_id || Helpers.generateId('step');
+                    (step.fields || []).forEach(field => {
+                        if (field.type === 'file') {
+                            field.accept = field.accept ?? '*/*';
+                            field.max_size = field.max_size ?? '10MB';
+                        }
+                    });
+                });
+                return doc;
+            },
+            state(state) {
+                return state;
+            }
+        },
+        {
+            from: '1.1',
+            to: '1.2',
+            // 1.2 added repeatable field groups; older documents have none
+            schema(doc) {
+                return doc;
+            },
+            state(state) {
+                return state;
+            }
+        },
+        {
+            from: '1.2',
+            to: '1.3',
+            // 1.3 added step skip rules and branches; a step without them is shown in order
+            schema(doc) {
+                return doc;
+            },
+            state(state) {
+                return state;
+            }
+        },
+        {
+            from: '1.3',
+            to: '1.4',
+            // 1.4 added field keys, which name the answers in submissions
+            schema(doc) {
+                const taken = new Set();
+                (doc.steps || []).forEach(step => AppState.assignFieldKeys(step.fields || [], taken));
+                return doc;
+            },
+            state(state) {
+                const taken = new Set();
+                (state.steps || []).forEach(step => AppState.assignFieldKeys(step.fields || [], taken));
+                return state;
+            }
+        },
+        {
+            from: '1.4',
+            to: '1.5',
+            // 1.5 added rating, NPS and scale fields; older documents have none
+            schema(doc) {
+                return doc;
+            },
+            state(state) {
+                return state;
+            }
+        },
+        {
+            from: '1.5',
+            to: '1.6',
+            // 1.6 added signature fields; older documents have none
+            schema(doc) {
+                return doc;
+            },
+            state(state) {
+                return state;
+            }
+        },
+        {
+            from: '1.6',
+            to: '1.7',
+            // 1.7 added phone fields and the page's default country, which falls back to the old Indian default
+            schema(doc) {
+                return doc;
+            },
+            state(state) {
+                return state;
+            }
+        },
+        {
+            from: '1.7',
+            to: '1.8',
+            // 1.8 added address fields; older documents have none
+            schema(doc) {
+                return doc;
+            },
+            state(state) {
+                return state;
+            }
+        },
+        {
+            from: '1.8',
+            to: '1.9',
+            // 1.9 added hidden fields; older documents have none
+            schema(doc) {
+                return doc;
+            },
+            state(state) {
+                return state;
+            }
+        }
+    ],
+
+    /**
+     * Version assumed for documents saved before versioning
+     */
+    initialVersion: '1.0',
+
+    /**
+     * Get the version written by this build
+     * @returns {string} Schema version
+     */
+    getCurrentVersion() {
+        return ExportUtils.schemaVersion;
+    },
+
+    /**
+     * Upgrade an exported JSON schema
+     * @param {Object} doc - JSON schema
+     * @returns {Object} {doc, errors} - doc is null when incompatible
+     */
+    migrateSchema(doc) {
+        const version = doc.schema_version || this.initialVersion;
+        const result = this.migrate(doc, version, 'schema');
+        if (result.doc) {
+            result.doc.schema_version = this.getCurrentVersion();
+        }
+        return result;
+    },
+
+    /**
+     * Upgrade a persisted project state
+     * @param {Object} state - Saved state
+     * @returns {Object} {state, errors} - state is null when incompatible
+     */
+    migrateState(state) {
+        const version = state.schemaVersion || this.initialVersion;
+        const { doc, errors } = this.migrate(state, version, 'state');
+        if (doc) {
+            doc.schemaVersion = this.getCurrentVersion();
+        }
+        return { state: doc, errors };
+    },
+
+    /**
+     * Run upgrade steps from a version to the current one
+     * @param {Object} doc - Document to upgrade (not modified)
+     * @param {string} version - Document version
+     * @param {string} kind - 'schema' or 'state'
+     * @returns {Object} {doc, errors}
+     */
+    migrate(doc, version, kind) {
+        const errors = this.checkVersion(String(version), doc, kind);
+        if (errors.length > 0) {
+            return { doc: null, errors };
+        }
+
+        let result = Helpers.deepClone(doc);
+        let current = String(version);
+
+        while (current !== this.getCurrentVersion()) {
+            const step = this.steps.find(s => s.from === current);
+            result = step[kind](result);
+            current = step.to;
+        }
+
+        return { doc: result, errors: [] };
+    },
+
+    /**
+     * Check that a version can be upgraded
+     * @param {string} version - Document version
+     * @param {Object} doc - Document
+     * @param {string} kind - 'schema' or 'state'
+     * @returns {Array<string>} Incompatibilities, empty if supported
+     */
+    checkVersion(version, doc, kind) {
+        const current = this.getCurrentVersion();
+        if (version === current || this.steps.some(s => s.from === version)) {
+            return [];
+        }
+
+        if (this.compareVersions(version, current) > 0) {
+            return [
+                `Saved with schema version ${version}; this version of LandCraft supports up to ${current}.`,
+                ...this.findIncompatibilities(doc, kind)
+            ];
+        }
+
+        return [`Unknown schema version "${version}".`];
+    },
+
+    /**
+     * List parts of a document this build does not understand
+     * @param {Object} doc - Document
+     * @param {string} kind - 'schema' or 'state'
+     * @returns {Array<string>} Descriptions of unsupported parts
+     */
+    findIncompatibilities(doc, kind) {
+        const issues = [];
+        const known = kind === 'schema'
+            ? Object.keys(ExportUtils.generateJSONSchema(AppState.getDefaultState()))
+            : Object.keys(AppState.getDefaultState());
+
+        Object.keys(doc)
+            .filter(key => !known.includes(key))
+            .forEach(key => issues.push(`Unsupported setting "${key}".`));
+
+        const fieldTypes = AppState.getFieldTypes();
+        const unknownTypes = new Set();
+        (doc.steps || []).forEach(step => {
+            (step.fields || []).forEach(field => {
+                if (!fieldTypes.includes(field.type)) unknownTypes.add(field.type);
+                (Array.isArray(field.fields) ? field.fields : []).forEach(child => {
+                    if (!fieldTypes.includes(child.type)) unknownTypes.add(child.type);
+                });
+            });
+        });
+        unknownTypes.forEach(type => issues.push(`Unsupported field type "${type}".`));
+
+        return issues;
+    },
+
+    /**
+     * Compare dotted version strings
+     * @param {string} a - Version
+     * @param {string} b - Version
+     * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+     */
+    compareVersions(a, b) {
+        const partsA = a.split('.').map(n => parseInt(n, 10) || 0);
+        const partsB = b.split('.').map(n => parseInt(n, 10) || 0);
+
+        for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+};
+
+// Export for use in other modules
+window.Migrations = Migrations;
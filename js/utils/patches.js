@@ -0,0 +1,182 @@
+/**
+ * ================================================
+ * LANDCRAFT - State Patches
+ * Structural diffs used by the undo/redo history
+ * ================================================
+ */
+
+const Patches = {
+    /**
+     * Compute the changes between two states
+     * Objects are compared key by key, arrays index by index when their
+     * length is unchanged; anything else is recorded as a whole value.
+     * @param {*} before - Previous value
+     * @param {*} after - Next value
+     * @param {Array} path - Path of the values (used in recursion)
+     * @returns {Array<Object>} Patches {path, before, after}
+     */
+    diff(before, after, path = []) {
+        if (before === after) return [];
+
+        if (this.isObject(before) && this.isObject(after)) {
+            const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+            return [...keys].flatMap(key => this.diff(before[key], after[key], [...path, key]));
+        }
+
+        if (Array.isArray(before) && Array.isArray(after) && before.length === after.length) {
+            return before.flatMap((item, index) => this.diff(item, after[index], [...path, index]));
+        }
+
+        if (this.isEqual(before, after)) return [];
+
+        return [{
+            path,
+            before: Helpers.deepClone(before),
+            after: Helpers.deepClone(after)
+        }];
+    },
+
+    /**
+     * Apply patches to a state without modifying it
+     * @param {Object} state - State to patch
+     * @param {Array<Object>} patches - Patches from diff()
+     * @param {string} direction - 'after' to redo, 'before' to undo
+     * @returns {Object} Patched state
+     */
+    apply(state, patches, direction = 'after') {
+        const ordered = direction === 'before' ? [...patches].reverse() : patches;
+        return ordered.reduce((result, patch) => {
+            return this.setIn(result, patch.path, Helpers.deepClone(patch[direction]));
+        }, state);
+    },
+
+    /**
+     * Set a value at a path, copying the containers along the way
+     * An undefined value removes the key.
+     * @param {Object|Array} target - Container
+     * @param {Array} path - Keys
+     * @param {*} value - Value to set
+     * @returns {Object|Array} New container
+     */
+    setIn(target, path, value) {
+        if (path.length === 0) return value;
+
+        const [key, ...rest] = path;
+        const copy = Array.isArray(target) ? [...target] : { ...target };
+        const child = this.setIn(target ? target[key] : undefined, rest, value);
+
+        if (child === undefined && !Array.isArray(copy)) {
+            delete copy[key];
+        } else {
+            copy[key] = child;
+        }
+        return copy;
+    },
+
+    /**
+     * Reuse the parts of a previous value that did not change
+     * Keeps unchanged objects identical (===) so subscribers can compare
+     * slices by reference. Array items with an id are matched by id.
+     * @param {*} before - Previous value
+     * @param {*} after - Next value
+     * @returns {*} after, with unchanged parts taken from before
+     */
+    share(before, after) {
+        if (before === after) return before;
+
+        if (this.isObject(before) && this.isObject(after)) {
+            const keys = Object.keys(after);
+            let same = keys.length === Object.keys(before).length;
+            const result = {};
+            keys.forEach(key => {
+                result[key] = this.share(before[key], after[key]);
+                if (result[key] !== before[key] || !(key in before)) same = false;
+            });
+            return same ? before : result;
+        }
+
+        if (Array.isArray(before) && Array.isArray(after)) {
+            const byId = new Map(before.filter(item => item?.id !== undefined).map(item => [item.id, item]));
+            let same = before.length === after.length;
+            const result = after.map((item, index) => {
+                const previous = item?.id !== undefined && byId.has(item.id) ? byId.get(item.id) : before[index];
+                const shared = this.share(previous, item);
+                if (shared !== before[index]) same = false;
+                return shared;
+            });
+            return same ? before : result;
+        }
+
+        return after;
+    },
+
+    /**
+     * Check whether patches touch the same paths
+     * @param {Array<Object>} a - Patches
+     * @param {Array<Object>} b - Patches
+     * @returns {boolean}
+     */
+    samePaths(a, b) {
+        const pathsA = a.map(p => p.path.join('.')).sort();
+        const pathsB = b.map(p => p.path.join('.')).sort();
+        return pathsA.length === pathsB.length && pathsA.every((p, i) => p === pathsB[i]);
+    },
+
+    /**
+     * Check whether patches only change primitive values (no structure)
+     * @param {Array<Object>} patches - Patches
+     * @returns {boolean}
+     */
+    isValueChange(patches) {
+        return patches.every(p =>
+            (p.before === undefined || typeof p.before !== 'object') &&
+            (p.after === undefined || typeof p.after !== 'object')
+        );
+    },
+
+    /**
+     * Merge a later set of patches on the same paths into an earlier one
+     * @param {Array<Object>} earlier - Earlier patches
+     * @param {Array<Object>} later - Later patches
+     * @returns {Array<Object>} Patches from the earlier before to the later after
+     */
+    merge(earlier, later) {
+        return earlier.map(patch => {
+            const next = later.find(p => p.path.join('.') === patch.path.join('.'));
+            return { path: patch.path, before: patch.before, after: next.after };
+        });
+    },
+
+    /**
+     * Check if a value is a plain object
+     * @param {*} value - Value
+     * @returns {boolean}
+     */
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    },
+
+    /**
+     * Compare values structurally
+     * Key order does not matter, and keys set to undefined count as
+     * missing, as they do once saved.
+     * @param {*} a - Value
+     * @param {*} b - Value
+     * @returns {boolean}
+     */
+    isEqual(a, b) {
+        if (a === b) return true;
+        if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+        if (Array.isArray(a)) {
+            return a.length === b.length && a.every((item, index) => this.isEqual(item, b[index]));
+        }
+
+        const keysOf = value => Object.keys(value).filter(key => value[key] !== undefined);
+        const keys = keysOf(a);
+        return keys.length === keysOf(b).length && keys.every(key => this.isEqual(a[key], b[key]));
+    }
+};
+
+// Export for use in other modules
+window.Patches = Patches;
@@ -0,0 +1,120 @@
+/**
+ * ================================================
+ * LANDCRAFT - Phone Utilities
+ * Country calling codes and E.164 phone numbers
+ * ================================================
+ */
+
+const PhoneUtils = {
+    /**
+     * Country used when neither the field nor the page picks one;
+     * projects from before the phone field only knew Indian numbers.
+     */
+    defaultCountry: 'IN',
+
+    /**
+     * Countries with their calling code and national number rules
+     * min/max: digits of the national number without the trunk prefix
+     * trunk: prefix dialled before national numbers within the country
+     * pattern: extra format rule for the national number, if any
+     * example: number shown as placeholder, in national format
+     */
+    countries: [
+        { code: 'AU', name: 'Australia', dial: '61', min: 9, max: 9, trunk: '0', example: '0412 345 678' },
+        { code: 'BD', name: 'Bangladesh', dial: '880', min: 10, max: 10, trunk: '0', example: '01812-345678' },
+        { code: 'BR', name: 'Brazil', dial: '55', min: 10, max: 11, trunk: '0', example: '(11) 96123-4567' },
+        { code: 'CA', name: 'Canada', dial: '1', min: 10, max: 10, trunk: '1', pattern: '^[2-9][0-9]{2}[2-9][0-9]{6}$', example: '(506) 234-5678' },
+        { code: 'CN', name: 'China', dial: '86', min: 10, max: 11, trunk: '0', example: '131 2345 6789' },
+        { code: 'FR', name: 'France', dial: '33', min: 9, max: 9, trunk: '0', example: '06 12 34 56 78' },
+        { code: 'DE', name: 'Germany', dial: '49', min: 6, max: 13, trunk: '0', example: '01512 3456789' },
+        { code: 'HK', name: 'Hong Kong', dial: '852', min: 8, max: 8, trunk: '', example: '5123 4567' },
+        { code: 'IN', name: 'India', dial: '91', min: 10, max: 10, trunk: '0', pattern: '^[1-9][0-9]{9}$', example: '98765 43210' },
+        { code: 'ID', name: 'Indonesia', dial: '62', min: 9, max: 12, trunk: '0', example: '0812-345-678' },
+        { code: 'IE', name: 'Ireland', dial: '353', min: 7, max: 9, trunk: '0', example: '085 012 3456' },
+        { code: 'IT', name: 'Italy', dial: '39', min: 6, max: 11, trunk: '', example: '312 345 6789' },
+        { code: 'JP', name: 'Japan', dial: '81', min: 9, max: 10, trunk: '0', example: '090-1234-5678' },
+        { code: 'KE', name: 'Kenya', dial: '254', min: 9, max: 9, trunk: '0', example: '0712 123456' },
+        { code: 'MY', name: 'Malaysia', dial: '60', min: 9, max: 10, trunk: '0', example: '012-345 6789' },
+        { code: 'MX', name: 'Mexico', dial: '52', min: 10, max: 10, trunk: '', example: '222 123 4567' },
+        { code: 'NP', name: 'Nepal', dial: '977', min: 8, max: 10, trunk: '0', example: '984-1234567' },
+        { code: 'NL', name: 'Netherlands', dial: '31', min: 9, max: 9, trunk: '0', example: '06 12345678' },
+        { code: 'NZ', name: 'New Zealand', dial: '64', min: 8, max: 10, trunk: '0', example: '021 123 4567' },
+        { code: 'NG', name: 'Nigeria', dial: '234', min: 8, max: 10, trunk: '0', example: '0802 123 4567' },
+        { code: 'PK', name: 'Pakistan', dial: '92', min: 10, max: 10, trunk: '0', example: '0301 2345678' },
+        { code: 'PH', name: 'Philippines', dial: '63', min: 10, max: 10, trunk: '0', example: '0905 123 4567' },
+        { code: 'SA', name: 'Saudi Arabia', dial: '966', min: 9, max: 9, trunk: '0', example: '051 234 5678' },
+        { code: 'SG', name: 'Singapore', dial: '65', min: 8, max: 8, trunk: '', example: '8123 4567' },
+        { code: 'ZA', name: 'South Africa', dial: '27', min: 9, max: 9, trunk: '0', example: '071 123 4567' },
+        { code: 'ES', name: 'Spain', dial: '34', min: 9, max: 9, trunk: '', example: '612 34 56 78' },
+        { code: 'LK', name: 'Sri Lanka', dial: '94', min: 9, max: 9, trunk: '0', example: '071 234 5678' },
+        { code: 'AE', name: 'United Arab Emirates', dial: '971', min: 8, max: 9, trunk: '0', example: '050 123 4567' },
+        { code: 'GB', name: 'United Kingdom', dial: '44', min: 9, max: 10, trunk: '0', example: '07400 123456' },
+        { code: 'US', name: 'United States', dial: '1', min: 10, max: 10, trunk: '1', pattern: '^[2-9][0-9]{2}[2-9][0-9]{6}$', example: '(201) 555-0123' }
+    ],
+
+    /**
+     * Get a country by its ISO code
+     * @param {string} code - Two-letter country code
+     * @returns {Object} Country, the default country if the code is unknown
+     */
+    getCountry(code) {
+        return this.countries.find(c => c.code === code)
+            || this.countries.find(c => c.code === this.defaultCountry);
+    },
+
+    /**
+     * Get the country a phone field starts with
+     * @param {Object} field - Phone field
+     * @param {Object} settings - Page settings
+     * @returns {Object} Country
+     */
+    getFieldCountry(field, settings = {}) {
+        return this.getCountry(field.country || settings.defaultCountry);
+    },
+
+    /**
+     * Get the flag emoji of a country
+     * @param {string} code - Two-letter country code
+     * @returns {string} Flag
+     */
+    getFlag(code) {
+        return String.fromCodePoint(...code.split('').map(c => 0x1F1A5 + c.charCodeAt(0)));
+    },
+
+    /**
+     * Normalize a phone number to E.164 (+ calling code + national number)
+     * Numbers typed with + or 00 are read with their own calling code;
+     * other numbers belong to the given country, with or without its trunk prefix.
+     * @param {string} value - Phone number as typed
+     * @param {string} countryCode - Country the number belongs to unless it has a calling code
+     * @returns {string} E.164 number, or '' if the number is not valid
+     */
+    toE164(value, countryCode) {
+        let country = this.getCountry(countryCode);
+        let digits = String(value || '').trim().replace(/^00/, '+').replace(/[^\d+]/g, '');
+
+        if (digits.startsWith('+')) {
+            digits = digits.slice(1);
+            // Prefer the chosen country when several share a calling code
+            const matches = this.countries
+                .filter(c => digits.startsWith(c.dial))
+                .sort((a, b) => (b.dial.length - a.dial.length) || ((b === country) - (a === country)));
+            if (matches.length === 0) return '';
+            country = matches[0];
+            digits = digits.slice(country.dial.length);
+        } else if (country.trunk && digits.startsWith(country.trunk) && digits.length > country.min) {
+            digits = digits.slice(country.trunk.length);
+        } else if (digits.startsWith(country.dial) && digits.length > country.max) {
+            // Calling code typed without the +
+            digits = digits.slice(country.dial.length);
+        }
+
+        if (!/^[0-9]+$/.test(digits) || digits.length < country.min || digits.length > country.max) return '';
+        if (country.pattern && !new RegExp(country.pattern).test(digits)) return '';
+
+        return '+' + country.dial + digits;
+    }
+};
+
+// Export for use in other modules
+window.PhoneUtils = PhoneUtils;
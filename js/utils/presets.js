@@ -0,0 +1,229 @@
+/**
+ * ================================================
+ * LANDCRAFT - Preset Library
+ * Fields and steps saved for reuse in every project
+ *
+ * Presets have the shape of copied content (see CopyPaste):
+ * { id, name, createdAt, schemaVersion, kind: 'fields'|'steps', steps: [{ id, name, fields, skipLogic, branches }] }
+ * They are upgraded when used, so presets saved by older versions keep working.
+ * ================================================
+ */
+
+const PresetLibrary = {
+    /**
+     * Storage key of the library
+     */
+    key: 'landcraft_presets',
+
+    /**
+     * Format marker of exported libraries
+     */
+    format: 'landcraft-presets',
+
+    /**
+     * Saved presets, in the order they were added
+     */
+    presets: [],
+
+    listeners: new Set(),
+
+    /**
+     * Load the library (after DataStore.init)
+     */
+    async init() {
+        await this.refresh();
+    },
+
+    /**
+     * Re-read the library, which other tabs may have changed
+     */
+    async refresh() {
+        this.presets = await DataStore.get(this.key, []);
+        this.notify();
+    },
+
+    /**
+     * Get all presets
+     * @returns {Array<Object>} Presets
+     */
+    list() {
+        return [...this.presets];
+    },
+
+    /**
+     * Get a preset
+     * @param {string} presetId - Preset ID
+     * @returns {Object|null} Preset
+     */
+    get(presetId) {
+        return this.presets.find(p => p.id === presetId) || null;
+    },
+
+    /**
+     * Subscribe to library changes
+     * @param {Function} listener - Called with the presets
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    },
+
+    /**
+     * Notify listeners of a change
+     */
+    notify() {
+        this.listeners.forEach(listener => listener(this.list()));
+    },
+
+    /**
+     * Save fields or a step as a preset
+     * @param {string} name - Preset name
+     * @param {string} kind - 'fields' or 'steps'
+     * @param {Array<Object>} steps - Content, [{name, fields}]; steps also keep their rules
+     * @returns {Promise<Object>} Preset
+     */
+    async add(name, kind, steps) {
+        await this.refresh();
+
+        const preset = {
+            id: Helpers.generateId('preset'),
+            name,
+            createdAt: Helpers.getTimestamp(),
+            schemaVersion: ExportUtils.schemaVersion,
+            kind,
+            steps: Helpers.deepClone(steps.map(step => kind === 'steps'
+                ? {
+                    id: step.id,
+                    name: step.name,
+                    fields: step.fields,
+                    skipLogic: step.skipLogic || { enabled: false },
+                    branches: step.branches || []
+                }
+                : { name: step.name, fields: step.fields }))
+        };
+
+        this.presets.push(preset);
+        await this.save();
+        return preset;
+    },
+
+    /**
+     * Rename a preset
+     * @param {string} presetId - Preset ID
+     * @param {string} name - New name
+     */
+    async rename(presetId, name) {
+        await this.refresh();
+        const preset = this.get(presetId);
+        if (!preset) return;
+
+        preset.name = name;
+        await this.save();
+    },
+
+    /**
+     * Delete a preset
+     * @param {string} presetId - Preset ID
+     */
+    async remove(presetId) {
+        await this.refresh();
+        this.presets = this.presets.filter(p => p.id !== presetId);
+        await this.save();
+    },
+
+    /**
+     * Upgrade a preset's content to the current version
+     * @param {Object} preset - Preset
+     * @returns {Object|null} {content, errors} - content is null if unusable
+     */
+    read(preset) {
+        return CopyPaste.upgrade(preset);
+    },
+
+    /**
+     * Export the library as JSON, for sharing
+     * @returns {string} JSON text
+     */
+    exportJSON() {
+        return JSON.stringify({
+            format: this.format,
+            exportedAt: new Date().toISOString(),
+            presets: this.presets
+        }, null, 2);
+    },
+
+    /**
+     * Add the presets of an exported library
+     * Imported presets get new IDs. Presets already in the library (same
+     * name, kind and content) are left out.
+     * @param {string} text - Exported library JSON
+     * @returns {Promise<Object>} {added, skipped, errors}
+     */
+    async importJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            return { added: [], skipped: 0, errors: ['The file is not valid JSON.'] };
+        }
+
+        if (!data || data.format !== this.format || !Array.isArray(data.presets)) {
+            return { added: [], skipped: 0, errors: ['The file is not a LandCraft preset library.'] };
+        }
+
+        await this.refresh();
+        const added = [];
+        const errors = [];
+        let skipped = 0;
+
+        data.presets.forEach((preset, index) => {
+            const name = typeof preset?.name === 'string' && preset.name.trim() ? preset.name.trim() : `Preset ${index + 1}`;
+            const result = this.read(preset);
+
+            if (!result) {
+                errors.push(`"${name}" has no fields or steps.`);
+                return;
+            }
+            if (!result.content) {
+                errors.push(`"${name}": ${result.errors.join(' ')}`);
+                return;
+            }
+
+            const { kind, steps } = result.content;
+            const exists = this.presets.some(p =>
+                p.name === name && p.kind === kind && Patches.isEqual(this.read(p)?.content?.steps, steps));
+            if (exists) {
+                skipped++;
+                return;
+            }
+
+            added.push({
+                id: Helpers.generateId('preset'),
+                name,
+                createdAt: Helpers.getTimestamp(),
+                schemaVersion: ExportUtils.schemaVersion,
+                kind,
+                steps
+            });
+        });
+
+        if (added.length > 0) {
+            this.presets.push(...added);
+            await this.save();
+        }
+        return { added, skipped, errors };
+    },
+
+    /**
+     * Persist the library and tell the other tabs
+     */
+    async save() {
+        await DataStore.set(this.key, this.presets);
+        TabSync.post({ type: 'presets' });
+        this.notify();
+    }
+};
+
+// Export for use in other modules
+window.PresetLibrary = PresetLibrary;
@@ -0,0 +1,319 @@
+/**
+ * ================================================
+ * LANDCRAFT - Project Library
+ * Persistence for multiple projects in one workspace
+ * ================================================
+ */
+
+const ProjectLibrary = {
+    /**
+     * Storage keys
+     */
+    keys: {
+        index: 'landcraft_projects',
+        active: 'landcraft_active_project',
+        legacy: 'landcraft_state',
+        statePrefix: 'landcraft_project_',
+        historyPrefix: 'landcraft_history_',
+        snapshotsPrefix: 'landcraft_snapshots_'
+    },
+
+    /**
+     * Project metadata index, most recently modified first
+     * Each save increments the project's revision, so a tab can tell
+     * whether another tab wrote the project since it loaded it.
+     */
+    projects: [],
+
+    /**
+     * Load the project index and migrate the legacy single-slot state
+     */
+    async init() {
+        await DataStore.init();
+        this.projects = await DataStore.get(this.keys.index, []);
+
+        // Older builds kept one project under a single key
+        const legacy = await DataStore.get(this.keys.legacy);
+        if (legacy) {
+            const project = await this.create(legacy.projectName, legacy);
+            this.setActiveId(project.id);
+            await DataStore.remove(this.keys.legacy);
+        }
+
+        this.sort();
+        await DataStore.pruneAssets();
+    },
+
+    /**
+     * Re-read the project index, which other tabs may have changed
+     */
+    async refresh() {
+        this.projects = await DataStore.get(this.keys.index, []);
+        this.sort();
+    },
+
+    /**
+     * Get all projects
+     * @returns {Array} Project metadata, most recent first
+     */
+    list() {
+        return [...this.projects];
+    },
+
+    /**
+     * Search projects by name
+     * @param {string} query - Search text
+     * @returns {Array} Matching project metadata
+     */
+    search(query = '') {
+        const term = query.trim().toLowerCase();
+        if (!term) return this.list();
+        return this.projects.filter(p => p.name.toLowerCase().includes(term));
+    },
+
+    /**
+     * Get project metadata
+     * @param {string} projectId - Project ID
+     * @returns {Object|null} Project metadata
+     */
+    get(projectId) {
+        return this.projects.find(p => p.id === projectId) || null;
+    },
+
+    /**
+     * Create a new project
+     * @param {string} name - Project name
+     * @param {Object} state - Initial state (defaults if omitted)
+     * @returns {Promise<Object>} Project metadata
+     */
+    async create(name = '', state = null) {
+        await this.refresh();
+        const now = Helpers.getTimestamp();
+        const initialState = Helpers.deepClone(state || AppState.getDefaultState());
+        initialState.projectName = name || initialState.projectName || 'Untitled Project';
+
+        const project = {
+            id: Helpers.generateId('project'),
+            name: initialState.projectName,
+            createdAt: now,
+            updatedAt: now,
+            revision: 0
+        };
+
+        await DataStore.set(this.stateKey(project.id), await DataStore.dehydrate(initialState));
+        this.projects.unshift(project);
+        await this.saveIndex();
+
+        return project;
+    },
+
+    /**
+     * Load a project's state
+     * @param {string} projectId - Project ID
+     * @returns {Promise<Object|null>} Saved state
+     */
+    async load(projectId) {
+        await this.refresh();
+        if (!this.get(projectId)) return null;
+        return DataStore.hydrate(await DataStore.get(this.stateKey(projectId)));
+    },
+
+    /**
+     * Save a project's state
+     * Write errors (e.g. quota exceeded) are thrown to the caller, as is a
+     * conflict when the project is no longer at the expected revision.
+     * @param {string} projectId - Project ID
+     * @param {Object} state - State to save
+     * @param {number|null} baseRevision - Revision the state was based on (null to skip the check)
+     * @returns {Promise<boolean>} False if the project does not exist
+     */
+    async save(projectId, state, baseRevision = null) {
+        await this.refresh();
+        const project = this.get(projectId);
+        if (!project) return false;
+
+        if (baseRevision !== null && this.getRevision(projectId) !== baseRevision) {
+            const error = new Error('Project was changed in another tab');
+            error.name = 'ConflictError';
+            throw error;
+        }
+
+        await DataStore.set(this.stateKey(projectId), await DataStore.dehydrate(state));
+        project.name = state.projectName || project.name;
+        project.updatedAt = Helpers.getTimestamp();
+        project.revision = this.getRevision(projectId) + 1;
+        this.sort();
+        await this.saveIndex();
+        return true;
+    },
+
+    /**
+     * Rename a project
+     * @param {string} projectId - Project ID
+     * @param {string} name - New name
+     */
+    async rename(projectId, name) {
+        const state = await this.load(projectId);
+        if (!state) return;
+
+        state.projectName = name;
+        await this.save(projectId, state);
+    },
+
+    /**
+     * Duplicate a project
+     * @param {string} projectId - Project ID
+     * @returns {Promise<Object|null>} New project metadata
+     */
+    async duplicate(projectId) {
+        const state = await this.load(projectId);
+        if (!state) return null;
+
+        return this.create(`${state.projectName} (Copy)`, state);
+    },
+
+    /**
+     * Delete a project
+     * @param {string} projectId - Project ID
+     */
+    async remove(projectId) {
+        await this.refresh();
+        this.projects = this.projects.filter(p => p.id !== projectId);
+        await DataStore.remove(this.stateKey(projectId));
+        await DataStore.remove(this.keys.historyPrefix + projectId);
+        await DataStore.remove(this.keys.snapshotsPrefix + projectId);
+        await this.saveIndex();
+        await DataStore.pruneAssets();
+
+        if (this.getActiveId() === projectId) {
+            Helpers.storage.remove(this.keys.active);
+        }
+    },
+
+    // =====================================
+    // HISTORY & SNAPSHOTS
+    // =====================================
+
+    /**
+     * Load a project's undo history
+     * @param {string} projectId - Project ID
+     * @returns {Promise<Object|null>} {schemaVersion, history, historyIndex}
+     */
+    async loadHistory(projectId) {
+        return DataStore.hydrate(await DataStore.get(this.keys.historyPrefix + projectId));
+    },
+
+    /**
+     * Save a project's undo history
+     * @param {string} projectId - Project ID
+     * @param {Object} data - {schemaVersion, history, historyIndex}
+     */
+    async saveHistory(projectId, data) {
+        if (!this.get(projectId)) return;
+        await DataStore.set(this.keys.historyPrefix + projectId, await DataStore.dehydrate(data));
+    },
+
+    /**
+     * List a project's named snapshots
+     * @param {string} projectId - Project ID
+     * @returns {Promise<Array>} Snapshots {id, name, createdAt, state}, newest first
+     */
+    async listSnapshots(projectId) {
+        const snapshots = await DataStore.get(this.keys.snapshotsPrefix + projectId, []);
+        return DataStore.hydrate(snapshots);
+    },
+
+    /**
+     * Save a named snapshot of a project's state
+     * @param {string} projectId - Project ID
+     * @param {string} name - Snapshot name
+     * @param {Object} state - State to keep
+     * @returns {Promise<Object>} Snapshot
+     */
+    async addSnapshot(projectId, name, state) {
+        const snapshot = {
+            id: Helpers.generateId('snapshot'),
+            name,
+            createdAt: Helpers.getTimestamp(),
+            state: Helpers.deepClone(state)
+        };
+
+        const snapshots = await this.listSnapshots(projectId);
+        snapshots.unshift(snapshot);
+        await DataStore.set(this.keys.snapshotsPrefix + projectId, await DataStore.dehydrate(snapshots));
+        return snapshot;
+    },
+
+    /**
+     * Delete a snapshot
+     * @param {string} projectId - Project ID
+     * @param {string} snapshotId - Snapshot ID
+     */
+    async removeSnapshot(projectId, snapshotId) {
+        const snapshots = (await this.listSnapshots(projectId)).filter(s => s.id !== snapshotId);
+        await DataStore.set(this.keys.snapshotsPrefix + projectId, await DataStore.dehydrate(snapshots));
+        await DataStore.pruneAssets();
+    },
+
+    /**
+     * Get the ID of the last opened project
+     * @returns {string|null} Project ID
+     */
+    getActiveId() {
+        const projectId = Helpers.storage.get(this.keys.active);
+        return this.get(projectId) ? projectId : null;
+    },
+
+    /**
+     * Remember the opened project
+     * @param {string} projectId - Project ID
+     */
+    setActiveId(projectId) {
+        Helpers.storage.set(this.keys.active, projectId);
+    },
+
+    /**
+     * Storage key for a project's state
+     * @param {string} projectId - Project ID
+     * @returns {string} Storage key
+     */
+    stateKey(projectId) {
+        return this.keys.statePrefix + projectId;
+    },
+
+    /**
+     * Get the saved revision of a project
+     * @param {string} projectId - Project ID
+     * @returns {number} Revision (0 for projects never saved with one)
+     */
+    getRevision(projectId) {
+        return this.get(projectId)?.revision || 0;
+    },
+
+    /**
+     * Check if an error is a save conflict with another tab
+     * @param {Error} error - Error
+     * @returns {boolean}
+     */
+    isConflictError(error) {
+        return !!error && error.name === 'ConflictError';
+    },
+
+    /**
+     * Sort projects by last modification
+     */
+    sort() {
+        this.projects.sort((a, b) => b.updatedAt - a.updatedAt);
+    },
+
+    /**
+     * Persist the project index
+     */
+    async saveIndex() {
+        await DataStore.set(this.keys.index, this.projects);
+        TabSync.post({ type: 'projects' });
+    }
+};
+
+// Export for use in other modules
+window.ProjectLibrary = ProjectLibrary;
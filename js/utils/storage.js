@@ -0,0 +1,392 @@
+/**
+ * ================================================
+ * LANDCRAFT - Data Store
+ * IndexedDB persistence with localStorage fallback
+ * ================================================
+ */
+
+const DataStore = {
+    dbName: 'landcraft',
+    dbVersion: 1,
+    db: null,
+
+    /**
+     * Active backend: 'indexeddb' or 'localStorage'
+     */
+    backend: 'localStorage',
+
+    /**
+     * Prefix that replaces inlined data URLs in persisted records
+     */
+    assetPrefix: 'landcraft-asset:',
+
+    /**
+     * Data URLs shorter than this stay inline
+     */
+    minAssetSize: 1024,
+
+    /**
+     * Known data URL -> asset ID pairs, so unchanged images are not rewritten
+     */
+    assetIds: new Map(),
+
+    /**
+     * Asset IDs handed out by dehydrate whose records are not written yet,
+     * with the number of writes waiting on each
+     */
+    pendingAssets: new Map(),
+
+    /**
+     * Asset IDs each running prune must keep, added to as they are handed out
+     */
+    pruneHolds: new Set(),
+
+    /**
+     * Assumed localStorage quota when the browser cannot report one
+     */
+    localStorageQuota: 5 * 1024 * 1024,
+
+    /**
+     * Open the database, falling back to localStorage when unavailable
+     */
+    async init() {
+        if (!window.indexedDB) return;
+
+        try {
+            this.db = await this.openDatabase();
+            this.backend = 'indexeddb';
+            await this.migrateFromLocalStorage();
+        } catch (error) {
+            console.warn('IndexedDB unavailable, using localStorage:', error);
+            this.db = null;
+            this.backend = 'localStorage';
+        }
+    },
+
+    /**
+     * Open (and upgrade) the IndexedDB database
+     * @returns {Promise<IDBDatabase>}
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('records')) {
+                    db.createObjectStore('records');
+                }
+                if (!db.objectStoreNames.contains('assets')) {
+                    db.createObjectStore('assets');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('Database upgrade blocked by another tab'));
+        });
+    },
+
+    /**
+     * Run a request inside an IndexedDB transaction
+     * @param {string} storeName - Object store name
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} fn - Receives the store, returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    transact(storeName, mode, fn) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeName, mode);
+            const request = fn(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * Move records written by older builds out of localStorage
+     */
+    async migrateFromLocalStorage() {
+        // Per-browser settings stay in localStorage
+        const localKeys = [ProjectLibrary.keys.active, TabSync.storageKey, Collab.userKey];
+        const keys = Object.keys(localStorage).filter(key =>
+            key.startsWith('landcraft_') && !localKeys.includes(key)
+        );
+
+        for (const key of keys) {
+            const value = Helpers.storage.get(key);
+            if (value !== null) {
+                await this.set(key, value);
+            }
+            localStorage.removeItem(key);
+        }
+    },
+
+    // =====================================
+    // RECORDS
+    // =====================================
+
+    /**
+     * Read a record
+     * @param {string} key - Record key
+     * @param {*} defaultValue - Value if the record does not exist
+     * @returns {Promise<*>} Stored value
+     */
+    async get(key, defaultValue = null) {
+        if (this.backend === 'indexeddb') {
+            const value = await this.transact('records', 'readonly', store => store.get(key));
+            return value === undefined ? defaultValue : value;
+        }
+        return Helpers.storage.get(key, defaultValue);
+    },
+
+    /**
+     * Write a record
+     * Unlike Helpers.storage.set, failures (e.g. quota) are thrown to the caller.
+     * Assets the value refers to are no longer held for it afterwards
+     * (see dehydrate).
+     * @param {string} key - Record key
+     * @param {*} value - Value to store
+     */
+    async set(key, value) {
+        try {
+            if (this.backend === 'indexeddb') {
+                await this.transact('records', 'readwrite', store => store.put(value, key));
+                return;
+            }
+            localStorage.setItem(key, JSON.stringify(value));
+        } finally {
+            this.releaseAssets(value);
+        }
+    },
+
+    /**
+     * Delete a record
+     * @param {string} key - Record key
+     */
+    async remove(key) {
+        if (this.backend === 'indexeddb') {
+            await this.transact('records', 'readwrite', store => store.delete(key));
+            return;
+        }
+        localStorage.removeItem(key);
+    },
+
+    /**
+     * Read all records
+     * @returns {Promise<Array>} Stored values
+     */
+    async getAll() {
+        if (this.backend === 'indexeddb') {
+            return this.transact('records', 'readonly', store => store.getAll());
+        }
+        return Object.keys(localStorage)
+            .filter(key => key.startsWith('landcraft_'))
+            .map(key => Helpers.storage.get(key));
+    },
+
+    // =====================================
+    // ASSETS
+    // =====================================
+
+    /**
+     * Replace large data URLs with references to Blob assets
+     * Without IndexedDB the value is returned unchanged. The assets are
+     * held until the value is written with set, so pruneAssets does not
+     * delete them in between.
+     * @param {*} value - Value to persist
+     * @param {Set} held - Asset IDs already held for this value
+     * @returns {Promise<*>} Value with asset references
+     */
+    async dehydrate(value, held = new Set()) {
+        if (this.backend !== 'indexeddb') return value;
+
+        if (typeof value === 'string') {
+            if (!value.startsWith('data:') || value.length < this.minAssetSize) return value;
+
+            let assetId = this.assetIds.get(value);
+            if (!assetId) {
+                let blob;
+                try {
+                    blob = Helpers.dataURLToBlob(value);
+                } catch (error) {
+                    // Malformed data URLs (e.g. from an import) are kept as text
+                    return value;
+                }
+                assetId = Helpers.generateId('asset');
+                this.holdAsset(assetId, held);
+                await this.transact('assets', 'readwrite', store => store.put(blob, assetId));
+                this.assetIds.set(value, assetId);
+            } else {
+                this.holdAsset(assetId, held);
+            }
+            return this.assetPrefix + assetId;
+        }
+
+        if (Array.isArray(value)) {
+            return Promise.all(value.map(item => this.dehydrate(item, held)));
+        }
+
+        if (value && typeof value === 'object') {
+            const result = {};
+            for (const [key, item] of Object.entries(value)) {
+                result[key] = await this.dehydrate(item, held);
+            }
+            return result;
+        }
+
+        return value;
+    },
+
+    /**
+     * Keep an asset from being pruned until the value using it is written
+     * @param {string} assetId - Asset ID
+     * @param {Set} held - Asset IDs already held for the value
+     */
+    holdAsset(assetId, held) {
+        if (held.has(assetId)) return;
+
+        held.add(assetId);
+        this.pendingAssets.set(assetId, (this.pendingAssets.get(assetId) || 0) + 1);
+        this.pruneHolds.forEach(holds => holds.add(assetId));
+    },
+
+    /**
+     * Stop holding the assets a written value refers to
+     * @param {*} value - Written value
+     */
+    releaseAssets(value) {
+        this.findAssetRefs(value).forEach(assetId => {
+            const count = (this.pendingAssets.get(assetId) || 0) - 1;
+            if (count > 0) {
+                this.pendingAssets.set(assetId, count);
+            } else {
+                this.pendingAssets.delete(assetId);
+            }
+        });
+    },
+
+    /**
+     * Resolve asset references back into data URLs
+     * @param {*} value - Persisted value
+     * @returns {Promise<*>} Value with data URLs
+     */
+    async hydrate(value) {
+        if (typeof value === 'string') {
+            if (!value.startsWith(this.assetPrefix) || this.backend !== 'indexeddb') return value;
+
+            const assetId = value.slice(this.assetPrefix.length);
+            const blob = await this.transact('assets', 'readonly', store => store.get(assetId));
+            if (!blob) {
+                console.warn('Missing asset:', assetId);
+                return null;
+            }
+
+            const dataUrl = await Helpers.readFileAsDataURL(blob);
+            this.assetIds.set(dataUrl, assetId);
+            return dataUrl;
+        }
+
+        if (Array.isArray(value)) {
+            return Promise.all(value.map(item => this.hydrate(item)));
+        }
+
+        if (value && typeof value === 'object') {
+            const result = {};
+            for (const [key, item] of Object.entries(value)) {
+                result[key] = await this.hydrate(item);
+            }
+            return result;
+        }
+
+        return value;
+    },
+
+    /**
+     * Collect asset IDs referenced by a value
+     * @param {*} value - Persisted value
+     * @param {Set} refs - Set to add to
+     * @returns {Set} Referenced asset IDs
+     */
+    findAssetRefs(value, refs = new Set()) {
+        if (typeof value === 'string') {
+            if (value.startsWith(this.assetPrefix)) {
+                refs.add(value.slice(this.assetPrefix.length));
+            }
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(item => this.findAssetRefs(item, refs));
+        }
+        return refs;
+    },
+
+    /**
+     * Delete assets no longer referenced by any record
+     * Assets of writes that are under way, or start while this runs, are
+     * kept (see dehydrate). Saves still queued hold data URLs; they write
+     * their assets again if these were deleted.
+     */
+    async pruneAssets() {
+        if (this.backend !== 'indexeddb') return;
+
+        const held = new Set(this.pendingAssets.keys());
+        this.pruneHolds.add(held);
+        try {
+            const refs = new Set();
+            (await this.getAll()).forEach(record => this.findAssetRefs(record, refs));
+
+            const assetIds = await this.transact('assets', 'readonly', store => store.getAllKeys());
+            const unused = assetIds.filter(id => !refs.has(id) && !held.has(id));
+            if (unused.length === 0) return;
+
+            // Forget them first, so no write starting now refers to them
+            for (const [dataUrl, assetId] of this.assetIds) {
+                if (unused.includes(assetId)) this.assetIds.delete(dataUrl);
+            }
+            await this.transact('assets', 'readwrite', store => {
+                unused.forEach(id => store.delete(id));
+                return null;
+            });
+        } finally {
+            this.pruneHolds.delete(held);
+        }
+    },
+
+    // =====================================
+    // QUOTA
+    // =====================================
+
+    /**
+     * Estimate storage usage
+     * @returns {Promise<Object|null>} {usage, quota} in bytes, null if unknown
+     */
+    async estimate() {
+        if (this.backend === 'indexeddb') {
+            if (!navigator.storage?.estimate) return null;
+            const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+            return { usage, quota };
+        }
+
+        // localStorage stores UTF-16, two bytes per character
+        const usage = Object.keys(localStorage).reduce((total, key) => {
+            return total + (key.length + (localStorage.getItem(key) || '').length) * 2;
+        }, 0);
+        return { usage, quota: this.localStorageQuota };
+    },
+
+    /**
+     * Check whether an error means storage is full
+     * @param {Error} error - Error thrown by a write
+     * @returns {boolean}
+     */
+    isQuotaError(error) {
+        return !!error && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 ||
+            error.code === 1014
+        );
+    }
+};
+
+// Export for use in other modules
+window.DataStore = DataStore;
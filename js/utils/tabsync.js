@@ -0,0 +1,94 @@
+/**
+ * ================================================
+ * LANDCRAFT - Tab Sync
+ * Messages between builder tabs of the same browser
+ * ================================================
+ */
+
+const TabSync = {
+    channelName: 'landcraft',
+
+    /**
+     * localStorage key used when BroadcastChannel is unavailable
+     */
+    storageKey: 'landcraft_sync',
+
+    /**
+     * ID of this tab, so it can ignore its own messages
+     */
+    tabId: Helpers.generateId('tab'),
+
+    channel: null,
+    listeners: new Set(),
+
+    /**
+     * Start listening for messages from other tabs
+     */
+    init() {
+        if (window.BroadcastChannel) {
+            this.channel = new BroadcastChannel(this.channelName);
+            this.channel.onmessage = (e) => this.receive(e.data);
+            return;
+        }
+
+        // Storage events only fire in the other tabs
+        window.addEventListener('storage', (e) => {
+            if (e.key === this.storageKey && e.newValue) {
+                try {
+                    this.receive(JSON.parse(e.newValue));
+                } catch (error) {
+                    console.error('Invalid sync message:', error);
+                }
+            }
+        });
+    },
+
+    /**
+     * Send a message to the other tabs
+     * @param {Object} message - Message with a type
+     */
+    post(message) {
+        const data = { ...message, tabId: this.tabId, time: Helpers.getTimestamp() };
+
+        if (this.channel) {
+            this.channel.postMessage(data);
+            return;
+        }
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+            localStorage.removeItem(this.storageKey);
+        } catch (error) {
+            console.error('Error posting sync message:', error);
+        }
+    },
+
+    /**
+     * Subscribe to messages from other tabs
+     * @param {Function} listener - Called with each message
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    },
+
+    /**
+     * Deliver a message to the listeners
+     * @param {Object} message - Received message
+     */
+    receive(message) {
+        if (!message || message.tabId === this.tabId) return;
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(message);
+            } catch (error) {
+                console.error('Sync listener error:', error);
+            }
+        });
+    }
+};
+
+// Export for use in other modules
+window.TabSync = TabSync;
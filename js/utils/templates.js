@@ -0,0 +1,616 @@
+/**
+ * ================================================
+ * LANDCRAFT - Template Library
+ * Starter pages offered when a project is created
+ *
+ * Templates hold a JSON schema (see ExportUtils.generateJSONSchema):
+ * { id, name, description, icon, createdAt, schema }
+ * Schemas are read like imported files, so templates saved by older
+ * versions are upgraded when used.
+ * ================================================
+ */
+
+const TemplateLibrary = {
+    /**
+     * Storage key of the templates saved from projects
+     */
+    key: 'landcraft_templates',
+
+    /**
+     * Templates saved from projects, in the order they were added
+     */
+    templates: [],
+
+    listeners: new Set(),
+
+    /**
+     * Templates that ship with LandCraft
+     */
+    builtIn: [
+        {
+            id: 'lead-capture',
+            name: 'Lead Capture',
+            icon: '🎯',
+            description: 'Collect contact details, needs and budget from prospects.',
+            schema: {
+                schema_version: '1.9',
+                project_name: 'Lead Capture',
+                header_image: null,
+                title: { text: 'Let\'s Talk About Your Project', font_size: 32, color: '#1e293b', align: 'center' },
+                description: {
+                    html: '<p>Tell us a little about yourself and what you need. Our team replies within one business day.</p>',
+                    text: 'Tell us a little about yourself and what you need. Our team replies within one business day.',
+                    font_size: 16,
+                    color: '#64748b'
+                },
+                steps: [
+                    {
+                        step_id: 'step_about',
+                        step_name: 'About You',
+                        fields: [
+                            { id: 'field_name', key: 'name', type: 'text', label: 'Full Name', placeholder: 'Jane Doe', required: true, validation: { min_length: 2, max_length: 80 } },
+                            { id: 'field_email', key: 'email', type: 'email', label: 'Work Email', placeholder: 'jane@company.com', required: true, validation: { email_format: true } },
+                            { id: 'field_mobile', key: 'mobile', type: 'mobile', label: 'Mobile Number', placeholder: 'Enter 10-digit mobile number...', validation: { mobile_10_digit: true, max_length: 10 } },
+                            { id: 'field_company', key: 'company', type: 'text', label: 'Company', placeholder: 'Company name', required: true }
+                        ]
+                    },
+                    {
+                        step_id: 'step_needs',
+                        step_name: 'Your Needs',
+                        fields: [
+                            {
+                                id: 'field_company_size', key: 'company-size', type: 'dropdown', label: 'Company Size', placeholder: 'Choose a size...', required: true,
+                                options: [
+                                    { value: '1-10', label: '1-10 employees' },
+                                    { value: '11-50', label: '11-50 employees' },
+                                    { value: '51-200', label: '51-200 employees' },
+                                    { value: '200+', label: 'More than 200 employees' }
+                                ]
+                            },
+                            {
+                                id: 'field_interest', key: 'interest', type: 'checkbox', label: 'What are you interested in?', required: true,
+                                options: [
+                                    { value: 'demo', label: 'A product demo' },
+                                    { value: 'pricing', label: 'Pricing' },
+                                    { value: 'partnership', label: 'Partnership' }
+                                ]
+                            },
+                            {
+                                id: 'field_partnership', key: 'partnership', type: 'textarea', label: 'Describe the partnership you have in mind', placeholder: 'Resale, integration, co-marketing...',
+                                validation: { max_length: 1000 },
+                                conditional_logic: { enabled: true, field: 'field_interest', operator: 'contains', value: 'partnership' }
+                            },
+                            {
+                                id: 'field_budget', key: 'budget', type: 'number', label: 'Monthly Budget (USD)', placeholder: 'e.g. 500',
+                                validation: { min: 0, error_message: 'Please enter a budget of 0 or more' }
+                            },
+                            { id: 'field_message', key: 'message', type: 'textarea', label: 'Anything else we should know?', placeholder: 'Timeline, goals, tools you use today...', validation: { max_length: 1000 } }
+                        ]
+                    },
+                    {
+                        step_id: 'step_follow_up',
+                        step_name: 'Follow-up',
+                        fields: [
+                            {
+                                id: 'field_contact_method', key: 'contact-method', type: 'radio', label: 'How should we contact you?', required: true,
+                                options: [
+                                    { value: 'email', label: 'Email' },
+                                    { value: 'phone', label: 'Phone call' }
+                                ]
+                            },
+                            {
+                                id: 'field_call_time', key: 'call-time', type: 'dropdown', label: 'Best Time to Call', placeholder: 'Choose a time...', required: true,
+                                options: [
+                                    { value: 'morning', label: 'Morning (9am - 12pm)' },
+                                    { value: 'afternoon', label: 'Afternoon (12pm - 5pm)' },
+                                    { value: 'evening', label: 'Evening (5pm - 8pm)' }
+                                ],
+                                conditional_logic: { enabled: true, field: 'field_contact_method', operator: 'equals', value: 'phone' }
+                            },
+                            {
+                                id: 'field_consent', key: 'consent', type: 'checkbox', label: 'Consent', required: true,
+                                options: [{ value: 'agree', label: 'I agree to be contacted about my enquiry' }]
+                            }
+                        ]
+                    }
+                ],
+                settings: {
+                    show_progress_bar: true,
+                    submit_button_text: 'Request a Call Back',
+                    success_message: 'Thanks! Someone from our team will be in touch within one business day.',
+                    theme: 'light'
+                }
+            }
+        },
+        {
+            id: 'event-registration',
+            name: 'Event Registration',
+            icon: '🎟️',
+            description: 'Register attendees with ticket types, sessions and dietary needs.',
+            schema: {
+                schema_version: '1.9',
+                project_name: 'Event Registration',
+                header_image: null,
+                title: { text: 'Register for the Summit', font_size: 32, color: '#1e293b', align: 'center' },
+                description: {
+                    html: '<p>Two days of talks, workshops and networking. Seats are limited, so register early.</p>',
+                    text: 'Two days of talks, workshops and networking. Seats are limited, so register early.',
+                    font_size: 16,
+                    color: '#64748b'
+                },
+                steps: [
+                    {
+                        step_id: 'step_attendee',
+                        step_name: 'Attendee',
+                        fields: [
+                            { id: 'field_name', key: 'name', type: 'text', label: 'Full Name', placeholder: 'As it should appear on your badge', required: true, validation: { min_length: 2, max_length: 60 } },
+                            { id: 'field_email', key: 'email', type: 'email', label: 'Email Address', placeholder: 'Your ticket will be sent here', required: true, validation: { email_format: true } },
+                            { id: 'field_mobile', key: 'mobile', type: 'mobile', label: 'Mobile Number', placeholder: 'Enter 10-digit mobile number...', required: true, validation: { mobile_10_digit: true, max_length: 10 } },
+                            { id: 'field_organisation', key: 'organisation', type: 'text', label: 'Organisation', placeholder: 'Company, college or community' }
+                        ]
+                    },
+                    {
+                        step_id: 'step_tickets',
+                        step_name: 'Tickets',
+                        fields: [
+                            {
+                                id: 'field_ticket', key: 'ticket', type: 'radio', label: 'Ticket Type', required: true,
+                                options: [
+                                    { value: 'general', label: 'General admission' },
+                                    { value: 'vip', label: 'VIP (includes speaker dinner)' },
+                                    { value: 'student', label: 'Student' }
+                                ]
+                            },
+                            {
+                                id: 'field_student_id', key: 'student-id', type: 'file', label: 'Student ID', required: true, accept: 'image/*,.pdf', max_size: '5MB',
+                                conditional_logic: { enabled: true, field: 'field_ticket', operator: 'equals', value: 'student' }
+                            },
+                            {
+                                id: 'field_days', key: 'days', type: 'checkbox', label: 'Which days will you attend?', required: true,
+                                options: [
+                                    { value: 'day1', label: 'Day 1 - Talks' },
+                                    { value: 'day2', label: 'Day 2 - Workshops' }
+                                ]
+                            },
+                            {
+                                id: 'field_workshop', key: 'workshop', type: 'dropdown', label: 'Workshop', placeholder: 'Choose a workshop...', required: true,
+                                options: [
+                                    { value: 'design', label: 'Design systems' },
+                                    { value: 'data', label: 'Data pipelines' },
+                                    { value: 'growth', label: 'Growth marketing' }
+                                ],
+                                conditional_logic: { enabled: true, field: 'field_days', operator: 'contains', value: 'day2' }
+                            }
+                        ]
+                    },
+                    {
+                        step_id: 'step_extras',
+                        step_name: 'Extras',
+                        fields: [
+                            {
+                                id: 'field_diet', key: 'diet', type: 'dropdown', label: 'Dietary Requirements', placeholder: 'Choose one...', required: true,
+                                options: [
+                                    { value: 'none', label: 'No requirements' },
+                                    { value: 'vegetarian', label: 'Vegetarian' },
+                                    { value: 'vegan', label: 'Vegan' },
+                                    { value: 'gluten_free', label: 'Gluten free' },
+                                    { value: 'other', label: 'Other' }
+                                ]
+                            },
+                            {
+                                id: 'field_diet_other', key: 'diet-other', type: 'text', label: 'Please specify', placeholder: 'Allergies or other needs', required: true,
+                                validation: { max_length: 120 },
+                                conditional_logic: { enabled: true, field: 'field_diet', operator: 'equals', value: 'other' }
+                            },
+                            { id: 'field_accessibility', key: 'accessibility', type: 'textarea', label: 'Accessibility Needs', placeholder: 'Let us know how we can make the event work for you', validation: { max_length: 500 } },
+                            {
+                                id: 'field_source', key: 'source', type: 'dropdown', label: 'How did you hear about us?', placeholder: 'Choose one...',
+                                options: [
+                                    { value: 'social', label: 'Social media' },
+                                    { value: 'friend', label: 'Friend or colleague' },
+                                    { value: 'newsletter', label: 'Newsletter' },
+                                    { value: 'other', label: 'Other' }
+                                ]
+                            }
+                        ]
+                    }
+                ],
+                settings: {
+                    show_progress_bar: true,
+                    submit_button_text: 'Register',
+                    success_message: 'You\'re registered! Check your inbox for your ticket.',
+                    theme: 'light'
+                }
+            }
+        },
+        {
+            id: 'job-application',
+            name: 'Job Application',
+            icon: '💼',
+            description: 'Screen candidates with experience questions and a resume upload.',
+            schema: {
+                schema_version: '1.9',
+                project_name: 'Job Application',
+                header_image: null,
+                title: { text: 'Join Our Team', font_size: 32, color: '#1e293b', align: 'center' },
+                description: {
+                    html: '<p>We\'re hiring! Apply in a few minutes and we\'ll get back to you within a week.</p>',
+                    text: 'We\'re hiring! Apply in a few minutes and we\'ll get back to you within a week.',
+                    font_size: 16,
+                    color: '#64748b'
+                },
+                steps: [
+                    {
+                        step_id: 'step_personal',
+                        step_name: 'Personal Details',
+                        fields: [
+                            { id: 'field_name', key: 'name', type: 'text', label: 'Full Name', placeholder: 'Your full name', required: true, validation: { min_length: 2, max_length: 80 } },
+                            { id: 'field_email', key: 'email', type: 'email', label: 'Email Address', placeholder: 'you@example.com', required: true, validation: { email_format: true } },
+                            { id: 'field_mobile', key: 'mobile', type: 'mobile', label: 'Mobile Number', placeholder: 'Enter 10-digit mobile number...', required: true, validation: { mobile_10_digit: true, max_length: 10 } },
+                            { id: 'field_city', key: 'city', type: 'text', label: 'Current City', placeholder: 'Where are you based?', required: true }
+                        ]
+                    },
+                    {
+                        step_id: 'step_experience',
+                        step_name: 'Experience',
+                        fields: [
+                            {
+                                id: 'field_position', key: 'position', type: 'dropdown', label: 'Position', placeholder: 'Choose a role...', required: true,
+                                options: [
+                                    { value: 'engineer', label: 'Software Engineer' },
+                                    { value: 'designer', label: 'Product Designer' },
+                                    { value: 'marketing', label: 'Marketing Manager' },
+                                    { value: 'support', label: 'Customer Support' }
+                                ]
+                            },
+                            {
+                                id: 'field_portfolio', key: 'portfolio', type: 'text', label: 'Portfolio Link', placeholder: 'https://', required: true,
+                                validation: { pattern: '^https?://\\S+$', error_message: 'Please enter a link starting with http:// or https://' },
+                                conditional_logic: { enabled: true, field: 'field_position', operator: 'equals', value: 'designer' }
+                            },
+                            {
+                                id: 'field_years', key: 'years', type: 'number', label: 'Years of Experience', placeholder: '0', required: true,
+                                validation: { min: 0, max: 50, error_message: 'Please enter between 0 and 50 years' }
+                            },
+                            {
+                                id: 'field_current_company', key: 'current-company', type: 'text', label: 'Current or Last Employer', placeholder: 'Company name',
+                                conditional_logic: { enabled: true, field: 'field_years', operator: 'greater_than', value: '0' }
+                            },
+                            {
+                                id: 'field_notice', key: 'notice', type: 'dropdown', label: 'Notice Period', placeholder: 'Choose one...',
+                                options: [
+                                    { value: 'immediate', label: 'Immediately available' },
+                                    { value: '30', label: '30 days' },
+                                    { value: '60', label: '60 days' },
+                                    { value: '90', label: '90 days' }
+                                ],
+                                conditional_logic: { enabled: true, field: 'field_years', operator: 'greater_than', value: '0' }
+                            }
+                        ]
+                    },
+                    {
+                        step_id: 'step_documents',
+                        step_name: 'Documents',
+                        fields: [
+                            { id: 'field_resume', key: 'resume', type: 'file', label: 'Resume', required: true, accept: '.pdf,.doc,.docx', max_size: '5MB' },
+                            { id: 'field_cover_letter', key: 'cover-letter', type: 'textarea', label: 'Why do you want to join us?', placeholder: 'A few lines are enough', validation: { min_length: 50, max_length: 2000 } },
+                            { id: 'field_start_date', key: 'start-date', type: 'date', label: 'Earliest Start Date', required: true },
+                            {
+                                id: 'field_relocate', key: 'relocate', type: 'radio', label: 'Are you open to relocating?', required: true,
+                                options: [
+                                    { value: 'yes', label: 'Yes' },
+                                    { value: 'no', label: 'No' }
+                                ]
+                            }
+                        ]
+                    }
+                ],
+                settings: {
+                    show_progress_bar: true,
+                    submit_button_text: 'Submit Application',
+                    success_message: 'Thanks for applying! We review every application and will reply within a week.',
+                    theme: 'light'
+                }
+            }
+        },
+        {
+            id: 'customer-survey',
+            name: 'Customer Survey',
+            icon: '📊',
+            description: 'Measure satisfaction and ask unhappy customers what went wrong.',
+            schema: {
+                schema_version: '1.9',
+                project_name: 'Customer Survey',
+                header_image: null,
+                title: { text: 'How Did We Do?', font_size: 32, color: '#1e293b', align: 'center' },
+                description: {
+                    html: '<p>This survey takes about two minutes. Your feedback helps us improve.</p>',
+                    text: 'This survey takes about two minutes. Your feedback helps us improve.',
+                    font_size: 16,
+                    color: '#64748b'
+                },
+                steps: [
+                    {
+                        step_id: 'step_experience',
+                        step_name: 'Your Experience',
+                        fields: [
+                            {
+                                id: 'field_satisfaction', key: 'satisfaction', type: 'radio', label: 'How satisfied are you with us overall?', required: true,
+                                options: [
+                                    { value: '1', label: '1 - Very dissatisfied' },
+                                    { value: '2', label: '2 - Dissatisfied' },
+                                    { value: '3', label: '3 - Neutral' },
+                                    { value: '4', label: '4 - Satisfied' },
+                                    { value: '5', label: '5 - Very satisfied' }
+                                ]
+                            },
+                            {
+                                id: 'field_features', key: 'features', type: 'checkbox', label: 'Which of these have you used?',
+                                options: [
+                                    { value: 'app', label: 'Mobile app' },
+                                    { value: 'website', label: 'Website' },
+                                    { value: 'support', label: 'Customer support' },
+                                    { value: 'store', label: 'In-store service' }
+                                ]
+                            },
+                            {
+                                id: 'field_recommend', key: 'recommend', type: 'radio', label: 'Would you recommend us to a friend?', required: true,
+                                options: [
+                                    { value: 'yes', label: 'Yes' },
+                                    { value: 'maybe', label: 'Maybe' },
+                                    { value: 'no', label: 'No' }
+                                ]
+                            }
+                        ]
+                    },
+                    {
+                        step_id: 'step_issues',
+                        step_name: 'What Went Wrong',
+                        skip_logic: { enabled: true, field: 'field_satisfaction', operator: 'greater_than', value: '3' },
+                        fields: [
+                            {
+                                id: 'field_issues', key: 'issues', type: 'checkbox', label: 'What disappointed you?', required: true,
+                                options: [
+                                    { value: 'quality', label: 'Product quality' },
+                                    { value: 'price', label: 'Price' },
+                                    { value: 'delivery', label: 'Delivery' },
+                                    { value: 'support', label: 'Customer support' },
+                                    { value: 'other', label: 'Something else' }
+                                ]
+                            },
+                            {
+                                id: 'field_issue_details', key: 'issue-details', type: 'textarea', label: 'Tell us what happened', placeholder: 'The more detail, the better', required: true,
+                                validation: { min_length: 10, max_length: 1500 }
+                            }
+                        ]
+                    },
+                    {
+                        step_id: 'step_stay_in_touch',
+                        step_name: 'Stay in Touch',
+                        fields: [
+                            { id: 'field_suggestion', key: 'suggestion', type: 'textarea', label: 'One thing we could do better', placeholder: 'Optional', validation: { max_length: 1000 } },
+                            {
+                                id: 'field_follow_up', key: 'follow-up', type: 'radio', label: 'May we contact you about your answers?', required: true,
+                                options: [
+                                    { value: 'yes', label: 'Yes' },
+                                    { value: 'no', label: 'No' }
+                                ]
+                            },
+                            {
+                                id: 'field_email', key: 'email', type: 'email', label: 'Email Address', placeholder: 'you@example.com', required: true,
+                                validation: { email_format: true },
+                                conditional_logic: { enabled: true, field: 'field_follow_up', operator: 'equals', value: 'yes' }
+                            }
+                        ]
+                    }
+                ],
+                settings: {
+                    show_progress_bar: true,
+                    submit_button_text: 'Send Feedback',
+                    success_message: 'Thank you for your feedback!',
+                    theme: 'light'
+                }
+            }
+        },
+        {
+            id: 'loan-enquiry',
+            name: 'Loan Enquiry',
+            icon: '🏦',
+            description: 'Capture loan requirements, income and KYC details for a callback.',
+            schema: {
+                schema_version: '1.9',
+                project_name: 'Loan Enquiry',
+                header_image: null,
+                title: { text: 'Check Your Loan Eligibility', font_size: 32, color: '#1e293b', align: 'center' },
+                description: {
+                    html: '<p>Share a few details and a loan advisor will call you with offers that suit you. Checking does not affect your credit score.</p>',
+                    text: 'Share a few details and a loan advisor will call you with offers that suit you. Checking does not affect your credit score.',
+                    font_size: 16,
+                    color: '#64748b'
+                },
+                steps: [
+                    {
+                        step_id: 'step_loan',
+                        step_name: 'Loan Details',
+                        fields: [
+                            {
+                                id: 'field_loan_type', key: 'loan-type', type: 'dropdown', label: 'Loan Type', placeholder: 'Choose a loan...', required: true,
+                                options: [
+                                    { value: 'home', label: 'Home loan' },
+                                    { value: 'personal', label: 'Personal loan' },
+                                    { value: 'business', label: 'Business loan' },
+                                    { value: 'vehicle', label: 'Vehicle loan' }
+                                ]
+                            },
+                            {
+                                id: 'field_amount', key: 'amount', type: 'number', label: 'Loan Amount (₹)', placeholder: 'e.g. 500000', required: true,
+                                validation: { min: 10000, max: 100000000, error_message: 'Please enter an amount between ₹10,000 and ₹10 crore' }
+                            },
+                            {
+                                id: 'field_tenure', key: 'tenure', type: 'number', label: 'Tenure (years)', placeholder: 'e.g. 5', required: true,
+                                validation: { min: 1, max: 30, error_message: 'Tenure must be between 1 and 30 years' }
+                            },
+                            {
+                                id: 'field_property_value', key: 'property-value', type: 'number', label: 'Estimated Property Value (₹)', placeholder: 'e.g. 7500000', required: true,
+                                validation: { min: 0 },
+                                conditional_logic: { enabled: true, field: 'field_loan_type', operator: 'equals', value: 'home' }
+                            }
+                        ]
+                    },
+                    {
+                        step_id: 'step_income',
+                        step_name: 'Income',
+                        fields: [
+                            {
+                                id: 'field_employment', key: 'employment', type: 'radio', label: 'Employment Type', required: true,
+                                options: [
+                                    { value: 'salaried', label: 'Salaried' },
+                                    { value: 'self_employed', label: 'Self-employed' }
+                                ]
+                            },
+                            {
+                                id: 'field_employer', key: 'employer', type: 'text', label: 'Employer Name', placeholder: 'Company you work for', required: true,
+                                conditional_logic: { enabled: true, field: 'field_employment', operator: 'equals', value: 'salaried' }
+                            },
+                            {
+                                id: 'field_business_years', key: 'business-years', type: 'number', label: 'Years in Business', placeholder: 'e.g. 3', required: true,
+                                validation: { min: 0, max: 100 },
+                                conditional_logic: { enabled: true, field: 'field_employment', operator: 'equals', value: 'self_employed' }
+                            },
+                            {
+                                id: 'field_income', key: 'income', type: 'number', label: 'Monthly Income (₹)', placeholder: 'e.g. 75000', required: true,
+                                validation: { min: 0, error_message: 'Please enter your monthly income' }
+                            },
+                            {
+                                id: 'field_existing_emi', key: 'existing-emi', type: 'number', label: 'Existing EMIs per Month (₹)', placeholder: '0 if none',
+                                validation: { min: 0 }
+                            }
+                        ]
+                    },
+                    {
+                        step_id: 'step_contact',
+                        step_name: 'Contact',
+                        fields: [
+                            { id: 'field_name', key: 'name', type: 'text', label: 'Full Name', placeholder: 'As on your PAN card', required: true, validation: { min_length: 2, max_length: 80 } },
+                            { id: 'field_mobile', key: 'mobile', type: 'mobile', label: 'Mobile Number', placeholder: 'Enter 10-digit mobile number...', required: true, validation: { mobile_10_digit: true, max_length: 10 } },
+                            { id: 'field_email', key: 'email', type: 'email', label: 'Email Address', placeholder: 'you@example.com', required: true, validation: { email_format: true } },
+                            {
+                                id: 'field_pan', key: 'pan', type: 'text', label: 'PAN', placeholder: 'ABCDE1234F', required: true,
+                                validation: { max_length: 10, pattern: '^[A-Z]{5}[0-9]{4}[A-Z]$', error_message: 'Please enter a valid PAN, e.g. ABCDE1234F' }
+                            },
+                            { id: 'field_city', key: 'city', type: 'text', label: 'City', placeholder: 'Where do you live?', required: true },
+                            {
+                                id: 'field_consent', key: 'consent', type: 'checkbox', label: 'Consent', required: true,
+                                options: [{ value: 'agree', label: 'I authorise a loan advisor to call me about my enquiry' }]
+                            }
+                        ]
+                    }
+                ],
+                settings: {
+                    show_progress_bar: true,
+                    submit_button_text: 'Check Eligibility',
+                    success_message: 'Thank you! A loan advisor will call you within 24 hours.',
+                    theme: 'light'
+                }
+            }
+        }
+    ],
+
+    /**
+     * Load the saved templates (after DataStore.init)
+     */
+    async init() {
+        await this.refresh();
+    },
+
+    /**
+     * Re-read the saved templates, which other tabs may have changed
+     */
+    async refresh() {
+        this.templates = await DataStore.get(this.key, []);
+        this.notify();
+    },
+
+    /**
+     * Get all templates, built-in ones first
+     * @returns {Array<Object>} Templates; saved ones have custom: true
+     */
+    list() {
+        return [
+            ...this.builtIn,
+            ...this.templates.map(template => ({ ...template, custom: true }))
+        ];
+    },
+
+    /**
+     * Get a template
+     * @param {string} templateId - Template ID
+     * @returns {Object|null} Template
+     */
+    get(templateId) {
+        return this.list().find(t => t.id === templateId) || null;
+    },
+
+    /**
+     * Subscribe to changes of the saved templates
+     * @param {Function} listener - Called with all templates
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    },
+
+    /**
+     * Notify listeners of a change
+     */
+    notify() {
+        this.listeners.forEach(listener => listener(this.list()));
+    },
+
+    /**
+     * Save a project as a template
+     * @param {string} name - Template name
+     * @param {Object} state - Project state
+     * @returns {Promise<Object>} Template
+     */
+    async add(name, state) {
+        await this.refresh();
+
+        const fieldCount = state.steps.reduce((count, step) => count + AppState.flattenFields(step.fields).length, 0);
+        const template = {
+            id: Helpers.generateId('template'),
+            name,
+            icon: '⭐',
+            description: `${state.steps.length} step${state.steps.length === 1 ? '' : 's'}, ${fieldCount} field${fieldCount === 1 ? '' : 's'}`,
+            createdAt: Helpers.getTimestamp(),
+            schema: ExportUtils.generateJSONSchema(state)
+        };
+
+        this.templates.push(template);
+        await this.save();
+        return template;
+    },
+
+    /**
+     * Delete a saved template
+     * @param {string} templateId - Template ID
+     */
+    async remove(templateId) {
+        await this.refresh();
+        this.templates = this.templates.filter(t => t.id !== templateId);
+        await this.save();
+    },
+
+    /**
+     * Persist the saved templates and tell the other tabs
+     */
+    async save() {
+        await DataStore.set(this.key, this.templates);
+        TabSync.post({ type: 'templates' });
+        this.notify();
+    }
+};
+
+// Export for use in other modules
+window.TemplateLibrary = TemplateLibrary;
@@ -0,0 +1,57 @@
+/**
+ * ================================================
+ * LANDCRAFT - Sync Transports
+ * Connections used by collaborative editing
+ *
+ * A transport is any object with:
+ * - connect({ onOpen, onMessage, onClose }) - open the connection
+ * - send(message) - send a JSON-serializable message
+ * - close() - close without calling onClose
+ * ================================================
+ */
+
+const SyncTransport = {
+    /**
+     * Transport talking to the LandCraft relay (server/relay.js)
+     * @param {string} url - Relay URL, e.g. ws://localhost:8787
+     * @returns {Object} Transport
+     */
+    websocket(url) {
+        let socket = null;
+
+        return {
+            connect({ onOpen, onMessage, onClose }) {
+                socket = new WebSocket(url);
+                socket.onopen = () => onOpen();
+                socket.onmessage = (e) => {
+                    let message;
+                    try {
+                        message = JSON.parse(e.data);
+                    } catch (error) {
+                        console.error('Invalid relay message:', error);
+                        return;
+                    }
+                    onMessage(message);
+                };
+                // An error is always followed by close
+                socket.onclose = () => onClose();
+            },
+
+            send(message) {
+                if (socket && socket.readyState === WebSocket.OPEN) {
+                    socket.send(JSON.stringify(message));
+                }
+            },
+
+            close() {
+                if (!socket) return;
+                socket.onclose = null;
+                socket.close();
+                socket = null;
+            }
+        };
+    }
+};
+
+// Export for use in other modules
+window.SyncTransport = SyncTransport;
@@ -24,6 +24,41 @@ const Validation = {
         pincode: /^[1-9][0-9]{5}$/
     },
 
+    /**
+     * Postal code patterns by country, tested against the upper-cased code
+     * India's is the pincode pattern.
+     */
+    postalCodes: {
+        AU: /^[0-9]{4}$/,
+        BD: /^[0-9]{4}$/,
+        BR: /^[0-9]{5}-?[0-9]{3}$/,
+        CA: /^[ABCEGHJ-NPRSTVXY][0-9][ABCEGHJ-NPRSTV-Z] ?[0-9][ABCEGHJ-NPRSTV-Z][0-9]$/,
+        CN: /^[0-9]{6}$/,
+        FR: /^[0-9]{5}$/,
+        DE: /^[0-9]{5}$/,
+        IN: /^[1-9][0-9]{5}$/,
+        ID: /^[0-9]{5}$/,
+        IE: /^([AC-FHKNPRTV-Y][0-9]{2}|D6W) ?[0-9AC-FHKNPRTV-Y]{4}$/,
+        IT: /^[0-9]{5}$/,
+        JP: /^[0-9]{3}-?[0-9]{4}$/,
+        KE: /^[0-9]{5}$/,
+        MY: /^[0-9]{5}$/,
+        MX: /^[0-9]{5}$/,
+        NP: /^[0-9]{5}$/,
+        NL: /^[1-9][0-9]{3} ?[A-Z]{2}$/,
+        NZ: /^[0-9]{4}$/,
+        NG: /^[0-9]{6}$/,
+        PK: /^[0-9]{5}$/,
+        PH: /^[0-9]{4}$/,
+        SA: /^[0-9]{5}(-[0-9]{4})?$/,
+        SG: /^[0-9]{6}$/,
+        ZA: /^[0-9]{4}$/,
+        ES: /^(0[1-9]|[1-4][0-9]|5[0-2])[0-9]{3}$/,
+        LK: /^[0-9]{5}$/,
+        GB: /^[A-Z]{1,2}[0-9][A-Z0-9]? ?[0-9][A-Z]{2}$/,
+        US: /^[0-9]{5}(-[0-9]{4})?$/
+    },
+
     /**
      * Error messages
      */
@@ -48,6 +83,8 @@ const Validation = {
         gst: 'Please enter a valid GST number',
         pan: 'Please enter a valid PAN number',
         pincode: 'Please enter a valid 6-digit PIN code',
+        postalCode: 'Please enter a valid {label}',
+        addressPart: 'Please enter the {label}',
         match: 'Values do not match'
     },
 
@@ -67,6 +104,11 @@ const Validation = {
             }
         }
 
+        // Addresses are checked part by part
+        if (rules.type === 'address') {
+            return this.validateAddress(value, rules);
+        }
+
         // Required validation
         if (rules.required) {
             if (this.isEmpty(value)) {
@@ -94,6 +136,13 @@ const Validation = {
             }
         }
 
+        // Phone validation (per country, see PhoneUtils)
+        if (rules.type === 'phone') {
+            if (!PhoneUtils.toE164(value, rules.country)) {
+                return { valid: false, error: this.messages.phone };
+            }
+        }
+
         // URL validation
         if (rules.type === 'url' || rules.url) {
             if (!this.patterns.url.test(value)) {
@@ -198,6 +247,52 @@ const Validation = {
         return { valid: true, error: null };
     },
 
+    /**
+     * Validate an address
+     * An address is either empty or complete: every part its country uses is
+     * filled, apart from line 2, and the postal code fits the country's pattern.
+     * @param {Object} address - {line1, line2, city, region, postalCode, country}
+     * @param {Object} rules - Validation rules (required)
+     * @returns {Object} {valid: boolean, error: string|null}
+     */
+    validateAddress(address, rules = {}) {
+        address = address || {};
+        const parts = AddressUtils.getParts(address.country);
+        const filled = parts.filter(part => !this.isEmpty(address[part.name]));
+
+        if (filled.length === 0) {
+            return rules.required
+                ? { valid: false, error: rules.errorMessage || this.messages.required }
+                : { valid: true, error: null };
+        }
+
+        const missing = parts.find(part => !part.optional && this.isEmpty(address[part.name]));
+        if (missing) {
+            // "address line 1", but "PIN code"
+            const label = /^[A-Z][a-z]/.test(missing.label) ? missing.label.charAt(0).toLowerCase() + missing.label.slice(1) : missing.label;
+            return { valid: false, error: this.messages.addressPart.replace('{label}', label) };
+        }
+
+        if (!this.isValidPostalCode(address.postalCode, address.country)) {
+            const { postal } = AddressUtils.getCountry(address.country);
+            return { valid: false, error: this.messages.postalCode.replace('{label}', postal) };
+        }
+
+        return { valid: true, error: null };
+    },
+
+    /**
+     * Check a postal code against its country's pattern
+     * @param {string} value - Postal code
+     * @param {string} country - Two-letter country code
+     * @returns {boolean} True if valid, or if the country has no pattern
+     */
+    isValidPostalCode(value, country) {
+        const pattern = this.postalCodes[country];
+        if (!pattern || this.isEmpty(value)) return true;
+        return pattern.test(String(value).trim().toUpperCase());
+    },
+
     /**
      * Validate file input
      * @param {File|FileList} files - File(s) to validate
@@ -268,6 +363,7 @@ const Validation = {
             const value = values[field.id];
             const result = this.validateField(value, {
                 type: field.type,
+                country: field.country,
                 required: field.required,
                 minLength: field.validation?.minLength,
                 maxLength: field.validation?.maxLength,
@@ -399,6 +495,7 @@ const Validation = {
             text: {},
             email: { email: true },
             mobile: { mobile: true, maxLength: 10 },
+            phone: {},
             number: { numeric: true },
             url: { url: true },
             textarea: {},
@@ -416,14 +513,17 @@ const Validation = {
      * Sanitize input value based on field type
      * @param {*} value - Input value
      * @param {string} type - Field type
+     * @param {string} country - Country of phone numbers typed without a calling code
      * @returns {*} Sanitized value
      */
-    sanitizeValue(value, type) {
+    sanitizeValue(value, type, country = PhoneUtils.defaultCountry) {
         if (value === null || value === undefined) return '';
 
         switch (type) {
             case 'mobile':
                 return String(value).replace(/\D/g, '').slice(0, 10);
+            case 'phone':
+                return PhoneUtils.toE164(value, country) || String(value).trim();
             case 'number':
                 return String(value).replace(/[^\d.-]/g, '');
             case 'email':
@@ -0,0 +1,370 @@
+/**
+ * ================================================
+ * LANDCRAFT - Collaboration Relay
+ * Minimal WebSocket relay for real-time co-editing
+ *
+ * Usage: node server/relay.js [port]   (default 8787, or $PORT)
+ *   HOST             Interface to listen on (default 127.0.0.1)
+ *   ALLOWED_ORIGINS  Comma-separated page origins that may connect
+ *                    (default: pages served from localhost)
+ *
+ * Clients join a room, the relay keeps the newest operation per
+ * register so late joiners get the current document, and forwards
+ * operations and presence to everyone else in the room. A room is
+ * dropped when its last client leaves.
+ * No dependencies; state lives in memory.
+ * ================================================
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 8787;
+
+/**
+ * Only this machine can connect unless HOST says otherwise
+ */
+const DEFAULT_HOST = '127.0.0.1';
+
+/**
+ * Hosts whose pages may connect when no origins are configured
+ */
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Largest accepted frame (header images travel inline)
+ */
+const MAX_PAYLOAD = 16 * 1024 * 1024;
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// =====================================
+// ROOMS
+// =====================================
+
+/**
+ * Get a room, creating it on first use
+ * @param {Object} relay - Relay state
+ * @param {string} name - Room name
+ * @returns {Object} Room {name, clients: Set, registers: Map, presence: Map}
+ */
+function getRoom(relay, name) {
+    if (!relay.rooms.has(name)) {
+        relay.rooms.set(name, { name, clients: new Set(), registers: new Map(), presence: new Map() });
+    }
+    return relay.rooms.get(name);
+}
+
+/**
+ * Order stamps like the client (see js/utils/crdt.js)
+ * @param {Array} a - Stamp [clock, clientId]
+ * @param {Array} b - Stamp
+ * @returns {number}
+ */
+function compareStamps(a, b) {
+    if (a[0] !== b[0]) return a[0] - b[0];
+    return a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0;
+}
+
+/**
+ * Send a message to every other client in a room
+ * @param {Object} room - Room
+ * @param {Object} sender - Sending client
+ * @param {Object} message - Message
+ */
+function broadcast(room, sender, message) {
+    const data = JSON.stringify(message);
+    room.clients.forEach(client => {
+        if (client !== sender) client.send(data);
+    });
+}
+
+/**
+ * Handle a message from a client
+ * @param {Object} relay - Relay state
+ * @param {Object} client - Client
+ * @param {Object} message - Parsed message
+ */
+function handleMessage(relay, client, message) {
+    if (message.type === 'join') {
+        if (client.room || typeof message.room !== 'string' || !message.room) return;
+
+        const room = getRoom(relay, message.room);
+        client.room = room;
+        client.clientId = String(message.clientId);
+
+        client.send(JSON.stringify({
+            type: 'welcome',
+            ops: [...room.registers.values()],
+            peers: [...room.presence.values()]
+        }));
+
+        const presence = { clientId: client.clientId, user: message.user, selection: message.selection ?? null };
+        room.presence.set(client.clientId, presence);
+        room.clients.add(client);
+        broadcast(room, client, { type: 'join', ...presence });
+        relay.log(`${client.clientId} joined "${message.room}" (${room.clients.size} connected)`);
+        return;
+    }
+
+    const room = client.room;
+    if (!room) return;
+
+    if (message.type === 'ops' && Array.isArray(message.ops)) {
+        message.ops.forEach(op => {
+            if (!op || typeof op.key !== 'string' || !Array.isArray(op.stamp)) return;
+            const current = room.registers.get(op.key);
+            if (!current || compareStamps(op.stamp, current.stamp) > 0) {
+                room.registers.set(op.key, op);
+            }
+        });
+        broadcast(room, client, { type: 'ops', clientId: client.clientId, ops: message.ops });
+    } else if (message.type === 'presence') {
+        const presence = { clientId: client.clientId, user: message.user, selection: message.selection ?? null };
+        room.presence.set(client.clientId, presence);
+        broadcast(room, client, { type: 'presence', ...presence });
+    }
+}
+
+/**
+ * Remove a disconnected client from its room
+ * The last client to leave takes the room with it, so rooms nobody uses
+ * do not hold on to their operations; each client keeps its own copy.
+ * @param {Object} relay - Relay state
+ * @param {Object} client - Client
+ */
+function handleClose(relay, client) {
+    const room = client.room;
+    if (!room || !room.clients.delete(client)) return;
+
+    room.presence.delete(client.clientId);
+    broadcast(room, client, { type: 'leave', clientId: client.clientId });
+    relay.log(`${client.clientId} left (${room.clients.size} connected)`);
+
+    if (room.clients.size === 0) {
+        relay.rooms.delete(room.name);
+        relay.log(`Closed "${room.name}"`);
+    }
+}
+
+// =====================================
+// WEBSOCKET FRAMING
+// =====================================
+
+/**
+ * Encode a server frame (never masked)
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Payload
+ * @returns {Buffer} Frame
+ */
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode one client frame from the start of a buffer
+ * @param {Buffer} buffer - Received bytes
+ * @returns {Object|null} {fin, opcode, payload, length} or null if incomplete
+ */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    if (length > MAX_PAYLOAD) {
+        throw new Error('Frame too large');
+    }
+
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+    }
+
+    return { fin, opcode, payload, length: offset + length };
+}
+
+/**
+ * Wrap an upgraded socket as a client
+ * @param {Object} relay - Relay state
+ * @param {net.Socket} socket - Socket
+ */
+function acceptClient(relay, socket) {
+    const client = {
+        room: null,
+        clientId: null,
+        send(data) {
+            if (!socket.destroyed) socket.write(encodeFrame(0x1, Buffer.from(data)));
+        }
+    };
+
+    let buffer = Buffer.alloc(0);
+    let fragments = [];
+
+    socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+
+        try {
+            let frame;
+            while ((frame = decodeFrame(buffer))) {
+                buffer = buffer.subarray(frame.length);
+
+                if (frame.opcode === 0x8) {
+                    socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+                    return;
+                }
+                if (frame.opcode === 0x9) {
+                    socket.write(encodeFrame(0xA, frame.payload));
+                    continue;
+                }
+                if (frame.opcode !== 0x1 && frame.opcode !== 0x0) continue;
+
+                fragments.push(frame.payload);
+                if (!frame.fin) continue;
+
+                const text = Buffer.concat(fragments).toString('utf8');
+                fragments = [];
+
+                let message;
+                try {
+                    message = JSON.parse(text);
+                } catch (error) {
+                    continue;
+                }
+                handleMessage(relay, client, message);
+            }
+        } catch (error) {
+            relay.log(`Dropping client: ${error.message}`);
+            socket.destroy();
+        }
+    });
+
+    // Upgraded sockets stay half-open after the client's FIN; finish the close
+    socket.on('end', () => socket.end());
+    socket.on('close', () => handleClose(relay, client));
+    socket.on('error', () => socket.destroy());
+}
+
+// =====================================
+// SERVER
+// =====================================
+
+/**
+ * Log a relay event
+ * @param {string} message - Message
+ */
+function log(message) {
+    console.log(`[relay] ${message}`);
+}
+
+/**
+ * Check whether a page may connect
+ * Browsers always send the page's origin; other clients send none.
+ * @param {string|undefined} origin - Origin header
+ * @param {Array<string>|null} allowedOrigins - Allowed origins, null for pages on localhost
+ * @returns {boolean}
+ */
+function isAllowedOrigin(origin, allowedOrigins) {
+    if (!origin) return true;
+    if (allowedOrigins) return allowedOrigins.includes('*') || allowedOrigins.includes(origin);
+
+    try {
+        return LOCAL_HOSTS.includes(new URL(origin).hostname);
+    } catch (error) {
+        // "null" (files and sandboxed frames) must be allowed explicitly
+        return false;
+    }
+}
+
+/**
+ * Create a relay server; call listen() to start it
+ * @param {Object} options - {allowedOrigins: Array<string>|null, log: Function}
+ * @returns {http.Server} Server, with its rooms in server.relay.rooms
+ */
+function createRelay({ allowedOrigins = null, log: logger = log } = {}) {
+    const relay = { rooms: new Map(), allowedOrigins, log: logger };
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('LandCraft collaboration relay\n');
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        if (!isAllowedOrigin(req.headers.origin, relay.allowedOrigins)) {
+            relay.log(`Refused a connection from ${req.headers.origin}`);
+            socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+
+        acceptClient(relay, socket);
+    });
+
+    server.relay = relay;
+    return server;
+}
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2] || process.env.PORT || DEFAULT_PORT, 10);
+    const host = process.env.HOST || DEFAULT_HOST;
+    const allowedOrigins = process.env.ALLOWED_ORIGINS
+        ? process.env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+        : null;
+
+    const server = createRelay({ allowedOrigins });
+    server.listen(port, host, () => {
+        log(`Listening on ws://${host}:${server.address().port}`);
+    });
+}
+
+module.exports = { createRelay, isAllowedOrigin, encodeFrame, decodeFrame };
@@ -0,0 +1,209 @@
+/**
+ * ================================================
+ * LANDCRAFT - Collaboration Relay Tests
+ * Run offline with: node --test server/
+ * ================================================
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createRelay, isAllowedOrigin, decodeFrame } = require('./relay');
+
+/**
+ * Start a relay on a free local port
+ * @param {Object} options - createRelay options
+ * @returns {Promise<http.Server>} Listening server
+ */
+function startRelay(options = {}) {
+    const server = createRelay({ log: () => {}, ...options });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * Encode a client frame (always masked)
+ * @param {string} text - Text payload
+ * @returns {Buffer} Frame
+ */
+function encodeClientFrame(text) {
+    const payload = Buffer.from(text);
+    const mask = crypto.randomBytes(4);
+    const header = payload.length < 126
+        ? Buffer.from([0x81, 0x80 | payload.length])
+        : Buffer.from([0x81, 0x80 | 126, payload.length >> 8, payload.length & 0xff]);
+
+    const masked = Buffer.from(payload);
+    for (let i = 0; i < masked.length; i++) {
+        masked[i] ^= mask[i % 4];
+    }
+    return Buffer.concat([header, mask, masked]);
+}
+
+/**
+ * Open a WebSocket to the relay
+ * @param {http.Server} server - Relay
+ * @param {string} [origin] - Origin header to send
+ * @returns {Promise<Object>} {status} when refused, else a client {send, next, close}
+ */
+function connect(server, origin) {
+    const headers = {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Version': '13',
+        'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64')
+    };
+    if (origin) headers.Origin = origin;
+
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port: server.address().port, headers });
+        req.on('error', reject);
+        req.on('response', res => {
+            res.resume();
+            resolve({ status: res.statusCode });
+        });
+        req.on('upgrade', (res, socket) => {
+            const messages = [];
+            const waiting = [];
+            let buffer = Buffer.alloc(0);
+
+            socket.on('data', chunk => {
+                buffer = Buffer.concat([buffer, chunk]);
+                let frame;
+                while ((frame = decodeFrame(buffer))) {
+                    buffer = buffer.subarray(frame.length);
+                    if (frame.opcode !== 0x1) continue;
+                    messages.push(JSON.parse(frame.payload.toString('utf8')));
+                    if (waiting.length > 0) waiting.shift()(messages.shift());
+                }
+            });
+
+            resolve({
+                status: res.statusCode,
+                send: message => socket.write(encodeClientFrame(JSON.stringify(message))),
+                next: () => messages.length > 0
+                    ? Promise.resolve(messages.shift())
+                    : new Promise(done => waiting.push(done)),
+                close: () => new Promise(done => {
+                    socket.once('close', done);
+                    socket.destroy();
+                })
+            });
+        });
+        req.end();
+    });
+}
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Condition
+ */
+async function waitFor(condition) {
+    for (let i = 0; i < 100 && !condition(); i++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    assert.ok(condition(), 'Timed out');
+}
+
+test('Listens on 127.0.0.1 by default', async () => {
+    const relay = spawn(process.execPath, [path.join(__dirname, 'relay.js'), '0'], {
+        env: { ...process.env, HOST: '', PORT: '' }
+    });
+
+    try {
+        const line = await new Promise((resolve, reject) => {
+            relay.stdout.once('data', chunk => resolve(chunk.toString()));
+            relay.once('exit', code => reject(new Error(`Relay exited with ${code}`)));
+        });
+        assert.match(line, /Listening on ws:\/\/127\.0\.0\.1:\d+/);
+    } finally {
+        relay.kill();
+    }
+});
+
+test('Pages on localhost and clients without an origin may connect', () => {
+    assert.ok(isAllowedOrigin(undefined, null));
+    assert.ok(isAllowedOrigin('http://localhost:8000', null));
+    assert.ok(isAllowedOrigin('http://127.0.0.1:5500', null));
+    assert.ok(isAllowedOrigin('http://[::1]:8000', null));
+    assert.ok(!isAllowedOrigin('https://example.com', null));
+    assert.ok(!isAllowedOrigin('http://localhost.example.com', null));
+    assert.ok(!isAllowedOrigin('null', null));
+    assert.ok(isAllowedOrigin('https://forms.example.com', ['https://forms.example.com']));
+    assert.ok(!isAllowedOrigin('http://localhost:8000', ['https://forms.example.com']));
+});
+
+test('Refuses pages from other origins', async () => {
+    const server = await startRelay();
+    try {
+        const refused = await connect(server, 'https://example.com');
+        assert.strictEqual(refused.status, 403);
+
+        const accepted = await connect(server, 'http://localhost:8000');
+        assert.strictEqual(accepted.status, 101);
+        await accepted.close();
+    } finally {
+        server.close();
+    }
+});
+
+test('Relays operations and hands the document to late joiners', async () => {
+    const server = await startRelay();
+    try {
+        const alice = await connect(server);
+        alice.send({ type: 'join', room: 'demo', clientId: 'a', user: { name: 'Alice' } });
+        assert.deepStrictEqual((await alice.next()).ops, []);
+
+        const bob = await connect(server);
+        bob.send({ type: 'join', room: 'demo', clientId: 'b', user: { name: 'Bob' } });
+        await bob.next();
+        assert.strictEqual((await alice.next()).type, 'join');
+
+        const op = { key: 'steps/0/name', stamp: [1, 'a'], value: 'Intro' };
+        alice.send({ type: 'ops', ops: [op] });
+        assert.deepStrictEqual(await bob.next(), { type: 'ops', clientId: 'a', ops: [op] });
+
+        const carol = await connect(server);
+        carol.send({ type: 'join', room: 'demo', clientId: 'c' });
+        const welcome = await carol.next();
+        assert.deepStrictEqual(welcome.ops, [op]);
+        assert.strictEqual(welcome.peers.length, 2);
+
+        await Promise.all([alice.close(), bob.close(), carol.close()]);
+    } finally {
+        server.close();
+    }
+});
+
+test('Drops a room when its last client leaves', async () => {
+    const server = await startRelay();
+    const { rooms } = server.relay;
+    try {
+        const alice = await connect(server);
+        alice.send({ type: 'join', room: 'demo', clientId: 'a' });
+        await alice.next();
+        alice.send({ type: 'ops', ops: [{ key: 'title', stamp: [1, 'a'], value: 'Old' }] });
+
+        const bob = await connect(server);
+        bob.send({ type: 'join', room: 'demo', clientId: 'b' });
+        await bob.next();
+
+        await alice.close();
+        await waitFor(() => rooms.get('demo').clients.size === 1);
+
+        await bob.close();
+        await waitFor(() => !rooms.has('demo'));
+
+        // The next session starts empty, so the first client seeds it
+        const carol = await connect(server);
+        carol.send({ type: 'join', room: 'demo', clientId: 'c' });
+        assert.deepStrictEqual((await carol.next()).ops, []);
+        await carol.close();
+    } finally {
+        server.close();
+    }
+});
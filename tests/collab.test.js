@@ -0,0 +1,70 @@
+/**
+ * ================================================
+ * LANDCRAFT - Collaboration Tests
+ * A session never turns a project into part of one
+ * ================================================
+ */
+
+/**
+ * Join a room through a transport that keeps what is sent
+ * @returns {Object} Transport {sent, handlers}
+ */
+function joinTestRoom() {
+    const transport = {
+        sent: [],
+        handlers: null,
+        connect(handlers) {
+            this.handlers = handlers;
+            handlers.onOpen();
+        },
+        send(message) {
+            this.sent.push(message);
+        },
+        close() {}
+    };
+    Collab.start({ room: 'demo', name: 'Tester', transport });
+    return transport;
+}
+
+/**
+ * Build the project a collaborator would get from the sent operations
+ * @param {Array<Object>} messages - Sent messages
+ * @returns {Object} Shared content
+ */
+function contentFromMessages(messages) {
+    const doc = CRDT.createDoc('other');
+    messages.filter(message => message.type === 'ops').forEach(message => CRDT.applyOps(doc, message.ops));
+    return CRDT.toState(doc);
+}
+
+test('Rejoining a room the relay dropped sends the whole project', () => {
+    openTestProject(ruleSteps());
+    const transport = joinTestRoom();
+    transport.handlers.onMessage({ type: 'welcome', ops: [], peers: [] });
+
+    // Everyone left and the relay dropped the room; this client reconnects
+    transport.sent = [];
+    Collab.connect();
+    transport.handlers.onMessage({ type: 'welcome', ops: [], peers: [] });
+    Collab.stop();
+
+    const content = contentFromMessages(transport.sent);
+    assert.equal(content.steps.length, 4, 'Steps');
+    assert.equal(content.steps[1].fields[0].id, 'field_budget', 'Fields');
+    assert.equal(content.header.title.text, AppState.getState().header.title.text, 'Header');
+});
+
+test('Shared content without steps is not applied', () => {
+    openTestProject(ruleSteps());
+    let saves = 0;
+    AppState.persistState = () => {
+        saves++;
+        return Promise.resolve(true);
+    };
+
+    const applied = AppState.applyExternalState({ steps: [] }, 'Changes from collaborators');
+
+    assert.ok(!applied, 'Reported as applied');
+    assert.equal(AppState.getState().steps.length, 4, 'Steps');
+    assert.equal(saves, 0, 'Saves');
+});
@@ -0,0 +1,90 @@
+/**
+ * ================================================
+ * LANDCRAFT - Copy & Paste Tests
+ * Pasted steps keep their skip rules and branches
+ * ================================================
+ */
+
+/**
+ * Open a project with the given steps, without saving it anywhere
+ * @param {Array<Object>} steps - Steps
+ */
+function openTestProject(steps) {
+    AppState.persistState = () => Promise.resolve(true);
+    AppState.state = { ...AppState.getDefaultState(), steps, currentStep: 0 };
+    AppState.history = [];
+    AppState.historyIndex = -1;
+}
+
+/**
+ * Steps where the second skips on the first and branches past the third
+ * @returns {Array<Object>} Steps
+ */
+function ruleSteps() {
+    return [
+        { id: 'step_a', name: 'A', fields: [{ id: 'field_country', key: 'country', type: 'dropdown', label: 'Country' }] },
+        {
+            id: 'step_b',
+            name: 'B',
+            fields: [{ id: 'field_budget', key: 'budget', type: 'number', label: 'Budget', validation: { min: 0 } }],
+            skipLogic: { enabled: true, field: 'field_country', operator: 'equals', value: 'IN' },
+            branches: [{ field: 'field_budget', operator: 'greater_than', value: '100', goTo: 'step_d' }]
+        },
+        { id: 'step_c', name: 'C', fields: [] },
+        {
+            id: 'step_d',
+            name: 'D',
+            fields: [],
+            skipLogic: { enabled: true, field: 'field_budget', operator: 'empty', value: '' },
+            branches: []
+        }
+    ];
+}
+
+test('Rules between pasted steps point at the copies', () => {
+    openTestProject([{ id: 'step_0', name: 'Start', fields: [] }]);
+    const { content } = CopyPaste.upgrade({
+        schemaVersion: ExportUtils.schemaVersion,
+        kind: 'steps',
+        steps: ruleSteps().slice(1)
+    });
+
+    const { steps, cleared } = AppState.pasteSteps(content.steps);
+    const [b, c, d] = steps;
+
+    assert.equal(b.branches.length, 1, 'Branches of B');
+    assert.equal(b.branches[0].field, b.fields[0].id, 'Branch field');
+    assert.equal(b.branches[0].goTo, d.id, 'Branch target');
+    assert.equal(d.skipLogic.field, b.fields[0].id, 'Skip rule field of D');
+    assert.ok(!b.skipLogic.enabled, 'The skip rule on a field that was not pasted is off');
+    assert.equal(cleared.length, 1, `Cleared rules: ${cleared.join(' ')}`);
+    assert.ok(c.id !== 'step_c', 'Pasted steps get new IDs');
+});
+
+test('Copying a step keeps rules on fields of the same project', async () => {
+    openTestProject(ruleSteps());
+    AppState.state.currentStep = 1;
+
+    await CopyPaste.copy();
+    const { content } = await CopyPaste.read();
+    const { steps: [pasted], cleared } = AppState.pasteSteps(content.steps);
+
+    assert.deepEqual(cleared, [], 'Cleared rules');
+    assert.equal(pasted.skipLogic.field, 'field_country', 'Skip rule field');
+    assert.equal(pasted.branches[0].field, pasted.fields[0].id, 'Branch field');
+    assert.equal(pasted.branches[0].goTo, 'step_d', 'Branch target');
+});
+
+test('Rules on fields and steps of another project are cleared and reported', async () => {
+    openTestProject(ruleSteps());
+    AppState.state.currentStep = 1;
+    await CopyPaste.copy();
+
+    openTestProject([{ id: 'step_0', name: 'Start', fields: [] }]);
+    const { content } = await CopyPaste.read();
+    const { steps: [pasted], cleared } = AppState.pasteSteps(content.steps);
+
+    assert.ok(!pasted.skipLogic.enabled, 'Skip rule is off');
+    assert.deepEqual(pasted.branches, [], 'Branches');
+    assert.equal(cleared.length, 2, 'Reported rules');
+});
@@ -0,0 +1,162 @@
+/**
+ * ================================================
+ * LANDCRAFT - Exported Page Tests
+ * Fill in an exported page and check what it sends to the webhook
+ * ================================================
+ */
+
+/**
+ * Build a project state from field configurations
+ * @param {Array<Array<Object>>} stepFields - Fields of each step ({type, ...config})
+ * @returns {Object} Project state with a webhook URL
+ */
+function buildState(stepFields) {
+    const defaults = AppState.getDefaultState();
+    const taken = new Set();
+    const steps = stepFields.map((fields, index) => ({
+        id: `step_${index}`,
+        name: `Step ${index + 1}`,
+        fields: fields.map(({ type, ...config }) => ({
+            id: Helpers.generateId('field'),
+            type,
+            ...AppState.getFieldDefaults(type),
+            ...config
+        }))
+    }));
+    steps.forEach(step => AppState.assignFieldKeys(step.fields, taken));
+
+    return {
+        ...defaults,
+        steps,
+        settings: { ...defaults.settings, webhookUrl: 'https://example.com/hook' }
+    };
+}
+
+/**
+ * Open the exported page in a frame, with a fetch that keeps the webhook payload
+ * @param {Object} state - Project state
+ * @returns {Promise<Window>} The page's window; payload is in window.submitted
+ */
+function openExportedPage(state) {
+    const capture = `<script>
+        window.fetch = (url, options) => {
+            window.submitted = JSON.parse(options.body);
+            return Promise.resolve({ ok: true });
+        };
+    </script>`;
+
+    return new Promise((resolve) => {
+        const frame = document.createElement('iframe');
+        frame.style.display = 'none';
+        frame.addEventListener('load', () => resolve(frame.contentWindow), { once: true });
+        frame.srcdoc = ExportUtils.generateHTML(state).replace('<head>', `<head>${capture}`);
+        document.body.appendChild(frame);
+    });
+}
+
+/**
+ * Click Next until the page submits
+ * @param {Window} page - Exported page
+ * @returns {Promise<Object>} Webhook payload
+ */
+async function submitPage(page) {
+    for (let i = 0; i < 10 && !page.submitted; i++) {
+        page.document.getElementById('nextBtn').click();
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    assert.ok(page.submitted, 'The page did not submit');
+    return page.submitted;
+}
+
+test('Rating, NPS, scale and radio fields submit the point that was picked', async () => {
+    const state = buildState([
+        [
+            { type: 'rating', label: 'Rating' },
+            { type: 'nps', label: 'NPS' },
+            { type: 'scale', label: 'Scale' },
+            { type: 'radio', label: 'Contact By' }
+        ],
+        [{ type: 'text', label: 'Comments' }]
+    ]);
+    const page = await openExportedPage(state);
+
+    const pick = (key, value) => {
+        const input = page.document.querySelector(`input[name="${key}"][value="${value}"]`);
+        input.checked = true;
+        input.dispatchEvent(new page.Event('change', { bubbles: true }));
+    };
+    pick('nps', '3');
+    pick('rating', '2');
+    pick('contact-by', 'option2');
+
+    const { formData } = await submitPage(page);
+    assert.equal(formData.nps, '3', 'NPS');
+    assert.equal(formData.rating, '2', 'Rating');
+    assert.equal(formData['contact-by'], 'option2', 'Radio');
+    assert.equal(formData.scale, '', 'Unanswered scale');
+});
+
+/**
+ * Check the labels of a scale from 1 to 5 whose labels have quotes
+ * @param {Element} root - Element holding the scale
+ */
+function assertQuotedScaleLabels(root) {
+    const group = root.querySelector('[role="radiogroup"]');
+    assert.equal(group.getAttribute('aria-label'), 'How "likely" are you?', 'Group label');
+
+    const points = group.querySelectorAll('input[type="radio"]');
+    assert.equal(points[0].getAttribute('aria-label'), `1 - Won't`, 'First point');
+    assert.equal(points[points.length - 1].getAttribute('aria-label'), '5 - Will "surely"', 'Last point');
+}
+
+test('Scale labels with quotes are read out whole', async () => {
+    const state = buildState([
+        [{ type: 'scale', label: 'How "likely" are you?', minLabel: `Won't`, maxLabel: 'Will "surely"' }],
+        [{ type: 'text', label: 'Comments' }]
+    ]);
+
+    const page = await openExportedPage(state);
+    assertQuotedScaleLabels(page.document);
+
+    const preview = document.createElement('div');
+    preview.innerHTML = Preview.renderField(state.steps[0].fields[0], state.settings);
+    assertQuotedScaleLabels(preview);
+});
+
+test('Hidden values and parameter names keep their quotes', async () => {
+    const state = buildState([
+        [
+            { type: 'hidden', label: 'Release', source: 'static', value: `v2 "beta" & 'rc'` },
+            { type: 'hidden', label: 'Campaign', source: 'query', param: 'utm_"campaign"', value: `it's none` }
+        ],
+        [{ type: 'text', label: 'Comments' }]
+    ]);
+    const page = await openExportedPage(state);
+
+    const campaign = page.document.querySelector('[data-hidden-source="query"]');
+    assert.equal(campaign.dataset.hiddenParam, 'utm_"campaign"', 'Parameter name');
+
+    const { formData } = await submitPage(page);
+    assert.equal(formData.release, `v2 "beta" & 'rc'`, 'Static value');
+    assert.equal(formData.campaign, `it's none`, 'Fallback value');
+});
+
+test('Placeholders with quotes are shown whole', async () => {
+    const state = buildState([
+        [
+            { type: 'text', label: 'Nickname', placeholder: `e.g. "Ace"` },
+            { type: 'phone', label: 'Phone', placeholder: `Your "work" number` }
+        ],
+        [{ type: 'textarea', label: 'Comments', placeholder: `What's on your mind?` }]
+    ]);
+    const expected = [`e.g. "Ace"`, `Your "work" number`, `What's on your mind?`];
+
+    const page = await openExportedPage(state);
+    const exported = [...page.document.querySelectorAll('[placeholder]')].map(input => input.placeholder);
+    assert.deepEqual(exported, expected, 'Exported page');
+
+    const preview = document.createElement('div');
+    preview.innerHTML = state.steps.flatMap(step => step.fields)
+        .map(field => Preview.renderField(field, state.settings)).join('');
+    assert.deepEqual([...preview.querySelectorAll('[placeholder]')].map(input => input.placeholder), expected, 'Preview');
+});
@@ -0,0 +1,41 @@
+/**
+ * ================================================
+ * LANDCRAFT - History Tests
+ * Snapshots are compared in the current format, listing every content change
+ * ================================================
+ */
+
+test('Comparing lists changed skip rules and branches', () => {
+    const from = { ...AppState.getDefaultState(), steps: ruleSteps() };
+    const to = Helpers.deepClone(from);
+    to.steps[1].skipLogic.value = 'US';
+    to.steps[1].branches[0].goTo = 'step_c';
+    to.steps[3].skipLogic.enabled = false;
+
+    assert.deepEqual(HistoryPanel.describeChanges(from, to), [
+        'Skip rule of "B" changed',
+        'Branches of "B" changed',
+        'Skip rule of "D" changed'
+    ], 'Changes');
+    assert.deepEqual(HistoryPanel.describeChanges(from, Helpers.deepClone(from)), [], 'No changes');
+});
+
+test('A snapshot from an older version is compared in the current format', () => {
+    // Opened projects are checked the same way
+    openTestProject(Integrity.check({ ...AppState.getDefaultState(), steps: ruleSteps() }).state.steps);
+    const steps = ruleSteps();
+    steps.forEach(step => step.fields.forEach(field => delete field.key));
+    const snapshot = { name: 'Before keys', state: { ...AppState.getState(), schemaVersion: '1.3', steps } };
+
+    const { state } = AppState.readSnapshot(snapshot);
+    assert.equal(state.steps[1].fields[0].key, 'budget', 'Key added by the upgrade');
+    assert.deepEqual(HistoryPanel.describeChanges(state, AppState.getState()), [], 'Changes');
+});
+
+test('A snapshot in an unsupported format cannot be read', () => {
+    openTestProject(ruleSteps());
+    const { state, errors } = AppState.readSnapshot({ name: 'Future', state: { ...AppState.getState(), schemaVersion: '9.0' } });
+
+    assert.equal(state, null, 'State');
+    assert.ok(errors.length > 0, 'Errors are given');
+});
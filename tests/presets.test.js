@@ -0,0 +1,40 @@
+/**
+ * ================================================
+ * LANDCRAFT - Preset Tests
+ * Step presets keep their validation, conditions and step rules
+ * ================================================
+ */
+
+// The library is kept in memory instead of IndexedDB
+window.DataStore = window.DataStore || {
+    data: new Map(),
+    async get(key, fallback) {
+        return this.data.has(key) ? Helpers.deepClone(this.data.get(key)) : fallback;
+    },
+    async set(key, value) {
+        this.data.set(key, Helpers.deepClone(value));
+    }
+};
+window.TabSync = window.TabSync || { post() {} };
+
+test('A step preset is added with its rules pointing at the new fields and steps', async () => {
+    openTestProject(ruleSteps());
+    const source = AppState.getState().steps[1];
+    const saved = await PresetLibrary.add('Budget step', 'steps', [source]);
+
+    // Into another project, after a step with a field of the same ID
+    openTestProject([
+        { id: 'step_0', name: 'Start', fields: [{ id: 'field_country', key: 'country', type: 'dropdown', label: 'Country' }] },
+        { id: 'step_d', name: 'End', fields: [] }
+    ]);
+    const { content } = PresetLibrary.read(PresetLibrary.get(saved.id));
+    const { steps: [added], cleared } = AppState.addPreset(content, saved.name);
+
+    assert.deepEqual(added.fields[0].validation, { min: 0 }, 'Validation');
+    assert.ok(added.skipLogic.enabled, 'Skip rule is kept');
+    assert.equal(added.skipLogic.field, 'field_country', 'Skip rule field');
+    assert.equal(added.branches.length, 1, 'Branches');
+    assert.equal(added.branches[0].field, added.fields[0].id, 'Branch field');
+    assert.equal(added.branches[0].goTo, 'step_d', 'Branch target');
+    assert.deepEqual(cleared, [], 'Cleared rules');
+});
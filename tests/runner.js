@@ -0,0 +1,120 @@
+/**
+ * ================================================
+ * LANDCRAFT - Test Runner
+ * Runs the checks in tests/*.test.js in the browser
+ *
+ * Results are listed on the page; document.title ends in PASS or FAIL
+ * and window.testResults holds them for scripted runs.
+ * ================================================
+ */
+
+const TestRunner = {
+    tests: [],
+
+    /**
+     * Register a test
+     * @param {string} name - Test name
+     * @param {Function} fn - Test body, may be async; throws to fail
+     */
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    },
+
+    /**
+     * Load a fixture from tests/fixtures
+     * @param {string} name - File name
+     * @returns {Promise<Object>} Parsed JSON
+     */
+    async fixture(name) {
+        const response = await fetch(`fixtures/${name}`);
+        if (!response.ok) throw new Error(`Fixture ${name} could not be loaded (${response.status})`);
+        return response.json();
+    },
+
+    /**
+     * Run all registered tests in order and show the results
+     * @returns {Promise<Object>} {passed, failed, results}
+     */
+    async run() {
+        const results = [];
+
+        for (const { name, fn } of this.tests) {
+            try {
+                await fn();
+                results.push({ name, passed: true });
+            } catch (error) {
+                results.push({ name, passed: false, error: error?.message || String(error) });
+                console.error(`✗ ${name}`, error);
+            }
+        }
+
+        const failed = results.filter(r => !r.passed).length;
+        const summary = { passed: results.length - failed, failed, results };
+        this.render(summary);
+        window.testResults = summary;
+        return summary;
+    },
+
+    /**
+     * Show the results on the page
+     * @param {Object} summary - {passed, failed, results}
+     */
+    render({ passed, failed, results }) {
+        document.title = `LandCraft Tests: ${failed === 0 ? 'PASS' : 'FAIL'}`;
+        document.getElementById('summary').textContent = `${passed} passed, ${failed} failed`;
+        document.getElementById('results').innerHTML = results.map(r => `
+            <li class="${r.passed ? 'pass' : 'fail'}">
+                ${r.passed ? '✓' : '✗'} ${Helpers.sanitizeHTML(r.name)}
+                ${r.error ? `<pre>${Helpers.sanitizeHTML(r.error)}</pre>` : ''}
+            </li>
+        `).join('');
+    }
+};
+
+/**
+ * Assertions; each throws an Error describing the mismatch
+ */
+const assert = {
+    ok(value, message = 'Expected a truthy value') {
+        if (!value) throw new Error(message);
+    },
+
+    equal(actual, expected, message = 'Values differ') {
+        if (actual !== expected) {
+            throw new Error(`${message}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    },
+
+    deepEqual(actual, expected, message = 'Values differ') {
+        const difference = this.findDifference(actual, expected, '');
+        if (difference) throw new Error(`${message} at ${difference}`);
+    },
+
+    /**
+     * Find the first place two JSON values differ
+     * @param {*} actual - Actual value
+     * @param {*} expected - Expected value
+     * @param {string} path - Path of the values, e.g. steps[0].fields[2]
+     * @returns {string|null} Path and both values, null if equal
+     */
+    findDifference(actual, expected, path) {
+        const isObject = value => value !== null && typeof value === 'object';
+        if (!isObject(actual) || !isObject(expected) || Array.isArray(actual) !== Array.isArray(expected)) {
+            return actual === expected ? null
+                : `${path || '(root)'}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`;
+        }
+
+        const keys = new Set([...Object.keys(actual), ...Object.keys(expected)]);
+        for (const key of keys) {
+            const childPath = Array.isArray(actual) ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+            const difference = this.findDifference(actual[key], expected[key], childPath);
+            if (difference) return difference;
+        }
+        return null;
+    }
+};
+
+// Export for use in the test files
+window.TestRunner = TestRunner;
+window.test = TestRunner.test.bind(TestRunner);
+window.assert = assert;
@@ -0,0 +1,68 @@
+/**
+ * ================================================
+ * LANDCRAFT - JSON Schema Tests
+ * Exporting an imported schema must give back the same JSON
+ * ================================================
+ */
+
+const SCHEMA_FIXTURES = ['field-types.json', 'step-logic.json'];
+
+/**
+ * Import a schema the way AppState.readSchema does, without its dialogs
+ * @param {Object} schema - JSON schema
+ * @returns {Object} Project state
+ */
+function importSchema(schema) {
+    const { doc, errors } = Migrations.migrateSchema(schema);
+    assert.deepEqual(errors, [], 'Migration errors');
+
+    const parsed = ExportUtils.parseJSONSchema(doc);
+    const { state, repairs, problems } = Integrity.check({ ...AppState.getDefaultState(), ...parsed });
+    assert.deepEqual([...repairs, ...problems], [], 'Integrity findings');
+    return state;
+}
+
+/**
+ * Export a state, leaving out the export time
+ * @param {Object} state - Project state
+ * @returns {Object} JSON schema
+ */
+function exportSchema(state) {
+    const { created_at, ...schema } = JSON.parse(JSON.stringify(ExportUtils.generateJSONSchema(state)));
+    return schema;
+}
+
+test('Fixtures cover every field type', async () => {
+    const types = new Set();
+    const collect = fields => fields.forEach(field => {
+        types.add(field.type);
+        collect(field.fields || []);
+    });
+
+    for (const name of SCHEMA_FIXTURES) {
+        const schema = await TestRunner.fixture(name);
+        schema.steps.forEach(step => collect(step.fields));
+    }
+
+    const missing = AppState.getFieldTypes().filter(type => !types.has(type));
+    assert.deepEqual(missing, [], 'Field types without a fixture');
+});
+
+test('Fixtures are written in the current schema version', async () => {
+    for (const name of SCHEMA_FIXTURES) {
+        const schema = await TestRunner.fixture(name);
+        assert.equal(schema.schema_version, ExportUtils.schemaVersion, `${name} version`);
+    }
+});
+
+SCHEMA_FIXTURES.forEach(name => {
+    test(`${name}: export → import → export gives the same schema`, async () => {
+        const { created_at, ...fixture } = await TestRunner.fixture(name);
+
+        const exported = exportSchema(importSchema(fixture));
+        assert.deepEqual(exported, fixture, 'First round trip');
+
+        const again = exportSchema(importSchema(JSON.parse(JSON.stringify(exported))));
+        assert.deepEqual(again, exported, 'Second round trip');
+    });
+});
@@ -0,0 +1,100 @@
+/**
+ * ================================================
+ * LANDCRAFT - State Tests
+ * Moving fields keeps conditions, skip rules and branches valid
+ * ================================================
+ */
+
+test('Moving a field to a later step turns off the step rules on it', () => {
+    openTestProject(ruleSteps());
+
+    const rules = AppState.getMoveDependents(['field_budget'], 3);
+    assert.deepEqual(rules.map(rule => `${rule.kind} ${rule.stepId}`), ['branch step_b', 'skip step_d'], 'Rules turned off');
+
+    AppState.moveField('field_budget', 3);
+    const [, b, , d] = AppState.getState().steps;
+    assert.equal(d.fields[0].id, 'field_budget', 'Moved field');
+    assert.equal(b.branches.length, 0, 'The branch of B on a later field is removed');
+    assert.ok(!d.skipLogic.enabled, 'The skip rule of D on its own field is off');
+    assert.ok(b.skipLogic.enabled, 'Other rules stay on');
+
+    AppState.undo();
+    const restored = AppState.getState().steps;
+    assert.equal(restored[1].fields[0].id, 'field_budget', 'Undo puts the field back');
+    assert.equal(restored[1].branches.length, 1, 'Undo restores the branch');
+    assert.ok(restored[3].skipLogic.enabled, 'Undo restores the skip rule');
+});
+
+test('Moving a field to an earlier step keeps the step rules on it', () => {
+    openTestProject(ruleSteps());
+
+    assert.equal(AppState.getMoveDependents(['field_budget'], 0).length, 0, 'Rules turned off');
+    AppState.moveField('field_budget', 0);
+
+    const [a, b, , d] = AppState.getState().steps;
+    assert.equal(a.fields[1].id, 'field_budget', 'Moved field');
+    assert.equal(b.branches[0]?.field, 'field_budget', 'Branch of B');
+    assert.equal(d.skipLogic.field, 'field_budget', 'Skip rule of D');
+    assert.ok(d.skipLogic.enabled, 'Skip rule of D is on');
+});
+
+/**
+ * Steps with a group whose meal field depends on the age field next to it
+ * @returns {Array<Object>} Steps
+ */
+function groupSteps() {
+    const [a, b] = ruleSteps();
+    a.fields.push(
+        {
+            id: 'field_guests',
+            type: 'group',
+            label: 'Guests',
+            fields: [
+                { id: 'field_age', type: 'number', label: 'Age' },
+                {
+                    id: 'field_meal',
+                    type: 'dropdown',
+                    label: 'Meal',
+                    conditionalLogic: { enabled: true, field: 'field_age', operator: 'greater_than', value: '12' }
+                }
+            ]
+        },
+        {
+            id: 'field_note',
+            type: 'text',
+            label: 'Note',
+            conditionalLogic: { enabled: true, field: 'field_country', operator: 'equals', value: 'IN' }
+        }
+    );
+    return [a, b];
+}
+
+test('Moving a field into a group turns off the rules that use it from outside', () => {
+    openTestProject(groupSteps());
+
+    const rules = AppState.getGroupMoveDependents('field_country', 'field_guests');
+    assert.deepEqual(rules.map(rule => `${rule.kind} ${rule.fieldId || rule.stepId}`),
+        ['condition field_note', 'skip step_b'], 'Rules turned off');
+
+    AppState.moveFieldToGroup('field_country', 'field_guests');
+    assert.equal(AppState.getGroupOf('field_country')?.id, 'field_guests', 'Moved field');
+    assert.ok(!AppState.getField('field_note').conditionalLogic.enabled, 'The condition of Note is off');
+    assert.ok(!AppState.getState().steps[1].skipLogic.enabled, 'The skip rule of B is off');
+    assert.ok(AppState.getField('field_meal').conditionalLogic.enabled, 'Conditions inside the group stay on');
+
+    AppState.undo();
+    assert.equal(AppState.getGroupOf('field_country'), null, 'Undo takes the field out again');
+    assert.ok(AppState.getField('field_note').conditionalLogic.enabled, 'Undo restores the condition');
+});
+
+test('Moving a field out of its group turns off the conditions of the fields it leaves', () => {
+    openTestProject(groupSteps());
+
+    const rules = AppState.getMoveDependents(['field_age'], 0);
+    assert.deepEqual(rules.map(rule => `${rule.kind} ${rule.fieldId}`), ['condition field_meal'], 'Rules turned off');
+
+    AppState.moveField('field_age', 0);
+    assert.equal(AppState.getGroupOf('field_age'), null, 'Moved field');
+    assert.ok(!AppState.getField('field_meal').conditionalLogic.enabled, 'The condition of Meal is off');
+    assert.ok(AppState.getField('field_note').conditionalLogic.enabled, 'Other conditions stay on');
+});